@@ -17,10 +17,10 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import { analyzeSymbol } from './analystBrief.js';
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const BASE_URL = 'https://financialmodelingprep.com/stable';
+import { fmpFetch } from './vendors/fmp.js';
+import { SCORING_CONFIG } from './scoringConfig.js';
 
 // Tier thresholds (weekly % gain)
 const TIERS = {
@@ -29,28 +29,20 @@ const TIERS = {
   3: { min: 100, emoji: '🟡', label: 'SOLID MOMENTUM' }
 };
 
-const TRIGGER_THRESHOLD = 65; // Risk score to flag
-
-async function fetchJSON(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`HTTP ${res.status}`);
-  return res.json();
-}
+// Risk score cut-offs (scoring.config.json analystBrief)
+const { triggerScore: TRIGGER_THRESHOLD, watchScore: WATCH_THRESHOLD, monitorScore: MONITOR_THRESHOLD } = SCORING_CONFIG.analystBrief;
 
 async function getBiggestGainers() {
-  const url = `${BASE_URL}/biggest-gainers?apikey=${FMP_KEY}`;
-  return fetchJSON(url);
+  return fmpFetch('/biggest-gainers');
 }
 
 async function getPriceChange(symbol) {
-  const url = `${BASE_URL}/stock-price-change?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const data = await fetchJSON(url);
+  const data = await fmpFetch('/stock-price-change', { symbol });
   return data[0] || null;
 }
 
 async function getQuote(symbol) {
-  const url = `${BASE_URL}/quote?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const data = await fetchJSON(url);
+  const data = await fmpFetch('/quote', { symbol });
   return data[0] || null;
 }
 
@@ -190,8 +182,8 @@ async function analyzeRunners(runners, fullAnalysis = false) {
       
       let verdict = '✅ PASS';
       if (score >= TRIGGER_THRESHOLD) verdict = '🚨 TRIGGER';
-      else if (score >= 50) verdict = '⚠️  WATCH';
-      else if (score >= 35) verdict = '👀 MONITOR';
+      else if (score >= WATCH_THRESHOLD) verdict = '⚠️  WATCH';
+      else if (score >= MONITOR_THRESHOLD) verdict = '👀 MONITOR';
 
       const runwayStr = runway !== null && runway !== undefined 
         ? `${runway.toFixed(1)}mo` 
@@ -233,19 +225,19 @@ async function analyzeRunners(runners, fullAnalysis = false) {
   console.log(`${'═'.repeat(70)}\n`);
 
   const triggers = results.filter(r => r.score >= TRIGGER_THRESHOLD);
-  const watches = results.filter(r => r.score >= 50 && r.score < TRIGGER_THRESHOLD);
-  const monitors = results.filter(r => r.score >= 35 && r.score < 50);
+  const watches = results.filter(r => r.score >= WATCH_THRESHOLD && r.score < TRIGGER_THRESHOLD);
+  const monitors = results.filter(r => r.score >= MONITOR_THRESHOLD && r.score < WATCH_THRESHOLD);
 
   console.log(`🚨 TRIGGERS (${TRIGGER_THRESHOLD}%+):  ${triggers.length}`);
   triggers.forEach(r => console.log(`   ${r.symbol}: ${r.score}%`));
   
-  console.log(`⚠️  WATCHLIST (50-64%): ${watches.length}`);
+  console.log(`⚠️  WATCHLIST (${WATCH_THRESHOLD}-${TRIGGER_THRESHOLD - 1}%): ${watches.length}`);
   watches.forEach(r => console.log(`   ${r.symbol}: ${r.score}%`));
   
-  console.log(`👀 MONITOR (35-49%):   ${monitors.length}`);
+  console.log(`👀 MONITOR (${MONITOR_THRESHOLD}-${WATCH_THRESHOLD - 1}%):   ${monitors.length}`);
   monitors.forEach(r => console.log(`   ${r.symbol}: ${r.score}%`));
 
-  console.log(`\n✅ PASSED:            ${results.filter(r => r.score < 35).length}`);
+  console.log(`\n✅ PASSED:            ${results.filter(r => r.score < MONITOR_THRESHOLD).length}`);
 
   // Sort final results by score
   results.sort((a, b) => b.score - a.score);
@@ -7,34 +7,25 @@
  *   - FMP API (paid): Price, financials, insider trades
  *   - SEC EDGAR (free): ATM filings (424B5, S-3)
  * 
- * API Calls per ticker: ~8-10 FMP + 1 SEC
+ * API Calls per ticker: ~8-10 FMP + 1-5 SEC (paged full-text search)
  */
 
+import './scoringConfigFlag.js';
 import dotenv from 'dotenv';
 dotenv.config();
 
-const API_KEY = process.env.FMP_API_KEY;
-const BASE = 'https://financialmodelingprep.com';
-const SEC_USER_AGENT = 'DilutionHunter/1.0 (dilutionhunter@proton.me)';
+import { searchFilings, extractCompanyName } from './vendors/sec.js';
+import { findCikByTicker, normalizeCik } from './vendors/secTickers.js';
+import { splitAdjustCandles } from './splitEvents.js';
+import { fmpGet } from './vendors/fmp.js';
+import { getEngineWeights } from './scoringWeights.js';
+import { SCORING_CONFIG } from './scoringConfig.js';
+import { buildExplanation, weightedFactor } from './scoreExplanation.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // API HELPERS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function fmpFetch(endpoint, params = {}) {
-  const url = new URL(BASE + endpoint);
-  url.searchParams.set('apikey', API_KEY);
-  Object.entries(params).forEach(([k, v]) => url.searchParams.set(k, v));
-  
-  const res = await fetch(url);
-  const text = await res.text();
-  
-  if (!text.startsWith('[') && !text.startsWith('{')) {
-    return null; // Premium/unavailable
-  }
-  return JSON.parse(text);
-}
-
 /**
  * Search SEC EDGAR for recent ATM-related filings (424B5, S-3)
  * Returns { hasRecentATM, filings, error }
@@ -45,24 +36,21 @@ async function searchSECForATM(symbol, days = 90) {
     const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
     
     // Search for ATM-related filings (broad search, then filter by ticker)
-    const query = encodeURIComponent('"at-the-market" OR "ATM offering" OR "equity distribution"');
-    const url = `https://efts.sec.gov/LATEST/search-index?q=${query}&dateRange=custom&startdt=${startDate}&enddt=${endDate}&forms=424B5,S-3,S-3ASR&size=500`;
-    
-    const res = await fetch(url, {
-      headers: { 'User-Agent': SEC_USER_AGENT },
-      signal: AbortSignal.timeout(15000) // 15 second timeout
-    });
-    
-    if (!res.ok) {
-      return { hasRecentATM: false, filings: [], error: `SEC API returned ${res.status}` };
-    }
-    
-    const data = await res.json();
-    const hits = data.hits?.hits || [];
+    // Single attempt - a slow SEC shouldn't stall the whole brief
+    const hits = await searchFilings(
+      '"at-the-market" OR "ATM offering" OR "equity distribution"',
+      '424B5,S-3,S-3ASR',
+      startDate,
+      endDate,
+      { limit: 500, throwOnError: true, maxRetries: 1 }
+    );
     
-    // Filter to only filings that match our symbol in display_names
+    // Filter to filings by our issuer: match on CIK (display names often omit the ticker),
+    // falling back to the ticker appearing in display_names
     const symbolUpper = symbol.toUpperCase();
+    const cik = await findCikByTicker(symbolUpper);
     const relevantFilings = hits.filter(h => {
+      if (cik && (h._source?.ciks || []).some(c => normalizeCik(c) === cik)) return true;
       const displayNames = h._source?.display_names || [];
       // Match "(TICK)" or "(TICK," or ", TICK)" patterns
       return displayNames.some(name => {
@@ -75,7 +63,7 @@ async function searchSECForATM(symbol, days = 90) {
     }).map(h => ({
       date: h._source?.file_date,
       form: h._source?.form,
-      company: h._source?.display_names?.[0]?.split('  (')[0],
+      company: extractCompanyName(h._source?.display_names?.[0]),
       filingId: h._source?.adsh
     })).sort((a, b) => b.date.localeCompare(a.date)); // Most recent first
 
@@ -113,7 +101,7 @@ export async function analyzeSymbol(symbol, options = {}) {
   // ─────────────────────────────────────────────────────────────────────────────
   // 1. QUOTE DATA
   // ─────────────────────────────────────────────────────────────────────────────
-  const quote = await fmpFetch('/stable/quote', { symbol });
+  const quote = await fmpGet('/stable/quote', { params: { symbol } });
   if (!quote?.[0]) {
     if (!silent) console.log('\n❌ Symbol not available on free tier or invalid.');
     return null;
@@ -123,38 +111,38 @@ export async function analyzeSymbol(symbol, options = {}) {
   // ─────────────────────────────────────────────────────────────────────────────
   // 2. FLOAT DATA
   // ─────────────────────────────────────────────────────────────────────────────
-  const float = await fmpFetch('/stable/shares-float', { symbol });
+  const float = await fmpGet('/stable/shares-float', { params: { symbol } });
   data.float = float?.[0] || null;
   
   // ─────────────────────────────────────────────────────────────────────────────
   // 3. PRICE HISTORY (30 days)
   // ─────────────────────────────────────────────────────────────────────────────
-  const ohlcv = await fmpFetch('/stable/historical-price-eod/full', { symbol });
-  data.candles = ohlcv?.slice(0, 30).reverse() || []; // chronological
+  const ohlcv = await fmpGet('/stable/historical-price-eod/full', { params: { symbol } });
+  data.candles = await splitAdjustCandles(symbol, ohlcv?.slice(0, 30).reverse() || []); // chronological
   
   // ─────────────────────────────────────────────────────────────────────────────
   // 4. BALANCE SHEET
   // ─────────────────────────────────────────────────────────────────────────────
-  const bs = await fmpFetch('/stable/balance-sheet-statement', { symbol, period: 'quarter', limit: 4 });
+  const bs = await fmpGet('/stable/balance-sheet-statement', { params: { symbol, period: 'quarter', limit: 4 } });
   data.balanceSheet = bs || [];
   
   // ─────────────────────────────────────────────────────────────────────────────
   // 5. CASH FLOW
   // ─────────────────────────────────────────────────────────────────────────────
-  const cf = await fmpFetch('/stable/cash-flow-statement', { symbol, period: 'quarter', limit: 4 });
+  const cf = await fmpGet('/stable/cash-flow-statement', { params: { symbol, period: 'quarter', limit: 4 } });
   data.cashFlow = cf || [];
   
   // ─────────────────────────────────────────────────────────────────────────────
   // 6. INSIDER TRADING
   // ─────────────────────────────────────────────────────────────────────────────
-  const insider = await fmpFetch('/stable/insider-trading/search', { symbol, limit: 20 });
+  const insider = await fmpGet('/stable/insider-trading/search', { params: { symbol, limit: 20 } });
   data.insiderTrades = insider || [];
   
   // ─────────────────────────────────────────────────────────────────────────────
   // 7. OFFERINGS
   // ─────────────────────────────────────────────────────────────────────────────
   const companyName = data.quote.name?.split(' ')[0] || symbol;
-  const offerings = await fmpFetch('/stable/fundraising-search', { name: companyName });
+  const offerings = await fmpGet('/stable/fundraising-search', { params: { name: companyName } });
   data.offerings = offerings || [];
   
   // Get details if offerings found
@@ -164,7 +152,7 @@ export async function analyzeSymbol(symbol, options = {}) {
       o.name?.toLowerCase().includes(symbol.toLowerCase())
     );
     if (relevantOfferings[0]?.cik) {
-      const details = await fmpFetch('/stable/fundraising', { cik: relevantOfferings[0].cik });
+      const details = await fmpGet('/stable/fundraising', { params: { cik: relevantOfferings[0].cik } });
       data.offeringDetails = details || [];
     }
   }
@@ -196,7 +184,7 @@ export async function analyzeSymbol(symbol, options = {}) {
   return { 
     symbol,
     score: Math.round(analysis.totalScore * 100),
-    triggered: analysis.totalScore >= 0.65,
+    triggered: analysis.totalScore >= SCORING_CONFIG.analystBrief.triggerScore / 100,
     quote: {
       price: data.quote.price,
       marketCap: data.quote.marketCap,
@@ -239,6 +227,7 @@ export async function analyzeSymbol(symbol, options = {}) {
       sellCount: metrics.insiderSellCount,
     },
     scores: analysis.components,
+    explanation: analysis.explanation,
     data, 
     metrics, 
     analysis 
@@ -434,6 +423,18 @@ function computeMetrics(data) {
 // COMPUTE RISK SCORES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Component weights (sum to 1) - a tuned version from tuneWeights.js replaces them when present
+export const BRIEF_WEIGHTS = {
+  momentum: 0.25,
+  blowoffStrength: 0.10,
+  reversalSignal: 0.15,
+  financialStress: 0.15,
+  runwayUrgency: 0.15,
+  dilutionImpact: 0.10,
+  floatFragility: 0.05,
+  insiderFlight: 0.05
+};
+
 function computeScores(m, data) {
   const scores = {
     momentum: 0,        // 0-1 scale
@@ -515,41 +516,54 @@ function computeScores(m, data) {
   // WEIGHTED FINAL SCORE
   // ═══════════════════════════════════════════════════════════════════════════════
   
-  const weights = {
-    momentum: 0.25,
-    blowoffStrength: 0.10,
-    reversalSignal: 0.15,
-    financialStress: 0.15,
-    runwayUrgency: 0.15,
-    dilutionImpact: 0.10,
-    floatFragility: 0.05,
-    insiderFlight: 0.05
-  };
+  const weights = getEngineWeights('analyst_brief', BRIEF_WEIGHTS);
   
   let finalScore = 0;
   for (const [key, weight] of Object.entries(weights)) {
     finalScore += scores[key] * weight;
   }
   
-  // Determine verdict
+  // Determine verdict (cut-offs are 0-100 in scoring.config.json)
+  const { triggerScore, watchScore, monitorScore } = SCORING_CONFIG.analystBrief;
   let verdict = 'NO SIGNAL';
   let emoji = '✅';
   
-  if (finalScore >= 0.65 && m.gain7d >= 100 && (m.offeringImpactRatio > 0.1 || m.runwayMonths < 6)) {
+  if (finalScore >= triggerScore / 100 && m.gain7d >= 100 && (m.offeringImpactRatio > 0.1 || m.runwayMonths < 6)) {
     verdict = 'HIGH CONVICTION SHORT';
     emoji = '🚨';
-  } else if (finalScore >= 0.50 && m.gain7d >= 50) {
+  } else if (finalScore >= watchScore / 100 && m.gain7d >= 50) {
     verdict = 'WATCHLIST - DEVELOPING';
     emoji = '⚠️';
-  } else if (finalScore >= 0.35) {
+  } else if (finalScore >= monitorScore / 100) {
     verdict = 'LOW RISK - MONITOR';
     emoji = '👀';
   }
   
+  const pct = value => (value !== undefined && value !== null ? value * 100 : null);
+  const explanation = buildExplanation('analyst_brief', finalScore, 1, [
+    weightedFactor('momentum', 'Momentum', m.gain7d, scores.momentum, weights.momentum,
+      m.gain7d !== undefined ? `${m.gain7d >= 0 ? '+' : ''}${m.gain7d.toFixed(0)}% in 7 days` : 'No 7-day price history'),
+    weightedFactor('blowoffStrength', 'Blow-off volume', m.peakVolumeVsAvg, scores.blowoffStrength, weights.blowoffStrength,
+      m.peakVolumeVsAvg !== undefined ? `Peak volume ${m.peakVolumeVsAvg.toFixed(1)}x average` : 'No volume history'),
+    weightedFactor('reversalSignal', 'Reversal', !!(m.isRedCandle || m.isVolumeFading), scores.reversalSignal, weights.reversalSignal,
+      m.isRedCandle && m.isVolumeFading ? 'Red candle on fading volume' : m.isRedCandle ? 'Red candle' : m.isVolumeFading ? 'Volume fading' : 'No reversal yet'),
+    weightedFactor('financialStress', 'Cash vs debt', m.cashToDebtRatio === Infinity ? null : m.cashToDebtRatio, scores.financialStress, weights.financialStress,
+      m.cashToDebtRatio === Infinity ? 'No debt' : m.cashToDebtRatio !== undefined ? `Cash covers ${(m.cashToDebtRatio * 100).toFixed(0)}% of debt` : 'Cash vs debt unknown'),
+    weightedFactor('runwayUrgency', 'Cash runway', m.runwayMonths, scores.runwayUrgency, weights.runwayUrgency,
+      m.runwayMonths !== undefined ? `${m.runwayMonths.toFixed(1)} months of cash runway` : 'Cash runway unknown'),
+    weightedFactor('dilutionImpact', 'Dilution impact', pct(m.offeringImpactRatio), scores.dilutionImpact, weights.dilutionImpact,
+      m.offeringImpactRatio ? `Shelf capacity ${(m.offeringImpactRatio * 100).toFixed(0)}% of market cap${m.hasActiveATM ? ', ATM active' : ''}` : m.hasActiveATM ? 'ATM active' : 'No offering capacity'),
+    weightedFactor('floatFragility', 'Float', pct(m.floatRatio), scores.floatFragility, weights.floatFragility,
+      m.floatRatio !== undefined ? `Float ${(m.floatRatio * 100).toFixed(0)}% of shares outstanding` : 'Float unknown'),
+    weightedFactor('insiderFlight', 'Insider flight', m.netInsiderSentiment, scores.insiderFlight, weights.insiderFlight,
+      m.netInsiderSentiment !== undefined && m.netInsiderSentiment < 0 ? `Insiders net sellers (${m.netInsiderSentiment})` : 'No net insider selling')
+  ]);
+  
   return {
     components: scores,
     weights,
     totalScore: finalScore,
+    explanation,
     verdict,
     emoji
   };
@@ -665,14 +679,12 @@ function printReport(symbol, data, m, analysis) {
   // ── SCORE BREAKDOWN ───────────────────────────────────────────────────────────
   console.log('\n📊 RISK SCORE BREAKDOWN');
   console.log('─'.repeat(65));
-  for (const [key, score] of Object.entries(analysis.components)) {
-    const weight = analysis.weights[key];
-    const contribution = (score * weight * 100).toFixed(0);
-    const bar = '█'.repeat(Math.round(score * 10)) + '░'.repeat(10 - Math.round(score * 10));
-    console.log(`  ${key.padEnd(18)} ${bar} ${(score*100).toFixed(0).padStart(3)}% (${contribution}% contrib)`);
+  for (const f of analysis.explanation.factors) {
+    const bar = '█'.repeat(Math.round(f.normalized * 10)) + '░'.repeat(10 - Math.round(f.normalized * 10));
+    console.log(`  ${f.factor.padEnd(18)} ${bar} ${(f.normalized*100).toFixed(0).padStart(3)}% (${(f.contribution * 100).toFixed(0)}% contrib) ${f.reason}`);
   }
   console.log('─'.repeat(65));
-  console.log(`  TOTAL SCORE:       ${(analysis.totalScore*100).toFixed(0)}% ${analysis.totalScore >= 0.65 ? '🚨 TRIGGER' : analysis.totalScore >= 0.50 ? '⚠️ WATCH' : '✅ PASS'}`);
+  console.log(`  TOTAL SCORE:       ${(analysis.totalScore*100).toFixed(0)}% ${analysis.totalScore >= SCORING_CONFIG.analystBrief.triggerScore / 100 ? '🚨 TRIGGER' : analysis.totalScore >= SCORING_CONFIG.analystBrief.watchScore / 100 ? '⚠️ WATCH' : '✅ PASS'}`);
   
   // ── THESIS ────────────────────────────────────────────────────────────────────
   console.log('\n' + '═'.repeat(65));
@@ -755,6 +767,6 @@ export const runAnalystBrief = analyzeSymbol;
 // Only run if called directly (not imported)
 const isMainModule = process.argv[1]?.includes('analystBrief');
 if (isMainModule) {
-  const symbol = process.argv[2] || 'RIOT';
+  const symbol = process.argv.slice(2).find(a => !a.startsWith('--')) || 'RIOT';
   analyzeSymbol(symbol).catch(console.error);
 }
@@ -9,23 +9,14 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import { fetchBankruptcyInputs, fetchViralityInputs } from './bankruptcy/fmpBankruptcy.js';
 import { scoreWithVIS } from './bankruptcy/bankruptcyScoreEngine.js';
+import { renderExplanation } from './scoreExplanation.js';
 import { getRecentATMFilings } from './atmScanner.js';
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
-
-async function fmpGet(endpoint) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_KEY}`;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    return await res.json();
-  } catch (e) {
-    return null;
-  }
-}
+import { formatShares, formatGrowth } from './shareHistory.js';
+import { formatGoingConcern } from './goingConcern.js';
+import { fmpGet } from './vendors/fmp.js';
 
 async function analyzeTicker(ticker) {
   console.log(`\n${'═'.repeat(70)}`);
@@ -86,8 +77,37 @@ async function analyzeTicker(ticker) {
     console.log(`   ⚠️ Could not fetch financial data`);
   }
 
+  // Share count history (cover page + FMP snapshots)
+  console.log(`\n📈 SHARE COUNT`);
+  const shares = bankruptcyData?.shareHistory;
+  if (shares?.sharesOutstanding) {
+    console.log(`   Shares Outstanding: ${formatShares(shares.sharesOutstanding)} (as of ${shares.asOf})`);
+    if (shares.lastReported) {
+      console.log(`   Last Reported: ${formatShares(shares.lastReported.shares)} (${shares.lastReported.form}, ${shares.lastReported.date})`);
+    }
+    console.log(`   QoQ Growth: ${formatGrowth(shares.qoqGrowthPct)}`);
+    console.log(`   12-Month Dilution: ${formatGrowth(shares.dilution12mPct)}`);
+    if (shares.impliedSharesSinceReport !== null) {
+      console.log(`   Implied Shares Sold Since Report: ${formatShares(shares.impliedSharesSinceReport)} (${formatGrowth(shares.impliedDilutionSinceReportPct)})`);
+    }
+  } else {
+    console.log(`   ⚠️ No share count history available`);
+  }
+
+  // Going concern (10-K/10-Q language)
+  console.log(`\n🧾 GOING CONCERN`);
+  const goingConcern = bankruptcyData?.goingConcern;
+  if (goingConcern) {
+    console.log(`   Status: ${goingConcern.state} - ${formatGoingConcern(goingConcern)}`);
+    if (goingConcern.auditorOpinion) console.log(`   Auditor Opinion: substantial doubt paragraph (10-K filed ${goingConcern.auditorOpinionDate})`);
+    if (goingConcern.lastReport) console.log(`   Last Report Read: ${goingConcern.lastReport.form} (${goingConcern.lastReport.filingDate})`);
+  } else {
+    console.log(`   ⚠️ No 10-K/10-Q history available`);
+  }
+
   // Bankruptcy Risk Score
   console.log(`\n💀 BANKRUPTCY RISK ANALYSIS`);
+  let visResult = null;
   if (bankruptcyData) {
     try {
       // Merge with defaults for missing virality data
@@ -97,32 +117,25 @@ async function analyzeTicker(ticker) {
         volume: viralityData?.volume || q?.volume || 0,
         marketCap: viralityData?.marketCap || q?.marketCap || 0,
         newsCount: viralityData?.newsCount || 0,
+        hasOptions: viralityData?.hasOptions || false,
         socialMentions: viralityData?.socialMentions || 0
       };
-      const visResult = scoreWithVIS(combined);
-      console.log(`   Bankruptcy Risk Score: ${visResult.bankruptcyScore}/100`);
-      console.log(`   Virality Score: ${visResult.viralityScore}/100`);
+      visResult = scoreWithVIS(combined, combined);
+      console.log(`   Bankruptcy Risk Score: ${visResult.score}/100`);
+      console.log(`   Virality Score: ${visResult.virality.score}/100`);
       console.log(`   VIS (Combined): ${visResult.vis}/100`);
       
       let riskLevel = 'LOW';
       let riskEmoji = '✅';
-      if (visResult.bankruptcyScore >= 70) { riskLevel = 'CRITICAL'; riskEmoji = '🔴'; }
-      else if (visResult.bankruptcyScore >= 50) { riskLevel = 'HIGH'; riskEmoji = '🟠'; }
-      else if (visResult.bankruptcyScore >= 30) { riskLevel = 'MODERATE'; riskEmoji = '🟡'; }
+      if (visResult.score >= 70) { riskLevel = 'CRITICAL'; riskEmoji = '🔴'; }
+      else if (visResult.score >= 50) { riskLevel = 'HIGH'; riskEmoji = '🟠'; }
+      else if (visResult.score >= 30) { riskLevel = 'MODERATE'; riskEmoji = '🟡'; }
       
       console.log(`   Risk Level: ${riskEmoji} ${riskLevel}`);
       
-      // Breakdown
-      if (visResult.breakdown) {
-        console.log(`\n   Risk Factors:`);
-        const b = visResult.breakdown;
-        if (b.burnRisk) console.log(`   • Burn Rate Risk: ${b.burnRisk}/20`);
-        if (b.runwayRisk) console.log(`   • Runway Risk: ${b.runwayRisk}/25`);
-        if (b.debtRisk) console.log(`   • Debt Risk: ${b.debtRisk}/20`);
-        if (b.liquidityRisk) console.log(`   • Liquidity Risk: ${b.liquidityRisk}/15`);
-        if (b.ocfRisk) console.log(`   • Cash Flow Risk: ${b.ocfRisk}/10`);
-        if (b.marketCapRisk) console.log(`   • Market Cap Risk: ${b.marketCapRisk}/10`);
-      }
+      // Why it scored what it scored (▶ = top drivers)
+      console.log(`\n${renderExplanation(visResult.explanation, { title: 'Risk Factors' })}`);
+      console.log(`\n${renderExplanation(visResult.virality.explanation, { title: 'Virality Factors' })}`);
     } catch (e) {
       console.log(`   ⚠️ Error calculating risk: ${e.message}`);
     }
@@ -152,21 +165,12 @@ async function analyzeTicker(ticker) {
   
   const issues = [];
   if (bankruptcyData) {
-    try {
-      const combined = {
-        ...bankruptcyData,
-        avgVolume: viralityData?.avgVolume || q?.avgVolume || 0,
-        volume: viralityData?.volume || q?.volume || 0,
-        marketCap: viralityData?.marketCap || q?.marketCap || 0,
-        newsCount: viralityData?.newsCount || 0,
-        socialMentions: viralityData?.socialMentions || 0
-      };
-      const visResult = scoreWithVIS(combined);
-      if (visResult.bankruptcyScore >= 50) issues.push(`High bankruptcy risk (${visResult.bankruptcyScore}/100)`);
-    } catch (e) { /* ignore scoring errors */ }
+    if (visResult?.score >= 50) issues.push(`High bankruptcy risk (${visResult.score}/100)`);
     if (bankruptcyData.runwayMonths && bankruptcyData.runwayMonths < 6) issues.push(`Low cash runway (${bankruptcyData.runwayMonths?.toFixed(1)}mo)`);
     if (bankruptcyData.totalDebt && bankruptcyData.cash && bankruptcyData.totalDebt > bankruptcyData.cash * 5) issues.push(`High debt/cash ratio`);
   }
+  if (goingConcern?.state === 'ACTIVE') issues.push(`Going-concern doubt in filings since ${goingConcern.since}${goingConcern.auditorOpinion ? ' (auditor)' : ''}`);
+  if (shares?.dilution12mPct >= 50) issues.push(`Share count up ${formatGrowth(shares.dilution12mPct)} in 12 months`);
   if (tickerFilings.length > 0) issues.push(`Active ATM filing (dilution risk)`);
   
   if (issues.length === 0) {
@@ -184,6 +188,9 @@ async function analyzeTicker(ticker) {
     marketCap: q.marketCap,
     bankruptcyData,
     viralityData,
+    explanation: visResult?.explanation || null,
+    shareHistory: shares || null,
+    goingConcern: goingConcern || null,
     atmFilings: tickerFilings,
     issues
   };
@@ -208,6 +215,7 @@ Examples:
 Checks:
   • Company info & market data
   • Financial health (cash, debt, burn rate, runway)
+  • Going-concern language in 10-K/10-Q
   • Bankruptcy risk score (0-100)
   • ATM filings (dilution risk)
   • Overall verdict
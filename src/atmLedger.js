@@ -0,0 +1,397 @@
+/**
+ * ATM LEDGER - How much of each ATM has actually been used
+ *
+ * A 424B5 tells us an ATM exists and how big it is. It doesn't tell us how much
+ * has been sold. Issuers disclose that later in their 10-Q/10-K:
+ *   "During the three months ended March 31, 2025, we sold 4,210,000 shares
+ *    under the Sales Agreement for net proceeds of $6.1 million..."
+ *
+ * This module reads those disclosures and keeps a per-issuer ledger:
+ *   capacity  - program size from the latest 424B5 (plus any increases)
+ *   used      - dollars sold under the program so far
+ *   remaining - capacity still available (stated by the issuer when possible)
+ *   avgSalePrice, sharesSold
+ *
+ * Remaining capacity feeds the DSS (dilutionLeaderboard.js) and the CDE
+ * dilution mechanism check (cdeDetector.js).
+ *
+ * Usage:
+ *   node src/atmLedger.js                  # Update ledger for active signals + dilution leaderboard
+ *   node src/atmLedger.js --ticker=QNTM    # Update and show one issuer
+ */
+
+import 'dotenv/config';
+
+import { SEC_CONFIG, DATA_PATHS } from './config.js';
+import { readDataFile, updateDataFile } from './store/dataFile.js';
+import { secGet } from './vendors/sec.js';
+import { findCikByTicker } from './vendors/secTickers.js';
+import { getLatestATMProgram, htmlToText, parseDollarAmount, splitSentences } from './vendors/secProspectus.js';
+import { loadSignals, readDocument } from './storage.js';
+
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+const SUBMISSIONS_URL = 'https://data.sec.gov/submissions';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEDGER FILE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function loadATMLedger() {
+  return readDataFile(DATA_PATHS.atmLedger, { issuers: {} });
+}
+
+/**
+ * Upsert refreshed issuers into the ledger on disk (locked, so issuers another
+ * run saved meanwhile are kept)
+ * @param {Object} entries - symbol → entry
+ * @returns {Object} The saved ledger
+ */
+function saveLedgerEntries(entries) {
+  return updateDataFile(DATA_PATHS.atmLedger, { issuers: {} }, ledger => {
+    Object.assign(ledger.issuers, entries);
+    ledger.updatedAt = new Date().toISOString();
+  });
+}
+
+/**
+ * Ledger entry for one ticker (null if we've never tracked it)
+ * @returns {Object|null} { capacity, used, remaining, sharesSold, avgSalePrice, ... }
+ */
+export function getLedgerEntry(ticker, ledger = loadATMLedger()) {
+  return ledger.issuers[ticker?.toUpperCase()] || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DISCLOSURE PARSER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ATM_CONTEXT = /at[- ]the[- ]market|\bATM\b|sales agreement|equity distribution agreement|distribution agreement|equity offering program/i;
+const AMOUNT = String.raw`\$\s?([\d,]+(?:\.\d+)?)(?:\s*(million|billion))?`;
+const MONTHS = { three: 3, six: 6, nine: 9, twelve: 12 };
+
+function parseShareCount(number, unit) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  return /million/i.test(unit || '') ? value * 1e6 : value;
+}
+
+/**
+ * Cumulative ("since inception", "through May 9") or one reporting period
+ * ("during the three months ended"). Unlabelled = the report's own period.
+ */
+function classifyScope(sentence, defaultMonths) {
+  if (/since (?:the )?(?:inception|commencement|entering|execution|effectiveness|date of)|to date|in the aggregate since|through (?:the date of this|[A-Z][a-z]+ \d)|as of (?:the date of this|[A-Z][a-z]+ \d)/i.test(sentence)) {
+    return { scope: 'cumulative', periodMonths: null };
+  }
+  const months = sentence.match(/\b(three|six|nine|twelve)[- ]months? (?:period )?ended/i);
+  if (months) return { scope: 'period', periodMonths: MONTHS[months[1].toLowerCase()] };
+  if (/(?:fiscal )?year ended/i.test(sentence)) return { scope: 'period', periodMonths: 12 };
+  if (/quarter ended/i.test(sentence)) return { scope: 'period', periodMonths: 3 };
+  return { scope: 'period', periodMonths: defaultMonths };
+}
+
+function parseSaleSentence(sentence, defaultMonths) {
+  const noSales = /no shares (?:of (?:our )?common stock )?(?:were|have been|had been) (?:sold|issued)/i.test(sentence);
+  const shares = sentence.match(/(?:sold|issued)\s+(?:an aggregate of |a total of |approximately )*([\d,]+(?:\.\d+)?)(\s*million)?\s+(?:shares|ordinary shares|ADSs|American Depositary)/i);
+  const proceeds = sentence.match(new RegExp(String.raw`(gross|net)?\s*proceeds (?:to us )?(?:of|totaling|totalling|were|was)\s+(?:approximately\s+)?${AMOUNT}`, 'i'));
+
+  if (noSales) {
+    return { sharesSold: 0, proceeds: 0, proceedsBasis: null, avgPrice: null, ...classifyScope(sentence, defaultMonths) };
+  }
+  if (!shares || !proceeds) return null;
+
+  const avgPrice = sentence.match(/average (?:sale |sales |selling |offering )?price (?:per share )?of (?:approximately )?\$\s?([\d.]+)/i);
+
+  return {
+    sharesSold: parseShareCount(shares[1], shares[2]),
+    proceeds: parseDollarAmount(proceeds[2], proceeds[3]),
+    proceedsBasis: (proceeds[1] || 'gross').toLowerCase(),
+    avgPrice: avgPrice ? parseFloat(avgPrice[1]) : null,
+    ...classifyScope(sentence, defaultMonths)
+  };
+}
+
+function parseRemaining(sentence) {
+  const match = sentence.match(new RegExp(
+    String.raw`${AMOUNT}\s+(?:of (?:shares of )?(?:our )?common stock\s+)?(?:remain(?:s|ed|ing)?|was|is|were)\s+(?:still\s+)?available|remaining (?:available |aggregate )?(?:capacity|availability|amount|offering price)[^$]{0,80}?${AMOUNT}`, 'i'
+  ));
+  if (!match) return null;
+  return match[1] ? parseDollarAmount(match[1], match[2]) : parseDollarAmount(match[3], match[4]);
+}
+
+/**
+ * Extract ATM usage from a 10-Q/10-K
+ *
+ * @param {string} html - Primary document
+ * @param {string} form - '10-Q' or '10-K' (sets the default period length)
+ * @returns {Object|null} { cumulative, period, remaining } - null if no ATM disclosure found
+ */
+export function parseATMUsage(html, form = '10-Q') {
+  const text = htmlToText(html);
+  const defaultMonths = form.startsWith('10-K') ? 12 : 3;
+  const sentences = splitSentences(text).filter(s => ATM_CONTEXT.test(s));
+
+  let cumulative = null;
+  let period = null;
+  let remaining = null;
+
+  for (const sentence of sentences) {
+    remaining = remaining ?? parseRemaining(sentence);
+
+    // Sales after quarter end show up in the next report - don't count them twice
+    if (/subsequent to|after (?:the )?(?:quarter|period|year)[- ]end|subsequent event/i.test(sentence)) continue;
+    if (!/\b(sold|issued)\b/i.test(sentence)) continue;
+
+    const sale = parseSaleSentence(sentence, defaultMonths);
+    if (!sale) continue;
+
+    if (sale.scope === 'cumulative') {
+      if (!cumulative || sale.proceeds > cumulative.proceeds) cumulative = sale;
+    } else if (!period || sale.periodMonths > period.periodMonths) {
+      period = sale;
+    }
+  }
+
+  if (!cumulative && !period && remaining === null) return null;
+  return { cumulative, period, remaining };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LEDGER MATH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Roll report disclosures up into used / remaining.
+ * Period disclosures overlap (Q3 10-Qs often say "nine months ended"), so take
+ * the longest periods first and skip anything that overlaps one already counted.
+ */
+export function computeUsage(entry) {
+  const reports = Object.values(entry.reports)
+    .filter(r => r.usage && r.reportDate)
+    .sort((a, b) => a.reportDate.localeCompare(b.reportDate));
+
+  // Latest cumulative figure
+  const latestCumulative = reports.filter(r => r.usage.cumulative).pop()?.usage.cumulative || null;
+
+  // Non-overlapping periods since the program started
+  const intervals = reports
+    .filter(r => r.usage.period)
+    .map(r => {
+      const end = new Date(r.reportDate).getTime();
+      return { ...r.usage.period, end, start: end - r.usage.period.periodMonths * 30.4 * DAY_MS };
+    })
+    .filter(i => i.end >= new Date(entry.program.startDate).getTime())
+    .sort((a, b) => b.periodMonths - a.periodMonths);
+
+  const counted = [];
+  for (const interval of intervals) {
+    // 5-day slack: a "three months ended" and the next "three months ended" touch at the edges
+    if (counted.some(c => interval.start < c.end - 5 * DAY_MS && interval.end > c.start + 5 * DAY_MS)) continue;
+    counted.push(interval);
+  }
+
+  const periodUsed = counted.reduce((sum, c) => sum + (c.proceeds || 0), 0);
+  const periodShares = counted.reduce((sum, c) => sum + (c.sharesSold || 0), 0);
+
+  const useCumulative = latestCumulative && latestCumulative.proceeds >= periodUsed;
+  const used = useCumulative ? latestCumulative.proceeds : periodUsed;
+  const sharesSold = useCumulative ? latestCumulative.sharesSold : periodShares;
+  const basisSource = useCumulative ? [latestCumulative] : counted;
+
+  // Issuer-stated remaining capacity wins, but only from the latest report
+  // (an older stated figure is stale once newer sales are disclosed)
+  const latest = reports[reports.length - 1];
+  const stated = latest?.usage.remaining !== null && latest?.usage.remaining !== undefined ? latest : null;
+  const capacity = entry.program.capacity;
+
+  let remaining = null;
+  let remainingSource = null;
+  if (stated) {
+    remaining = stated.usage.remaining;
+    remainingSource = 'stated';
+  } else if (capacity) {
+    remaining = Math.max(0, capacity - used);
+    remainingSource = 'computed';
+  }
+
+  return {
+    capacity,
+    used,
+    remaining,
+    remainingSource,
+    sharesSold,
+    avgSalePrice: sharesSold > 0 ? used / sharesSold : null,
+    proceedsBasis: basisSource.find(s => s.proceedsBasis)?.proceedsBasis || null,
+    remainingPct: capacity && remaining !== null ? (remaining / capacity) * 100 : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SEC FETCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function listPeriodicReports(cik, sinceDate) {
+  const submissions = await secGet(`${SUBMISSIONS_URL}/CIK${cik.padStart(10, '0')}.json`);
+  const recent = submissions.filings?.recent || {};
+  const reports = [];
+
+  for (let i = 0; i < (recent.form || []).length; i++) {
+    if (recent.filingDate[i] < sinceDate) break; // newest first
+    if (recent.form[i] !== '10-Q' && recent.form[i] !== '10-K') continue;
+    reports.push({
+      adsh: recent.accessionNumber[i],
+      form: recent.form[i],
+      filingDate: recent.filingDate[i],
+      reportDate: recent.reportDate?.[i] || recent.filingDate[i],
+      primaryDocument: recent.primaryDocument[i]
+    });
+  }
+  return reports.reverse(); // oldest first
+}
+
+/**
+ * Point the ledger entry at the latest program. Increases stack on top of the
+ * existing capacity; a brand-new program starts a fresh ledger.
+ */
+function applyProgram(entry, program) {
+  if (!program || entry.program?.adsh === program.adsh) return entry;
+
+  const size = program.programSize || program.offeringAmount || null;
+  const isIncrease = program.programType === 'increase' && entry.program;
+
+  if (isIncrease) {
+    entry.program = {
+      ...entry.program,
+      adsh: program.adsh,
+      capacity: program.programSize || ((entry.program.capacity || 0) + (program.offeringAmount || 0)) || null,
+      increases: [...(entry.program.increases || []), { adsh: program.adsh, fileDate: program.fileDate, amount: program.offeringAmount }]
+    };
+  } else {
+    entry.program = {
+      adsh: program.adsh,
+      startDate: program.fileDate,
+      capacity: size,
+      agents: program.agents || [],
+      commissionPct: program.commissionPct ?? null,
+      increases: []
+    };
+    entry.reports = {};
+  }
+  return entry;
+}
+
+/**
+ * Refresh one issuer: latest 424B5 program + any new 10-Q/10-K since it was filed
+ */
+export async function updateLedgerEntry(ticker, ledger) {
+  const symbol = ticker.toUpperCase();
+  const cik = await findCikByTicker(symbol);
+  if (!cik) {
+    console.log(`   ⚠️ ${symbol}: no CIK - skipping`);
+    return null;
+  }
+
+  const program = await getLatestATMProgram(symbol, SEC_CONFIG.atmLedgerLookbackDays);
+  const entry = applyProgram(ledger.issuers[symbol] || { ticker: symbol, cik, program: null, reports: {} }, program);
+  entry.cik = cik;
+
+  if (!entry.program) {
+    console.log(`   ⚪ ${symbol}: no ATM 424B5 in the last ${SEC_CONFIG.atmLedgerLookbackDays} days`);
+    return null;
+  }
+
+  const reports = await listPeriodicReports(cik, entry.program.startDate);
+  const unseen = reports.filter(r => !entry.reports[r.adsh]).slice(-SEC_CONFIG.atmLedgerMaxReports);
+
+  for (const report of unseen) {
+    const url = `${ARCHIVES_URL}/${cik}/${report.adsh.replace(/-/g, '')}/${report.primaryDocument}`;
+    try {
+      const html = await secGet(url, { json: false, cache: false });
+      entry.reports[report.adsh] = {
+        form: report.form,
+        filingDate: report.filingDate,
+        reportDate: report.reportDate,
+        usage: parseATMUsage(html, report.form)
+      };
+    } catch (err) {
+      console.log(`   ⚠️ ${symbol}: could not read ${report.form} ${report.adsh}: ${err.message}`);
+    }
+  }
+
+  Object.assign(entry, computeUsage(entry), { updatedAt: new Date().toISOString() });
+  ledger.issuers[symbol] = entry;
+  return entry;
+}
+
+function formatMoney(num) {
+  if (num === null || num === undefined) return 'N/A';
+  if (num >= 1e9) return `$${(num / 1e9).toFixed(1)}B`;
+  if (num >= 1e6) return `$${(num / 1e6).toFixed(1)}M`;
+  if (num >= 1e3) return `$${(num / 1e3).toFixed(1)}K`;
+  return `$${num.toFixed(0)}`;
+}
+
+/**
+ * Tickers worth tracking: active dilution signals + the latest DSS leaderboard
+ */
+function getTrackedTickers() {
+  const tickers = new Set();
+  const signals = loadSignals();
+  if (Array.isArray(signals)) signals.forEach(s => s.ticker && tickers.add(s.ticker.toUpperCase()));
+  const leaderboard = readDocument('dilution_leaderboard');
+  (leaderboard?.leaderboard || []).forEach(t => t.ticker && tickers.add(t.ticker.toUpperCase()));
+  return [...tickers];
+}
+
+/**
+ * Update the ledger for a list of tickers (defaults to everything we track)
+ */
+export async function updateATMLedger(tickers = getTrackedTickers()) {
+  console.log(`\n📒 Updating ATM ledger for ${tickers.length} tickers...\n`);
+  const ledger = loadATMLedger();
+  const updated = {};
+
+  for (const ticker of tickers) {
+    const entry = await updateLedgerEntry(ticker, ledger);
+    if (entry) {
+      updated[ticker.toUpperCase()] = entry;
+      console.log(`   📒 ${ticker.padEnd(6)} capacity ${formatMoney(entry.capacity).padEnd(8)} used ${formatMoney(entry.used).padEnd(8)} remaining ${formatMoney(entry.remaining)}${entry.remainingSource === 'stated' ? ' (stated)' : ''}`);
+    }
+  }
+
+  const saved = saveLedgerEntries(updated);
+  console.log(`\n💾 Saved to ${DATA_PATHS.atmLedger}`);
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const tickerArg = args.find(a => a.startsWith('--ticker='));
+
+  try {
+    const ledger = await updateATMLedger(tickerArg ? [tickerArg.split('=')[1].toUpperCase()] : undefined);
+    if (tickerArg) {
+      console.log(JSON.stringify(getLedgerEntry(tickerArg.split('=')[1], ledger), null, 2));
+    }
+  } catch (err) {
+    console.error('❌ ATM ledger error:', err.message);
+    process.exit(1);
+  }
+}
+
+export default {
+  loadATMLedger,
+  getLedgerEntry,
+  updateATMLedger,
+  updateLedgerEntry,
+  parseATMUsage,
+  computeUsage
+};
@@ -17,138 +17,100 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import { analyzeSymbol } from './analystBrief.js';
-
-const SEC_USER_AGENT = 'DilutionHunter/1.0 (dilutionhunter@proton.me)';
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
+import { searchFilings } from './vendors/sec.js';
+import { resolveFilings, logUnresolved } from './vendors/secTickers.js';
+import { attachATMPrograms } from './vendors/secProspectus.js';
+import { splitAdjustCandles } from './splitEvents.js';
+import { getMarketData } from './vendors/marketData.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SEC EDGAR FUNCTIONS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function searchSECFilings(query, forms, startDate, endDate, limit = 100) {
-  const url = new URL('https://efts.sec.gov/LATEST/search-index');
-  url.searchParams.set('q', query);
-  url.searchParams.set('dateRange', 'custom');
-  url.searchParams.set('startdt', startDate);
-  url.searchParams.set('enddt', endDate);
-  url.searchParams.set('forms', forms);
-  url.searchParams.set('size', limit.toString());
-
-  // Retry logic with exponential backoff (SEC API can be very flaky)
-  const maxRetries = 5;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const res = await fetch(url.toString(), {
-        headers: { 'User-Agent': SEC_USER_AGENT }
-      });
-
-      if (res.ok) {
-        const data = await res.json();
-        return data.hits?.hits || [];
-      }
-      
-      // 5xx errors - SEC server issue, retry
-      if (res.status >= 500 && attempt < maxRetries) {
-        const waitTime = attempt * 10; // 10s, 20s, 30s, 40s
-        console.log(`   ⚠️ SEC API returned ${res.status}, retrying in ${waitTime}s... (attempt ${attempt}/${maxRetries})`);
-        await sleep(waitTime * 1000);
-        continue;
-      }
-      
-      // After all retries failed, return empty instead of crashing
-      console.log(`   ❌ SEC API returned ${res.status} after ${maxRetries} attempts - returning empty results`);
-      return [];
-    } catch (err) {
-      if (attempt === maxRetries) {
-        console.log(`   ❌ SEC API error after ${maxRetries} attempts: ${err.message} - returning empty results`);
-        return [];
-      }
-      const waitTime = attempt * 10;
-      console.log(`   ⚠️ SEC API error, retrying in ${waitTime}s... (attempt ${attempt}/${maxRetries})`);
-      await sleep(waitTime * 1000);
-    }
-  }
-  
-  return [];
-}
-
-function extractTicker(displayName) {
-  // Extract ticker from "Company Name  (TICK, TICK2)  (CIK ...)"
-  const match = displayName?.match(/\(([A-Z]{1,5})/);
-  return match ? match[1] : null;
-}
-
-export async function getRecentATMFilings(days = 30) {
-  const endDate = new Date().toISOString().split('T')[0];
-  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+/**
+ * Recent 424B5 ATM filings, one per ticker (most recent filing wins)
+ *
+ * @param {number} days - Lookback window
+ * @param {Object} options
+ *   withPrograms: false  - also download each 424B5 and attach the parsed `atmProgram`
+ *                          (offering size, agents, commission, new vs increase)
+ *   startDate / endDate  - explicit YYYY-MM-DD window instead of the last `days` (backtests)
+ *   latestPerTicker: true - false keeps every filing, not just each ticker's most recent
+ *   limit: 200           - max search hits
+ */
+export async function getRecentATMFilings(days = 30, options = {}) {
+  const { withPrograms = false, latestPerTicker = true, limit = 200 } = options;
+  const endDate = options.endDate || new Date().toISOString().split('T')[0];
+  const startDate = options.startDate || new Date(new Date(endDate).getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
   console.log(`\n📡 Searching SEC EDGAR for ATM filings (${startDate} to ${endDate})...\n`);
 
   // 424B5 = Prospectus Supplement (used when selling from ATM)
-  const filings = await searchSECFilings(
+  const hits = await searchFilings(
     '"at-the-market" OR "ATM offering" OR "equity distribution agreement"',
     '424B5',
     startDate,
     endDate,
-    200
+    { limit }
   );
 
-  // Deduplicate by ticker and get most recent filing
+  // Map each filing's CIK to its tickers (SEC company_tickers_exchange.json)
+  const { resolved, unresolved } = await resolveFilings(hits);
+  logUnresolved(unresolved, 'ATM filings');
+
+  // Deduplicate by ticker and get most recent filing (or by accession number for every filing)
   const tickerMap = new Map();
   
-  for (const filing of filings) {
-    const source = filing._source;
-    const ticker = extractTicker(source.display_names?.[0]);
+  for (const { hit, ticker, tickers, cik, companyName } of resolved) {
+    const source = hit._source;
     if (!ticker) continue;
 
-    const existing = tickerMap.get(ticker);
+    const key = latestPerTicker ? ticker : source.adsh;
+    const existing = tickerMap.get(key);
     if (!existing || source.file_date > existing.fileDate) {
-      tickerMap.set(ticker, {
+      tickerMap.set(key, {
         ticker,
-        companyName: source.display_names?.[0]?.split('  (')[0] || ticker,
+        tickers,
+        companyName: companyName || ticker,
         fileDate: source.file_date,
         form: source.form,
-        cik: source.ciks?.[0],
-        filingId: source.adsh
+        cik,
+        filingId: source.adsh,
+        primaryDocument: hit._id?.split(':')[1] || null
       });
     }
   }
 
-  return Array.from(tickerMap.values()).sort((a, b) => 
+  const filings = Array.from(tickerMap.values()).sort((a, b) => 
     b.fileDate.localeCompare(a.fileDate)
   );
+
+  if (withPrograms) {
+    await attachATMPrograms(filings);
+  }
+
+  return filings;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// FMP FUNCTIONS  
+// MARKET DATA
 // ═══════════════════════════════════════════════════════════════════════════════
 
 async function getQuote(symbol) {
-  const url = `${FMP_BASE}/quote?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  return data[0] || null;
+  return getMarketData().getQuote(symbol);
 }
 
 async function getDailyCandles(symbol, days = 7) {
   // Fetch daily OHLC data for peak analysis
   // Request extra days to account for weekends/holidays
-  const url = `${FMP_BASE}/historical-price-eod/full?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
+  const data = await getMarketData().getCandles(symbol);
   
   // FMP returns array directly (newest first), we need oldest first for our window
-  if (!Array.isArray(data) || data.length < 2) return null;
+  if (data.length < 2) return null;
   
-  const candles = data.slice(0, days + 5).reverse();
+  const candles = await splitAdjustCandles(symbol, data.slice(0, days + 5).reverse());
   
   // Take last N trading days
   const window = candles.slice(-days);
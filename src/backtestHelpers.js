@@ -0,0 +1,42 @@
+/**
+ * BACKTEST HELPERS - Shared by the ATM and bankruptcy backtests
+ *
+ * File reads that tolerate missing or unreadable local data, and the summary
+ * statistics both reports print (rounded to one decimal).
+ */
+
+import fs from 'fs';
+
+/**
+ * Parse a JSON file, or return the default if it's missing or unreadable
+ */
+export function readJson(filepath, defaultValue) {
+  try {
+    if (fs.existsSync(filepath)) return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (e) {
+    console.warn(`⚠️  Could not read ${filepath}: ${e.message}`);
+  }
+  return defaultValue;
+}
+
+export function round1(value) {
+  return value === null || value === undefined || isNaN(value) ? null : Math.round(value * 10) / 10;
+}
+
+export function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+export function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+export default {
+  readJson,
+  round1,
+  mean,
+  median
+};
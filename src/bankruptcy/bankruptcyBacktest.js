@@ -0,0 +1,504 @@
+/**
+ * BANKRUPTCY BACKTEST - Does the score predict anything?
+ *
+ * Replays scoreBankruptcyRisk at past quarter-end dates against a historical
+ * dataset (vendors/localMarketData.js layout), using only what was public on
+ * that date:
+ *   - statements filed on or before the as-of date (period end + 45 days if undated)
+ *   - insider trades filed by then
+ *   - share growth from the visible income statements (weighted average shares)
+ *   - going-concern status from 10-K/10-Qs filed by then (data/going_concern.json)
+ * Key metrics (Altman Z) aren't in the dataset, so that factor scores 0.
+ *
+ * Each score is joined to what happened next:
+ *   chapter11     - Item 1.03 petition (bankruptcy_filings.json) or events file, within the horizon
+ *   delisting     - Item 3.01 delisting determination (delisting_notices.json) or delisted date
+ *   reverseSplit  - reverse split (split cache or events file)
+ *   dilution      - weighted average shares up dilutionPct+ over the horizon
+ *   crash90/180   - forward return at or below crashPct (last close if it stopped trading)
+ *   adverse       - chapter11, delisting or reverseSplit
+ *
+ * Optional per-symbol outcomes for names our feeds never saw:
+ *   <dir>/events/<SYMBOL>.json  { "bankruptcyDate": "2023-06-01", "delistedDate": null,
+ *                                 "splits": [{ "date": "2023-02-01", "numerator": 1, "denominator": 20 }] }
+ *
+ * Reports precision / recall per classification, per score threshold and per
+ * factor (fired = at least factorFireShare of its max points). Outcomes whose
+ * window runs past --end (default today) are left out of the rates.
+ *
+ * Usage:
+ *   node src/bankruptcy/bankruptcyBacktest.js                                  # Last 3 years of quarter-ends
+ *   node src/bankruptcy/bankruptcyBacktest.js --from=2021-03-31 --to=2023-12-31
+ *   node src/bankruptcy/bankruptcyBacktest.js --dates=2022-06-30,2022-12-31 --symbols=MULN,FFIE
+ *   node src/bankruptcy/bankruptcyBacktest.js --dir=./data/market/ --horizon=180 --end=2024-06-30
+ */
+
+import 'dotenv/config';
+import '../scoringConfigFlag.js';
+import fs from 'fs';
+import path from 'path';
+
+import { MARKET_DATA_CONFIG, BANKRUPTCY_BACKTEST_CONFIG, DATA_PATHS } from '../config.js';
+import { createLocalMarketData } from '../vendors/localMarketData.js';
+import { scoreBankruptcyRisk } from './bankruptcyScoreEngine.js';
+import { loadBankruptcyFilings } from './bankruptcyFilings.js';
+import { loadDelistingNotices } from '../delistingScanner.js';
+import { loadGoingConcernHistory, computeGoingConcernStatus } from '../goingConcern.js';
+import { computeDilutionMetrics } from '../shareHistory.js';
+import { SCORING_CONFIG, scoringVersion } from '../scoringConfig.js';
+import { readDataFile } from '../store/dataFile.js';
+import { readJson, round1, mean, median } from '../backtestHelpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLASSIFICATIONS = ['INSOLVENCY_ALERT', 'DISTRESS_WATCHLIST', 'HEALTHY_IGNORE'];
+const THRESHOLDS = [
+  { label: `score >= ${SCORING_CONFIG.bankruptcy.alertScore}`, min: SCORING_CONFIG.bankruptcy.alertScore },
+  { label: `score >= ${SCORING_CONFIG.bankruptcy.watchScore}`, min: SCORING_CONFIG.bankruptcy.watchScore }
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function addDays(isoDate, days) {
+  return new Date(new Date(isoDate).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function pct(part, whole) {
+  return whole > 0 ? round1((part / whole) * 100) : null;
+}
+
+/**
+ * Calendar quarter-ends between two dates (inclusive)
+ */
+export function quarterEnds(from, to) {
+  const dates = [];
+  const start = new Date(from);
+  let year = start.getUTCFullYear();
+  let quarter = Math.floor(start.getUTCMonth() / 3);
+
+  for (;;) {
+    const end = new Date(Date.UTC(year, quarter * 3 + 3, 0)).toISOString().split('T')[0];
+    if (end > to) break;
+    if (end >= from) dates.push(end);
+    quarter++;
+    if (quarter === 4) { quarter = 0; year++; }
+  }
+  return dates;
+}
+
+function inWindow(date, from, to) {
+  return Boolean(date) && date > from && date <= to;
+}
+
+function matchesTicker(row, symbol) {
+  return row.ticker === symbol || row.tickers?.includes(symbol);
+}
+
+function sharesOf(row) {
+  return row?.weightedAverageShsOut || row?.weightedAverageShsOutDil || null;
+}
+
+// Last candle on or before a date (candles newest first)
+function closeOnOrBefore(candles, date) {
+  return candles.find(c => c.date <= date) || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OUTCOME SOURCES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function loadOutcomeSources(dir) {
+  const splitCache = readDataFile(DATA_PATHS.splitEvents, { tickers: {} });
+  return {
+    dir,
+    filings: loadBankruptcyFilings().filings || [],
+    notices: loadDelistingNotices().notices || [],
+    splits: splitCache.tickers || {},
+    goingConcern: loadGoingConcernHistory().tickers || {}
+  };
+}
+
+function loadSymbolEvents(sources, symbol) {
+  const events = readJson(path.join(sources.dir, 'events', `${symbol}.json`), {});
+  const splits = [
+    ...(sources.splits[symbol]?.events || []),
+    ...(events.splits || []).map(s => ({ ...s, ratio: s.numerator / s.denominator }))
+  ].map(s => ({ ...s, type: s.type || (s.ratio < 1 ? 'reverse' : 'forward') }));
+
+  return {
+    bankruptcyDates: [
+      ...sources.filings.filter(f => matchesTicker(f, symbol) && f.event !== 'plan_confirmed').map(f => f.petitionDate || f.filingDate),
+      events.bankruptcyDate
+    ].filter(Boolean),
+    delistingDates: [
+      ...sources.notices.filter(n => matchesTicker(n, symbol) && n.status === 'determination').map(n => n.filingDate),
+      events.delistedDate
+    ].filter(Boolean),
+    reverseSplitDates: splits.filter(s => s.type === 'reverse').map(s => s.date)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POINT-IN-TIME INPUTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Income statement share counts as a share series (they stand in for cover-page facts)
+ */
+function sharePointsFromStatements(incomeRows) {
+  return incomeRows
+    .filter(r => sharesOf(r) > 0)
+    .map(r => ({ date: r.date, shares: sharesOf(r), source: 'sec_cover', form: r.period === 'FY' ? '10-K' : '10-Q' }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function goingConcernAsOf(sources, symbol, asOf) {
+  const reports = Object.values(sources.goingConcern[symbol]?.reports || {}).filter(r => r.filingDate <= asOf);
+  return reports.length > 0 ? computeGoingConcernStatus(reports) : null;
+}
+
+/**
+ * scoreBankruptcyRisk inputs for one symbol as they'd have looked on `asOf`
+ * @returns {Object|null} null if the symbol wasn't trading then
+ */
+export async function buildInputsAsOf(symbol, asOf, context) {
+  const { dir, candles, profile, sources } = context;
+  const last = closeOnOrBefore(candles, asOf);
+  if (!last || (new Date(asOf) - new Date(last.date)) / DAY_MS > BANKRUPTCY_BACKTEST_CONFIG.maxStaleDays) return null;
+
+  const pit = createLocalMarketData({ dir, asOf });
+  const [balanceSheet, cashFlow, income, insiders] = await Promise.all([
+    pit.getStatements(symbol, 'balance-sheet', { period: 'quarter', limit: 4 }),
+    pit.getStatements(symbol, 'cash-flow', { period: 'quarter', limit: 4 }),
+    pit.getStatements(symbol, 'income', { period: 'quarter', limit: 8 }),  // 5+ quarters for 12m share growth
+    pit.getInsiderTrades(symbol, 50)
+  ]);
+
+  const shares = sharesOf(income[0]);
+  return {
+    symbol,
+    quote: {
+      ...profile,
+      price: last.close,
+      mktCap: shares ? last.close * shares : null
+    },
+    balanceSheet,
+    cashFlow,
+    income: income.slice(0, 4),
+    keyMetrics: [],
+    insiders,
+    shareHistory: computeDilutionMetrics(sharePointsFromStatements(income)),
+    goingConcern: goingConcernAsOf(sources, symbol, asOf),
+    dataSources: ['local']
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OUTCOMES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * What happened after `asOf` - null for anything whose window runs past `end`
+ */
+export async function measureOutcomes(symbol, asOf, context) {
+  const { dir, candles, events, end } = context;
+  const { horizonDays, returnWindows, dilutionPct, crashPct } = BANKRUPTCY_BACKTEST_CONFIG;
+  const horizonEnd = addDays(asOf, horizonDays);
+  const complete = horizonEnd <= end;
+
+  const outcomes = { horizonEnd, censored: !complete };
+
+  // Events
+  const happened = dates => (complete ? dates.some(d => inWindow(d, asOf, horizonEnd)) : null);
+  outcomes.chapter11 = happened(events.bankruptcyDates);
+  outcomes.delisting = happened(events.delistingDates);
+  outcomes.reverseSplit = happened(events.reverseSplitDates);
+  outcomes.adverse = complete ? outcomes.chapter11 || outcomes.delisting || outcomes.reverseSplit : null;
+
+  // Share growth: latest visible statement at the horizon vs at the as-of date
+  outcomes.shareGrowthPct = null;
+  outcomes.dilution = null;
+  if (complete) {
+    const [before] = await createLocalMarketData({ dir, asOf }).getStatements(symbol, 'income', { limit: 1 });
+    const [after] = await createLocalMarketData({ dir, asOf: horizonEnd }).getStatements(symbol, 'income', { limit: 1 });
+    if (sharesOf(before) && sharesOf(after) && after.date > before.date) {
+      outcomes.shareGrowthPct = round1(((sharesOf(after) - sharesOf(before)) / sharesOf(before)) * 100);
+      outcomes.dilution = outcomes.shareGrowthPct >= dilutionPct;
+    } else if (sharesOf(before)) {
+      outcomes.dilution = false;
+    }
+  }
+
+  // Forward returns - a name that stopped trading keeps its last close
+  const start = closeOnOrBefore(candles, asOf);
+  for (const days of returnWindows) {
+    const target = addDays(asOf, days);
+    const exit = target <= end ? closeOnOrBefore(candles, target) : null;
+    const ret = exit && start?.close ? ((exit.close - start.close) / start.close) * 100 : null;
+    outcomes[`return${days}`] = round1(ret);
+    outcomes[`crash${days}`] = ret === null ? null : ret <= crashPct;
+  }
+
+  return outcomes;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// METRICS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * 0-1 share of a breakdown component's max (older rows have no level)
+ */
+export function factorLevel(component) {
+  if (component?.level !== undefined) return component.level;
+  return component?.max > 0 ? component.score / component.max : 0;
+}
+
+function binaryOutcomeKeys() {
+  return ['adverse', 'chapter11', 'delisting', 'reverseSplit', 'dilution', ...BANKRUPTCY_BACKTEST_CONFIG.returnWindows.map(d => `crash${d}`)];
+}
+
+/**
+ * Precision / recall of a flagged subset for every binary outcome
+ */
+function confusion(rows, isFlagged) {
+  const result = {};
+  for (const key of binaryOutcomeKeys()) {
+    const known = rows.filter(r => r.outcomes[key] !== null);
+    const positives = known.filter(r => r.outcomes[key]).length;
+    const flagged = known.filter(isFlagged);
+    const hits = flagged.filter(r => r.outcomes[key]).length;
+    const precision = pct(hits, flagged.length);
+    const baseRate = pct(positives, known.length);
+    result[key] = {
+      flagged: flagged.length,
+      hits,
+      positives,
+      precision,
+      recall: pct(hits, positives),
+      lift: precision !== null && baseRate ? round1(precision / baseRate) : null
+    };
+  }
+  return result;
+}
+
+function returnStats(rows) {
+  const stats = {};
+  for (const days of BANKRUPTCY_BACKTEST_CONFIG.returnWindows) {
+    const values = rows.map(r => r.outcomes[`return${days}`]).filter(v => v !== null);
+    stats[`return${days}`] = { n: values.length, mean: round1(mean(values)), median: round1(median(values)) };
+  }
+  return stats;
+}
+
+export function computeBacktestMetrics(rows) {
+  const scored = rows.filter(r => r.classification !== 'INSUFFICIENT_DATA');
+
+  const baseRates = {};
+  for (const key of binaryOutcomeKeys()) {
+    const known = scored.filter(r => r.outcomes[key] !== null);
+    baseRates[key] = { n: known.length, positives: known.filter(r => r.outcomes[key]).length, rate: pct(known.filter(r => r.outcomes[key]).length, known.length) };
+  }
+
+  const byClassification = {};
+  for (const c of CLASSIFICATIONS) {
+    const members = scored.filter(r => r.classification === c);
+    byClassification[c] = { n: members.length, outcomes: confusion(scored, r => r.classification === c), ...returnStats(members) };
+  }
+
+  const byThreshold = {};
+  for (const t of THRESHOLDS) {
+    byThreshold[t.label] = { n: scored.filter(r => r.score >= t.min).length, outcomes: confusion(scored, r => r.score >= t.min) };
+  }
+
+  const byFactor = {};
+  const factors = Object.keys(scored[0]?.breakdown || {});
+  for (const factor of factors) {
+    const fired = r => factorLevel(r.breakdown[factor]) >= BANKRUPTCY_BACKTEST_CONFIG.factorFireShare;
+    byFactor[factor] = { max: scored[0].breakdown[factor].max, fired: scored.filter(fired).length, outcomes: confusion(scored, fired) };
+  }
+
+  return {
+    rows: rows.length,
+    scored: scored.length,
+    insufficientData: rows.length - scored.length,
+    baseRates,
+    byClassification,
+    byThreshold,
+    byFactor
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function listDatasetSymbols(dir) {
+  try {
+    return fs.readdirSync(path.join(dir, 'prices'))
+      .filter(f => f.toLowerCase().endsWith('.csv'))
+      .map(f => path.basename(f, path.extname(f)).toUpperCase())
+      .sort();
+  } catch (e) {
+    return [];
+  }
+}
+
+function defaultDates(end) {
+  const { lookbackYears, horizonDays } = BANKRUPTCY_BACKTEST_CONFIG;
+  const from = addDays(end, -Math.round(lookbackYears * 365.25) - horizonDays);
+  return quarterEnds(from, addDays(end, -horizonDays));
+}
+
+export async function runBankruptcyBacktest(options = {}) {
+  const {
+    dir = MARKET_DATA_CONFIG.localDir,
+    end = new Date().toISOString().split('T')[0],
+    symbols = null,
+    out = null
+  } = options;
+  const dates = options.dates || (options.from ? quarterEnds(options.from, options.to || end) : defaultDates(end));
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  BANKRUPTCY BACKTEST — Point-in-Time Replay of scoreBankruptcyRisk            ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  const universe = symbols || listDatasetSymbols(dir);
+  if (universe.length === 0) throw new Error(`No price files in ${path.join(dir, 'prices')}`);
+  if (dates.length === 0) throw new Error('No as-of dates to replay (check --from/--to/--dates)');
+
+  console.log(`📂 Dataset: ${dir} (${universe.length} symbols)`);
+  console.log(`📅 As-of dates: ${dates[0]} → ${dates[dates.length - 1]} (${dates.length} quarter-ends)`);
+  console.log(`🔭 Horizon: ${BANKRUPTCY_BACKTEST_CONFIG.horizonDays}d events, ${BANKRUPTCY_BACKTEST_CONFIG.returnWindows.join('/')}d returns, outcomes known through ${end}\n`);
+
+  const sources = loadOutcomeSources(dir);
+  const rows = [];
+
+  // Symbol by symbol so only one price history is in memory at a time
+  for (const [i, symbol] of universe.entries()) {
+    const history = createLocalMarketData({ dir });
+    const candles = await history.getCandles(symbol);
+    if (candles.length === 0) continue;
+
+    const context = {
+      dir,
+      end,
+      sources,
+      candles,
+      profile: readJson(path.join(dir, 'profiles', `${symbol}.json`), { symbol, companyName: symbol }),
+      events: loadSymbolEvents(sources, symbol)
+    };
+
+    for (const asOf of dates) {
+      const inputs = await buildInputsAsOf(symbol, asOf, context);
+      if (!inputs) continue;
+
+      const result = scoreBankruptcyRisk(inputs);
+      rows.push({
+        symbol,
+        asOf,
+        score: result.score,
+        classification: result.classification,
+        breakdown: result.breakdown,
+        outcomes: await measureOutcomes(symbol, asOf, context)
+      });
+    }
+
+    if ((i + 1) % 50 === 0) console.log(`   ... ${i + 1}/${universe.length} symbols, ${rows.length} rows`);
+  }
+
+  const metrics = computeBacktestMetrics(rows);
+  const result = {
+    generatedAt: new Date().toISOString(),
+    dataset: dir,
+    dates,
+    end,
+    config: BANKRUPTCY_BACKTEST_CONFIG,
+    scoringConfig: scoringVersion(),
+    metrics,
+    rows
+  };
+
+  const outPath = out || path.join(DATA_PATHS.backtests, `bankruptcy_${dates[0]}_${dates[dates.length - 1]}.json`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+
+  printBacktestSummary(result);
+  console.log(`\n💾 Saved ${rows.length} rows → ${outPath}`);
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUMMARY TABLE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function fmtPct(value) {
+  return value === null ? '—' : `${value}%`;
+}
+
+function prCell(stats) {
+  return `${fmtPct(stats.precision)}/${fmtPct(stats.recall)}`.padStart(13);
+}
+
+export function printBacktestSummary(result) {
+  const m = result.metrics;
+  const keys = binaryOutcomeKeys();
+  const windows = result.config.returnWindows;
+
+  console.log(`\n📊 BACKTEST SUMMARY - ${m.scored} scored rows (${m.insufficientData} insufficient data)`);
+  console.log(`   Base rates: ${keys.map(k => `${k} ${fmtPct(m.baseRates[k].rate)}`).join(' · ')}`);
+
+  const header = (label) => `   ${label.padEnd(20)}${'n'.padStart(6)}${keys.map(k => k.padStart(13)).join('')}`;
+
+  console.log(`\n   Precision/recall by classification`);
+  console.log(`${header('')}${windows.map(d => `avg ${d}d`.padStart(10)).join('')}`);
+  for (const [c, stats] of Object.entries(m.byClassification)) {
+    const returns = windows.map(d => fmtPct(stats[`return${d}`].mean).padStart(10)).join('');
+    console.log(`   ${c.padEnd(20)}${String(stats.n).padStart(6)}${keys.map(k => prCell(stats.outcomes[k])).join('')}${returns}`);
+  }
+  for (const [label, stats] of Object.entries(m.byThreshold)) {
+    console.log(`   ${label.padEnd(20)}${String(stats.n).padStart(6)}${keys.map(k => prCell(stats.outcomes[k])).join('')}`);
+  }
+
+  console.log(`\n   Precision/recall by factor (fired = ${result.config.factorFireShare * 100}%+ of max points)`);
+  console.log(header(''));
+  for (const [factor, stats] of Object.entries(m.byFactor)) {
+    console.log(`   ${`${factor} (${stats.max})`.padEnd(20)}${String(stats.fired).padStart(6)}${keys.map(k => prCell(stats.outcomes[k])).join('')}`);
+  }
+}
+
+// CLI
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const arg = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+  const horizon = arg('horizon');
+  if (horizon) BANKRUPTCY_BACKTEST_CONFIG.horizonDays = parseInt(horizon);
+
+  runBankruptcyBacktest({
+    dir: arg('dir'),
+    end: arg('end'),
+    from: arg('from'),
+    to: arg('to'),
+    dates: arg('dates')?.split(','),
+    symbols: arg('symbols')?.split(',').map(s => s.trim().toUpperCase()),
+    out: arg('out')
+  })
+    .then(() => console.log('\n✅ Done!'))
+    .catch(e => { console.error(e); process.exit(1); });
+}
+
+export default {
+  quarterEnds,
+  buildInputsAsOf,
+  measureOutcomes,
+  factorLevel,
+  computeBacktestMetrics,
+  runBankruptcyBacktest,
+  printBacktestSummary
+};
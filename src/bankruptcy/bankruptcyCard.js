@@ -10,11 +10,11 @@
  * │      $PLUG · Plug Power Inc.                                        │
  * │  ─────────────────────────────────────────────────────────────────  │
  * │                                                                      │
- * │  ┌─────────────────┐ ┌─────────────────┐ ┌─────────────────┐        │
- * │  │ ⚠️ RUNWAY       │ │ 💰 DEBT RATIO   │ │ 🔥 BURN RATE    │        │
- * │  │   5.5 months    │ │   6.0x          │ │   $29.9M/mo     │        │
- * │  │          🔴     │ │          🔴     │ │          🟠     │        │
- * │  └─────────────────┘ └─────────────────┘ └─────────────────┘        │
+ * │  ┌──────────────┐ ┌──────────────┐ ┌──────────────┐ ┌──────────────┐│
+ * │  │ ⚠️ RUNWAY    │ │ 💰 DEBT RATIO│ │ 🔥 BURN RATE │ │ 📈 SHARES 12M││
+ * │  │  5.5 months  │ │  6.0x        │ │  $29.9M/mo   │ │  +142%       ││
+ * │  │         🔴   │ │         🔴   │ │         🟠   │ │         🔴   ││
+ * │  └──────────────┘ └──────────────┘ └──────────────┘ └──────────────┘│
  * │                                                                      │
  * │  ┌─────────────────────────────────────────────────────────────┐    │
  * │  │  INSOLVENCY PROBABILITY MODEL                               │    │
@@ -103,9 +103,21 @@ const getBurnStatus = (burnM) => {
   return { color: COLORS.green, bg: COLORS.greenBg, dot: '🟢', label: 'STABLE' };
 };
 
-const getTrendSignal = (score) => {
+const getShareGrowthStatus = (pct) => {
+  if (pct === null || pct === undefined) return { color: COLORS.textDim, bg: COLORS.cardBg, dot: '⚪', label: 'UNKNOWN' };
+  if (pct >= 100) return { color: COLORS.red, bg: COLORS.redBg, dot: '🔴', label: 'CRITICAL' };
+  if (pct >= 50) return { color: COLORS.orange, bg: COLORS.orangeBg, dot: '🟠', label: 'WARNING' };
+  if (pct >= 25) return { color: COLORS.yellow, bg: COLORS.yellowBg, dot: '🟡', label: 'WATCH' };
+  return { color: COLORS.green, bg: COLORS.greenBg, dot: '🟢', label: 'STABLE' };
+};
+
+// Deteriorating / improving only from a real VIS change in score history
+// (scoreHistory.js scoreTrend); otherwise the badge shows the risk level
+const getTrendSignal = (score, trend = null) => {
+  if (trend?.label === 'deteriorating') return { color: COLORS.red, bg: COLORS.redBg, label: 'DETERIORATING', icon: '⚠️', detail: trend.text };
+  if (trend?.label === 'improving') return { color: COLORS.green, bg: COLORS.greenBg, label: 'IMPROVING', icon: '📉', detail: trend.text };
   if (score >= 70) return { color: COLORS.red, bg: COLORS.redBg, label: 'CRITICAL', icon: '🚨' };
-  if (score >= 50) return { color: COLORS.orange, bg: COLORS.orangeBg, label: 'DETERIORATING', icon: '⚠️' };
+  if (score >= 50) return { color: COLORS.orange, bg: COLORS.orangeBg, label: 'HIGH RISK', icon: '⚠️' };
   if (score >= 30) return { color: COLORS.yellow, bg: COLORS.yellowBg, label: 'ELEVATED', icon: '📊' };
   return { color: COLORS.green, bg: COLORS.greenBg, label: 'STABLE', icon: '✅' };
 };
@@ -271,13 +283,16 @@ export async function generateBankruptcyCard(analysis) {
   
   y += 50;
   
-  const cardWidth = (width - padding * 2 - 40) / 3;  // 3 cards with 20px gaps
+  const cardWidth = (width - padding * 2 - 60) / 4;  // 4 cards with 20px gaps
   const cardHeight = 100;
   
   // Parse values
   const runwayMonths = parseFloat(metrics.runwayFormatted) || 0;
   const debtRatio = metrics.debtToCashMultiple || 0;
   const burnM = (metrics.monthlyBurn || 0) / 1_000_000;
+  // 12-month share growth, or last quarter when there's under a year of history
+  const shareGrowth = metrics.dilution12mPct ?? metrics.qoqShareGrowthPct ?? null;
+  const shareGrowthLabel = metrics.dilution12mPct != null ? 'SHARES 12M' : 'SHARES QOQ';
   
   // Card 1: Runway
   drawMetricCard(
@@ -303,6 +318,14 @@ export async function generateBankruptcyCard(analysis) {
     getBurnStatus(burnM)
   );
   
+  // Card 4: Share Growth
+  drawMetricCard(
+    ctx, padding + (cardWidth + 20) * 3, y, cardWidth, cardHeight,
+    '📈', shareGrowthLabel,
+    shareGrowth !== null ? `${shareGrowth >= 0 ? '+' : ''}${shareGrowth.toFixed(0)}%` : 'N/A',
+    getShareGrowthStatus(shareGrowth)
+  );
+  
   // ─────────────────────────────────────────────────────────────────────────────
   // PROBABILITY MODEL PANEL
   // ─────────────────────────────────────────────────────────────────────────────
@@ -409,11 +432,11 @@ export async function generateBankruptcyCard(analysis) {
   y = height - padding - 30;
   
   // Trend signal badge (left)
-  const trend = getTrendSignal(score);
+  const trend = getTrendSignal(score, analysis.trend);
   
   // Badge background
   ctx.fillStyle = trend.bg;
-  const badgeText = `${trend.icon}  ${trend.label}`;
+  const badgeText = `${trend.icon}  ${trend.label}${trend.detail ? ` · ${trend.detail}` : ''}`;
   ctx.font = '600 15px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial';
   const badgeWidth = ctx.measureText(badgeText).width + 32;
   drawRoundedRect(ctx, padding, y - 8, badgeWidth, 36, 8);
@@ -427,6 +450,22 @@ export async function generateBankruptcyCard(analysis) {
   ctx.textAlign = 'left';
   ctx.fillText(badgeText, padding + 16, y + 14);
   
+  // Reverse split badge (risk flag, next to the trend badge)
+  if (metrics.recentReverseSplit) {
+    const splitText = `✂️  ${metrics.recentReverseSplit} · ${metrics.recentReverseSplitDaysAgo}d ago`;
+    ctx.font = '600 15px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial';
+    const splitX = padding + badgeWidth + 12;
+    const splitWidth = ctx.measureText(splitText).width + 32;
+    ctx.fillStyle = COLORS.orangeBg;
+    drawRoundedRect(ctx, splitX, y - 8, splitWidth, 36, 8);
+    ctx.fill();
+    ctx.strokeStyle = COLORS.orange + '40';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.fillStyle = COLORS.orange;
+    ctx.fillText(splitText, splitX + 16, y + 14);
+  }
+  
   // Branding (right)
   ctx.fillStyle = COLORS.textDim;
   ctx.font = '400 14px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial';
@@ -456,6 +495,7 @@ if (process.argv[1].includes('bankruptcyCard.js')) {
   
   const { fetchBankruptcyInputs, fetchViralityInputs } = await import('./fmpBankruptcy.js');
   const { scoreWithVIS } = await import('./bankruptcyScoreEngine.js');
+  const { scoreTrend } = await import('../scoreHistory.js');
   
   console.log(`\n🎴 Generating bankruptcy card for ${ticker}...\n`);
   
@@ -465,6 +505,7 @@ if (process.argv[1].includes('bankruptcyCard.js')) {
   ]);
   
   const analysis = scoreWithVIS(financialInputs, viralityInputs);
+  analysis.trend = scoreTrend(ticker, 'vis');
   console.log(`   Score: ${analysis.score}/100 | VIS: ${analysis.vis}/100`);
   
   const cardPath = await generateBankruptcyCard(analysis);
@@ -10,14 +10,12 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { postAlertThread } from '../twitterPoster.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-const SIGNALS_FILE = path.join(DATA_DIR, 'bankruptcy_signals.json');
+import '../scoringConfigFlag.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { SCORING_CONFIG } from '../scoringConfig.js';
+import { loadScoreHistory, scoreTrend, trendArrow } from '../scoreHistory.js';
+import { readDocument } from '../storage.js';
 
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 
@@ -26,23 +24,18 @@ const DRY_RUN = process.env.DRY_RUN !== 'false';
 // ═══════════════════════════════════════════════════════════════════════════════
 
 function loadSignals() {
-  try {
-    const data = fs.readFileSync(SIGNALS_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch {
-    return null;
-  }
+  return readDocument('bankruptcy_signals');
 }
 
 function getVISEmoji(vis) {
-  if (vis >= 75) return '🔥';  // PRIME_ALERT
-  if (vis >= 60) return '⚠️';   // WATCHLIST
+  if (vis >= SCORING_CONFIG.bankruptcy.visPrimeAlert) return '🔥';  // PRIME_ALERT
+  if (vis >= SCORING_CONFIG.bankruptcy.visWatchlist) return '⚠️';   // WATCHLIST
   return '📊';                  // STORE_ONLY
 }
 
 function getVISLabel(vis) {
-  if (vis >= 75) return 'Alert';
-  if (vis >= 60) return 'Watch';
+  if (vis >= SCORING_CONFIG.bankruptcy.visPrimeAlert) return 'Alert';
+  if (vis >= SCORING_CONFIG.bankruptcy.visWatchlist) return 'Watch';
   return 'Monitor';
 }
 
@@ -73,13 +66,24 @@ We're watching so you don't have to.`,
     };
   }
 
+  // VIS trend per ticker from score history (▲ deteriorating / ▼ improving)
+  const history = loadScoreHistory();
+  const radarTickers = allTickers.slice(0, 8).map(t => ({ ...t, trend: scoreTrend(t.symbol, 'vis', { history }) }));
+
   // Build the radar list (max 8 tickers to fit tweet)
-  const radarLines = allTickers.slice(0, 8).map((t, i) => {
+  const radarLines = radarTickers.map((t, i) => {
     const emoji = getVISEmoji(t.vis);
     const label = getVISLabel(t.vis);
-    return `${i + 1}. $${t.symbol} — VIS ${t.vis}  ${emoji} ${label}`;
+    const arrow = trendArrow(t.trend);
+    return `${i + 1}. $${t.symbol} — VIS ${t.vis}${arrow ? ` ${arrow}` : ''}  ${emoji} ${label}`;
   });
 
+  // Biggest deterioration on the radar gets its own line
+  const mover = radarTickers
+    .filter(t => t.trend.label === 'deteriorating')
+    .sort((a, b) => b.trend.delta - a.trend.delta)[0];
+  const moverLine = mover ? `\n📈 Deteriorating fastest: $${mover.symbol} — ${mover.trend.text}\n` : '';
+
   const dateStr = new Date().toLocaleDateString('en-US', { 
     weekday: 'short', 
     month: 'short', 
@@ -89,7 +93,7 @@ We're watching so you don't have to.`,
   const tweet = `🧭 Bankruptcy Radar — ${dateStr}
 
 ${radarLines.join('\n')}
-
+${moverLine}
 VIS = Risk × Attention
 High VIS = distress that markets will price.
 
@@ -99,6 +103,8 @@ Full threads on alerts. 🧵`;
     tweet,
     tickerCount: allTickers.length,
     tickers: allTickers.map(t => t.symbol),
+    radar: radarTickers.map(t => ({ symbol: t.symbol, score: t.vis })),
+    trends: radarTickers.map(t => ({ symbol: t.symbol, label: t.trend.label, delta: t.trend.delta, text: t.trend.text })),
     scannedAt
   };
 }
@@ -135,10 +141,11 @@ async function main() {
     if (DRY_RUN) {
       console.log('\n[DRY_RUN] Would post radar. Set DRY_RUN=false to post.');
     } else {
-      console.log('\n🚀 Posting to Twitter...');
+      console.log('\n🚀 Publishing...');
       try {
-        const posted = await postAlertThread(result.tweet, [], null);
-        console.log(`✅ Posted! Tweet ID: ${posted.tweetIds?.[0]}`);
+        const posted = await publishThread('bankruptcy_radar', result.tweet, [], null);
+        console.log(`✅ Posted! Tweet ID: ${posted.tweets?.[0]?.id}`);
+        registerCalls('bankruptcy_radar', result.radar, { tweetId: posted.tweets?.[0]?.id });
       } catch (error) {
         console.error(`❌ Post failed: ${error.message}`);
       }
@@ -16,6 +16,7 @@
  * Anti-Duplication:
  * - Tracks posted tickers in bankruptcy_posted.json
  * - 30-day cooldown before re-posting same ticker (configurable via BANKRUPTCY_COOLDOWN_DAYS)
+ * - Also skips tickers another module posted this week (postingRegistry.js global cooldown)
  * - Automatically skips to next ticker if top pick is on cooldown
  * - Use --force to bypass cooldown
  * 
@@ -30,7 +31,9 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
+// Network cassettes (FIXTURE_MODE) - must load before anything creates an HTTP client
+import '../vendors/cassette.js';
+import '../scoringConfigFlag.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -38,42 +41,39 @@ import { fetchBankruptcyInputs, fetchUniverseCandidates, fetchViralityInputs } f
 import { scoreBankruptcyRisk, scoreWithVIS } from './bankruptcyScoreEngine.js';
 import { generateBankruptcyThread, generateFallbackThread } from './bankruptcyThesis.js';
 import { generateBankruptcyCard } from './bankruptcyCard.js';
-import { postAlertThread } from '../twitterPoster.js';
+import { publishThread } from '../publisher.js';
+import { recordSignalAlerts } from './bankruptcyFilings.js';
+import { registerCalls } from '../scorecard.js';
+import { SCORING_CONFIG, scoringVersion } from '../scoringConfig.js';
+import { recordScores, bankruptcyScoreRows, scoreTrend } from '../scoreHistory.js';
+import { writeDocument } from '../storage.js';
+import { readDataFile, writeDataFile } from '../store/dataFile.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownPolicy } from '../postingRegistry.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
 const UNIVERSE_FILE = path.join(DATA_DIR, 'bankruptcy_universe.json');
-const SIGNALS_FILE = path.join(DATA_DIR, 'bankruptcy_signals.json');
-const POSTED_FILE = path.join(DATA_DIR, 'bankruptcy_posted.json');
 
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 const MAX_TICKERS_PER_RUN = parseInt(process.env.BANKRUPTCY_MAX_TICKERS || '50');
-const COOLDOWN_DAYS = parseInt(process.env.BANKRUPTCY_COOLDOWN_DAYS || '30');  // Days before re-posting same ticker
+const POSTING_MODULE = 'bankruptcy';  // Cooldown policy: POSTING_CONFIG.modules.bankruptcy
 
-// Bankruptcy thresholds (raw score)
-const ALERT_THRESHOLD = 70;
-const WATCH_THRESHOLD = 50;
+// Bankruptcy thresholds (raw score) - scoring.config.json
+const ALERT_THRESHOLD = SCORING_CONFIG.bankruptcy.alertScore;
+const WATCH_THRESHOLD = SCORING_CONFIG.bankruptcy.watchScore;
 
 // VIS thresholds (viral insolvency score)
-const VIS_PRIME_ALERT = 75;   // Auto-post as ALERT
-const VIS_WATCHLIST = 60;     // Auto-post as WATCHLIST
-// Below 60 = STORE_ONLY
+const VIS_PRIME_ALERT = SCORING_CONFIG.bankruptcy.visPrimeAlert;   // Auto-post as ALERT
+const VIS_WATCHLIST = SCORING_CONFIG.bankruptcy.visWatchlist;      // Auto-post as WATCHLIST
+// Below VIS_WATCHLIST = STORE_ONLY
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // FILE HELPERS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-}
-
 function loadJson(filepath) {
   try {
-    if (fs.existsSync(filepath)) {
-      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
-    }
+    return readDataFile(filepath, null);
   } catch (e) {
     console.error(`Error loading ${filepath}:`, e.message);
   }
@@ -81,42 +81,7 @@ function loadJson(filepath) {
 }
 
 function saveJson(filepath, data) {
-  ensureDataDir();
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-}
-
-function loadPostedTickers() {
-  const data = loadJson(POSTED_FILE);
-  return data?.tickers || {};
-}
-
-function markAsPosted(symbol) {
-  const data = loadJson(POSTED_FILE) || { tickers: {} };
-  data.tickers[symbol] = new Date().toISOString().split('T')[0];
-  saveJson(POSTED_FILE, data);
-}
-
-function isOnCooldown(symbol, posted) {
-  const lastPosted = posted[symbol];
-  if (!lastPosted) return false;
-  
-  const lastDate = new Date(lastPosted);
-  const now = new Date();
-  const daysSince = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-  
-  return daysSince < COOLDOWN_DAYS;
-}
-
-function getCooldownInfo(symbol, posted) {
-  const lastPosted = posted[symbol];
-  if (!lastPosted) return null;
-  
-  const lastDate = new Date(lastPosted);
-  const now = new Date();
-  const daysSince = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-  const daysRemaining = COOLDOWN_DAYS - daysSince;
-  
-  return { lastPosted, daysSince, daysRemaining };
+  writeDataFile(filepath, data);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -297,6 +262,7 @@ export async function runBankruptcyScan(options = {}) {
   // Step 5: Save results
   const signalsData = {
     scannedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     totalScanned: toScan.length,
     primeAlerts: primeAlerts.map(a => ({
       symbol: a.symbol,
@@ -330,8 +296,15 @@ export async function runBankruptcyScan(options = {}) {
       viralityScore: s.virality?.score
     }))
   };
-  saveJson(SIGNALS_FILE, signalsData);
-  console.log(`\n📁 Saved results to ${SIGNALS_FILE}`);
+  writeDocument('bankruptcy_signals', signalsData);
+  console.log(`\n📁 Saved results to bankruptcy_signals`);
+
+  // Keep first-alert dates/scores so Item 1.03 filings can be traced back to this scan
+  recordSignalAlerts(signalsData);
+
+  // Every score this scan produced, so trends survive the signals file being overwritten
+  const recorded = recordScores('bankruptcy_scan', bankruptcyScoreRows(results));
+  console.log(`📈 Recorded ${recorded} score(s) to history`);
 
   // Step 6: Generate and post thread for top VIS alert (with cooldown check)
   const allPostable = [...primeAlerts, ...watchlist].filter(r => r.shouldPost);
@@ -341,27 +314,29 @@ export async function runBankruptcyScan(options = {}) {
   const postsToProcess = allPostable.length > 0 ? allPostable : forcePostable;
   
   if (postsToProcess.length > 0 && post) {
-    const posted = loadPostedTickers();
+    const registry = loadRegistry();
     
-    // Filter out tickers on cooldown (unless --force)
+    // Filter out tickers on cooldown here or in another module (unless --force)
     const skippedCooldown = [];
     let selectedAlert = null;
+    let selectedCooldown = null;
     
     for (const alert of postsToProcess) {
-      if (!force && isOnCooldown(alert.symbol, posted)) {
-        const info = getCooldownInfo(alert.symbol, posted);
-        skippedCooldown.push({ symbol: alert.symbol, ...info });
+      const cooldown = checkCooldown(POSTING_MODULE, alert.symbol, { score: alert.vis, registry });
+      if (!force && cooldown.blocked) {
+        skippedCooldown.push({ symbol: alert.symbol, ...cooldown });
       } else {
         selectedAlert = alert;
+        selectedCooldown = cooldown;
         break;  // Found one that's not on cooldown
       }
     }
     
     // Show what was skipped due to cooldown
     if (skippedCooldown.length > 0) {
-      console.log(`\n⏭️  Skipped (on ${COOLDOWN_DAYS}-day cooldown):`);
+      console.log(`\n⏭️  Skipped (on cooldown):`);
       for (const skip of skippedCooldown) {
-        console.log(`   $${skip.symbol} — posted ${skip.daysSince}d ago (${skip.daysRemaining}d remaining)`);
+        console.log(`   $${skip.symbol} — ${skip.text}`);
       }
     }
     
@@ -371,13 +346,18 @@ export async function runBankruptcyScan(options = {}) {
       if (force && selectedAlert.vis < VIS_WATCHLIST) {
         console.log(`\n⚠️  FORCE MODE: Posting despite low VIS (${selectedAlert.vis})`);
       }
-      if (force && isOnCooldown(selectedAlert.symbol, posted)) {
-        const info = getCooldownInfo(selectedAlert.symbol, posted);
-        console.log(`\n⚠️  FORCE MODE: Bypassing cooldown (posted ${info.daysSince}d ago)`);
+      if (force && selectedCooldown.blocked) {
+        console.log(`\n⚠️  FORCE MODE: Bypassing cooldown (${selectedCooldown.text})`);
+      }
+      if (selectedCooldown.override) {
+        console.log(`\n🔓 $${selectedAlert.symbol}: ${selectedCooldown.text}`);
       }
       
+      // VIS trend from score history (drives the card's status badge)
+      selectedAlert.trend = scoreTrend(selectedAlert.symbol, 'vis');
+
       console.log(`\n🤖 Generating thread for $${selectedAlert.symbol}...`);
-      console.log(`   VIS: ${selectedAlert.vis} (${selectedAlert.visClassification})`);
+      console.log(`   VIS: ${selectedAlert.vis} (${selectedAlert.visClassification})${selectedAlert.trend.text ? ` - ${selectedAlert.trend.text}` : ''}`);
       console.log(`   Bankruptcy Risk: ${selectedAlert.score}/100 | Virality: ${selectedAlert.virality.score}/100`);
       
       let threadData = await generateBankruptcyThread(selectedAlert);
@@ -416,7 +396,7 @@ export async function runBankruptcyScan(options = {}) {
       if (DRY_RUN) {
         console.log('\n[DRY_RUN] Would post thread. Set DRY_RUN=false to post.');
       } else {
-        console.log('\n🚀 Posting to Twitter...');
+        console.log('\n🚀 Publishing...');
         
         // Prepend greeting if provided
         const firstTweet = greeting 
@@ -429,13 +409,15 @@ export async function runBankruptcyScan(options = {}) {
         
         try {
           // Post as thread (alert tweet first with card, then rest)
-          const result = await postAlertThread(
+          const result = await publishThread(
+            POSTING_MODULE,
             firstTweet,  // Alert tweet (with greeting if provided)
             threadData.thread.slice(1),  // Rest of thread
             cardPath  // Attach bankruptcy card to first tweet
           );
-          console.log(`✅ Posted! First tweet ID: ${result.tweetIds?.[0]}`);
-          markAsPosted(selectedAlert.symbol);
+          console.log(`✅ Posted! First tweet ID: ${result.tweets?.[0]?.id}`);
+          recordPosting(POSTING_MODULE, [{ ticker: selectedAlert.symbol, score: selectedAlert.vis }]);
+          registerCalls('bankruptcy_thread', [{ symbol: selectedAlert.symbol, score: selectedAlert.vis }], { tweetId: result.tweets?.[0]?.id });
         } catch (error) {
           console.error(`❌ Post failed: ${error.message}`);
         }
@@ -462,7 +444,8 @@ export async function runBankruptcyScan(options = {}) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 function showPostingStatus() {
-  const posted = loadPostedTickers();
+  const registry = loadRegistry();
+  const posted = registry[POSTING_MODULE] || {};
   const symbols = Object.keys(posted);
   
   if (symbols.length === 0) {
@@ -475,17 +458,18 @@ function showPostingStatus() {
 ║  BANKRUPTCY POSTING STATUS                                                    ║
 ╚═══════════════════════════════════════════════════════════════════════════════╝
 `);
-  console.log(`Cooldown period: ${COOLDOWN_DAYS} days\n`);
+  console.log(`Cooldown period: ${cooldownPolicy(POSTING_MODULE).cooldownDays} days (+ cross-module: node src/postingRegistry.js status)\n`);
   
   const onCooldown = [];
   const available = [];
   
   for (const symbol of symbols) {
-    const info = getCooldownInfo(symbol, posted);
-    if (isOnCooldown(symbol, posted)) {
-      onCooldown.push({ symbol, ...info });
+    const daysSince = Math.floor((Date.now() - new Date(posted[symbol].date).getTime()) / (1000 * 60 * 60 * 24));
+    const cooldown = checkCooldown(POSTING_MODULE, symbol, { registry });
+    if (cooldown.blocked) {
+      onCooldown.push({ symbol, ...cooldown, daysSince });
     } else {
-      available.push({ symbol, ...info });
+      available.push({ symbol, daysSince });
     }
   }
   
@@ -494,7 +478,7 @@ function showPostingStatus() {
     onCooldown
       .sort((a, b) => a.daysRemaining - b.daysRemaining)
       .forEach(t => {
-        console.log(`   $${t.symbol.padEnd(6)} — posted ${t.daysSince}d ago, available in ${t.daysRemaining}d`);
+        console.log(`   $${t.symbol.padEnd(6)} — ${t.text}`);
       });
     console.log('');
   }
@@ -6,12 +6,15 @@
  * Score Components (100 pts total):
  * - Runway / Liquidity: 25 pts
  * - Debt vs Cash: 15 pts  
- * - Interest Coverage: 15 pts
+ * - Interest Coverage: 10 pts
  * - Operating CF Trend: 15 pts
  * - Revenue & Profit Trend: 10 pts
- * - Altman Z-Score: 10 pts
+ * - Going Concern (auditor / management doubt): 10 pts
+ * - Altman Z-Score: 5 pts
  * - Insider Selling: 5 pts
  * - Dilution/Share Growth: 5 pts
+ * (default allocation - a tuned version from tuneWeights.js rescales each
+ * component to its fitted points when present)
  * 
  * Classifications:
  * - INSOLVENCY_ALERT: score >= 70
@@ -27,6 +30,23 @@
 
 import { estimateOutcomes, formatOutcomeSummary } from './outcomeModel.js';
 import { calculateViralityScore, calculateVIS } from './viralityEngine.js';
+import { getEngineWeights } from '../scoringWeights.js';
+import { SCORING_CONFIG } from '../scoringConfig.js';
+import { buildExplanation, weightedFactor } from '../scoreExplanation.js';
+
+// Points per component (sum to 100). The score functions below always score on
+// this scale; tuned weights rescale each component afterwards.
+export const BANKRUPTCY_WEIGHTS = {
+  runway: 25,
+  debt: 15,
+  interest: 10,
+  ocf: 15,
+  revenueProfit: 10,
+  goingConcern: 10,
+  altman: 5,
+  insider: 5,
+  shareGrowth: 5
+};
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // HELPER FUNCTIONS
@@ -207,6 +227,17 @@ function calculateInsiderFlow(insiders) {
   };
 }
 
+function calculateShareGrowth(shareHistory) {
+  // From shareHistory.js computeDilutionMetrics()
+  return {
+    sharesOutstanding: shareHistory?.sharesOutstanding ?? null,
+    qoqGrowthPct: shareHistory?.qoqGrowthPct ?? null,
+    dilution12mPct: shareHistory?.dilution12mPct ?? null,
+    impliedSharesSinceReport: shareHistory?.impliedSharesSinceReport ?? null,
+    impliedDilutionSinceReportPct: shareHistory?.impliedDilutionSinceReportPct ?? null
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SCORING FUNCTIONS (each returns 0 to max points)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -231,12 +262,12 @@ function scoreDebt(debtToCashMultiple, cashDebtRatio) {
 }
 
 function scoreInterestCoverage(coverage) {
-  // Max 15 points
+  // Max 10 points
   if (coverage === null) return 0;
-  if (coverage < 0) return 15;  // EBIT negative
-  if (coverage < 1) return 12;  // Can't cover interest
-  if (coverage < 2) return 8;   // Fragile
-  if (coverage < 3) return 4;   // Tight
+  if (coverage < 0) return 10;  // EBIT negative
+  if (coverage < 1) return 8;   // Can't cover interest
+  if (coverage < 2) return 5;   // Fragile
+  if (coverage < 3) return 3;   // Tight
   return 0;
 }
 
@@ -258,11 +289,22 @@ function scoreRevenueProft(revenueChangePct, negativeIncomeCount) {
 }
 
 function scoreAltmanZ(zScore) {
-  // Max 10 points
+  // Max 5 points
   if (zScore === null) return 0;
-  if (zScore < 1.2) return 10;
-  if (zScore < 1.8) return 7;
-  if (zScore < 3.0) return 3;
+  if (zScore < 1.2) return 5;
+  if (zScore < 1.8) return 4;
+  if (zScore < 3.0) return 2;
+  return 0;
+}
+
+function scoreGoingConcern(goingConcern) {
+  // Max 10 points - from goingConcern.js computeGoingConcernStatus()
+  if (!goingConcern) return 0;
+  if (goingConcern.state === 'ACTIVE') {
+    // Auditor opinion or doubt repeated across reports = as explicit as it gets
+    return goingConcern.auditorOpinion || goingConcern.persisted ? 10 : 8;
+  }
+  if (goingConcern.state === 'ALLEVIATED') return 3; // Doubt existed, plans "alleviate" it
   return 0;
 }
 
@@ -273,12 +315,68 @@ function scoreInsiders(totalSellValue, totalBuyValue, netFlow) {
   return 0;
 }
 
+function scoreShareGrowth(dilution12mPct, qoqGrowthPct) {
+  // Max 5 points
+  if (dilution12mPct !== null) {
+    if (dilution12mPct >= 100) return 5;
+    if (dilution12mPct >= 50) return 4;
+    if (dilution12mPct >= 25) return 2;
+    return 0;
+  }
+  // Less than a year of history - fall back to the last quarter
+  if (qoqGrowthPct === null) return 0;
+  if (qoqGrowthPct >= 25) return 4;
+  if (qoqGrowthPct >= 10) return 2;
+  return 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPLANATION (scoreExplanation.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function signedPct(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(0)}%`;
+}
+
+function explainScore(totalScore, breakdown, { runway, debt, interest, ocf, revenue, altman, insider, shares, goingConcern }) {
+  const factor = (key, label, raw, reason) =>
+    weightedFactor(key, label, raw, breakdown[key].level, breakdown[key].max, reason);
+
+  return buildExplanation('bankruptcy', totalScore, 100, [
+    factor('runway', 'Cash runway', runway.runwayMonths,
+      runway.runwayMonths === null ? 'Cash runway unknown' : `${formatMonths(runway.runwayMonths)} of cash runway`),
+    factor('debt', 'Debt vs cash', debt.debtToCashMultiple,
+      debt.debtToCashMultiple === null ? 'Debt vs cash unknown' : `Debt ${debt.debtToCashMultiple.toFixed(1)}x cash`),
+    factor('interest', 'Interest coverage', interest.interestCoverage,
+      interest.interestCoverage === null ? 'Interest coverage unknown'
+        : interest.interestCoverage < 0 ? 'Negative EBIT - interest not covered'
+        : `Interest covered ${interest.interestCoverage.toFixed(1)}x`),
+    factor('ocf', 'Operating cash flow', ocf.ocfNegativeCount,
+      `Operating cash flow negative ${ocf.ocfNegativeCount} of 4 quarters${ocf.ocfWorsening ? ' and worsening' : ''}`),
+    factor('revenueProfit', 'Revenue & profit', revenue.revenueChangePct,
+      revenue.revenueChangePct === null ? 'Revenue trend unknown'
+        : `Revenue ${signedPct(revenue.revenueChangePct)} YoY, losses in ${revenue.negativeIncomeCount} of 4 quarters`),
+    factor('goingConcern', 'Going concern', goingConcern?.state || null,
+      goingConcern?.state === 'ACTIVE' ? `Going-concern doubt${goingConcern.auditorOpinion ? ' in the auditor opinion' : ' disclosed'}`
+        : goingConcern?.state === 'ALLEVIATED' ? 'Going-concern doubt alleviated by management plans'
+        : 'No going-concern doubt'),
+    factor('altman', 'Altman Z-score', altman.altmanZScore,
+      altman.altmanZScore === null ? 'Altman Z-score unknown' : `Altman Z-score ${altman.altmanZScore.toFixed(2)}`),
+    factor('insider', 'Insider selling', insider.netInsiderFlow,
+      `Insiders sold ${formatCurrency(insider.totalSellValue)} vs bought ${formatCurrency(insider.totalBuyValue)}`),
+    factor('shareGrowth', 'Share growth', shares.dilution12mPct ?? shares.qoqGrowthPct,
+      shares.dilution12mPct !== null ? `Share count ${signedPct(shares.dilution12mPct)} in 12 months`
+        : shares.qoqGrowthPct !== null ? `Share count ${signedPct(shares.qoqGrowthPct)} last quarter`
+        : 'No share count history')
+  ]);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN SCORING FUNCTION
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export function scoreBankruptcyRisk(inputs) {
-  const { symbol, quote, balanceSheet, cashFlow, income, keyMetrics, insiders } = inputs;
+  const { symbol, quote, balanceSheet, cashFlow, income, keyMetrics, insiders, shareHistory, goingConcern, recentReverseSplit, delistingNotice, dataSources = [], dataConflicts = [] } = inputs;
 
   // Check for minimum required data
   if (!balanceSheet?.length || !cashFlow?.length || !income?.length) {
@@ -288,6 +386,9 @@ export function scoreBankruptcyRisk(inputs) {
       classification: 'INSUFFICIENT_DATA',
       metrics: {},
       breakdown: {},
+      explanation: buildExplanation('bankruptcy', 0, 100, []),
+      dataSources,
+      dataConflicts,
       narrative: 'Insufficient financial data available for analysis.'
     };
   }
@@ -300,6 +401,7 @@ export function scoreBankruptcyRisk(inputs) {
   const ocf = calculateOCFTrend(cashFlow);
   const altman = calculateAltmanZ(keyMetrics);
   const insider = calculateInsiderFlow(insiders);
+  const shares = calculateShareGrowth(shareHistory);
 
   // Calculate component scores
   const runwayScore = scoreRunway(runway.runwayMonths);
@@ -309,14 +411,38 @@ export function scoreBankruptcyRisk(inputs) {
   const revProfitScore = scoreRevenueProft(revenue.revenueChangePct, revenue.negativeIncomeCount);
   const altmanScore = scoreAltmanZ(altman.altmanZScore);
   const insiderScore = scoreInsiders(insider.totalSellValue, insider.totalBuyValue, insider.netInsiderFlow);
+  const shareGrowthScore = scoreShareGrowth(shares.dilution12mPct, shares.qoqGrowthPct);
+  const goingConcernScore = scoreGoingConcern(goingConcern);
+
+  // Weighted total (raw points rescaled to each component's weight)
+  const raw = {
+    runway: runwayScore,
+    debt: debtScore,
+    interest: interestScore,
+    ocf: ocfScore,
+    revenueProfit: revProfitScore,
+    goingConcern: goingConcernScore,
+    altman: altmanScore,
+    insider: insiderScore,
+    shareGrowth: shareGrowthScore
+  };
+  const weights = getEngineWeights('bankruptcy', BANKRUPTCY_WEIGHTS);
+  const breakdown = {};
+  for (const [key, points] of Object.entries(raw)) {
+    const level = points / BANKRUPTCY_WEIGHTS[key]; // 0-1, independent of the weights
+    breakdown[key] = { score: Math.round(level * weights[key] * 10) / 10, max: weights[key], level };
+  }
+  const totalScore = Math.round(Object.values(breakdown).reduce((sum, b) => sum + b.score, 0));
 
-  // Total score
-  const totalScore = runwayScore + debtScore + interestScore + ocfScore + revProfitScore + altmanScore + insiderScore;
+  // Risk flags: not scored, but surfaced alongside the score
+  const riskFlags = [];
+  if (recentReverseSplit) riskFlags.push('RECENT_REVERSE_SPLIT');
+  if (delistingNotice) riskFlags.push('DELISTING_NOTICE');
 
   // Classification
   let classification = 'HEALTHY_IGNORE';
-  if (totalScore >= 70) classification = 'INSOLVENCY_ALERT';
-  else if (totalScore >= 50) classification = 'DISTRESS_WATCHLIST';
+  if (totalScore >= SCORING_CONFIG.bankruptcy.alertScore) classification = 'INSOLVENCY_ALERT';
+  else if (totalScore >= SCORING_CONFIG.bankruptcy.watchScore) classification = 'DISTRESS_WATCHLIST';
 
   // Build result
   return {
@@ -369,19 +495,46 @@ export function scoreBankruptcyRisk(inputs) {
       netInsiderFlow: insider.netInsiderFlow,
       insiderBias: insider.insiderBias,
       totalSellValue: insider.totalSellValue,
-      totalBuyValue: insider.totalBuyValue
+      totalBuyValue: insider.totalBuyValue,
+      
+      // Share count / dilution
+      sharesOutstanding: shares.sharesOutstanding,
+      qoqShareGrowthPct: shares.qoqGrowthPct,
+      dilution12mPct: shares.dilution12mPct,
+      impliedSharesSinceReport: shares.impliedSharesSinceReport,
+      impliedDilutionSinceReportPct: shares.impliedDilutionSinceReportPct,
+      
+      // Going concern
+      goingConcern: goingConcern?.state || 'UNKNOWN',
+      goingConcernAuditor: goingConcern?.auditorOpinion ?? null,
+      goingConcernSince: goingConcern?.since || null,
+      goingConcernFirstSeen: goingConcern?.firstSeen || null,
+      goingConcernRemovedAt: goingConcern?.removedAt || null,
+      goingConcernConsecutiveReports: goingConcern?.consecutiveReports ?? 0,
+      
+      // Splits
+      recentReverseSplit: recentReverseSplit?.label || null,
+      recentReverseSplitDaysAgo: recentReverseSplit?.daysAgo ?? null,
+      
+      // Exchange deficiency notice (8-K Item 3.01)
+      delistingDeficiency: delistingNotice?.deficiency || null,
+      delistingStatus: delistingNotice?.status || null,
+      delistingExchange: delistingNotice?.exchange || null,
+      delistingDeadline: delistingNotice?.complianceDeadline || null,
+      delistingDaysToDeadline: delistingNotice?.daysToDeadline ?? null
     },
+    
+    riskFlags,
 
-    // Score breakdown for transparency
-    breakdown: {
-      runway: { score: runwayScore, max: 25 },
-      debt: { score: debtScore, max: 15 },
-      interest: { score: interestScore, max: 15 },
-      ocf: { score: ocfScore, max: 15 },
-      revenueProfit: { score: revProfitScore, max: 10 },
-      altman: { score: altmanScore, max: 10 },
-      insider: { score: insiderScore, max: 5 }
-    },
+    // Score breakdown for transparency (level = share of the component's max, 0-1)
+    breakdown,
+
+    // Same breakdown as a ScoreExplanation (raw inputs + reasons)
+    explanation: explainScore(totalScore, breakdown, { runway, debt, interest, ocf, revenue, altman, insider, shares, goingConcern }),
+
+    // Where the statements came from ('fmp', 'sec_xbrl') and any values they disagreed on
+    dataSources,
+    dataConflicts,
 
     // Outcome probabilities
     outcomes: estimateOutcomes({
@@ -393,7 +546,9 @@ export function scoreBankruptcyRisk(inputs) {
       totalDebt: debt.totalDebt,
       monthlyBurn: runway.monthlyBurn,
       negativeIncomeCount: revenue.negativeIncomeCount,
-      ocfNegativeCount: ocf.ocfNegativeCount
+      ocfNegativeCount: ocf.ocfNegativeCount,
+      goingConcern: goingConcern?.state || null,
+      goingConcernAuditor: goingConcern?.auditorOpinion || false
     }),
 
     // Human-readable outcome summary
@@ -435,6 +590,7 @@ export function scoreWithVIS(financialInputs, viralityInputs) {
       score: virality.score,
       tier: virality.tier,
       breakdown: virality.breakdown,
+      explanation: virality.explanation,
       avgVolume: viralityInputs.avgVolume,
       newsCount: viralityInputs.newsCount,
       hasOptions: viralityInputs.hasOptions,
@@ -456,4 +612,4 @@ export function scoreWithVIS(financialInputs, viralityInputs) {
   };
 }
 
-export default { scoreBankruptcyRisk, scoreWithVIS };
+export default { BANKRUPTCY_WEIGHTS, scoreBankruptcyRisk, scoreWithVIS };
@@ -13,6 +13,7 @@
 
 import 'dotenv/config';
 import OpenAI from 'openai';
+import { driverLines, driversTweet } from '../scoreExplanation.js';
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
@@ -20,8 +21,23 @@ const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 // PROMPT BUILDER
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Tweet 2 - VIS framing + the score's top drivers, straight from the engine's
+ * explanation. Built here (not by GPT) so the "why" is never invented.
+ */
+function buildDriversTweet(analysis) {
+  const head = `2️⃣ 🧮 **VIS = Bankruptcy Risk × Market Attention**
+**Risk: ${analysis.score}/100 | Attention: ${analysis.virality?.score || 'N/A'}/100**`;
+  if (!driverLines(analysis.explanation).length) {
+    return `${head}\nQuiet collapses disappear — high-attention collapses detonate.`;
+  }
+  return driversTweet(`${head}\nWhat's driving the risk score:`, analysis.explanation);
+}
+
 function buildBankruptcyPrompt(analysis) {
-  const { symbol, score, classification, metrics, breakdown, outcomes } = analysis;
+  const { symbol, score, classification, metrics, outcomes } = analysis;
+  const driversTweetText = buildDriversTweet(analysis);
+  const drivers = driverLines(analysis.explanation);
 
   return `Generate a Twitter thread for a bankruptcy/insolvency risk alert.
 
@@ -61,15 +77,15 @@ function buildBankruptcyPrompt(analysis) {
 - Altman Z-Score: ${metrics.altmanZScore?.toFixed(2) || 'N/A'} (${metrics.zCategory})
 - Insider activity: ${metrics.insiderBias}
 - Net insider flow: ${metrics.netInsiderFlow ? `$${(metrics.netInsiderFlow / 1_000_000).toFixed(2)}M` : 'N/A'}
+- Shares outstanding: ${metrics.sharesOutstanding ? `${(metrics.sharesOutstanding / 1_000_000).toFixed(1)}M` : 'N/A'}
+- Recent reverse split: ${metrics.recentReverseSplit ? `${metrics.recentReverseSplit} (${metrics.recentReverseSplitDaysAgo} days ago)` : 'None'}
+- Going concern: ${metrics.goingConcern === 'ACTIVE' ? `substantial doubt disclosed since ${metrics.goingConcernSince}${metrics.goingConcernAuditor ? ' (auditor opinion)' : ''}, ${metrics.goingConcernConsecutiveReports} consecutive reports` : metrics.goingConcern === 'REMOVED' ? `removed ${metrics.goingConcernRemovedAt || ''} (first seen ${metrics.goingConcernFirstSeen})` : metrics.goingConcern === 'ALLEVIATED' ? 'doubt alleviated by management plans' : 'None disclosed'}
+- Exchange delisting notice: ${metrics.delistingDeficiency ? `${metrics.delistingDeficiency.replace(/_/g, ' ')} deficiency${metrics.delistingStatus === 'determination' ? ' (delisting determination issued)' : ''}${metrics.delistingDeadline ? `, compliance deadline ${metrics.delistingDeadline} (${metrics.delistingDaysToDeadline} days)` : ''}` : 'None'}
+- Share growth: ${metrics.dilution12mPct != null ? `${metrics.dilution12mPct.toFixed(0)}% over 12 months` : 'N/A'}${metrics.qoqShareGrowthPct != null ? `, ${metrics.qoqShareGrowthPct.toFixed(0)}% last quarter` : ''}
 
-## SCORE BREAKDOWN
-- Runway risk: ${breakdown.runway.score}/${breakdown.runway.max} pts
-- Debt burden: ${breakdown.debt.score}/${breakdown.debt.max} pts
-- Interest coverage: ${breakdown.interest.score}/${breakdown.interest.max} pts
-- Cash flow trend: ${breakdown.ocf.score}/${breakdown.ocf.max} pts
-- Revenue/profit: ${breakdown.revenueProfit.score}/${breakdown.revenueProfit.max} pts
-- Altman Z: ${breakdown.altman.score}/${breakdown.altman.max} pts
-- Insider selling: ${breakdown.insider.score}/${breakdown.insider.max} pts
+## TOP SCORE DRIVERS (from the scoring engine - points added to the risk score)
+${drivers.length ? drivers.join('\n') : '- None'}
+These are the ONLY reasons the score is what it is. Do not attribute the score to anything else.
 
 ## OUTCOME PROBABILITIES
 Based on the financial data, our model estimates:
@@ -102,15 +118,10 @@ REQUIRED STRUCTURE:
 Only **${metrics.runwayFormatted} of cash** remain. Without funding, this doesn't fade — it breaks loud. 🧵
 {Analogy sentence}
 
-### Tweet 2 — VIS definition + scores
-- Explain VIS briefly
-- Bold the scores
-- Use spacing, not paragraphs
+### Tweet 2 — VIS definition + scores + top drivers
+- Copy this tweet EXACTLY, character for character (the driver lines are quoted verbatim):
 
-REQUIRED STRUCTURE:
-2️⃣ 🧮 **VIS = Bankruptcy Risk × Market Attention**
-Quiet collapses disappear — high-attention collapses detonate.
-**Risk: ${score}/100 | Attention: ${analysis.virality?.score || 'N/A'}/100**
+${driversTweetText}
 
 ### Tweet 3 — Metrics + Outcome Probabilities
 - Group metrics in 5-bullet block
@@ -150,7 +161,7 @@ Return a JSON object:
 {
   "thread": [
     "Tweet 1 text with 1️⃣ prefix (hook + metaphor)",
-    "Tweet 2 text with 2️⃣ prefix (VIS framing)",
+    "Tweet 2 text with 2️⃣ prefix (VIS framing + drivers, copied exactly)",
     "Tweet 3 text with 3️⃣ prefix (metrics + probabilities)",
     "Tweet 4 text with 4️⃣ prefix (signal + CTA)"
   ],
@@ -182,6 +193,9 @@ export async function generateBankruptcyThread(analysis) {
     const content = response.choices[0]?.message?.content;
     const parsed = JSON.parse(content);
 
+    // Drivers are quoted verbatim - never trust GPT's copy of tweet 2
+    if (parsed.thread?.length >= 2) parsed.thread[1] = buildDriversTweet(analysis);
+
     return {
       thread: parsed.thread || [],
       headline: parsed.headline || `Bankruptcy alert: $${analysis.symbol}`,
@@ -200,7 +214,7 @@ export async function generateBankruptcyThread(analysis) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 export function generateFallbackThread(analysis) {
-  const { symbol, score, metrics, outcomes, virality, vis } = analysis;
+  const { symbol, score, metrics, outcomes, vis } = analysis;
 
   const companyName = metrics.companyName || symbol;
   
@@ -209,10 +223,8 @@ export function generateFallbackThread(analysis) {
 Only **${metrics.runwayFormatted} of cash** remain. Without funding, this doesn't fade — it breaks loud. 🧵
 Race-car, fuel light blinking. Fast machine, thin runway.`;
 
-  // Tweet 2: VIS definition + scores
-  const tweet2 = `2️⃣ 🧮 **VIS = Bankruptcy Risk × Market Attention**
-Quiet collapses disappear — high-attention collapses detonate.
-**Risk: ${score}/100 | Attention: ${virality?.score || 'N/A'}/100**`;
+  // Tweet 2: VIS definition + scores + top drivers
+  const tweet2 = buildDriversTweet(analysis);
 
   // Tweet 3: Metrics + Outcome Probabilities
   const debtCashRatio = metrics.debtToCashMultiple?.toFixed(1) || 'N/A';
@@ -8,35 +8,26 @@
  * - Income Statement (revenue, EBIT, interest expense)
  * - Key Metrics (Altman Z-score if available)
  * - Insider Trading activity
+ * - Going-concern language in the latest 10-K/10-Q (goingConcern.js)
  * 
- * ~7-8 API calls per ticker
+ * ~7-8 API calls per ticker, plus SEC companyfacts and any 10-K/10-Q we haven't
+ * read yet. Statements are merged with SEC XBRL so microcaps FMP has no
+ * fundamentals for still score.
+ *
+ * Profile, statements, insiders and the universe come from the market-data
+ * provider (vendors/marketData.js). The SEC/FMP-only enrichments (XBRL, key
+ * metrics, share history, splits, going-concern, delisting notices) only run
+ * against a live provider - on a historical dataset they'd leak today's data.
  */
 
 import 'dotenv/config';
-
-const FMP_API_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
-
-async function fmpGet(endpoint, silent = false) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_API_KEY}`;
-  
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      // Only log critical errors (not 402 premium tier or 404 for optional endpoints)
-      if (!silent && response.status !== 402 && response.status !== 404) {
-        console.error(`   ⚠️  FMP ${response.status}: ${endpoint.split('?')[0]}`);
-      }
-      return null;
-    }
-    return await response.json();
-  } catch (error) {
-    if (!silent) {
-      console.error(`   ⚠️  FMP error: ${error.message}`);
-    }
-    return null;
-  }
-}
+import { getXbrlFundamentals, mergeFundamentals } from '../vendors/secXbrl.js';
+import { updateShareHistory } from '../shareHistory.js';
+import { getSplitEvents, findRecentReverseSplit } from '../splitEvents.js';
+import { getActiveDelistingNotice } from '../delistingScanner.js';
+import { updateGoingConcern } from '../goingConcern.js';
+import { fmpGet } from '../vendors/fmp.js';
+import { getMarketData } from '../vendors/marketData.js';
 
 /**
  * Fetch all bankruptcy-relevant data for a single ticker
@@ -44,33 +35,58 @@ async function fmpGet(endpoint, silent = false) {
  */
 export async function fetchBankruptcyInputs(symbol) {
   console.log(`   📊 Fetching bankruptcy data for ${symbol}...`);
+  const marketData = getMarketData();
+  const liveOnly = (fetcher) => (marketData.live ? fetcher().catch(() => null) : Promise.resolve(null));
   
   // Parallel fetch all required data
   // Note: key-metrics (Altman Z) and insider-trading may 402/404 on free tier - that's OK
-  const [quote, balanceSheet, cashFlow, income, keyMetrics, insiders] = await Promise.all([
-    fmpGet(`/profile?symbol=${symbol}`),
-    fmpGet(`/balance-sheet-statement?symbol=${symbol}&period=quarter&limit=4`),
-    fmpGet(`/cash-flow-statement?symbol=${symbol}&period=quarter&limit=4`),
-    fmpGet(`/income-statement?symbol=${symbol}&period=quarter&limit=4`),
-    fmpGet(`/key-metrics?symbol=${symbol}&period=quarter&limit=4`, true),  // Premium - silent fail OK
-    fmpGet(`/insider-trading?symbol=${symbol}&limit=50`, true)             // May 404 - silent fail OK
+  const statementOptions = { period: 'quarter', limit: 4 };
+  const [quote, balanceSheet, cashFlow, income, keyMetrics, insiders, sharesFloat, xbrl, splitEvents, goingConcern] = await Promise.all([
+    marketData.getProfile(symbol),
+    marketData.getStatements(symbol, 'balance-sheet', statementOptions),
+    marketData.getStatements(symbol, 'cash-flow', statementOptions),
+    marketData.getStatements(symbol, 'income', statementOptions),
+    liveOnly(() => fmpGet(`/key-metrics?symbol=${symbol}&period=quarter&limit=4`, { silent: true })),  // Premium - silent fail OK
+    marketData.getInsiderTrades(symbol, 50),                                          // May 404 - silent fail OK
+    liveOnly(() => fmpGet(`/shares-float?symbol=${symbol}`, { silent: true })),       // Share count snapshot
+    liveOnly(() => getXbrlFundamentals(symbol)),                                      // SEC XBRL second source
+    liveOnly(() => getSplitEvents(symbol)),                                           // Reverse split flag + share restating
+    liveOnly(() => updateGoingConcern(symbol))                                        // 10-K/10-Q going-concern language
   ]);
 
+  const recentReverseSplit = findRecentReverseSplit(splitEvents || []);
+  const fundamentals = mergeFundamentals({ balanceSheet, cashFlow, income }, xbrl);
+  if (fundamentals.dataConflicts.length > 0) {
+    console.log(`   ⚠️  ${symbol}: ${fundamentals.dataConflicts.length} FMP/SEC value conflicts`);
+  }
+
+  // Share history is a state file built from today's counts - live runs only
+  const shareHistory = marketData.live
+    ? await updateShareHistory(symbol, { secShares: fundamentals.sharesOutstanding, floatData: sharesFloat, splitEvents: splitEvents || [] })
+    : null;
+
   return {
     symbol,
-    quote: Array.isArray(quote) ? quote[0] : quote,
-    balanceSheet: balanceSheet || [],
-    cashFlow: cashFlow || [],
-    income: income || [],
+    quote,
+    balanceSheet: fundamentals.balanceSheet,
+    cashFlow: fundamentals.cashFlow,
+    income: fundamentals.income,
+    sharesOutstanding: fundamentals.sharesOutstanding,
+    shareHistory: shareHistory?.metrics || null,
+    goingConcern: goingConcern?.status || null,
+    recentReverseSplit,
+    delistingNotice: marketData.live ? getActiveDelistingNotice(symbol) : null,  // From the Item 3.01 feed - no request
+    dataSources: fundamentals.dataSources,
+    dataConflicts: fundamentals.dataConflicts,
     keyMetrics: keyMetrics || [],
     insiders: insiders || []
   };
 }
 
 /**
- * Fetch fresh universe candidates from FMP market movers
- * Combines biggest-losers + most-actives + biggest-gainers for viral potential
- * These endpoints work on free tier and give us FRESH daily candidates
+ * Fetch fresh universe candidates from the market-data provider
+ * Live: biggest-losers + most-actives + biggest-gainers for viral potential
+ * (free-tier endpoints, FRESH daily candidates). Local: every symbol in the dataset.
  */
 export async function fetchUniverseCandidates(options = {}) {
   const {
@@ -80,24 +96,13 @@ export async function fetchUniverseCandidates(options = {}) {
     maxPrice = 100                   // Under $100
   } = options;
 
-  console.log('📡 Fetching fresh universe from FMP market movers...');
+  const marketData = getMarketData();
+  console.log(`📡 Fetching fresh universe (${marketData.name})...`);
   
-  // Fetch from multiple working endpoints in parallel
-  const [losers, actives, gainers] = await Promise.all([
-    fmpGet('/biggest-losers'),
-    fmpGet('/most-actives'),
-    fmpGet('/biggest-gainers')
-  ]);
-
-  // Combine all results
-  const allResults = [
-    ...(losers || []),
-    ...(actives || []),
-    ...(gainers || [])
-  ];
+  const allResults = await marketData.getUniverse();
 
   if (allResults.length === 0) {
-    console.log('   ⚠️  No results from FMP market movers');
+    console.log(`   ⚠️  No universe results from ${marketData.name}`);
     return [];
   }
 
@@ -126,11 +131,14 @@ export async function fetchUniverseCandidates(options = {}) {
       change: r.change,
       changesPercentage: r.changesPercentage,
       exchange: r.exchange,
-      source: losers?.includes(r) ? 'loser' : actives?.includes(r) ? 'active' : 'gainer'
+      source: r.source
     });
   }
 
-  console.log(`   ✅ Found ${candidates.length} fresh candidates (${losers?.length || 0} losers, ${actives?.length || 0} actives, ${gainers?.length || 0} gainers)`);
+  const bySource = {};
+  for (const r of allResults) bySource[r.source] = (bySource[r.source] || 0) + 1;
+  const breakdown = Object.entries(bySource).map(([source, count]) => `${count} ${source}`).join(', ');
+  console.log(`   ✅ Found ${candidates.length} fresh candidates (${breakdown})`);
   
   return candidates;
 }
@@ -141,14 +149,13 @@ export async function fetchUniverseCandidates(options = {}) {
  */
 export async function preFilterCheck(symbol) {
   // Quick quote check - look for beaten down stocks
-  const quote = await fmpGet(`/profile?symbol=${symbol}`);
+  const q = await getMarketData().getProfile(symbol);
   
-  if (!quote || !Array.isArray(quote) || quote.length === 0) {
+  if (!q) {
     return { pass: false, reason: 'No quote data' };
   }
 
-  const q = quote[0];
-  const marketCap = q.mktCap || 0;
+  const marketCap = q.mktCap || q.marketCap || 0;
   const price = q.price || 0;
 
   // Basic filters
@@ -173,8 +180,8 @@ export async function fetchViralityInputs(symbol) {
   console.log(`   📰 Fetching virality data for ${symbol}...`);
   
   // Fetch quote data (volume is in the quote)
-  const quoteData = await fmpGet(`/quote?symbol=${symbol}`);
-  const quote = Array.isArray(quoteData) ? quoteData[0] : quoteData;
+  const marketData = getMarketData();
+  const quote = await marketData.getQuote(symbol);
   
   // Calculate average volume (use avgVolume if available, else use volume)
   const avgVolume = quote?.avgVolume || quote?.volume || 0;
@@ -182,9 +189,10 @@ export async function fetchViralityInputs(symbol) {
   
   // News count - FMP news endpoint is limited in free tier
   // Try to fetch but gracefully handle failure
+  // Historical datasets have no news feed
   let newsCount = 0;
   try {
-    const newsData = await fmpGet(`/news/stock?symbols=${symbol}&limit=20`);
+    const newsData = marketData.live ? await fmpGet(`/news/stock?symbols=${symbol}&limit=20`) : null;
     if (Array.isArray(newsData)) {
       const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
       newsCount = newsData.filter(n => {
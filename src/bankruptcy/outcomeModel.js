@@ -19,7 +19,9 @@ export function estimateOutcomes(metrics) {
     totalDebt,
     monthlyBurn,
     negativeIncomeCount,
-    ocfNegativeCount
+    ocfNegativeCount,
+    goingConcern,
+    goingConcernAuditor
   } = metrics;
 
   // ═══════════════════════════════════════════════════════════════════════════
@@ -132,6 +134,18 @@ export function estimateOutcomes(metrics) {
     bankruptcy += 5;
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // GOING CONCERN SIGNALS
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // Substantial doubt in the filings — the company saying it out loud
+  if (goingConcern === 'ACTIVE') {
+    bankruptcy += goingConcernAuditor ? 25 : 15;
+    dilution += 10;  // Going-concern companies raise at any price to stay alive
+  } else if (goingConcern === 'ALLEVIATED') {
+    dilution += 10;  // Doubt "alleviated" by a raise that already happened or is planned
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // BURN RATE SIGNALS
   // ═══════════════════════════════════════════════════════════════════════════
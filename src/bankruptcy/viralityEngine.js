@@ -11,6 +11,9 @@
  * - Options availability (more ways to trade = more interest)
  */
 
+import { SCORING_CONFIG } from '../scoringConfig.js';
+import { buildExplanation, pointsFactor } from '../scoreExplanation.js';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // VIRALITY SCORE CALCULATOR
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -119,6 +122,12 @@ export function calculateViralityScore({ avgVolume = 0, marketCap = 0, newsCount
     score: totalScore,
     tier,
     breakdown,
+    explanation: buildExplanation('virality', totalScore, 100, [
+      pointsFactor('volume', 'Average volume', avgVolume, breakdown.volume.score, breakdown.volume.max, breakdown.volume.reason),
+      pointsFactor('marketCap', 'Market cap', marketCap, breakdown.marketCap.score, breakdown.marketCap.max, breakdown.marketCap.reason),
+      pointsFactor('news', 'News (7d)', newsCount, breakdown.news.score, breakdown.news.max, breakdown.news.reason),
+      pointsFactor('options', 'Options chain', hasOptions, breakdown.options.score, breakdown.options.max, breakdown.options.reason)
+    ]),
     summary: `Volume: ${breakdown.volume.score}/${breakdown.volume.max}, MCap: ${breakdown.marketCap.score}/${breakdown.marketCap.max}, News: ${breakdown.news.score}/${breakdown.news.max}, Options: ${breakdown.options.score}/${breakdown.options.max}`
   };
 }
@@ -141,11 +150,11 @@ export function calculateVIS(bankruptcyScore, viralityScore) {
 
   let classification, shouldPost, postType;
 
-  if (vis >= 75) {
+  if (vis >= SCORING_CONFIG.bankruptcy.visPrimeAlert) {
     classification = 'PRIME_ALERT';
     shouldPost = true;
     postType = 'ALERT';
-  } else if (vis >= 60) {
+  } else if (vis >= SCORING_CONFIG.bankruptcy.visWatchlist) {
     classification = 'WATCHLIST';
     shouldPost = true;
     postType = 'WATCHLIST';
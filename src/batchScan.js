@@ -6,6 +6,7 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import { runAnalystBrief } from './analystBrief.js';
 
 // Tickers that work on FREE tier (tested)
@@ -131,6 +132,7 @@ async function batchScan(tickers, maxTickers = 5) {
 
 // Run if called directly
 const args = process.argv.slice(2);
-const maxTickers = args[0] ? parseInt(args[0]) : 5;
+const countArg = args.find(a => !a.startsWith('--'));
+const maxTickers = countArg ? parseInt(countArg) : 5;
 
 batchScan(FREE_TIER_TICKERS, maxTickers);
@@ -9,6 +9,9 @@
  * 
  * When all three align = CRITICAL DISTRESS EVENT (CDE)
  * 
+ * An open exchange deficiency notice (8-K Item 3.01, delistingScanner.js)
+ * puts a ticker on the candidate list and adds to CDE intensity.
+ * 
  * These are not quiet failures — they're LOUD failures.
  * The market reacts hardest when:
  *   - A company needs cash urgently (dilution mechanism active)
@@ -26,86 +29,37 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
+// Network cassettes (FIXTURE_MODE) - must load before anything creates an HTTP client
+import '../vendors/cassette.js';
+import '../scoringConfigFlag.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { fetchBankruptcyInputs, fetchViralityInputs } from '../bankruptcy/fmpBankruptcy.js';
 import { scoreWithVIS } from '../bankruptcy/bankruptcyScoreEngine.js';
 import { getOfferings } from '../vendors/fmp.js';
+import { getLedgerEntry } from '../atmLedger.js';
+import { getTickersWithActiveNotices, formatNotice } from '../delistingScanner.js';
 import { generateCDEThread } from './cdeThesis.js';
-import { postAlertThread } from '../twitterPoster.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { SCORING_CONFIG, scoringVersion } from '../scoringConfig.js';
+import { loadSignals, readDocument, writeDocument } from '../storage.js';
+import { readDataFile } from '../store/dataFile.js';
+import { loadRegistry, checkCooldown, recordPosting } from '../postingRegistry.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-const BANKRUPTCY_SIGNALS_FILE = path.join(DATA_DIR, 'bankruptcy_signals.json');
-const DILUTION_SIGNALS_FILE = path.join(DATA_DIR, 'active_signals.json');
-const CDE_SIGNALS_FILE = path.join(DATA_DIR, 'cde_signals.json');
-const CDE_POSTED_FILE = path.join(DATA_DIR, 'cde_posted.json');
 
 const DRY_RUN = process.env.DRY_RUN !== 'false';
+const POSTING_MODULE = 'cde';  // Cooldown: scoring.config.json cde.cooldownDays + global (postingRegistry.js)
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CDE THRESHOLDS
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const CDE_THRESHOLDS = {
-  // Must have dilution mechanism active
-  dilutionRequired: true,
-  
-  // Bankruptcy risk minimum (0-100)
-  minBankruptcyRisk: 50,
-  
-  // VIS minimum (0-100) - people must care
-  minVIS: 60,
-  
-  // Cooldown days before re-posting same ticker
-  cooldownDays: 30
-};
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// FILE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function loadJson(filepath) {
-  try {
-    if (fs.existsSync(filepath)) {
-      return JSON.parse(fs.readFileSync(filepath, 'utf8'));
-    }
-  } catch (e) {
-    console.error(`Error loading ${filepath}:`, e.message);
-  }
-  return null;
-}
-
-function saveJson(filepath, data) {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-}
-
-function loadPostedCDEs() {
-  const data = loadJson(CDE_POSTED_FILE);
-  return data?.tickers || {};
-}
-
-function markCDEAsPosted(symbol) {
-  const data = loadJson(CDE_POSTED_FILE) || { tickers: {} };
-  data.tickers[symbol] = new Date().toISOString().split('T')[0];
-  saveJson(CDE_POSTED_FILE, data);
-}
-
-function isOnCooldown(symbol, posted) {
-  const lastPosted = posted[symbol];
-  if (!lastPosted) return false;
-  
-  const lastDate = new Date(lastPosted);
-  const now = new Date();
-  const daysSince = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
-  
-  return daysSince < CDE_THRESHOLDS.cooldownDays;
-}
+// dilutionRequired, minBankruptcyRisk, minVIS, cooldownDays (scoring.config.json)
+const CDE_THRESHOLDS = SCORING_CONFIG.cde;
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DILUTION CHECK
@@ -126,17 +80,15 @@ const KNOWN_DILUTION_ACTIVE = new Set([
 function loadATMCandidates() {
   const cachePath = path.join(DATA_DIR, 'candidates_cache.json');
   try {
-    if (fs.existsSync(cachePath)) {
-      const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-      // Filter to recent filings (last 90 days)
-      const recentCandidates = (data.candidates || []).filter(c => {
-        if (!c.fileDate) return false;
-        const fileDate = new Date(c.fileDate);
-        const daysSince = Math.floor((Date.now() - fileDate) / (1000 * 60 * 60 * 24));
-        return daysSince <= 90;
-      });
-      return new Set(recentCandidates.map(c => c.ticker.toUpperCase()));
-    }
+    const data = readDataFile(cachePath, { candidates: [] });
+    // Filter to recent filings (last 90 days)
+    const recentCandidates = (data.candidates || []).filter(c => {
+      if (!c.fileDate) return false;
+      const fileDate = new Date(c.fileDate);
+      const daysSince = Math.floor((Date.now() - fileDate) / (1000 * 60 * 60 * 24));
+      return daysSince <= 90;
+    });
+    return new Set(recentCandidates.map(c => c.ticker.toUpperCase()));
   } catch (e) {
     // Ignore cache errors
   }
@@ -159,9 +111,33 @@ async function checkDilutionMechanism(symbol) {
     };
   }
   
-  // 2. Check DilutionHunter's ATM candidates cache (SEC EDGAR data)
+  // 2. Check the ATM ledger (10-Q/10-K usage) - an ATM with capacity left is live,
+  //    one that's been sold through isn't a mechanism anymore
+  const ledgerEntry = getLedgerEntry(upperSymbol);
+  const atmExhausted = ledgerEntry?.remaining !== null && ledgerEntry?.remaining !== undefined && ledgerEntry.remaining <= 0;
+  if (ledgerEntry?.remaining > 0) {
+    console.log(`   ✅ ${symbol} has $${(ledgerEntry.remaining / 1e6).toFixed(1)}M left on its ATM (ledger)`);
+    return {
+      hasActiveMechanism: true,
+      offeringCount: 1,
+      recentFilings: 1,
+      atmRemaining: ledgerEntry.remaining,
+      details: {
+        source: 'atm_ledger',
+        note: `ATM capacity remaining (${ledgerEntry.remainingSource})`,
+        capacity: ledgerEntry.capacity,
+        used: ledgerEntry.used,
+        remaining: ledgerEntry.remaining
+      }
+    };
+  }
+  if (atmExhausted) {
+    console.log(`   ⚪ ${symbol} ATM fully used per ledger - checking for new offerings`);
+  }
+  
+  // 3. Check DilutionHunter's ATM candidates cache (SEC EDGAR data)
   const atmCandidates = loadATMCandidates();
-  if (atmCandidates.has(upperSymbol)) {
+  if (!atmExhausted && atmCandidates.has(upperSymbol)) {
     console.log(`   ✅ ${symbol} has recent ATM filing (from SEC EDGAR cache)`);
     return {
       hasActiveMechanism: true,
@@ -171,7 +147,7 @@ async function checkDilutionMechanism(symbol) {
     };
   }
   
-  // 3. Try FMP API as fallback
+  // 4. Try FMP API as fallback
   try {
     const offerings = await getOfferings(symbol);
     
@@ -243,9 +219,15 @@ async function analyzeCDE(symbol) {
   const passCount = Object.values(criteria).filter(Boolean).length;
   const isCDE = criteria.dilutionActive && criteria.bankruptcyRisk && criteria.visThreshold;
   
-  // Calculate CDE intensity (how strongly signals converge)
+  // Delisting notice (from the Item 3.01 feed via fetchBankruptcyInputs)
+  const delistingNotice = financialInputs.delistingNotice || null;
+  if (delistingNotice) {
+    console.log(`   🚨 Delisting notice: ${formatNotice(delistingNotice)}`);
+  }
+  
+  // Calculate CDE intensity (how strongly signals converge) - an exchange clock adds 10
   const cdeIntensity = isCDE ? 
-    Math.round((analysis.score + analysis.vis + (dilution.recentFilings * 10)) / 3) : 0;
+    Math.min(100, Math.round((analysis.score + analysis.vis + (dilution.recentFilings * 10)) / 3) + (delistingNotice ? 10 : 0)) : 0;
   
   return {
     symbol,
@@ -257,6 +239,7 @@ async function analyzeCDE(symbol) {
     vis: analysis.vis,
     viralityScore: analysis.virality?.score || 0,
     dilution,
+    delistingNotice,
     analysis,
     summary: isCDE 
       ? `🔥 CDE DETECTED — ${passCount}/3 signals converging`
@@ -272,7 +255,7 @@ function getCandidatesFromSignals() {
   const candidates = new Set();
   
   // Load bankruptcy watchlist/alerts
-  const bankruptcyData = loadJson(BANKRUPTCY_SIGNALS_FILE);
+  const bankruptcyData = readDocument('bankruptcy_signals');
   if (bankruptcyData) {
     // Add prime alerts
     (bankruptcyData.primeAlerts || []).forEach(a => candidates.add(a.symbol));
@@ -285,11 +268,14 @@ function getCandidatesFromSignals() {
   }
   
   // Load dilution signals
-  const dilutionData = loadJson(DILUTION_SIGNALS_FILE);
+  const dilutionData = loadSignals();
   if (Array.isArray(dilutionData)) {
     dilutionData.forEach(s => candidates.add(s.ticker));
   }
   
+  // Tickers with an open exchange deficiency notice
+  getTickersWithActiveNotices().forEach(t => candidates.add(t));
+  
   return Array.from(candidates);
 }
 
@@ -390,6 +376,7 @@ export async function runCDEScan(options = {}) {
   // Save results
   const results = {
     scannedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     totalScanned: candidates.length,
     cdeEvents: cdeEvents.map(c => ({
       symbol: c.symbol,
@@ -399,6 +386,7 @@ export async function runCDEScan(options = {}) {
       viralityScore: c.viralityScore,
       dilutionActive: c.dilution.hasActiveMechanism,
       recentFilings: c.dilution.recentFilings,
+      delistingNotice: c.delistingNotice ? formatNotice(c.delistingNotice) : null,
       metrics: c.analysis.metrics
     })),
     nearMisses: nearMisses.map(n => ({
@@ -409,21 +397,23 @@ export async function runCDEScan(options = {}) {
     }))
   };
   
-  saveJson(CDE_SIGNALS_FILE, results);
-  console.log(`\n📁 Saved results to ${CDE_SIGNALS_FILE}`);
+  writeDocument('cde_signals', results);
+  console.log(`\n📁 Saved results to cde_signals`);
 
   // Post if requested
   if (post && cdeEvents.length > 0) {
-    const posted = loadPostedCDEs();
+    const registry = loadRegistry();
     
-    // Find first CDE not on cooldown
+    // Find first CDE not on cooldown (CDE's own, or another module posted it this week)
     let targetCDE = null;
     for (const cde of cdeEvents) {
-      if (!isOnCooldown(cde.symbol, posted) || force) {
+      const cooldown = checkCooldown(POSTING_MODULE, cde.symbol, { score: cde.cdeIntensity, registry });
+      if (!cooldown.blocked || force) {
+        if (cooldown.override) console.log(`\n🔓 $${cde.symbol}: ${cooldown.text}`);
         targetCDE = cde;
         break;
       } else {
-        console.log(`\n⏳ $${cde.symbol} on cooldown, checking next...`);
+        console.log(`\n⏳ $${cde.symbol} on cooldown (${cooldown.text}), checking next...`);
       }
     }
 
@@ -442,13 +432,14 @@ export async function runCDEScan(options = {}) {
         console.log('─'.repeat(60));
 
         if (!DRY_RUN) {
-          console.log('\n🚀 Posting to Twitter...');
-          const tweetIds = await postAlertThread(thread);
+          console.log('\n🚀 Publishing...');
+          const result = await publishThread(POSTING_MODULE, thread[0], thread.slice(1), null);
           
-          if (tweetIds?.length) {
-            markCDEAsPosted(targetCDE.symbol);
+          if (result?.tweets?.length) {
+            recordPosting(POSTING_MODULE, [{ ticker: targetCDE.symbol, score: targetCDE.cdeIntensity }]);
+            registerCalls('cde_thread', [{ symbol: targetCDE.symbol, score: targetCDE.cdeIntensity }], { tweetId: result.tweets[0].id });
             console.log(`✅ Posted CDE thread for $${targetCDE.symbol}`);
-            console.log(`   First tweet: https://twitter.com/i/web/status/${tweetIds[0]}`);
+            console.log(`   First post: ${result.posts[0]?.url || result.tweets[0].id}`);
           }
         } else {
           console.log('\n📝 DRY RUN: Would post above thread');
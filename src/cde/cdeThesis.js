@@ -18,11 +18,20 @@
 
 import OpenAI from 'openai';
 import 'dotenv/config';
+import { driverLines, driversTweet } from '../scoreExplanation.js';
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
+/**
+ * Tweet 3 built from the bankruptcy score's top drivers (quoted verbatim)
+ */
+function buildInsolvencyTweet(cdeData) {
+  const { bankruptcyScore, analysis } = cdeData;
+  return driversTweet(`🏚 THE INSOLVENCY CLIFF\n\nWhat drives the ${bankruptcyScore}/100 bankruptcy risk score:`, analysis?.explanation);
+}
+
 /**
  * Generate CDE thread using OpenAI
  */
@@ -38,6 +47,7 @@ export async function generateCDEThread(cdeData) {
   } = cdeData;
 
   const metrics = analysis?.metrics || {};
+  const drivers = driverLines(analysis?.explanation);
   
   const prompt = `You are a sharp financial analyst who detects when multiple failure signals converge on distressed companies. Write a 5-tweet thread about a CRITICAL DISTRESS EVENT (CDE) — where dilution risk, bankruptcy risk, and market attention ALL align at once.
 
@@ -66,6 +76,10 @@ INSOLVENCY SIGNAL:
 - Debt-to-Cash: ${metrics.debtToCashMultiple?.toFixed(1) || 'N/A'}x
 - OCF Trend: ${metrics.ocfTrend || 'N/A'}
 - Revenue Trend: ${metrics.revenueTrend || 'N/A'} (${metrics.revenueChangePct?.toFixed(1) || 0}%)
+- Exchange Delisting Notice: ${metrics.delistingDeficiency ? `${metrics.delistingDeficiency.replace(/_/g, ' ')}${metrics.delistingDeadline ? `, deadline ${metrics.delistingDeadline}` : ''}${metrics.delistingStatus === 'determination' ? ' (determination issued)' : ''}` : 'None'}
+
+BANKRUPTCY SCORE DRIVERS (from the scoring engine - points added to the risk score):
+${drivers.length ? drivers.join('\n') : '- None'}
 
 ═══════════════════════════════════════════════════════════════
 📝 THREAD FORMAT (5 tweets, each under 275 chars)
@@ -84,10 +98,11 @@ Show they NEED cash (this isn't optional dilution)
 Use visual metaphor: "loading the printer", "ammunition ready", etc.
 
 Tweet 3 - THE INSOLVENCY EVIDENCE:
-Lead with runway (${metrics.runwayFormatted || 'critical'})
+${drivers.length ? `Copy this tweet EXACTLY, character for character (the driver lines are quoted verbatim):
+${buildInsolvencyTweet(cdeData)}` : `Lead with runway (${metrics.runwayFormatted || 'critical'})
 Stack the debt/burn/cash numbers
 Use visceral framing: "financial cliff", "bleeding cash", "walls closing in"
-Make it tangible, not abstract
+Make it tangible, not abstract`}
 
 Tweet 4 - THE MARKET SETUP:
 Why this reprices VIOLENTLY (not slowly)
@@ -146,6 +161,9 @@ No tweet numbers, no explanations, just raw tweet content.`;
       return generateFallbackCDEThread(cdeData);
     }
 
+    // Drivers are quoted verbatim - never trust GPT's copy of tweet 3
+    if (drivers.length) tweets[2] = buildInsolvencyTweet(cdeData);
+
     return tweets;
   } catch (error) {
     console.error('OpenAI CDE thread generation failed:', error.message);
@@ -179,7 +197,7 @@ When a distressed company files ATM/shelf offerings, they're not planning growth
 
 They're loading the printer. 🖨️`,
 
-    `🏚 THE INSOLVENCY CLIFF
+    driverLines(analysis?.explanation).length ? buildInsolvencyTweet(cdeData) : `🏚 THE INSOLVENCY CLIFF
 
 • Cash: ${metrics.cashFormatted || 'Low'}
 • Monthly burn: ${metrics.monthlyBurnFormatted || 'High'}
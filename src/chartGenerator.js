@@ -15,6 +15,7 @@
  *   - Auto-detect peak and current candles from data
  *   - Highlight key candles with glow effect (no circles)
  *   - Minimal text annotations
+ *   - Candles are split-adjusted; a split inside the window gets a marker
  */
 
 import 'dotenv/config';
@@ -22,13 +23,12 @@ import { createCanvas } from 'canvas';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { splitAdjustCandles } from './splitEvents.js';
+import { getMarketData } from './vendors/marketData.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_DIR = path.join(__dirname, '..', 'output', 'charts');
 
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // COLOR PALETTE - Dark Mode Professional
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -65,17 +65,14 @@ const COLORS = {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 async function fetchCandles(symbol, days = 7) {
-  const url = `${FMP_BASE}/historical-price-eod/full?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch candles for ${symbol}`);
-  
-  const data = await res.json();
-  if (!Array.isArray(data) || data.length === 0) {
+  const data = await getMarketData().getCandles(symbol);
+  if (data.length === 0) {
     throw new Error(`No candle data for ${symbol}`);
   }
   
   // FMP returns newest first, take last N days and reverse to oldest-first
-  return data.slice(0, days).reverse();
+  // (split-adjusted, so a reverse split doesn't draw as a giant green candle)
+  return splitAdjustCandles(symbol, data.slice(0, days).reverse());
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -344,6 +341,36 @@ export async function generateChart(ticker, candles, annotations = {}, options =
     }
   }
   
+  // ─────────────────────────────────────────────────────────────────────────────
+  // SPLIT MARKER (set by splitAdjustCandles on the first post-split candle)
+  // ─────────────────────────────────────────────────────────────────────────────
+  
+  const splitIdx = chartCandles.findIndex(c => c.splitEvent);
+  if (splitIdx > 0) {
+    const splitColor = '#a371f7'; // Purple - distinct from the orange ATM line
+    const lineX = (xScale(splitIdx - 1) + xScale(splitIdx)) / 2;
+    
+    ctx.strokeStyle = splitColor;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    ctx.moveTo(lineX, padding.top);
+    ctx.lineTo(lineX, padding.top + priceChartHeight);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    // Label just above the zone labels so it can't collide with the ATM pill at the top
+    const splitLabel = chartCandles[splitIdx].splitEvent.label;
+    ctx.font = 'bold 11px -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial';
+    const labelWidth = ctx.measureText(splitLabel).width + 12;
+    ctx.fillStyle = 'rgba(163, 113, 247, 0.2)';
+    roundRect(ctx, lineX - labelWidth / 2, zoneLabelY - 40, labelWidth, 18, 4);
+    ctx.fill();
+    ctx.fillStyle = splitColor;
+    ctx.textAlign = 'center';
+    ctx.fillText(splitLabel, lineX, zoneLabelY - 26);
+  }
+  
   // ─────────────────────────────────────────────────────────────────────────────
   // VOLUME SECTION with label
   // ─────────────────────────────────────────────────────────────────────────────
@@ -32,6 +32,15 @@ export const MOCK_FMP = process.env.MOCK_FMP === 'true' ? true : false;
  */
 export const VERBOSE = process.env.VERBOSE === 'true' ? true : false;
 
+/**
+ * FIXTURE_MODE - network cassettes (see vendors/cassette.js)
+ * - record: live run, every FMP/SEC/OpenAI/Twitter exchange saved to data/fixtures/<FIXTURE_RUN>/
+ * - replay: served from those files instead of the network; unrecorded requests fail the run
+ * - unset: normal
+ */
+export const FIXTURE_MODE = ['record', 'replay'].includes(process.env.FIXTURE_MODE) ? process.env.FIXTURE_MODE : null;
+export const FIXTURE_RUN = process.env.FIXTURE_RUN || null; // replay: run id or 'latest'
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TEST TICKER LIST (Free Tier Mode)
 // ═══════════════════════════════════════════════════════════════════════════
@@ -65,44 +74,292 @@ export const FMP_CONFIG = {
   apiKey: process.env.FMP_API_KEY || '',
   
   // Rate limiting (free tier = 250/day, ~10/hour safe)
-  maxCallsPerDay: 250,
-  maxCallsPerRun: 100,  // Safety cap per scanner run
+  // The daily budget is shared by every process in a day (data/cache/fmp_usage.json)
+  maxCallsPerDay: parseInt(process.env.FMP_MAX_CALLS_PER_DAY || '250'),
+  maxCallsPerRun: parseInt(process.env.FMP_MAX_CALLS_PER_RUN || '100'),  // Safety cap per process
   delayBetweenCalls: 200, // ms between API calls to avoid rate limits
   
+  // 429 backoff: retryDelay doubles each attempt unless FMP sends Retry-After
+  maxRetries: 3,
+  retryDelay: 2000,
+  
+  // Response cache is keyed by endpoint + params + trading day, so statements and
+  // EOD candles are fetched once per session. Intraday endpoints also expire by age.
+  intradayCacheTtl: 5 * 60 * 1000, // 5 minutes (quotes, movers, news)
+  
   // Timeouts
   requestTimeout: 10000, // 10 seconds
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
-// SCANNER THRESHOLDS
+// MARKET DATA PROVIDER (quotes, candles, profile, statements, insiders)
 // ═══════════════════════════════════════════════════════════════════════════
 
-export const SCANNER_THRESHOLDS = {
-  // Minimum weekly gain % to consider (parabolic filter)
-  minWeeklyGainPct: 200,
-  
-  // Alternative: minimum 5-day gain %
-  min5DayGainPct: 150,
-  
-  // Volume fade threshold (today's volume vs yesterday's, as ratio)
-  volumeFadeRatio: 0.7, // today < 70% of yesterday = volume fade
-  
-  // Minimum volume for consideration (filter out illiquid junk)
-  minAvgVolume: 100000,
-  
-  // Cash/debt ratio threshold (lower = more dilution risk)
-  cashDebtRatioThreshold: 0.5, // cash < 50% of debt = risky
-  
-  // Offering size relative to market cap (higher = more dilution)
-  offeringSizeToMcapThreshold: 0.1, // offering > 10% of mcap = significant
-  
-  // Candle lookback for analysis
-  candleLookbackDays: 30,
-  
-  // Minimum score to trigger a signal (0-1 scale)
-  minScoreToTrigger: 0.6,
+export const MARKET_DATA_CONFIG = {
+  // 'fmp' (live, default) or 'local' (CSV/JSON dataset - see vendors/localMarketData.js)
+  provider: process.env.MARKET_DATA_PROVIDER || 'fmp',
+
+  // Local provider: dataset directory and optional point-in-time cutoff (YYYY-MM-DD)
+  localDir: process.env.MARKET_DATA_DIR || './data/market/',
+  asOf: process.env.MARKET_DATA_AS_OF || null,
+
+  // Local statements without a filing date count as public this long after period end
+  statementLagDays: 45,
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SEC EDGAR SETTINGS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const SEC_CONFIG = {
+  // SEC requires a descriptive User-Agent with contact info
+  userAgent: process.env.SEC_USER_AGENT || 'DilutionHunter/1.0 (dilutionhunter@proton.me)',
+
+  // Fair access policy: max 10 requests/second across all our scanners
+  maxRequestsPerSecond: 10,
+
+  // Retries (EDGAR full-text search is flaky - 5xx are common)
+  maxRetries: 5,
+  retryDelay: 10000, // ms, multiplied by attempt number (10s, 20s, 30s...)
+  requestTimeout: 15000, // 15 seconds
+
+  // Full-text search returns at most 100 hits per page, 10,000 per query
+  searchPageSize: 100,
+  searchMaxHits: 10000,
+
+  // On-disk response cache
+  cacheTtl: 60 * 60 * 1000, // 1 hour
+
+  // company_tickers_exchange.json (CIK → tickers) refresh interval
+  tickerMapTtl: 24 * 60 * 60 * 1000, // 1 day
+
+  // 424B5 prospectus parsing (getATMProgram)
+  atmLookbackDays: 90, // how far back getLatestATMProgram looks for a 424B5
+  maxProspectusesPerTicker: 3, // 424B5s tried per ticker before giving up
+
+  // ATM usage ledger (10-Q/10-K "sold X shares under the ATM" disclosures)
+  atmLedgerLookbackDays: 365, // oldest 424B5 we'll track usage against
+  atmLedgerMaxReports: 8, // 10-Q/10-Ks fetched per issuer per run
+
+  // XBRL companyfacts (second fundamentals source when FMP statements are empty)
+  companyFactsTtl: 12 * 60 * 60 * 1000, // 12 hours - facts only change when a 10-Q/10-K lands
+  xbrlConflictTolerance: 0.05, // FMP vs SEC values more than 5% apart get flagged
+
+  // Going-concern language in 10-K/10-Q (goingConcern.js)
+  goingConcernLookbackDays: 2 * 365, // enough history to see the language appear / disappear
+  goingConcernMaxReports: 4, // unseen reports fetched per ticker per run (10-Ks are large)
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SPLIT EVENTS (reverse-split detection + price adjustment)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const SPLIT_CONFIG = {
+  // Overnight jump (either direction) that makes us look up split events
+  gapRatio: 1.8,
+
+  // "Recent reverse split" risk flag window
+  recentReverseSplitDays: 90,
+
+  // How far back to read 8-K Items 5.03 / 3.03
+  eightKLookbackDays: 365,
+
+  cacheTtl: 12 * 60 * 60 * 1000, // 12 hours
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DELISTING NOTICES (8-K Item 3.01)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const DELISTING_CONFIG = {
+  // Default 8-K search window per scan (weekly job)
+  scanLookbackDays: 7,
+  maxFilingsPerScan: 300,
+
+  // A notice counts as unresolved for this long unless a "regained compliance" 8-K follows
+  activeNoticeDays: 365,
+
+  // Notices older than this are dropped from the feed
+  retentionDays: 2 * 365,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SIGNAL SCORECARD (scorecard.js - forward performance of every posted call)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const SCORECARD_CONFIG = {
+  // Forward returns, in trading days after the close on the post date
+  horizons: [1, 5, 20, 60],
+
+  // Horizon the hit rate headline and the receipts tweet use
+  hitHorizon: 20,
+
+  // Receipts tweet needs at least this many graded calls in the month
+  receiptsMinCalls: 3,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCORE HISTORY (scoreHistory.js - every score a scan or leaderboard produced)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const SCORE_HISTORY_CONFIG = {
+  // Window trends compare over ("VIS up 15 points in 2 weeks")
+  trendDays: 14,
+
+  // Smallest change (score points) labeled deteriorating / improving
+  minDelta: 5,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POSTING REGISTRY (postingRegistry.js - one cooldown policy for every module)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const envDays = (name, fallback) => process.env[name] !== undefined ? parseInt(process.env[name]) : fallback;
+
+export const POSTING_CONFIG = {
+  // Days before the same module posts a ticker again
+  // cooldownDays: null = the module's scoring.config.json value (cde.cooldownDays)
+  modules: {
+    dilution:       { label: 'Dilution leaderboard', cooldownDays: envDays('DILUTION_COOLDOWN_DAYS', 30) },
+    delisting:      { label: 'Delisting leaderboard', cooldownDays: envDays('DELISTING_COOLDOWN_DAYS', 30) },
+    shelf:          { label: 'Shelf leaderboard', cooldownDays: envDays('SHELF_COOLDOWN_DAYS', 30) },
+    bankruptcy_lb:  { label: 'Bankruptcy leaderboard', cooldownDays: envDays('BANKRUPTCY_LB_COOLDOWN_DAYS', 30) },
+    insider:        { label: 'Insider selling leaderboard', cooldownDays: envDays('INSIDER_COOLDOWN_DAYS', 30) },
+    insider_buying: { label: 'Insider buying leaderboard', cooldownDays: envDays('INSIDER_BUY_COOLDOWN_DAYS', 30) },
+    bankruptcy:     { label: 'Bankruptcy thread', cooldownDays: envDays('BANKRUPTCY_COOLDOWN_DAYS', 30) },
+    cde:            { label: 'CDE thread', cooldownDays: null },
+    roundup:        { label: 'Weekly ATM roundup', cooldownDays: Infinity, global: false },  // lists every new filer once, never repeats
+    content:        { label: 'Daily content', cooldownDays: 0 },  // bucket rules in contentManager.shouldTweet
+  },
+
+  // After ANY module posts a ticker, every other module waits this long
+  // (modules with global: false neither wait nor make others wait)
+  globalCooldownDays: envDays('GLOBAL_COOLDOWN_DAYS', 7),
+
+  // Posting again at a score this many points above the score the module last
+  // posted the ticker at lifts both cooldowns (scores only compare within a module)
+  overrideScoreJump: envDays('COOLDOWN_OVERRIDE_SCORE_JUMP', 15),
+
+  // Thread jobs (threadJobs.js): a job still marked posting is another run's
+  // for this long, and jobs untouched for retentionDays are dropped
+  threadJobLeaseMinutes: 15,
+  threadJobRetentionDays: 30,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STORAGE (src/store/ - where signals, posts, cooldowns and scores live)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const STORAGE_CONFIG = {
+  // 'json' = flat files in data/ (default), 'sqlite' = DATA_PATHS.database
+  // Switch with `node src/store/migrateToSqlite.js` first so nothing is lost
+  backend: process.env.STORAGE_BACKEND || 'json',
+
+  // How long a SQLite writer waits for another process's lock (ms)
+  busyTimeoutMs: 10000,
+
+  // JSON data file locks (src/store/dataFile.js): how long a writer waits for
+  // <file>.lock, and when a lock left behind by a killed run is ignored (ms)
+  lockTimeoutMs: 10000,
+  lockStaleMs: 60000,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DILUTION SEVERITY SCORE (weekly dilution leaderboard)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Points each DSS component is worth (sum to 100) - check atmBacktest.js before changing
+export const DSS_WEIGHTS = {
+  distress: 40,
+  impact: 40,
+  attention: 20,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ATM / DSS BACKTEST (atmBacktest.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const ATM_BACKTEST_CONFIG = {
+  // Forward returns, in trading days after the filing week's close
+  horizons: [5, 20, 60],
+
+  // Peak-to-trough drawdown window (trading days)
+  drawdownDays: 60,
+
+  // Horizon the calibration report fits suggested weights against
+  calibrationHorizon: 60,
+
+  // DSS buckets in the report
+  buckets: 10,
+
+  // Statement rows requested per ticker (enough to cover older filings)
+  statementLimit: 20,
+
+  // EDGAR search cap when no stored filing list is given
+  maxFilings: 1000,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BANKRUPTCY BACKTEST (point-in-time replay of scoreBankruptcyRisk)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const BANKRUPTCY_BACKTEST_CONFIG = {
+  // Default replay window: quarter-ends this far back, stopping once outcomes can't be complete
+  lookbackYears: 3,
+
+  // Chapter 11 / delisting / reverse split / share growth count if they happen within this window
+  horizonDays: 365,
+
+  // Forward return windows (calendar days after the as-of date)
+  returnWindows: [90, 180],
+
+  // Binary outcome thresholds
+  dilutionPct: 50, // share count up 50%+ over the horizon
+  crashPct: -50, // forward return of -50% or worse
+
+  // A symbol must have traded this close to the as-of date to be scored
+  maxStaleDays: 10,
+
+  // A factor "fires" when it scores at least this share of its max points
+  factorFireShare: 0.5,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WEIGHT TUNING (tuneWeights.js - fitted factor weights per scoring engine)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const WEIGHT_TUNING_CONFIG = {
+  // Engines score with the active tuned version; USE_TUNED_WEIGHTS=false pins the built-in constants
+  useTuned: process.env.USE_TUNED_WEIGHTS !== 'false',
+
+  // Latest share of rows (by date) held out to compare before/after AUC
+  holdoutShare: 0.3,
+
+  // Refuse to fit on less than this
+  minRows: 40,
+  minPositives: 5, // per split (train and holdout)
+
+  // Logistic regression (batch gradient descent, non-negative coefficients)
+  iterations: 3000,
+  learningRate: 0.5,
+  l2: 0.01,
+
+  // Coordinate search: weight moved per step, halved when no move helps
+  coordinateStep: 0.1,
+  coordinateMinStep: 0.005,
+
+  // Outcome the bankruptcy engine is fitted against (bankruptcyBacktest.js outcome key)
+  bankruptcyLabel: 'adverse',
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCORING THRESHOLDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Scanner, engine and leaderboard thresholds live in scoring.config.json
+// (loaded + validated by scoringConfig.js, overridable with SCORING_CONFIG=<path>
+// or a CLI's --config <path>)
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TWITTER / X SETTINGS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -122,6 +379,58 @@ export const TWITTER_CONFIG = {
   accessSecret: process.env.TWITTER_ACCESS_SECRET || '',
 };
 
+// ═══════════════════════════════════════════════════════════════════════════
+// PUBLISHING (publisher.js - which channels each module's posts fan out to)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const envChannels = (name, fallback) => process.env[name]
+  ? process.env[name].split(',').map(c => c.trim().toLowerCase()).filter(Boolean)
+  : fallback;
+
+const DEFAULT_CHANNELS = envChannels('PUBLISH_CHANNELS', ['x']);
+
+// Modules that publish (POSTING_CONFIG modules + the ones without cooldowns)
+const PUBLISHING_MODULES = [
+  'dilution', 'delisting', 'shelf', 'bankruptcy_lb', 'insider', 'insider_buying',
+  'bankruptcy', 'cde', 'roundup', 'content', 'bankruptcy_radar', 'bankruptcy_filings', 'pipeline'
+];
+
+export const PUBLISHING_CONFIG = {
+  // Channels every module posts to unless PUBLISH_CHANNELS_<MODULE> says otherwise
+  // e.g. PUBLISH_CHANNELS=x  PUBLISH_CHANNELS_BANKRUPTCY_LB=x,discord,telegram
+  defaultChannels: DEFAULT_CHANNELS,
+  modules: Object.fromEntries(PUBLISHING_MODULES.map(m => [m, envChannels(`PUBLISH_CHANNELS_${m.toUpperCase()}`, DEFAULT_CHANNELS)])),
+
+  // Credentials + endpoints per channel (base URLs are overridable so an
+  // adapter can be pointed at a local stand-in server)
+  channels: {
+    x: {
+      // Credentials in TWITTER_CONFIG
+      apiBase: process.env.TWITTER_API_BASE || 'https://api.twitter.com',
+      uploadBase: process.env.TWITTER_UPLOAD_BASE || 'https://upload.twitter.com',
+    },
+    discord: {
+      webhookUrl: process.env.DISCORD_WEBHOOK_URL || '',
+      username: process.env.DISCORD_USERNAME || 'DilutionHunter',
+    },
+    telegram: {
+      apiBase: process.env.TELEGRAM_API_BASE || 'https://api.telegram.org',
+      botToken: process.env.TELEGRAM_BOT_TOKEN || '',
+      chatId: process.env.TELEGRAM_CHAT_ID || '',
+    },
+    bluesky: {
+      service: process.env.BLUESKY_SERVICE || 'https://bsky.social',
+      handle: process.env.BLUESKY_HANDLE || '',
+      appPassword: process.env.BLUESKY_APP_PASSWORD || '',
+    },
+    mastodon: {
+      instance: process.env.MASTODON_INSTANCE || '',
+      accessToken: process.env.MASTODON_ACCESS_TOKEN || '',
+      visibility: process.env.MASTODON_VISIBILITY || 'public',
+    },
+  },
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // OPENAI SETTINGS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -138,10 +447,31 @@ export const OPENAI_CONFIG = {
 // ═══════════════════════════════════════════════════════════════════════════
 
 export const DATA_PATHS = {
+  dataDir: './data/', // JSON store root: leaderboards, *_posted.json cooldowns, scan snapshots
+  database: './data/dilutionhunter.db', // SQLite store (STORAGE_BACKEND=sqlite)
   activeSignals: './data/active_signals.json',
   performanceHistory: './data/performance_history.json',
   dailyLog: './data/daily_log.json', // tracks API usage, tweets sent, etc.
+  tweetHistory: './data/tweet_history.json', // every posted ticker + bucket (content cooldowns)
   mockData: './data/mock/', // folder for cached/mock FMP responses
+  fixtures: './data/fixtures/', // recorded network cassettes, one folder per run id
+  fmpCache: './data/cache/fmp/', // FMP responses by trading day (not committed)
+  fmpUsage: './data/cache/fmp_usage.json', // FMP calls made today, shared across processes (not committed)
+  secCache: './data/cache/sec/', // cached SEC EDGAR responses (not committed)
+  secTickerMap: './data/cache/company_tickers_exchange.json', // SEC CIK → ticker map (not committed)
+  tickerHistory: './data/ticker_history.json', // ticker changes per CIK we've seen in filings
+  atmPrograms: './data/cache/atm_programs.json', // parsed 424B5 ATM terms by accession number (not committed)
+  atmLedger: './data/atm_ledger.json', // per-issuer ATM capacity / used / remaining
+  shareHistory: './data/share_history.json', // shares outstanding over time (cover page + FMP snapshots)
+  splitEvents: './data/cache/split_events.json', // FMP + 8-K split events by ticker (not committed)
+  delistingNotices: './data/delisting_notices.json', // 8-K Item 3.01 exchange deficiency notices
+  goingConcern: './data/going_concern.json', // going-concern language per 10-K/10-Q by ticker
+  backtests: './data/backtests/', // backtest results (JSON per run)
+  scorecard: './data/scorecard.json', // every published call + its forward performance
+  weights: './data/weights/', // tuned factor weights, one versioned JSON per scoring engine
+  scoringConfigs: './data/scoring_configs/', // every scoring config + weights version a signal was stamped with
+  scoreHistory: './data/score_history.jsonl', // append-only score per ticker / engine / day (scans + leaderboards)
+  threadJobs: './data/thread_jobs.json', // every live X thread: content hash + per-tweet ids, for resuming
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -155,6 +485,7 @@ export function logConfig() {
   console.log(`   DRY_RUN:     ${DRY_RUN ? '✅ ON (no external side effects)' : '🔴 OFF (LIVE MODE)'}`);
   console.log(`   MOCK_FMP:    ${MOCK_FMP ? '✅ ON (using cached data)' : '❌ OFF (real FMP calls)'}`);
   console.log(`   VERBOSE:     ${VERBOSE ? '✅ ON' : '❌ OFF'}`);
+  if (FIXTURE_MODE) console.log(`   FIXTURES:    ${FIXTURE_MODE} (${FIXTURE_RUN || 'new run'})`);
   console.log(`   Test Tickers: ${TEST_TICKERS.length} symbols`);
   console.log(`   FMP API Key: ${FMP_CONFIG.apiKey ? '✅ Set' : '❌ Missing'}`);
   console.log(`   Twitter Key: ${TWITTER_CONFIG.apiKey ? '✅ Set' : '❌ Missing'}`);
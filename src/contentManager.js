@@ -7,6 +7,7 @@
  *   🎯 ACTIONABLE   - Meets all criteria NOW, real-time tip
  * 
  * Tracking Rules:
+ *   - Nothing another module posted in the last week (postingRegistry.js)
  *   - Case Studies: Tweet once, don't repeat
  *   - Watch List: Can be promoted to Actionable (re-tweet if upgraded)
  *   - Actionable: Can become Case Study (follow-up showing outcome)
@@ -17,12 +18,10 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
+import './scoringConfigFlag.js';
 import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const HISTORY_FILE = path.join(__dirname, '..', 'data', 'tweet_history.json');
+import { loadTweetHistory, addTweetRecord, saveTweetHistory } from './storage.js';
+import { checkCooldown, recordPosting } from './postingRegistry.js';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CLASSIFICATION LOGIC
@@ -137,34 +136,25 @@ export function classifyTicker(ticker) {
 // TWEET HISTORY TRACKING
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function ensureDataDir() {
-  const dir = path.dirname(HISTORY_FILE);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
-
+/**
+ * Posted content, oldest first (tweet_history in the store)
+ * @returns {Object} { tweets, lastUpdated }
+ */
 export function loadHistory() {
-  ensureDataDir();
-  if (!fs.existsSync(HISTORY_FILE)) {
-    return { tweets: [], lastUpdated: null };
-  }
-  return JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf-8'));
+  const tweets = loadTweetHistory();
+  return { tweets, lastUpdated: tweets.length ? tweets[tweets.length - 1].timestamp : null };
 }
 
 export function saveHistory(history) {
-  ensureDataDir();
-  history.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+  saveTweetHistory(history.tweets);
 }
 
 /**
  * Record a tweet in history
+ * The same ticker + bucket on the same day is only recorded once.
  */
 export function recordTweet(ticker, bucket, notes = '') {
-  const history = loadHistory();
-  
-  history.tweets.push({
+  addTweetRecord({
     ticker: ticker.ticker,
     bucket,
     date: new Date().toISOString().split('T')[0],
@@ -175,9 +165,9 @@ export function recordTweet(ticker, bucket, notes = '') {
     filingDate: ticker.fileDate,
     notes
   });
+  recordPosting('content', [ticker.ticker]);
   
-  saveHistory(history);
-  return history;
+  return loadHistory();
 }
 
 /**
@@ -199,6 +189,12 @@ export function shouldTweet(ticker, classification) {
     };
   }
   
+  // Another module (leaderboard, bankruptcy/CDE thread) posted it this week
+  const cooldown = checkCooldown('content', ticker.ticker);
+  if (cooldown.blocked) {
+    return { shouldTweet: false, reason: `Cross-module cooldown: ${cooldown.text}`, previousTweets };
+  }
+  
   if (previousTweets.length === 0) {
     return { shouldTweet: true, reason: 'Never tweeted about this ticker', previousTweets };
   }
@@ -15,6 +15,7 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import OpenAI from 'openai';
 import fs from 'fs';
 import path from 'path';
@@ -22,13 +23,14 @@ import { fileURLToPath } from 'url';
 
 import { classifyTicker, generateGPTContext, shouldTweet, recordTweet, loadHistory } from './contentManager.js';
 import { generateChart, fetchCandles } from './chartGenerator.js';
+import { getXbrlFundamentals, mergeFundamentals } from './vendors/secXbrl.js';
+import { fmpGet } from './vendors/fmp.js';
+import { scoringVersion } from './scoringConfig.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_DIR = path.join(__dirname, '..', 'output');
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // FINANCIAL HEALTH DATA (Balance Sheet + Cash Flow)
@@ -39,14 +41,18 @@ const FMP_BASE = 'https://financialmodelingprep.com/stable';
  */
 async function fetchFinancialHealth(ticker) {
   try {
-    // Fetch balance sheet and cash flow in parallel
-    const [balanceRes, cashFlowRes] = await Promise.all([
-      fetch(`${FMP_BASE}/balance-sheet-statement?symbol=${ticker}&period=quarter&limit=1&apikey=${FMP_KEY}`),
-      fetch(`${FMP_BASE}/cash-flow-statement?symbol=${ticker}&period=quarter&limit=2&apikey=${FMP_KEY}`)
+    // Fetch balance sheet and cash flow in parallel (SEC XBRL fills what FMP lacks)
+    const [fmpBalance, fmpCashFlow, xbrl] = await Promise.all([
+      fmpGet(`/balance-sheet-statement?symbol=${ticker}&period=quarter&limit=1`),
+      fmpGet(`/cash-flow-statement?symbol=${ticker}&period=quarter&limit=2`),
+      getXbrlFundamentals(ticker, 2).catch(() => null)
     ]);
     
-    const balanceSheet = await balanceRes.json();
-    const cashFlow = await cashFlowRes.json();
+    const merged = mergeFundamentals({
+      balanceSheet: fmpBalance || [],
+      cashFlow: fmpCashFlow || []
+    }, xbrl, 2);
+    const { balanceSheet, cashFlow } = merged;
     
     if (!balanceSheet?.length || !cashFlow?.length) {
       console.log(`   ⚠️  No financial data available for ${ticker}`);
@@ -105,6 +111,7 @@ async function fetchFinancialHealth(ticker) {
       // Report date
       reportDate: bs.date,
       reportPeriod: bs.period,
+      dataSource: bs.source || 'fmp',
       
       // Distress indicators
       isDistressed: (runwayMonths !== null && runwayMonths < 6) || (totalDebt > cash * 5),
@@ -409,9 +416,8 @@ async function generateContent(context) {
 
 async function getTickerData(symbol) {
   // Get quote
-  const quoteRes = await fetch(`${FMP_BASE}/quote?symbol=${symbol}&apikey=${FMP_KEY}`);
-  const quoteData = await quoteRes.json();
-  const quote = quoteData[0];
+  const quoteData = await fmpGet(`/quote?symbol=${symbol}`);
+  const quote = quoteData?.[0];
   
   if (!quote) throw new Error(`No quote data for ${symbol}`);
   
@@ -562,6 +568,7 @@ export async function runPipeline(ticker, options = {}) {
   const outputData = {
     ticker: tickerData.ticker,
     generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     classification: {
       bucket: classification.bucket,
       reason: classification.reason,
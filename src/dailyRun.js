@@ -13,13 +13,17 @@
  */
 
 import 'dotenv/config';
+// Network cassettes (FIXTURE_MODE) - must load before anything creates an HTTP client
+import './vendors/cassette.js';
+import './scoringConfigFlag.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 import { getAllCandidates, selectDailyPosts } from './dailySelector.js';
 import { runPipeline } from './contentPipeline.js';
-import { postAlertThread } from './twitterPoster.js';
+import { publishThread } from './publisher.js';
+import { registerCalls } from './scorecard.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_DIR = path.join(__dirname, '..', 'output');
@@ -196,7 +200,7 @@ ${'─'.repeat(40)}
   
   // Step 4: Display/Post
   console.log(`\n${'━'.repeat(60)}`);
-  console.log(`STEP 4: ${live ? 'Posting to Twitter' : 'Preview (DRY RUN)'}...`);
+  console.log(`STEP 4: ${live ? 'Publishing' : 'Preview (DRY RUN)'}...`);
   console.log('━'.repeat(60));
   
   const results = [];
@@ -206,12 +210,18 @@ ${'─'.repeat(40)}
     
     if (live) {
       try {
-        const result = await postAlertThread(
+        const result = await publishThread(
+          'content',
           content.tweets.hook,
           content.tweets.breakdown,
           content.chartPath
         );
         results.push({ ticker: content.ticker, ...result });
+        registerCalls('daily_alert', [{
+          ticker: content.ticker,
+          score: content.classification?.riskScore,
+          price: content.tickerData?.price
+        }], { tweetId: result.tweets?.[0]?.id });
       } catch (err) {
         console.error(`❌ Failed to post $${content.ticker}: ${err.message}`);
         results.push({ ticker: content.ticker, error: err.message });
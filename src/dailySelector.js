@@ -27,18 +27,20 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
+import './scoringConfigFlag.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { classifyTicker, shouldTweet, loadHistory } from './contentManager.js';
+import { searchFilings } from './vendors/sec.js';
+import { resolveFilings, logUnresolved } from './vendors/secTickers.js';
+import { splitAdjustCandles } from './splitEvents.js';
+import { fmpGet, getHistoricalPrices } from './vendors/fmp.js';
+import { readDataFile, writeDataFile } from './store/dataFile.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const CACHE_FILE = path.join(__dirname, '..', 'data', 'candidates_cache.json');
 const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
 
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
-const SEC_USER_AGENT = 'DilutionHunter/1.0 (dilutionhunter@proton.me)';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CACHE HELPERS
@@ -46,8 +48,8 @@ const SEC_USER_AGENT = 'DilutionHunter/1.0 (dilutionhunter@proton.me)';
 
 function loadCache() {
   try {
-    if (!fs.existsSync(CACHE_FILE)) return null;
-    const data = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'));
+    const data = readDataFile(CACHE_FILE, null);
+    if (!data) return null;
     const age = Date.now() - new Date(data.timestamp).getTime();
     if (age > CACHE_TTL_MS) {
       console.log(`   Cache expired (${Math.round(age / 60000)} min old)`);
@@ -62,12 +64,10 @@ function loadCache() {
 
 function saveCache(candidates) {
   try {
-    const dir = path.dirname(CACHE_FILE);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(CACHE_FILE, JSON.stringify({
+    writeDataFile(CACHE_FILE, {
       timestamp: new Date().toISOString(),
       candidates
-    }, null, 2));
+    });
   } catch (err) {
     console.warn(`   Warning: Could not save cache: ${err.message}`);
   }
@@ -77,56 +77,36 @@ function saveCache(candidates) {
 // SEC EDGAR - Fetch ATM filings
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function searchSECFilings(query, forms, startDate, endDate, limit = 100) {
-  const url = new URL('https://efts.sec.gov/LATEST/search-index');
-  url.searchParams.set('q', query);
-  url.searchParams.set('dateRange', 'custom');
-  url.searchParams.set('startdt', startDate);
-  url.searchParams.set('enddt', endDate);
-  url.searchParams.set('forms', forms);
-  url.searchParams.set('size', limit.toString());
-
-  const res = await fetch(url.toString(), {
-    headers: { 'User-Agent': SEC_USER_AGENT }
-  });
-
-  if (!res.ok) throw new Error(`SEC API error: ${res.status}`);
-  const data = await res.json();
-  return data.hits?.hits || [];
-}
-
-function extractTicker(displayName) {
-  const match = displayName?.match(/\(([A-Z]{1,5})/);
-  return match ? match[1] : null;
-}
-
 async function getRecentATMFilings(days = 30) {
   const endDate = new Date().toISOString().split('T')[0];
   const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-  const filings = await searchSECFilings(
+  const filings = await searchFilings(
     '"at-the-market" OR "ATM offering" OR "equity distribution agreement"',
     '424B5',
     startDate,
     endDate,
-    200
+    { limit: 200, throwOnError: true }
   );
 
+  const { resolved, unresolved } = await resolveFilings(filings);
+  logUnresolved(unresolved, 'ATM filings');
+
   const tickerMap = new Map();
   
-  for (const filing of filings) {
-    const source = filing._source;
-    const ticker = extractTicker(source.display_names?.[0]);
+  for (const { hit, ticker, tickers, cik, companyName } of resolved) {
+    const source = hit._source;
     if (!ticker) continue;
 
     const existing = tickerMap.get(ticker);
     if (!existing || source.file_date > existing.fileDate) {
       tickerMap.set(ticker, {
         ticker,
-        companyName: source.display_names?.[0]?.split('  (')[0] || ticker,
+        tickers,
+        companyName: companyName || ticker,
         fileDate: source.file_date,
         form: source.form,
-        cik: source.ciks?.[0]
+        cik
       });
     }
   }
@@ -139,22 +119,16 @@ async function getRecentATMFilings(days = 30) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 async function getQuote(symbol) {
-  const url = `${FMP_BASE}/quote?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
-  return data[0] || null;
+  const data = await fmpGet(`/quote?symbol=${symbol}`);
+  return data?.[0] || null;
 }
 
 async function getDailyCandles(symbol, days = 7) {
-  const url = `${FMP_BASE}/historical-price-eod/full?symbol=${symbol}&apikey=${FMP_KEY}`;
-  const res = await fetch(url);
-  if (!res.ok) return null;
-  const data = await res.json();
+  const data = await getHistoricalPrices(symbol);
   
-  if (!Array.isArray(data) || data.length < 2) return null;
+  if (data.length < 2) return null;
   
-  const candles = data.slice(0, days + 5).reverse();
+  const candles = await splitAdjustCandles(symbol, data.slice(0, days + 5).reverse());
   const window = candles.slice(-days);
   if (window.length < 2) return null;
   
@@ -0,0 +1,401 @@
+/**
+ * DELISTING SCANNER - 8-K Item 3.01 exchange deficiency notices
+ *
+ * Item 3.01 ("Notice of Delisting or Failure to Satisfy a Continued Listing
+ * Rule") is filed within 4 business days of the exchange letter:
+ *   "On March 3, 2025, the Company received a letter from the Listing
+ *    Qualifications Department of The Nasdaq Stock Market notifying the
+ *    Company that ... the closing bid price ... was below $1.00 ... The
+ *    Company has 180 calendar days, or until September 2, 2025, to regain
+ *    compliance."
+ *
+ * Each notice is classified by deficiency:
+ *   bid_price           - sub-$1.00 closing bid (reverse split usually follows)
+ *   stockholders_equity - equity below the exchange minimum
+ *   late_filing         - 10-K/10-Q not filed on time
+ *   market_value        - MVLS / MVPHS / average market cap below minimum
+ *   other               - audit committee, annual meeting, etc.
+ * and by status: deficiency (cure period running), determination (delisting
+ * decided / hearing requested) or regained (compliance regained).
+ *
+ * The compliance deadline is read from the filing when stated, otherwise
+ * computed from the cure period it describes (180 days, six months, ...).
+ *
+ * Feed: data/delisting_notices.json - consumed by the bankruptcy score engine
+ * (risk flag), the CDE detector and the weekly Delisting Watch leaderboard.
+ *
+ * Usage:
+ *   node src/delistingScanner.js                 # Scan the last 7 days of 8-Ks
+ *   node src/delistingScanner.js --days=30       # Wider scan
+ *   node src/delistingScanner.js --ticker=MULN   # Show stored notices for one ticker
+ */
+
+import 'dotenv/config';
+
+import { DELISTING_CONFIG, DATA_PATHS } from './config.js';
+import { readDataFile, updateDataFile } from './store/dataFile.js';
+import { searchFilings, secGet } from './vendors/sec.js';
+import { resolveFilings, logUnresolved } from './vendors/secTickers.js';
+import { htmlToText } from './vendors/secProspectus.js';
+
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFICIENCY_LABELS = {
+  bid_price: 'Bid price < $1',
+  stockholders_equity: 'Stockholders\' equity',
+  late_filing: 'Late filing',
+  market_value: 'Market value',
+  other: 'Listing rule'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEED FILE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function loadDelistingNotices() {
+  return readDataFile(DATA_PATHS.delistingNotices, { notices: [] });
+}
+
+/**
+ * Add new notices to the feed on disk (locked, so notices another scan saved
+ * meanwhile are kept) and drop the ones past retention
+ * @returns {Object} The saved feed
+ */
+function saveDelistingNotices(added) {
+  const cutoff = new Date(Date.now() - DELISTING_CONFIG.retentionDays * DAY_MS).toISOString().split('T')[0];
+  return updateDataFile(DATA_PATHS.delistingNotices, { notices: [] }, feed => {
+    const known = new Set(feed.notices.map(n => n.accessionNumber));
+    feed.notices.push(...added.filter(n => !known.has(n.accessionNumber)));
+    // Drop notices nothing reads anymore
+    feed.notices = feed.notices
+      .filter(n => n.filingDate >= cutoff)
+      .sort((a, b) => b.filingDate.localeCompare(a.filingDate));
+    feed.updatedAt = new Date().toISOString();
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NOTICE PARSER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const DATE = String.raw`((?:${MONTHS.join('|')})\s+\d{1,2},\s+\d{4})`;
+
+const ITEM_301 = /Item\s+3\.01|Notice of Delisting|Failure to Satisfy a Continued Listing/i;
+
+// Sentences that say the company is out of compliance (vs. merely listing the rules)
+const NONCOMPLIANCE = /not in compliance|non-?compliance|does not comply|did not comply|no longer (?:meets|complies|in compliance|satisfie)|fail(?:ed|s|ure)? to (?:comply|meet|satisfy|maintain|timely)|below|deficien|did not (?:timely )?file|not (?:been )?timely filed|has not (?:yet )?filed/i;
+
+const DEFICIENCY_PATTERNS = {
+  bid_price: /minimum bid price|bid price requirement|closing bid price|Rule 5550\(a\)\(2\)|Rule 5450\(a\)\(1\)|average closing price[^.]{0,80}\$1\.00|Section 802\.01C/i,
+  stockholders_equity: /stockholders'? equity|shareholders'? equity|Rule 5550\(b\)\(1\)|Rule 5450\(b\)\(1\)\(A\)|Section 1003\(a\)/i,
+  late_filing: /timely fil|Rule 5250\(c\)|delinquen|did not (?:timely )?file|not (?:been )?timely filed|has not (?:yet )?filed|Section 1007/i,
+  market_value: /market value of listed securities|\bMVLS\b|market value of publicly held shares|\bMVPHS\b|Rule 5550\(b\)\(2\)|Rule 5450\(b\)\(2\)\(A\)|Rule 5550\(a\)\(5\)|Rule 5450\(b\)\(1\)\(C\)|average global market capitalization|Section 802\.01B/i
+};
+
+const DETERMINATION = /delisting determination|Staff Determination|determined to delist|(?:will|to) be suspended|suspend(?:ed)? trading|Form 25|request(?:ed)? a hearing|Hearings? Panel/i;
+const REGAINED = /(?<!not )\bregained compliance/i; // "has regained", never "has not regained"
+
+function toIsoDate(text) {
+  const m = text?.match(/([a-z]+)\s+(\d{1,2}),\s+(\d{4})/i);
+  if (!m) return null;
+  const month = MONTHS.indexOf(m[1].toLowerCase());
+  if (month < 0) return null;
+  return `${m[3]}-${String(month + 1).padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+}
+
+function addDays(isoDate, days) {
+  return new Date(new Date(isoDate).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+function detectExchange(text) {
+  if (/NYSE American/i.test(text)) return 'NYSE American';
+  if (/Nasdaq/i.test(text)) return 'Nasdaq';
+  if (/New York Stock Exchange|\bNYSE\b/.test(text)) return 'NYSE';
+  return null;
+}
+
+/**
+ * Deficiency types named in non-compliance sentences, in order of appearance
+ */
+function classifyDeficiencies(text) {
+  const sentences = text.split(/(?<=\.)\s+(?=[A-Z])/);
+  const found = [];
+  for (const sentence of sentences) {
+    if (!NONCOMPLIANCE.test(sentence)) continue;
+    for (const [type, pattern] of Object.entries(DEFICIENCY_PATTERNS)) {
+      if (!found.includes(type) && pattern.test(sentence)) found.push(type);
+    }
+  }
+
+  // No explicit non-compliance sentence - fall back to whichever rule is mentioned first
+  if (found.length === 0) {
+    const first = Object.entries(DEFICIENCY_PATTERNS)
+      .map(([type, pattern]) => ({ type, index: text.search(pattern) }))
+      .filter(m => m.index >= 0)
+      .sort((a, b) => a.index - b.index)[0];
+    if (first) found.push(first.type);
+  }
+
+  return found.length > 0 ? found : ['other'];
+}
+
+/**
+ * Compliance deadline: a stated date when there is one, otherwise the cure
+ * period the filing describes counted from the notice date
+ *
+ * @returns {{ complianceDeadline: string|null, deadlineSource: string|null }}
+ */
+function extractDeadline(text, noticeDate) {
+  // Latest "until/by <date>" in a sentence about regaining compliance - NYSE letters
+  // give a plan due date and a later cure date, and the cure date is the one that matters
+  const datePattern = new RegExp(String.raw`(?:until|through|by|on or before|ending on|expires on|expiring on)\s+${DATE}`, 'gi');
+  let latest = null;
+  for (const m of text.matchAll(datePattern)) {
+    const start = text.lastIndexOf('. ', m.index) + 1;
+    const end = text.indexOf('. ', m.index);
+    const sentence = text.slice(start, end < 0 ? undefined : end);
+    if (!/regain compliance|compliance period|cure period|evidence compliance/i.test(sentence)) continue;
+    const date = toIsoDate(m[1]);
+    if (date && date > noticeDate && (!latest || date > latest)) latest = date;
+  }
+  if (latest) return { complianceDeadline: latest, deadlineSource: 'stated' };
+
+  const cure = [
+    { pattern: /(?:180|one hundred (?:and )?eighty) (?:calendar )?days/i, days: 180, source: 'cure_180d' },
+    { pattern: /eighteen[- ]month|18[- ]month/i, days: 548, source: 'cure_18m' },
+    { pattern: /six[- ]month|6[- ]month/i, days: 182, source: 'cure_6m' },
+    { pattern: /(?:60|sixty) (?:calendar )?days[^.]{0,100}?(?:submit|plan)/i, days: 60, source: 'plan_60d' },
+    { pattern: /(?:45|forty-five) (?:calendar )?days[^.]{0,100}?(?:submit|plan)/i, days: 45, source: 'plan_45d' }
+  ];
+  for (const { pattern, days, source } of cure) {
+    if (pattern.test(text)) return { complianceDeadline: addDays(noticeDate, days), deadlineSource: source };
+  }
+
+  return { complianceDeadline: null, deadlineSource: null };
+}
+
+/**
+ * Parse an 8-K Item 3.01 document
+ *
+ * @param {string} html - 8-K primary document
+ * @param {string} filingDate - YYYY-MM-DD (fallback notice date)
+ * @returns {Object|null} { noticeDate, exchange, deficiency, deficiencies, status,
+ *                          complianceDeadline, deadlineSource } - null if not an Item 3.01
+ */
+export function parseDelistingNotice(html, filingDate) {
+  const text = htmlToText(html);
+  const itemIndex = text.search(ITEM_301);
+  if (itemIndex < 0) return null;
+
+  // Item 3.01 section only (up to the next item heading), so Item 5.03/8.01 text doesn't leak in
+  const rest = text.slice(itemIndex + 10);
+  const nextItem = rest.search(/Item\s+(?!3\.01)\d\.\d{2}\b/i);
+  const section = nextItem >= 0 ? text.slice(itemIndex, itemIndex + 10 + nextItem) : text.slice(itemIndex);
+
+  const noticeMatch = section.match(new RegExp(String.raw`On\s+${DATE},?[\s\S]{0,160}?\breceived`, 'i'));
+  const noticeDate = toIsoDate(noticeMatch?.[1]) || filingDate;
+
+  let status = 'deficiency';
+  if (REGAINED.test(section)) {
+    status = 'regained';
+  } else if (DETERMINATION.test(section)) {
+    status = 'determination';
+  }
+
+  const deficiencies = classifyDeficiencies(section);
+  const deadline = status === 'regained'
+    ? { complianceDeadline: null, deadlineSource: null }
+    : extractDeadline(section, noticeDate);
+
+  return {
+    noticeDate,
+    exchange: detectExchange(section) || detectExchange(text),
+    deficiency: deficiencies[0],
+    deficiencies,
+    status,
+    ...deadline
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCAN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Search recent 8-Ks for Item 3.01 notices and add new ones to the feed
+ *
+ * @param {Object} options - { days }
+ * @returns {Object} { feed, added } - added = notices parsed on this run
+ */
+export async function scanDelistingNotices(options = {}) {
+  const { days = DELISTING_CONFIG.scanLookbackDays } = options;
+  const endDate = new Date().toISOString().split('T')[0];
+  const startDate = new Date(Date.now() - days * DAY_MS).toISOString().split('T')[0];
+
+  console.log(`\n📡 Searching SEC EDGAR for Item 3.01 delisting notices (${startDate} to ${endDate})...`);
+  const hits = await searchFilings(
+    '"Item 3.01" OR "continued listing" OR "notice of delisting"',
+    '8-K,8-K/A',
+    startDate,
+    endDate,
+    { limit: DELISTING_CONFIG.maxFilingsPerScan }
+  );
+
+  // EFTS lists the 8-K items on each hit - drop filings that only mention listing rules in passing
+  const item301Hits = hits.filter(h => !h._source?.items || h._source.items.includes('3.01'));
+  console.log(`   Found ${item301Hits.length} Item 3.01 filings (${hits.length} matched the search)`);
+
+  const { resolved, unresolved } = await resolveFilings(item301Hits);
+  logUnresolved(unresolved, 'Item 3.01 8-Ks');
+
+  let feed = loadDelistingNotices();
+  const known = new Set(feed.notices.map(n => n.accessionNumber));
+  const added = [];
+
+  for (const { hit, ticker, tickers, cik, companyName } of resolved) {
+    const source = hit._source;
+    const adsh = source.adsh;
+    const document = hit._id?.split(':')[1];
+    if (!ticker || !adsh || !document || known.has(adsh)) continue;
+    known.add(adsh);
+
+    const documentUrl = `${ARCHIVES_URL}/${cik}/${adsh.replace(/-/g, '')}/${document}`;
+    try {
+      const html = await secGet(documentUrl, { json: false });
+      const parsed = parseDelistingNotice(html, source.file_date);
+      if (!parsed) continue;
+
+      const notice = {
+        ticker,
+        tickers,
+        cik,
+        companyName: companyName || ticker,
+        accessionNumber: adsh,
+        form: source.form || '8-K',
+        filingDate: source.file_date,
+        ...parsed,
+        documentUrl,
+        parsedAt: new Date().toISOString()
+      };
+      added.push(notice);
+      console.log(`   🚨 $${ticker.padEnd(6)} ${formatNotice(notice)}`);
+    } catch (e) {
+      console.log(`   ⚠️ Could not read 8-K ${adsh} for ${ticker}: ${e.message}`);
+    }
+  }
+
+  try {
+    feed = saveDelistingNotices(added);
+  } catch (e) {
+    console.warn(`⚠️  Could not save delisting notices: ${e.message}`);
+    feed.notices.push(...added);
+  }
+
+  console.log(`   ✅ ${added.length} new notices (${feed.notices.length} in feed)\n`);
+  return { feed, added };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function daysUntil(isoDate) {
+  if (!isoDate) return null;
+  return Math.ceil((new Date(isoDate).getTime() - Date.now()) / DAY_MS);
+}
+
+/**
+ * All stored notices for a ticker, newest first
+ */
+export function getDelistingNotices(ticker, feed = loadDelistingNotices()) {
+  const symbol = ticker?.toUpperCase();
+  return feed.notices
+    .filter(n => n.ticker === symbol || n.tickers?.includes(symbol))
+    .sort((a, b) => b.filingDate.localeCompare(a.filingDate));
+}
+
+/**
+ * Unresolved notices: filed within activeNoticeDays, not followed by a
+ * "regained compliance" 8-K for the same deficiency
+ *
+ * @returns {Array} Notices with daysToDeadline, most urgent first
+ *                  (determinations, then nearest deadline)
+ */
+export function getActiveDelistingNotices(ticker, feed = loadDelistingNotices()) {
+  const cutoff = new Date(Date.now() - DELISTING_CONFIG.activeNoticeDays * DAY_MS).toISOString().split('T')[0];
+  const notices = getDelistingNotices(ticker, feed).filter(n => n.filingDate >= cutoff);
+  const regained = notices.filter(n => n.status === 'regained');
+
+  return notices
+    .filter(n => n.status !== 'regained')
+    .filter(n => !regained.some(r => r.filingDate >= n.filingDate &&
+      (r.deficiency === 'other' || r.deficiencies.some(d => n.deficiencies.includes(d)))))
+    .map(n => ({ ...n, daysToDeadline: daysUntil(n.complianceDeadline) }))
+    .sort((a, b) => {
+      if ((a.status === 'determination') !== (b.status === 'determination')) return a.status === 'determination' ? -1 : 1;
+      return (a.daysToDeadline ?? Infinity) - (b.daysToDeadline ?? Infinity);
+    });
+}
+
+/**
+ * Most urgent unresolved notice for a ticker (null if none)
+ */
+export function getActiveDelistingNotice(ticker, feed = loadDelistingNotices()) {
+  return getActiveDelistingNotices(ticker, feed)[0] || null;
+}
+
+/**
+ * Tickers with at least one unresolved notice
+ */
+export function getTickersWithActiveNotices(feed = loadDelistingNotices()) {
+  const tickers = new Set(feed.notices.map(n => n.ticker));
+  return [...tickers].filter(t => getActiveDelistingNotices(t, feed).length > 0);
+}
+
+export function formatNotice(notice) {
+  const label = DEFICIENCY_LABELS[notice.deficiency] || notice.deficiency;
+  if (notice.status === 'regained') return `${label} · regained compliance (${notice.noticeDate})`;
+  const status = notice.status === 'determination' ? ' · DELISTING DETERMINATION' : '';
+  const deadline = notice.complianceDeadline ? ` · deadline ${notice.complianceDeadline}` : '';
+  return `${label}${status}${deadline}${notice.exchange ? ` (${notice.exchange})` : ''}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const tickerArg = args.find(a => a.startsWith('--ticker='));
+  const daysArg = args.find(a => a.startsWith('--days='));
+
+  if (tickerArg) {
+    const ticker = tickerArg.split('=')[1].toUpperCase().replace('$', '');
+    const notices = getDelistingNotices(ticker);
+    const active = getActiveDelistingNotices(ticker);
+    console.log(`\n🚨 $${ticker}: ${notices.length} delisting notices (${active.length} unresolved)`);
+    for (const n of notices) {
+      console.log(`   ${n.filingDate}  ${formatNotice(n)}`);
+    }
+  } else {
+    const days = daysArg ? parseInt(daysArg.split('=')[1]) : DELISTING_CONFIG.scanLookbackDays;
+    await scanDelistingNotices({ days });
+  }
+}
+
+export default {
+  DEFICIENCY_LABELS,
+  loadDelistingNotices,
+  parseDelistingNotice,
+  scanDelistingNotices,
+  daysUntil,
+  getDelistingNotices,
+  getActiveDelistingNotices,
+  getActiveDelistingNotice,
+  getTickersWithActiveNotices,
+  formatNotice
+};
@@ -0,0 +1,252 @@
+/**
+ * DILUTION SEVERITY SCORE (DSS) - 0-100
+ *
+ *   Distress  (runway, burn vs cash, debt vs cash, recent reverse split)       40 pts raw
+ *   ATM Impact (overhang vs market cap, pullback, peak gain, filing recency)   40 pts raw
+ *   Attention (volume vs average, market-cap sweet spot)                       20 pts raw
+ *
+ * Each component is scored on its raw scale and weighted by DSS_WEIGHTS
+ * (defaults 40/40/20, so the total is the plain sum). The weekly dilution
+ * leaderboard and the ATM backtest (atmBacktest.js) both score through here.
+ */
+
+import { DSS_WEIGHTS } from './config.js';
+import { buildExplanation, pointsFactor } from './scoreExplanation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Raw component maximums
+const COMPONENT_MAX = { distress: 40, impact: 40, attention: 20 };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INPUTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Scoring inputs for one ATM filing
+ *
+ * @param {Object} filing - From getRecentATMFilings() ({ ticker, fileDate, atmProgram })
+ * @param {Object} data - { quote, balanceSheet (latest row), cashFlow (quarterly rows),
+ *   candles (split-adjusted daily, oldest first, ~30 days), recentReverseSplit,
+ *   ledgerEntry (ATM ledger), asOf (scoring date, default now) }
+ */
+export function deriveDilutionMetrics(filing, data) {
+  const { quote: q, balanceSheet: bs = {}, cashFlow: cf = [], candles = [], recentReverseSplit = null, ledgerEntry = null, asOf = null } = data;
+
+  // Calculate metrics
+  const cash = bs.cashAndCashEquivalents || 0;
+  const debt = (bs.totalDebt || 0) + (bs.shortTermDebt || 0) + (bs.longTermDebt || 0);
+
+  // Quarterly burn = negative operating cash flow
+  const quarterlyOCF = cf.map(c => c.operatingCashFlow || 0);
+  const avgQuarterlyBurn = quarterlyOCF.filter(o => o < 0).length > 0
+    ? Math.abs(quarterlyOCF.filter(o => o < 0).reduce((a, b) => a + b, 0) / quarterlyOCF.filter(o => o < 0).length)
+    : 0;
+  const monthlyBurn = avgQuarterlyBurn / 3;
+  const runwayMonths = monthlyBurn > 0 ? cash / monthlyBurn : 999;
+
+  // Price action since the filing
+  let peakGain = 0, currentGain = 0, pullback = 0;
+  if (candles.length >= 7) {
+    const filingIdx = candles.findIndex(c => c.date >= filing.fileDate);
+    const startIdx = Math.max(0, filingIdx);
+    const window = candles.slice(startIdx);
+
+    if (window.length >= 2) {
+      const startPrice = window[0].open;
+      const currentPrice = window[window.length - 1].close;
+      const peakHigh = Math.max(...window.map(c => c.high));
+
+      peakGain = ((peakHigh - startPrice) / startPrice) * 100;
+      currentGain = ((currentPrice - startPrice) / startPrice) * 100;
+      pullback = peakGain - currentGain;
+    }
+  }
+
+  // Volume percentile (simple: current vs average)
+  const volumeRatio = q.avgVolume > 0 ? q.volume / q.avgVolume : 1;
+
+  // ATM size vs market cap (parsed from the 424B5 by getRecentATMFilings)
+  const atmOffering = filing.atmProgram?.offeringAmount || null;
+  const atmSizePct = atmOffering && q.marketCap > 0 ? (atmOffering / q.marketCap) * 100 : null;
+
+  // What's actually left to sell (ATM ledger, from 10-Q/10-K usage disclosures)
+  const atmRemaining = ledgerEntry?.remaining ?? null;
+  const atmRemainingPct = atmRemaining !== null && q.marketCap > 0 ? (atmRemaining / q.marketCap) * 100 : null;
+
+  const now = asOf ? new Date(asOf).getTime() : Date.now();
+
+  return {
+    ...filing,
+    price: q.price,
+    marketCap: q.marketCap,
+    volume: q.volume,
+    avgVolume: q.avgVolume,
+    volumeRatio,
+    cash,
+    debt,
+    monthlyBurn,
+    runwayMonths,
+    peakGain,
+    currentGain,
+    pullback,
+    atmOffering,
+    atmSizePct,
+    atmRemaining,
+    atmRemainingPct,
+    recentReverseSplit,
+    daysSinceFiling: Math.floor((now - new Date(filing.fileDate).getTime()) / DAY_MS)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {Object} ticker - From deriveDilutionMetrics()
+ * @param {Object} weights - { distress, impact, attention } points each component is worth
+ */
+export function calculateDilutionSeverity(ticker, weights = DSS_WEIGHTS) {
+  // === DISTRESS (40 pts max) ===
+  // Runway
+  let runwayPts = 0;
+  if (ticker.runwayMonths <= 3) runwayPts = 15;
+  else if (ticker.runwayMonths <= 6) runwayPts = 12;
+  else if (ticker.runwayMonths <= 12) runwayPts = 8;
+  else if (ticker.runwayMonths <= 18) runwayPts = 4;
+
+  // Burn rate relative to cash
+  const burnRatio = ticker.monthlyBurn > 0 ? ticker.cash / ticker.monthlyBurn : 999;
+  let burnPts = 0;
+  if (burnRatio < 3) burnPts = 15;
+  else if (burnRatio < 6) burnPts = 10;
+  else if (burnRatio < 12) burnPts = 5;
+
+  // Debt vs cash
+  const debtCashRatio = ticker.cash > 0 ? ticker.debt / ticker.cash : 999;
+  let debtPts = 0;
+  if (debtCashRatio > 5) debtPts = 10;
+  else if (debtCashRatio > 2) debtPts = 7;
+  else if (debtCashRatio > 1) debtPts = 4;
+
+  // Recent reverse split (compliance fix that usually precedes more dilution)
+  const splitPts = ticker.recentReverseSplit ? Math.min(5, 40 - (runwayPts + burnPts + debtPts)) : 0;
+
+  const distressScore = runwayPts + burnPts + debtPts + splitPts; // 40 raw
+
+  // === ATM IMPACT (40 pts max) ===
+  // ATM overhang vs market cap (shares that can still hit the market).
+  // Remaining capacity from the ledger when known, else the 424B5 size.
+  const overhangPct = ticker.atmRemainingPct ?? ticker.atmSizePct;
+  let overhangPts = 0;
+  if (overhangPct >= 50) overhangPts = 12;
+  else if (overhangPct >= 25) overhangPts = 9;
+  else if (overhangPct >= 10) overhangPts = 6;
+  else if (overhangPct > 0) overhangPts = 3;
+
+  // Pullback from peak (dilution may have started)
+  let pullbackPts = 0;
+  if (ticker.pullback >= 30) pullbackPts = 12;
+  else if (ticker.pullback >= 20) pullbackPts = 10;
+  else if (ticker.pullback >= 10) pullbackPts = 6;
+  else if (ticker.pullback >= 5) pullbackPts = 3;
+
+  // Peak gain (setup magnitude)
+  let peakPts = 0;
+  if (ticker.peakGain >= 100) peakPts = 10;
+  else if (ticker.peakGain >= 50) peakPts = 8;
+  else if (ticker.peakGain >= 30) peakPts = 5;
+  else if (ticker.peakGain >= 15) peakPts = 3;
+
+  // Recency of filing
+  let recencyPts = 0;
+  if (ticker.daysSinceFiling <= 3) recencyPts = 6;
+  else if (ticker.daysSinceFiling <= 7) recencyPts = 4;
+  else if (ticker.daysSinceFiling <= 14) recencyPts = 2;
+
+  // 424B5 couldn't be sized - scale the other impact factors up to the full 40
+  const unsized = overhangPct === null || overhangPct === undefined;
+  const impactScale = unsized ? 40 / 28 : 1;
+  const impactRaw = overhangPts + pullbackPts + peakPts + recencyPts;
+  const impactScore = unsized ? Math.round(impactRaw * impactScale) : impactRaw; // 40 raw
+
+  // === ATTENTION (20 pts max) ===
+  // Volume ratio
+  let volumePts = 0;
+  if (ticker.volumeRatio >= 3) volumePts = 10;
+  else if (ticker.volumeRatio >= 2) volumePts = 7;
+  else if (ticker.volumeRatio >= 1.5) volumePts = 5;
+  else if (ticker.volumeRatio >= 1) volumePts = 3;
+
+  // Market cap sweet spot (retail favorites: $50M - $2B)
+  const mcap = ticker.marketCap || 0;
+  let mcapPts = 0;
+  if (mcap >= 50_000_000 && mcap <= 500_000_000) mcapPts = 10;
+  else if (mcap >= 500_000_000 && mcap <= 2_000_000_000) mcapPts = 7;
+  else if (mcap >= 10_000_000 && mcap < 50_000_000) mcapPts = 5;
+
+  const attentionScore = volumePts + mcapPts; // 20 raw
+
+  const weighted = (distressScore / COMPONENT_MAX.distress) * weights.distress
+    + (impactScore / COMPONENT_MAX.impact) * weights.impact
+    + (attentionScore / COMPONENT_MAX.attention) * weights.attention;
+  const totalScore = Math.min(100, Math.round(weighted));
+
+  // Sub-factor points in final-score units (component weight / raw max)
+  const unit = {
+    distress: weights.distress / COMPONENT_MAX.distress,
+    impact: (weights.impact / COMPONENT_MAX.impact) * impactScale,
+    attention: weights.attention / COMPONENT_MAX.attention
+  };
+  const factor = (key, label, raw, pts, maxPts, component, reason) =>
+    pointsFactor(key, label, raw, pts * unit[component], maxPts * unit[component], reason);
+  const explanation = buildExplanation('dss', totalScore, 100, [
+    factor('runway', 'Cash runway', ticker.runwayMonths, runwayPts, 15, 'distress',
+      ticker.runwayMonths >= 999 ? 'No cash burn' : `${ticker.runwayMonths.toFixed(1)} months of cash runway`),
+    factor('burnRatio', 'Burn vs cash', burnRatio, burnPts, 15, 'distress',
+      burnRatio >= 999 ? 'No cash burn' : `Cash covers ${burnRatio.toFixed(1)} months of burn`),
+    factor('debtCashRatio', 'Debt vs cash', debtCashRatio, debtPts, 10, 'distress',
+      debtCashRatio >= 999 ? 'No cash against debt' : `Debt ${debtCashRatio.toFixed(1)}x cash`),
+    factor('reverseSplit', 'Reverse split', ticker.recentReverseSplit?.label || null, splitPts, 5, 'distress',
+      ticker.recentReverseSplit ? `Recent reverse split (${ticker.recentReverseSplit.label})` : 'No recent reverse split'),
+    factor('overhang', 'ATM overhang', unsized ? null : overhangPct, overhangPts, 12, 'impact',
+      unsized ? 'ATM size not disclosed' : `ATM ${ticker.atmRemainingPct != null ? 'remaining ' : ''}${overhangPct.toFixed(0)}% of market cap`),
+    factor('pullback', 'Pullback', ticker.pullback, pullbackPts, 12, 'impact',
+      `${ticker.pullback.toFixed(0)}% off the post-filing peak`),
+    factor('peakGain', 'Peak gain', ticker.peakGain, peakPts, 10, 'impact',
+      `Ran ${ticker.peakGain.toFixed(0)}% after the filing`),
+    factor('recency', 'Filing recency', ticker.daysSinceFiling, recencyPts, 6, 'impact',
+      `ATM filed ${ticker.daysSinceFiling} day${ticker.daysSinceFiling === 1 ? '' : 's'} ago`),
+    factor('volumeRatio', 'Volume', ticker.volumeRatio, volumePts, 10, 'attention',
+      `Volume ${ticker.volumeRatio.toFixed(1)}x average`),
+    factor('marketCap', 'Market cap', mcap, mcapPts, 10, 'attention',
+      `$${(mcap / 1e6).toFixed(0)}M market cap`)
+  ]);
+
+  return {
+    score: totalScore,
+    dss: totalScore, // Dilution Severity Score (DSS) - branded name
+    distressScore,
+    impactScore,
+    attentionScore,
+    breakdown: {
+      runway: ticker.runwayMonths,
+      burnRatio,
+      debtCashRatio,
+      pullback: ticker.pullback,
+      peakGain: ticker.peakGain,
+      atmSizePct: ticker.atmSizePct,
+      atmRemainingPct: ticker.atmRemainingPct,
+      recentReverseSplit: ticker.recentReverseSplit?.label || null,
+      daysSinceFiling: ticker.daysSinceFiling,
+      volumeRatio: ticker.volumeRatio
+    },
+    explanation
+  };
+}
+
+export default {
+  deriveDilutionMetrics,
+  calculateDilutionSeverity
+};
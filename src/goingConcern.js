@@ -0,0 +1,328 @@
+/**
+ * GOING CONCERN - Auditor and management "substantial doubt" language
+ *
+ * The most explicit bankruptcy signal a company can give:
+ *   "These conditions raise substantial doubt about the Company's ability to
+ *    continue as a going concern."
+ *
+ * Two places it shows up:
+ *   - Auditor opinion (10-K only): an explanatory paragraph in the Report of
+ *     Independent Registered Public Accounting Firm
+ *   - Management disclosure (10-K and 10-Q): the liquidity / going-concern note
+ *     (ASC 205-40), including "substantial doubt ... has been alleviated"
+ *
+ * Each periodic report is read once and kept by accession number, so the
+ * per-ticker history shows when the language first appeared, whether it
+ * persisted across reports and when it was removed.
+ *
+ * Feeds the bankruptcy score (going-concern component) and the outcome model.
+ *
+ * Usage:
+ *   node src/goingConcern.js MULN FFIE     # Update and show going-concern history
+ */
+
+import 'dotenv/config';
+
+import { SEC_CONFIG, DATA_PATHS } from './config.js';
+import { readDataFile, updateDataFile } from './store/dataFile.js';
+import { secGet } from './vendors/sec.js';
+import { findCikByTicker } from './vendors/secTickers.js';
+import { htmlToText } from './vendors/secProspectus.js';
+
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+const SUBMISSIONS_URL = 'https://data.sec.gov/submissions';
+const PERIODIC_FORMS = new Set(['10-K', '10-K/A', '10-KT', '10-Q', '10-Q/A']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HISTORY FILE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function loadGoingConcernHistory() {
+  return readDataFile(DATA_PATHS.goingConcern, { tickers: {} });
+}
+
+/**
+ * Upsert ticker entries into the history on disk (locked, so tickers another
+ * scan saved meanwhile are kept)
+ * @param {Object} entries - symbol → entry
+ */
+function saveGoingConcernEntries(entries) {
+  return updateDataFile(DATA_PATHS.goingConcern, { tickers: {} }, history => {
+    Object.assign(history.tickers, entries);
+    history.updatedAt = new Date().toISOString();
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TEXT ANALYZER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DOUBT = /substantial doubt[^.]{0,120}?going concern|going concern[^.]{0,120}?substantial doubt/i;
+
+// "raise substantial doubt" / "there is substantial doubt" (same clause) - as opposed to risk-factor
+// hypotheticals ("if we are unable to raise capital, substantial doubt ... could arise")
+const AFFIRMATIVE = /\b(?:raises?|raised|there is|there exists|exists|conclude[sd]?|determined)\b[^.,;]{0,40}substantial doubt|substantial doubt (?:[^.]{0,120}?going concern )?(?:exists|remains|continues to exist)/i;
+const HYPOTHETICAL = /\b(?:could|may|might|would|if)\b[^.]{0,40}substantial doubt|substantial doubt[^.]{0,40}\b(?:could|may|might|would)\b/i;
+const ALLEVIATED = /alleviat|no (?:longer )?substantial doubt|not raise substantial doubt|do(?:es)? not (?:believe|have) substantial doubt|no longer (?:a |any )?substantial doubt/i;
+// "plans have not alleviated" / "do not alleviate" / "unable to alleviate" - the doubt stands
+const NOT_ALLEVIATED = /(?:\b(?:not|never|unable|cannot)\b|\bno\b(?! longer)|n't)[^.,;]{0,60}?alleviat/i;
+
+const AUDITOR_REPORT = /Report of Independent Registered Public Accounting Firm/gi;
+const AUDITOR_WINDOW = 8000; // chars after the report heading - opinion + explanatory paragraphs
+
+function sentencesWith(text, pattern) {
+  const sentences = [];
+  let m;
+  const global = new RegExp(pattern.source, 'gi');
+  while ((m = global.exec(text)) !== null) {
+    const start = text.lastIndexOf('. ', m.index) + 1;
+    const end = text.indexOf('. ', m.index + m[0].length);
+    sentences.push(text.slice(start, end < 0 ? undefined : end + 1).trim());
+  }
+  return sentences;
+}
+
+function isAlleviated(sentence) {
+  return ALLEVIATED.test(sentence.replace(new RegExp(NOT_ALLEVIATED.source, 'gi'), ''));
+}
+
+function raisesDoubt(sentence) {
+  return (AFFIRMATIVE.test(sentence) || NOT_ALLEVIATED.test(sentence)) && !HYPOTHETICAL.test(sentence);
+}
+
+function classifyDoubt(sentences) {
+  if (sentences.some(s => raisesDoubt(s) && !isAlleviated(s))) return 'present';
+  if (sentences.some(isAlleviated)) return 'alleviated';
+  return 'none';
+}
+
+/**
+ * Scan one 10-K/10-Q for going-concern language
+ *
+ * @param {string} html - Primary document
+ * @param {string} form - '10-K' | '10-Q' (auditor opinions only exist in 10-Ks)
+ * @returns {Object} { auditorOpinion, managementDisclosure: 'present'|'alleviated'|'none', excerpt }
+ */
+export function analyzeGoingConcern(html, form = '10-K') {
+  const text = htmlToText(html);
+  const doubtSentences = sentencesWith(text, DOUBT);
+
+  // Auditor opinion: doubt language inside the audit report(s)
+  let auditorOpinion = false;
+  if (form.startsWith('10-K')) {
+    for (const m of text.matchAll(AUDITOR_REPORT)) {
+      // The heading also appears in the table of contents / F-pages index - only a
+      // heading followed by "We have audited" is the report itself
+      const opinionStart = text.slice(m.index, m.index + 3000).search(/We have audited/i);
+      if (opinionStart < 0) continue;
+      const report = text.slice(m.index + opinionStart, m.index + opinionStart + AUDITOR_WINDOW);
+      if (classifyDoubt(sentencesWith(report, DOUBT)) === 'present') {
+        auditorOpinion = true;
+        break;
+      }
+    }
+  }
+
+  const managementDisclosure = classifyDoubt(doubtSentences);
+  const excerpt = doubtSentences.find(raisesDoubt) || doubtSentences[0] || null;
+
+  return {
+    auditorOpinion,
+    managementDisclosure: auditorOpinion && managementDisclosure === 'none' ? 'present' : managementDisclosure,
+    excerpt: excerpt ? excerpt.slice(0, 300) : null
+  };
+}
+
+function isFlagged(report) {
+  return report.auditorOpinion || report.managementDisclosure === 'present';
+}
+
+/**
+ * Going-concern status from a ticker's report history
+ *
+ * @param {Array} reports - [{ filingDate, form, auditorOpinion, managementDisclosure }]
+ * @returns {Object} { state: 'ACTIVE'|'REMOVED'|'ALLEVIATED'|'NONE', current, auditorOpinion,
+ *                     firstSeen, since, persisted, consecutiveReports, removedAt, lastReport }
+ */
+export function computeGoingConcernStatus(reports = []) {
+  const sorted = [...reports].sort((a, b) => a.filingDate.localeCompare(b.filingDate));
+  const latest = sorted[sorted.length - 1] || null;
+  const flagged = sorted.filter(isFlagged);
+
+  // Current streak of flagged reports ending at the latest one
+  let consecutiveReports = 0;
+  for (let i = sorted.length - 1; i >= 0 && isFlagged(sorted[i]); i--) consecutiveReports++;
+  const current = consecutiveReports > 0;
+
+  // Auditor opinion on the latest 10-K still stands until the next 10-K
+  const latest10K = [...sorted].reverse().find(r => r.form.startsWith('10-K')) || null;
+
+  // First clean report after the last flagged one
+  let removedAt = null;
+  if (!current && flagged.length > 0) {
+    const lastFlagged = flagged[flagged.length - 1];
+    removedAt = sorted.find(r => r.filingDate > lastFlagged.filingDate)?.filingDate || null;
+  }
+
+  let state = 'NONE';
+  if (current) state = 'ACTIVE';
+  else if (latest?.managementDisclosure === 'alleviated') state = 'ALLEVIATED';
+  else if (flagged.length > 0) state = 'REMOVED';
+
+  return {
+    state,
+    current,
+    auditorOpinion: Boolean(latest10K?.auditorOpinion),
+    auditorOpinionDate: latest10K?.auditorOpinion ? latest10K.filingDate : null,
+    firstSeen: flagged[0]?.filingDate || null,
+    since: current ? sorted[sorted.length - consecutiveReports].filingDate : null,
+    persisted: consecutiveReports >= 2,
+    consecutiveReports,
+    removedAt,
+    lastReport: latest ? { form: latest.form, filingDate: latest.filingDate } : null
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UPDATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function listPeriodicReports(cik, sinceDate) {
+  const submissions = await secGet(`${SUBMISSIONS_URL}/CIK${String(cik).padStart(10, '0')}.json`);
+  const recent = submissions.filings?.recent || {};
+  const reports = [];
+
+  for (let i = 0; i < (recent.form || []).length; i++) {
+    if (recent.filingDate[i] < sinceDate) break; // newest first
+    if (!PERIODIC_FORMS.has(recent.form[i])) continue;
+    reports.push({
+      adsh: recent.accessionNumber[i],
+      form: recent.form[i],
+      filingDate: recent.filingDate[i],
+      reportDate: recent.reportDate?.[i] || recent.filingDate[i],
+      primaryDocument: recent.primaryDocument[i]
+    });
+  }
+  return reports.reverse(); // oldest first
+}
+
+/**
+ * Read any 10-K/10-Q we haven't seen for a ticker and recompute its status
+ *
+ * @param {string} ticker
+ * @param {Object} history - From loadGoingConcernHistory() (saved by the caller when passed in)
+ * @returns {Object|null} { ticker, cik, reports, status } - null if no CIK
+ */
+export async function updateGoingConcern(ticker, history = null) {
+  const symbol = ticker.toUpperCase();
+  const cik = await findCikByTicker(symbol);
+  if (!cik) return null;
+
+  const ownHistory = history === null;
+  const store = history || loadGoingConcernHistory();
+  const entry = store.tickers[symbol] || { ticker: symbol, cik, reports: {} };
+
+  const since = new Date(Date.now() - SEC_CONFIG.goingConcernLookbackDays * DAY_MS).toISOString().split('T')[0];
+  let reports = [];
+  try {
+    reports = await listPeriodicReports(cik, since);
+  } catch (err) {
+    console.log(`   ⚠️ ${symbol}: could not load SEC submissions: ${err.message}`);
+  }
+  const unseen = reports.filter(r => !entry.reports[r.adsh]).slice(-SEC_CONFIG.goingConcernMaxReports);
+
+  for (const report of unseen) {
+    const url = `${ARCHIVES_URL}/${cik}/${report.adsh.replace(/-/g, '')}/${report.primaryDocument}`;
+    try {
+      const html = await secGet(url, { json: false, cache: false });
+      entry.reports[report.adsh] = {
+        form: report.form,
+        filingDate: report.filingDate,
+        reportDate: report.reportDate,
+        ...analyzeGoingConcern(html, report.form)
+      };
+    } catch (err) {
+      console.log(`   ⚠️ ${symbol}: could not read ${report.form} ${report.adsh}: ${err.message}`);
+    }
+  }
+
+  entry.cik = cik;
+  entry.status = computeGoingConcernStatus(Object.values(entry.reports));
+  entry.updatedAt = new Date().toISOString();
+  store.tickers[symbol] = entry;
+
+  if (ownHistory && unseen.length > 0) {
+    try {
+      saveGoingConcernEntries({ [symbol]: entry });
+    } catch (e) {
+      console.warn(`⚠️  Could not save going-concern history: ${e.message}`);
+    }
+  }
+
+  return { ticker: symbol, cik, reports: entry.reports, status: entry.status };
+}
+
+/**
+ * Stored status for a ticker without fetching anything (null if never checked)
+ */
+export function getGoingConcernStatus(ticker, history = loadGoingConcernHistory()) {
+  return history.tickers[ticker?.toUpperCase()]?.status || null;
+}
+
+export function formatGoingConcern(status) {
+  if (!status) return 'N/A';
+  switch (status.state) {
+    case 'ACTIVE':
+      return `${status.auditorOpinion ? 'Auditor + management' : 'Management'} doubt since ${status.since}` +
+        (status.persisted ? ` (${status.consecutiveReports} reports in a row)` : ' (first appearance)');
+    case 'REMOVED':
+      return `Removed${status.removedAt ? ` ${status.removedAt}` : ''} (first seen ${status.firstSeen})`;
+    case 'ALLEVIATED':
+      return 'Doubt alleviated by management plans';
+    default:
+      return 'None';
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const tickers = process.argv.slice(2).filter(a => !a.startsWith('--')).map(t => t.toUpperCase().replace('$', ''));
+  if (tickers.length === 0) {
+    console.log('Usage: node src/goingConcern.js TICKER [TICKER...]');
+    process.exit(1);
+  }
+
+  const history = loadGoingConcernHistory();
+  const updated = {};
+  for (const ticker of tickers) {
+    const result = await updateGoingConcern(ticker, history);
+    if (!result) {
+      console.log(`\n⚠️ $${ticker}: no CIK`);
+      continue;
+    }
+    const reports = Object.values(result.reports).sort((a, b) => a.filingDate.localeCompare(b.filingDate));
+    console.log(`\n🧾 $${ticker} going concern (${reports.length} reports)`);
+    for (const r of reports) {
+      console.log(`   ${r.filingDate}  ${r.form.padEnd(7)} auditor: ${r.auditorOpinion ? 'YES' : 'no '}  management: ${r.managementDisclosure}`);
+    }
+    console.log(`   Status: ${result.status.state} - ${formatGoingConcern(result.status)}`);
+    updated[result.ticker] = history.tickers[result.ticker];
+  }
+  saveGoingConcernEntries(updated);
+}
+
+export default {
+  loadGoingConcernHistory,
+  analyzeGoingConcern,
+  computeGoingConcernStatus,
+  updateGoingConcern,
+  getGoingConcernStatus,
+  formatGoingConcern
+};
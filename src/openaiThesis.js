@@ -12,6 +12,7 @@
 
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { driverLines } from './scoreExplanation.js';
 dotenv.config();
 
 const openai = new OpenAI({
@@ -27,6 +28,7 @@ export async function generateTweetThesis(analysisResult) {
   
   // Build context for GPT
   const context = buildContextBlock(analysisResult);
+  const drivers = driverLines(analysisResult.explanation);
   
   const prompt = `You are a sharp, sardonic financial analyst who specializes in spotting dilution traps. 
 Your style is punchy, data-driven, and slightly irreverent — like a fintwit veteran who's seen too many retail traders get rugged.
@@ -35,7 +37,8 @@ Given this analysis data for ${symbol}, generate a tweet alert that includes:
 
 1. A hook (attention-grabbing opener, 1 line)
 2. TLDR thesis (2-3 sentences explaining the setup)
-3. Key stats (3-5 bullet points, each with a specific number)
+3. Key stats (3-5 bullet points, each with a specific number)${drivers.length ? `
+   - The FIRST bullets must be the TOP SCORE DRIVERS lines below, copied exactly` : ''}
 4. Risk warning (1 line)
 
 FORMAT RULES:
@@ -61,7 +64,12 @@ Generate the tweet now:`;
       max_tokens: 800
     });
 
-    const tweet = response.choices[0].message.content.trim();
+    let tweet = response.choices[0].message.content.trim();
+
+    // Drivers are quoted verbatim - add them if GPT dropped or reworded any
+    if (drivers.some(line => !tweet.includes(line))) {
+      tweet += `\n\nWhy it scores ${score}%:\n${drivers.join('\n')}`;
+    }
     
     return {
       tweet,
@@ -167,6 +175,11 @@ function buildContextBlock(result) {
     `Net Flow (90d): ${insiders?.netFlow || 0} (positive = buying, negative = selling)`,
     `Sell Count: ${insiders?.sellCount || 0}`,
   ];
+
+  const drivers = driverLines(result.explanation);
+  if (drivers.length) {
+    lines.push('', '=== TOP SCORE DRIVERS (points added to the risk score - the only reasons to cite) ===', ...drivers);
+  }
   
   return lines.join('\n');
 }
@@ -215,7 +228,7 @@ export function generateStatsBlock(result) {
     lines.push(`🔴 ACTIVE ATM — dilution can drop any day`);
   }
   
-  lines.push(``, `⚠️ Risk Score: ${score}%`);
+  lines.push(``, `⚠️ Risk Score: ${score}%`, ...driverLines(result.explanation));
   
   return lines.join('\n');
 }
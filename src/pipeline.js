@@ -15,10 +15,13 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import { analyzeSymbol } from './analystBrief.js';
 import { generateTweetThesis, generateStatsBlock } from './openaiThesis.js';
 import { renderChart } from './chartRenderer.js';
-import { postAlertThread, validateTwitterConfig } from './twitterPoster.js';
+import { publishThread, checkChannels } from './publisher.js';
+import { registerCalls } from './scorecard.js';
+import { SCORING_CONFIG } from './scoringConfig.js';
 import fs from 'fs';
 import path from 'path';
 
@@ -27,7 +30,7 @@ import path from 'path';
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const DRY_RUN = process.env.DRY_RUN !== 'false';
-const TRIGGER_THRESHOLD = 65; // Score must be >= this to fire
+const TRIGGER_THRESHOLD = SCORING_CONFIG.analystBrief.triggerScore; // Score must be >= this to fire
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // MOCK DATA (for testing without API calls)
@@ -200,10 +203,11 @@ async function runPipeline(options = {}) {
   if (DRY_RUN) {
     console.log('  [DRY_RUN mode — not posting to Twitter]');
   } else {
-    if (!validateTwitterConfig()) {
-      console.log('  ⚠️  Twitter credentials not configured');
+    if (!checkChannels('pipeline').ready.length) {
+      console.log('  ⚠️  No publishing channel configured');
     } else {
-      await postAlertThread(thesis.tweet, statsBlock, chartPath);
+      const result = await publishThread('pipeline', thesis.tweet, statsBlock, chartPath);
+      registerCalls('pipeline_alert', [{ symbol: analysis.symbol, score: analysis.score, price: analysis.quote?.price, components: analysis.scores }], { tweetId: result?.tweets?.[0]?.id });
     }
   }
 
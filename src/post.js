@@ -8,6 +8,8 @@
  *   node src/post.js ANVS --live                    # Actually post (overrides DRY_RUN)
  *   node src/post.js ANVS --live -g "Good morning!" # Add greeting to first tweet
  *   node src/post.js --list                         # List available pending posts
+ *   node src/post.js --resume                       # List unfinished thread jobs
+ *   node src/post.js --resume <job> --live          # Finish a half-posted X thread
  * 
  * Greeting Examples:
  *   -g "Good morning! ☀️"
@@ -24,8 +26,11 @@ import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { publishThread, checkChannels } from './publisher.js';
 import { postAlertThread, validateTwitterConfig } from './twitterPoster.js';
+import { loadThreadJob, listThreadJobs, nextTweetIndex } from './threadJobs.js';
 import { recordTweet } from './contentManager.js';
+import { registerCalls } from './scorecard.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_DIR = path.join(__dirname, '..', 'output');
@@ -122,6 +127,79 @@ ${'═'.repeat(80)}
 `);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESUME
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Finish a thread job that stopped part-way (threadJobs.js)
+ * Posts the remaining tweets as replies to the last one that went out.
+ */
+async function resumeThread(jobId) {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  ♻️  RESUME THREAD                                                             ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  if (!jobId || jobId.startsWith('-')) {
+    const open = listThreadJobs({ open: true });
+    if (open.length === 0) {
+      console.log('No unfinished thread jobs.\n');
+      return;
+    }
+    console.log(`Found ${open.length} unfinished thread job(s):\n`);
+    for (const job of open) {
+      const hook = job.tweets[0]?.text.split('\n')[0].slice(0, 40) || '';
+      console.log(`  ${job.id} | ${nextTweetIndex(job)}/${job.tweets.length} posted | ${(job.module || '-').padEnd(12)} | ${hook}`);
+    }
+    console.log('\nUsage: node src/post.js --resume <job> --live\n');
+    return;
+  }
+
+  const job = loadThreadJob(jobId);
+  if (!job) {
+    console.log(`❌ No thread job ${jobId}. See: node src/threadJobs.js`);
+    return;
+  }
+
+  const next = nextTweetIndex(job);
+  if (job.status === 'completed') {
+    console.log(`✅ Job ${job.id} already posted all ${job.tweets.length} tweets (first tweet ${job.tweets[0]?.id}).\n`);
+    return;
+  }
+
+  console.log(`Job ${job.id} (${job.module || 'no module'}): ${next}/${job.tweets.length} posted${job.lastError ? ` - stopped at tweet ${job.lastError.index + 1}: ${job.lastError.message}` : ''}`);
+  job.tweets.forEach((t, i) => {
+    console.log(`\n${t.id ? `✅ [${i + 1}] ${t.id}` : `⬜ [${i + 1}] not posted`}\n${'─'.repeat(40)}\n${t.text}`);
+  });
+  console.log('');
+
+  if (process.env.DRY_RUN !== 'false') {
+    console.log('Preview mode - add --live to post the remaining tweets.\n');
+    return;
+  }
+
+  if (!validateTwitterConfig()) {
+    console.log('\n❌ Twitter credentials not configured. Set them in .env');
+    return;
+  }
+
+  console.log(`⚠️  Ready to post ${job.tweets.length - next} remaining tweet(s).`);
+  console.log('   Press Ctrl+C within 3 seconds to cancel...\n');
+  await new Promise(r => setTimeout(r, 3000));
+
+  try {
+    const [hook, ...breakdown] = job.tweets.map(t => t.text);
+    const result = await postAlertThread(hook, breakdown, job.image, { module: job.module });
+    console.log(`\n✅ Thread job ${job.id} complete (first tweet ${result.tweets[0]?.id}).`);
+    console.log('   Cooldowns and scorecard entries of the run that started it are not recorded by --resume.\n');
+  } catch (error) {
+    console.error(`\n❌ Resume failed: ${error.message}`);
+    if (process.env.DEBUG) console.error(error.stack);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -129,6 +207,14 @@ ${'═'.repeat(80)}
 async function main() {
   const args = process.argv.slice(2);
   
+  // Resume a half-posted thread
+  const resumeIdx = args.indexOf('--resume');
+  if (resumeIdx !== -1) {
+    if (args.includes('--live')) process.env.DRY_RUN = 'false';
+    await resumeThread(args[resumeIdx + 1]);
+    return;
+  }
+  
   // List mode
   if (args.includes('--list') || args.length === 0) {
     console.log(`
@@ -157,6 +243,7 @@ ${'─'.repeat(60)}
 Usage:
   node src/post.js <TICKER>           Post ticker to Twitter
   node src/post.js <TICKER> --preview Preview only
+  node src/post.js --resume <job>     Finish a half-posted thread
   
 Example:
   node src/post.js ANVS
@@ -186,6 +273,7 @@ Example:
     console.log('  --preview          Show content without posting');
     console.log('  --live             Actually post to Twitter (overrides DRY_RUN)');
     console.log('  -g "text"          Prepend greeting to first tweet');
+    console.log('  --resume <job>     Finish a half-posted thread (with --live)');
     console.log('');
     console.log('Examples:');
     console.log('  node src/post.js MNDR --live');
@@ -218,34 +306,39 @@ Example:
     return;
   }
   
-  // Validate Twitter config
-  if (!validateTwitterConfig()) {
-    console.log('\n❌ Twitter credentials not configured. Set them in .env');
+  // Validate channel credentials
+  const { ready, missing } = checkChannels('content');
+  for (const [channel, settings] of Object.entries(missing)) {
+    console.log(`⚠️  ${channel} not configured (${settings.join(', ')}) - skipping`);
+  }
+  if (!ready.length) {
+    console.log('\n❌ No publishing channel configured. Set credentials in .env');
     return;
   }
   
   // Confirm
-  console.log('⚠️  Ready to post to Twitter.');
+  console.log(`⚠️  Ready to post to ${ready.join(', ')}.`);
   if (greeting) console.log(`   Greeting: "${greeting}"`);
   console.log('   Press Ctrl+C within 3 seconds to cancel...\n');
   await new Promise(r => setTimeout(r, 3000));
   
   // Post!
-  console.log('🚀 Posting to Twitter...\n');
+  console.log('🚀 Publishing...\n');
   
   try {
     const breakdownTweets = Array.isArray(data.tweets.breakdown) 
       ? data.tweets.breakdown 
       : [data.tweets.breakdown];
     
-    const result = await postAlertThread(
+    const result = await publishThread(
+      'content',
       hookWithGreeting,  // Use hook with greeting prepended
       breakdownTweets,
       data.chartPath
     );
     
     console.log(`\n✅ Successfully posted thread for $${ticker}!`);
-    console.log(`   ${result.tweets.length} tweets posted.`);
+    console.log(`   ${result.posts.length} posts on ${result.posted.join(', ')}.`);
     
     // Record in history
     recordTweet({
@@ -253,6 +346,11 @@ Example:
       peakGain: data.tickerData?.peakGain,
       currentGain: data.tickerData?.currentGain
     }, data.classification?.bucket, greeting ? `Posted with greeting: ${greeting}` : 'Posted via post.js');
+    registerCalls('case_study', [{
+      ticker,
+      score: data.classification?.riskScore,
+      price: data.tickerData?.price
+    }], { tweetId: result.tweets?.[0]?.id });
     
     console.log(`   Recorded in tweet history.\n`);
     
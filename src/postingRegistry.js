@@ -0,0 +1,262 @@
+/**
+ * POSTING REGISTRY - One cooldown policy across every posting module
+ *
+ * Each module still keeps its own post dates (dilution_posted.json,
+ * bankruptcy_posted.json, ... - cooldown scopes in the store), but decides
+ * through here instead of its own isOnCooldown(), so it also sees what every
+ * other module posted:
+ *
+ *   - module cooldown  the same module re-posting a ticker (30 days for the
+ *                      weekly boards, scoring.config.json for CDE, never for
+ *                      the roundup)
+ *   - global cooldown  any other module posted the ticker in the last 7 days
+ *                      (a ticker can't be the Monday dilution board, the
+ *                      Tuesday bankruptcy board and a CDE thread in one week)
+ *   - score override   posting again at a score 15+ points above the score the
+ *                      module last posted it at lifts both cooldowns
+ *
+ * Policies live in POSTING_CONFIG (config.js).
+ *
+ * Usage:
+ *   node src/postingRegistry.js status                # Every ticker's last appearance across modules
+ *   node src/postingRegistry.js status PLUG           # One ticker: every module + whether each could post it now
+ *   node src/postingRegistry.js status --module=cde   # Tickers one module has posted
+ *   node src/postingRegistry.js status --blocked      # Only tickers still on a cooldown somewhere
+ */
+
+import './scoringConfigFlag.js';
+import { POSTING_CONFIG } from './config.js';
+import { SCORING_CONFIG } from './scoringConfig.js';
+import { loadCooldowns, loadCooldownScores, listCooldownScopes, markPosted } from './storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// POLICIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Cooldown policy for a module
+ * @param {string} module - Key of POSTING_CONFIG.modules (also its cooldown scope)
+ * @returns {Object} { module, label, cooldownDays, global }
+ */
+export function cooldownPolicy(module) {
+  const policy = POSTING_CONFIG.modules[module] || {};
+  const cooldownDays = policy.cooldownDays ?? (module === 'cde' ? SCORING_CONFIG.cde.cooldownDays : 30);
+  return {
+    module,
+    label: policy.label || module,
+    cooldownDays,
+    global: policy.global !== false
+  };
+}
+
+/**
+ * "30-day cooldown" / "no repeats" for log lines
+ */
+export function cooldownLabel(module) {
+  const { cooldownDays } = cooldownPolicy(module);
+  return cooldownDays === Infinity ? 'no-repeat cooldown' : `${cooldownDays}-day cooldown`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every module's posts
+ * @returns {Object} { module: { TICKER: { date, score } } }
+ */
+export function loadRegistry() {
+  const modules = new Set([...Object.keys(POSTING_CONFIG.modules), ...listCooldownScopes()]);
+  const registry = {};
+  for (const module of modules) {
+    const dates = loadCooldowns(module);
+    const scores = loadCooldownScores(module);
+    registry[module] = Object.fromEntries(Object.entries(dates)
+      .map(([ticker, date]) => [ticker, { date, score: scores[ticker] ?? null }]));
+  }
+  return registry;
+}
+
+/**
+ * Record that a module posted tickers
+ * @param {string} module
+ * @param {Array} entries - Tickers, or { ticker, score } so a later score jump can lift the cooldown
+ * @param {Object} options - { date }
+ */
+export function recordPosting(module, entries, options = {}) {
+  return markPosted(module, entries, options);
+}
+
+/**
+ * Every module that posted each ticker, newest first
+ * @returns {Object} { TICKER: [{ module, date, score }] }
+ */
+export function lastAppearances(registry = loadRegistry()) {
+  const byTicker = {};
+  for (const [module, tickers] of Object.entries(registry)) {
+    for (const [ticker, { date, score }] of Object.entries(tickers)) {
+      (byTicker[ticker] = byTicker[ticker] || []).push({ module, date, score });
+    }
+  }
+  for (const list of Object.values(byTicker)) list.sort((a, b) => b.date.localeCompare(a.date));
+  return byTicker;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COOLDOWN CHECK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function daysSince(date, asOf) {
+  return Math.floor((new Date(asOf).getTime() - new Date(date).getTime()) / DAY_MS);
+}
+
+function describe(block) {
+  const by = block.scope === 'global' ? ` by ${cooldownPolicy(block.module).label}` : '';
+  const left = block.daysRemaining === Infinity ? 'no repeats' : `${block.daysRemaining}d left`;
+  return `posted${by} ${block.daysSince}d ago (${left})`;
+}
+
+/**
+ * Can a module post a ticker now?
+ *
+ * @param {string} module - Key of POSTING_CONFIG.modules
+ * @param {string} ticker
+ * @param {Object} options - { score (the score it would be posted at), registry (from loadRegistry), asOf }
+ * @returns {Object} { blocked, scope: 'module' | 'global' | null, module (the one that posted it),
+ *   lastPosted, daysSince, daysRemaining, override, scoreJump, text }
+ */
+export function checkCooldown(module, ticker, options = {}) {
+  const { score = null, registry = loadRegistry(), asOf = new Date().toISOString() } = options;
+  const symbol = ticker.toUpperCase();
+  const policy = cooldownPolicy(module);
+  const own = registry[module]?.[symbol] || null;
+
+  let block = null;
+
+  if (own) {
+    const since = daysSince(own.date, asOf);
+    if (since < policy.cooldownDays) {
+      block = { scope: 'module', module, lastPosted: own.date, daysSince: since, daysRemaining: policy.cooldownDays - since };
+    }
+  }
+
+  if (!block && policy.global) {
+    for (const [other, tickers] of Object.entries(registry)) {
+      if (other === module || !cooldownPolicy(other).global || !tickers[symbol]) continue;
+      const since = daysSince(tickers[symbol].date, asOf);
+      if (since < POSTING_CONFIG.globalCooldownDays && (!block || since < block.daysSince)) {
+        block = { scope: 'global', module: other, lastPosted: tickers[symbol].date, daysSince: since, daysRemaining: POSTING_CONFIG.globalCooldownDays - since };
+      }
+    }
+  }
+
+  if (!block) {
+    return { blocked: false, scope: null, module: null, override: false, scoreJump: null, text: null };
+  }
+
+  const scoreJump = typeof score === 'number' && typeof own?.score === 'number'
+    ? Math.round((score - own.score) * 10) / 10
+    : null;
+
+  if (scoreJump !== null && scoreJump >= POSTING_CONFIG.overrideScoreJump) {
+    return { ...block, blocked: false, override: true, scoreJump, text: `${describe(block)} - score up ${scoreJump} since last post, cooldown lifted` };
+  }
+
+  return { ...block, blocked: true, override: false, scoreJump, text: describe(block) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function printTicker(ticker, registry) {
+  const appearances = lastAppearances(registry)[ticker] || [];
+  console.log(`\n📋 $${ticker}\n`);
+
+  if (!appearances.length) {
+    console.log('   Never posted.\n');
+  } else {
+    for (const a of appearances) {
+      const score = a.score !== null ? `  score ${a.score}` : '';
+      console.log(`   ${a.date}  ${cooldownPolicy(a.module).label.padEnd(28)}${score}`);
+    }
+    console.log('');
+  }
+
+  console.log('   Could post now?');
+  for (const module of Object.keys(POSTING_CONFIG.modules)) {
+    const check = checkCooldown(module, ticker, { registry });
+    console.log(`   ${check.blocked ? '🔒' : '✅'} ${cooldownPolicy(module).label.padEnd(28)} ${check.blocked ? check.text : ''}`);
+  }
+  console.log('');
+}
+
+function printStatus(registry, { module = null, blockedOnly = false } = {}) {
+  const today = new Date().toISOString();
+  const rows = Object.entries(lastAppearances(registry))
+    .map(([ticker, appearances]) => {
+      const shown = module ? appearances.filter(a => a.module === module) : appearances;
+      if (!shown.length) return null;
+      const latest = shown[0];
+      const since = daysSince(latest.date, today);
+      const own = cooldownPolicy(latest.module);
+      const cooling = since < own.cooldownDays || (own.global && since < POSTING_CONFIG.globalCooldownDays);
+      return { ticker, latest, since, cooling, others: shown.slice(1).map(a => a.module) };
+    })
+    .filter(r => r && (!blockedOnly || r.cooling))
+    .sort((a, b) => b.latest.date.localeCompare(a.latest.date) || a.ticker.localeCompare(b.ticker));
+
+  console.log(`Module cooldowns: ${Object.keys(POSTING_CONFIG.modules).map(m => `${m} ${cooldownPolicy(m).cooldownDays === Infinity ? '∞' : cooldownPolicy(m).cooldownDays + 'd'}`).join(', ')}`);
+  console.log(`Global cooldown: ${POSTING_CONFIG.globalCooldownDays}d · Score override: +${POSTING_CONFIG.overrideScoreJump} points\n`);
+
+  if (!rows.length) {
+    console.log('📭 Nothing posted yet.\n');
+    return;
+  }
+
+  console.log(`${'TICKER'.padEnd(8)}${'LAST POSTED'.padEnd(13)}${'AGO'.padStart(5)}  ${'MODULE'.padEnd(16)}${'SCORE'.padStart(6)}  ALSO POSTED BY`);
+  console.log('─'.repeat(78));
+  for (const r of rows) {
+    const score = r.latest.score !== null ? String(r.latest.score) : '-';
+    console.log(`${r.cooling ? '🔒' : '  '}${r.ticker.padEnd(6)}${r.latest.date.padEnd(13)}${`${r.since}d`.padStart(5)}  ${r.latest.module.padEnd(16)}${score.padStart(6)}  ${r.others.join(', ')}`);
+  }
+  console.log(`\n${rows.length} tickers (${rows.filter(r => r.cooling).length} 🔒 still cooling)\n`);
+}
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const command = args.find(a => !a.startsWith('--')) || 'status';
+  const ticker = args.filter(a => !a.startsWith('--'))[1];
+  const moduleArg = args.find(a => a.startsWith('--module='))?.split('=')[1] || null;
+
+  if (command !== 'status') {
+    console.error(`Unknown command "${command}". Usage: node src/postingRegistry.js status [TICKER] [--module=] [--blocked]`);
+    process.exit(1);
+  }
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  POSTING REGISTRY STATUS                                                      ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  const registry = loadRegistry();
+  if (ticker) {
+    printTicker(ticker.toUpperCase().replace('$', ''), registry);
+  } else {
+    printStatus(registry, { module: moduleArg, blockedOnly: args.includes('--blocked') });
+  }
+}
+
+export default {
+  cooldownPolicy,
+  cooldownLabel,
+  loadRegistry,
+  recordPosting,
+  lastAppearances,
+  checkCooldown
+};
@@ -0,0 +1,200 @@
+/**
+ * PUBLISHER - Fan one thread out to every channel a module posts to
+ *
+ * Modules call publishThread(module, hook, breakdown, images) instead of
+ * twitterPoster.postAlertThread(). The same thread is formatted for each
+ * channel in PUBLISHING_CONFIG.modules[module] (PUBLISH_CHANNELS_<MODULE>,
+ * default PUBLISH_CHANNELS, default x):
+ *
+ *   channel    per post                images  markup     thread
+ *   x          280 chars               1       none       reply chain
+ *   discord    2000 chars              10      markdown   parts packed into few messages
+ *   telegram   4096 (1024 as caption)  10      html       parts packed, album first
+ *   bluesky    300 graphemes           4       none       reply chain (root + parent)
+ *   mastodon   500 chars               4       none       reply chain
+ *
+ * Adapters live in src/publishers/ - each one is created with its endpoint
+ * + credentials (so it can be pointed at a local stand-in server) and has
+ * format(thread) and publish(thread). In DRY_RUN every adapter prints what it
+ * would send.
+ *
+ * One channel failing doesn't stop the others; publishThread only throws
+ * when every channel failed, so callers keep their "record only after a
+ * successful post" logic.
+ *
+ * Usage:
+ *   node src/publisher.js status                 # Channels per module + which are configured
+ *   node src/publisher.js preview --module=cde   # DRY_RUN a sample thread to that module's channels
+ */
+
+import { PUBLISHING_CONFIG } from './config.js';
+import { createXPublisher } from './publishers/x.js';
+import { createDiscordPublisher } from './publishers/discord.js';
+import { createTelegramPublisher } from './publishers/telegram.js';
+import { createBlueskyPublisher } from './publishers/bluesky.js';
+import { createMastodonPublisher } from './publishers/mastodon.js';
+import { isDryRun } from './publishers/format.js';
+
+const ADAPTERS = {
+  x: createXPublisher,
+  discord: createDiscordPublisher,
+  telegram: createTelegramPublisher,
+  bluesky: createBlueskyPublisher,
+  mastodon: createMastodonPublisher
+};
+
+export const CHANNELS = Object.keys(ADAPTERS);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHANNELS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Channels a module publishes to
+ * @param {string} module - Key of PUBLISHING_CONFIG.modules
+ */
+export function channelsFor(module) {
+  return PUBLISHING_CONFIG.modules[module] || PUBLISHING_CONFIG.defaultChannels;
+}
+
+/**
+ * Adapter for a channel
+ * @param {string} channel - x | discord | telegram | bluesky | mastodon
+ * @param {Object} options - Endpoint + credentials (default: PUBLISHING_CONFIG.channels[channel])
+ */
+export function createPublisher(channel, options) {
+  const create = ADAPTERS[channel];
+  if (!create) throw new Error(`Unknown channel "${channel}" (use ${CHANNELS.join(', ')})`);
+  return options ? create(options) : create();
+}
+
+/**
+ * Which of a module's channels have their credentials set
+ * @returns {Object} { ready: [channel], missing: { channel: [env var] } }
+ */
+export function checkChannels(module) {
+  const ready = [];
+  const missing = {};
+  for (const channel of channelsFor(module)) {
+    if (!ADAPTERS[channel]) {
+      missing[channel] = ['unknown channel'];
+      continue;
+    }
+    const settings = createPublisher(channel).missingSettings();
+    if (settings.length) missing[channel] = settings;
+    else ready.push(channel);
+  }
+  return { ready, missing };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLISH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Post a thread to every channel the module publishes to
+ *
+ * @param {string} module - Key of PUBLISHING_CONFIG.modules
+ * @param {string} hook - First post
+ * @param {string|string[]} breakdown - Follow-up posts
+ * @param {string|string[]} images - Chart / card paths (attached to the first post)
+ * @param {Object} options - { channels (override the module's), publishers ({ channel: adapter }) }
+ * @returns {Object} { tweets (X's tweets, null unless X posted), posts ({ id, url } on X, else the first
+ *   channel that posted), channels: { channel: { ok, posts, error } }, posted (channels that succeeded) }
+ */
+export async function publishThread(module, hook, breakdown, images = null, options = {}) {
+  const channels = options.channels || channelsFor(module);
+  const thread = {
+    module,
+    parts: [hook, ...(Array.isArray(breakdown) ? breakdown : [breakdown])].filter(Boolean),
+    images: [images].flat().filter(Boolean)
+  };
+
+  console.log(`\n📣 Publishing ${module} → ${channels.join(', ')}`);
+
+  const results = {};
+  for (const channel of channels) {
+    try {
+      const publisher = options.publishers?.[channel] || createPublisher(channel);
+      const missing = publisher.missingSettings();
+      if (missing.length && !isDryRun()) {
+        throw new Error(`not configured (set ${missing.join(', ')})`);
+      }
+      results[channel] = { ok: true, ...await publisher.publish(thread) };
+      console.log(`   ✅ ${channel}: ${results[channel].posts.length} post(s)`);
+    } catch (error) {
+      results[channel] = { ok: false, posts: [], error: error.message };
+      console.error(`   ❌ ${channel}: ${error.message}`);
+    }
+  }
+
+  const posted = channels.filter(c => results[c].ok);
+  if (!posted.length) {
+    throw new Error(`Publishing failed on every channel - ${channels.map(c => `${c}: ${results[c].error}`).join('; ')}`);
+  }
+
+  // Callers store tweets[0].id as a tweet id - another channel's post id never stands in for it
+  const primary = results.x?.ok ? results.x : results[posted[0]];
+  return { tweets: results.x?.ok ? results.x.tweets : null, posts: primary.posts, channels: results, posted };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SAMPLE_THREAD = [
+  '🚨 $ABCD just filed a $50M ATM\n\nCash runway: 3 months. Float: 12M shares.',
+  'The math:\n• $50M ATM vs $18M market cap\n• 3 offerings in 12 months\n• Going-concern language in the last 10-Q',
+  'Not financial advice. Do your own research.'
+];
+
+function printStatus() {
+  console.log('Channels:');
+  for (const channel of CHANNELS) {
+    const missing = createPublisher(channel).missingSettings();
+    console.log(`   ${missing.length ? '⚠️ ' : '✅'} ${channel.padEnd(10)} ${missing.length ? `missing ${missing.join(', ')}` : 'configured'}`);
+  }
+
+  console.log('\nModules:');
+  for (const [module, channels] of Object.entries(PUBLISHING_CONFIG.modules)) {
+    console.log(`   ${module.padEnd(20)} ${channels.join(', ')}`);
+  }
+  console.log('');
+}
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const command = args.find(a => !a.startsWith('--')) || 'status';
+  const module = args.find(a => a.startsWith('--module='))?.split('=')[1] || 'content';
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  PUBLISHER                                                                    ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  if (command === 'status') {
+    printStatus();
+  } else if (command === 'preview') {
+    process.env.DRY_RUN = 'true';
+    const [hook, ...breakdown] = SAMPLE_THREAD;
+    publishThread(module, hook, breakdown, null, { channels: args.includes('--all') ? CHANNELS : undefined })
+      .catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+      });
+  } else {
+    console.error(`Unknown command "${command}". Usage: node src/publisher.js status | preview [--module=] [--all]`);
+    process.exit(1);
+  }
+}
+
+export default {
+  CHANNELS,
+  channelsFor,
+  createPublisher,
+  checkChannels,
+  publishThread
+};
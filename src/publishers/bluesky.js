@@ -0,0 +1,91 @@
+/**
+ * BLUESKY PUBLISHER - AT Protocol posts
+ *
+ * 300 graphemes per post, up to 4 images, plain text. The thread is a reply
+ * chain: every reply points at the first post (root) and the one before it
+ * (parent). Signs in with an app password (Settings → App Passwords).
+ */
+
+import { PUBLISHING_CONFIG } from '../config.js';
+import {
+  isDryRun, fitParts, graphemeLength, pickImages, imageBlob, readResponse, previewMessages
+} from './format.js';
+
+export const LIMITS = { maxChars: 300, maxImages: 4, markup: 'none' };
+
+/**
+ * @param {Object} options - { service, handle, appPassword } (default: PUBLISHING_CONFIG.channels.bluesky)
+ */
+export function createBlueskyPublisher(options = PUBLISHING_CONFIG.channels.bluesky) {
+  const { service, handle, appPassword } = options;
+
+  async function xrpc(method, body, session = null, contentType = 'application/json') {
+    const headers = { 'Content-Type': contentType };
+    if (session) headers.Authorization = `Bearer ${session.accessJwt}`;
+    const response = await fetch(`${service}/xrpc/${method}`, {
+      method: 'POST',
+      headers,
+      body: contentType === 'application/json' ? JSON.stringify(body) : body
+    });
+    return readResponse(response, `Bluesky ${method}`);
+  }
+
+  async function uploadImages(images, session) {
+    const embedded = [];
+    for (const img of images) {
+      const { blob } = await xrpc('com.atproto.repo.uploadBlob', imageBlob(img), session, img.type);
+      embedded.push({ alt: '', image: blob });
+    }
+    return { $type: 'app.bsky.embed.images', images: embedded };
+  }
+
+  return {
+    channel: 'bluesky',
+    limits: LIMITS,
+
+    missingSettings: () => [
+      ...(handle ? [] : ['BLUESKY_HANDLE']),
+      ...(appPassword ? [] : ['BLUESKY_APP_PASSWORD'])
+    ],
+
+    format(thread) {
+      const images = pickImages(thread.images, LIMITS.maxImages);
+      return fitParts(thread.parts, LIMITS.maxChars, graphemeLength)
+        .map((text, i) => ({ text, images: i === 0 ? images : [] }));
+    },
+
+    async publish(thread) {
+      const messages = this.format(thread);
+      if (isDryRun()) return { posts: previewMessages('bluesky', messages) };
+
+      const session = await xrpc('com.atproto.server.createSession', { identifier: handle, password: appPassword });
+      const posts = [];
+      let root = null;
+      let parent = null;
+
+      for (const message of messages) {
+        const record = {
+          $type: 'app.bsky.feed.post',
+          text: message.text,
+          createdAt: new Date().toISOString(),
+          langs: ['en']
+        };
+        if (root) record.reply = { root, parent };
+        if (message.images.length) record.embed = await uploadImages(message.images, session);
+
+        const created = await xrpc('com.atproto.repo.createRecord', {
+          repo: session.did,
+          collection: 'app.bsky.feed.post',
+          record
+        }, session);
+
+        parent = { uri: created.uri, cid: created.cid };
+        root = root || parent;
+        posts.push({ id: created.uri, url: `https://bsky.app/profile/${session.handle || handle}/post/${created.uri.split('/').pop()}` });
+      }
+      return { posts };
+    }
+  };
+}
+
+export default { createBlueskyPublisher, LIMITS };
@@ -0,0 +1,76 @@
+/**
+ * DISCORD PUBLISHER - Webhook messages
+ *
+ * 2000 characters per message, up to 10 attachments, Markdown. The thread is
+ * packed into as few messages as fit (a channel reads top to bottom, so there
+ * is no reply chain), with the hook's headline in bold and the chart attached
+ * to the first message.
+ */
+
+import { PUBLISHING_CONFIG } from '../config.js';
+import {
+  isDryRun, sleep, packParts, escapeMarkdown, emphasizeFirstLine,
+  pickImages, imageBlob, readResponse, previewMessages
+} from './format.js';
+
+export const LIMITS = { maxChars: 2000, maxImages: 10, markup: 'markdown' };
+
+const MESSAGE_DELAY_MS = 500; // webhooks allow ~5 requests / 2s
+
+/**
+ * @param {Object} options - { webhookUrl, username } (default: PUBLISHING_CONFIG.channels.discord)
+ */
+export function createDiscordPublisher(options = PUBLISHING_CONFIG.channels.discord) {
+  const { webhookUrl, username } = options;
+
+  async function send(message) {
+    const url = `${webhookUrl}${webhookUrl.includes('?') ? '&' : '?'}wait=true`;
+    const payload = { content: message.text, username, allowed_mentions: { parse: [] } };
+
+    if (!message.images.length) {
+      return readResponse(await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      }), 'Discord webhook');
+    }
+
+    const form = new FormData();
+    form.append('payload_json', JSON.stringify({
+      ...payload,
+      attachments: message.images.map((img, i) => ({ id: i, filename: img.name }))
+    }));
+    message.images.forEach((img, i) => form.append(`files[${i}]`, imageBlob(img), img.name));
+    return readResponse(await fetch(url, { method: 'POST', body: form }), 'Discord webhook');
+  }
+
+  return {
+    channel: 'discord',
+    limits: LIMITS,
+
+    missingSettings: () => webhookUrl ? [] : ['DISCORD_WEBHOOK_URL'],
+
+    format(thread) {
+      const [hook = '', ...replies] = thread.parts.map(escapeMarkdown);
+      const parts = [emphasizeFirstLine(hook, '**', '**'), ...replies].filter(Boolean);
+      const images = pickImages(thread.images, LIMITS.maxImages);
+      return packParts(parts, LIMITS.maxChars)
+        .map((text, i) => ({ text, images: i === 0 ? images : [] }));
+    },
+
+    async publish(thread) {
+      const messages = this.format(thread);
+      if (isDryRun()) return { posts: previewMessages('discord', messages) };
+
+      const posts = [];
+      for (const [i, message] of messages.entries()) {
+        if (i > 0) await sleep(MESSAGE_DELAY_MS);
+        const sent = await send(message);
+        posts.push({ id: sent.id, url: null });
+      }
+      return { posts };
+    }
+  };
+}
+
+export default { createDiscordPublisher, LIMITS };
@@ -0,0 +1,190 @@
+/**
+ * PUBLISHER HELPERS - Fit one thread to a channel's limits
+ *
+ * A thread is { parts: [hook, ...breakdown], images: [paths] }. Adapters turn
+ * it into the messages they send:
+ *   - fitParts()   one post per part, long parts split (reply-chain channels)
+ *   - packParts()  parts merged into as few messages as fit (chat channels)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+// Check DRY_RUN dynamically (allows runtime override, same as twitterPoster.js)
+export function isDryRun() {
+  return process.env.DRY_RUN !== 'false';
+}
+
+export function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LENGTH + SPLITTING
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const charLength = (text) => text.length;
+
+// Bluesky counts user-perceived characters (an emoji flag is 1, not 4)
+export const graphemeLength = (text) => [...segmenter.segment(text)].length;
+
+function hardCut(text, limit, length) {
+  const chunks = [];
+  let current = '';
+  for (const { segment } of segmenter.segment(text)) {
+    if (current && length(current + segment) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += segment;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split text into chunks of at most `limit` - at paragraphs, then lines,
+ * then words, and only mid-word for a single run longer than the limit
+ */
+export function splitText(text, limit, length = charLength) {
+  if (length(text) <= limit) return [text];
+
+  for (const sep of ['\n\n', '\n', ' ']) {
+    const pieces = text.split(sep);
+    if (pieces.length < 2) continue;
+
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+      const joined = current ? current + sep + piece : piece;
+      if (length(joined) <= limit) {
+        current = joined;
+        continue;
+      }
+      if (current) chunks.push(current);
+      current = piece;
+    }
+    if (current) chunks.push(current);
+    return chunks.flatMap(c => splitText(c.trim(), limit, length)).filter(Boolean);
+  }
+
+  return hardCut(text, limit, length);
+}
+
+/**
+ * One message per part, parts over the limit split across several
+ */
+export function fitParts(parts, limit, length = charLength) {
+  return parts.flatMap(part => splitText(part, limit, length));
+}
+
+/**
+ * Merge consecutive parts into as few messages as fit under the limit
+ */
+export function packParts(parts, limit, length = charLength, sep = '\n\n') {
+  const messages = [];
+  let current = '';
+  for (const chunk of fitParts(parts, limit, length)) {
+    const joined = current ? current + sep + chunk : chunk;
+    if (length(joined) <= limit) {
+      current = joined;
+      continue;
+    }
+    messages.push(current);
+    current = chunk;
+  }
+  if (current) messages.push(current);
+  return messages;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKUP
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Discord markdown characters that would otherwise turn "$ABC_WT" or "*" footnotes into formatting
+export function escapeMarkdown(text) {
+  return text.replace(/([\\*_~`|])/g, '\\$1');
+}
+
+/**
+ * Wrap the first line of a text (the hook's headline)
+ */
+export function emphasizeFirstLine(text, open, close) {
+  const [first, ...rest] = text.split('\n');
+  if (!first.trim()) return text;
+  return [`${open}${first}${close}`, ...rest].join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IMAGES + HTTP
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Image files that exist, up to a channel's maximum
+ * @returns {Array} [{ path, name, type }]
+ */
+export function pickImages(paths, max) {
+  return paths
+    .filter(p => p && fs.existsSync(p))
+    .slice(0, max)
+    .map(p => ({
+      path: p,
+      name: path.basename(p),
+      type: /\.jpe?g$/i.test(p) ? 'image/jpeg' : 'image/png'
+    }));
+}
+
+export function imageBlob(image) {
+  return new Blob([fs.readFileSync(image.path)], { type: image.type });
+}
+
+/**
+ * JSON body of a response, or an error with the channel + status + body
+ */
+export async function readResponse(response, what) {
+  const text = await response.text();
+  if (!response.ok) throw new Error(`${what} failed: ${response.status} - ${text.slice(0, 300)}`);
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (e) {
+    throw new Error(`${what} returned invalid JSON: ${text.slice(0, 300)}`);
+  }
+}
+
+/**
+ * [DRY_RUN] print of the messages a channel would send
+ */
+export function previewMessages(channel, messages) {
+  console.log(`\n📝 [DRY_RUN] Would post to ${channel} (${messages.length} message${messages.length === 1 ? '' : 's'}):`);
+  messages.forEach((m, i) => {
+    console.log('─'.repeat(50));
+    if (messages.length > 1) console.log(`[${i + 1}/${messages.length}]`);
+    if (m.text) console.log(m.text);
+    if (m.images?.length) console.log(`Images: ${m.images.map(img => img.name).join(', ')}`);
+  });
+  console.log('─'.repeat(50));
+  return messages.map((m, i) => ({ id: `dry-run-${channel}-${Date.now()}-${i + 1}`, url: null }));
+}
+
+export default {
+  isDryRun,
+  sleep,
+  charLength,
+  graphemeLength,
+  splitText,
+  fitParts,
+  packParts,
+  escapeHtml,
+  escapeMarkdown,
+  emphasizeFirstLine,
+  pickImages,
+  imageBlob,
+  readResponse,
+  previewMessages
+};
@@ -0,0 +1,79 @@
+/**
+ * MASTODON PUBLISHER - Statuses on one instance
+ *
+ * 500 characters per status (the default; some instances allow more), up to
+ * 4 images, plain text. The thread is a reply chain. Each status carries an
+ * Idempotency-Key, so a retried request doesn't post twice.
+ */
+
+import crypto from 'crypto';
+
+import { PUBLISHING_CONFIG } from '../config.js';
+import { isDryRun, fitParts, pickImages, imageBlob, readResponse, previewMessages } from './format.js';
+
+export const LIMITS = { maxChars: 500, maxImages: 4, markup: 'none' };
+
+/**
+ * @param {Object} options - { instance, accessToken, visibility } (default: PUBLISHING_CONFIG.channels.mastodon)
+ */
+export function createMastodonPublisher(options = PUBLISHING_CONFIG.channels.mastodon) {
+  const { instance, accessToken, visibility = 'public' } = options;
+  const base = (instance || '').replace(/\/$/, '');
+  const auth = { Authorization: `Bearer ${accessToken}` };
+
+  async function uploadImage(img) {
+    const form = new FormData();
+    form.append('file', imageBlob(img), img.name);
+    const media = await readResponse(await fetch(`${base}/api/v2/media`, { method: 'POST', headers: auth, body: form }), 'Mastodon media upload');
+    return media.id;
+  }
+
+  return {
+    channel: 'mastodon',
+    limits: LIMITS,
+
+    missingSettings: () => [
+      ...(instance ? [] : ['MASTODON_INSTANCE']),
+      ...(accessToken ? [] : ['MASTODON_ACCESS_TOKEN'])
+    ],
+
+    format(thread) {
+      const images = pickImages(thread.images, LIMITS.maxImages);
+      return fitParts(thread.parts, LIMITS.maxChars)
+        .map((text, i) => ({ text, images: i === 0 ? images : [] }));
+    },
+
+    async publish(thread) {
+      const messages = this.format(thread);
+      if (isDryRun()) return { posts: previewMessages('mastodon', messages) };
+
+      const posts = [];
+      let replyTo = null;
+      for (const message of messages) {
+        const mediaIds = [];
+        for (const img of message.images) mediaIds.push(await uploadImage(img));
+
+        const status = await readResponse(await fetch(`${base}/api/v1/statuses`, {
+          method: 'POST',
+          headers: {
+            ...auth,
+            'Content-Type': 'application/json',
+            'Idempotency-Key': crypto.createHash('sha256').update(`${replyTo}|${message.text}`).digest('hex')
+          },
+          body: JSON.stringify({
+            status: message.text,
+            visibility,
+            ...(mediaIds.length ? { media_ids: mediaIds } : {}),
+            ...(replyTo ? { in_reply_to_id: replyTo } : {})
+          })
+        }), 'Mastodon status');
+
+        replyTo = status.id;
+        posts.push({ id: status.id, url: status.url || null });
+      }
+      return { posts };
+    }
+  };
+}
+
+export default { createMastodonPublisher, LIMITS };
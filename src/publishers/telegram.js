@@ -0,0 +1,109 @@
+/**
+ * TELEGRAM PUBLISHER - Bot API messages to a channel or group
+ *
+ * 4096 characters per message (1024 for a photo caption), up to 10 photos
+ * (sent as an album), HTML formatting. The thread is packed into as few
+ * messages as fit; the chart goes first, captioned with the first message
+ * when it's short enough.
+ */
+
+import { PUBLISHING_CONFIG } from '../config.js';
+import {
+  isDryRun, sleep, packParts, escapeHtml, emphasizeFirstLine,
+  pickImages, imageBlob, readResponse, previewMessages
+} from './format.js';
+
+export const LIMITS = { maxChars: 4096, maxCaption: 1024, maxImages: 10, markup: 'html' };
+
+const MESSAGE_DELAY_MS = 1000; // ~1 message per second per chat
+
+/**
+ * @param {Object} options - { apiBase, botToken, chatId } (default: PUBLISHING_CONFIG.channels.telegram)
+ */
+export function createTelegramPublisher(options = PUBLISHING_CONFIG.channels.telegram) {
+  const { apiBase, botToken, chatId } = options;
+
+  async function call(method, body) {
+    const isForm = body instanceof FormData;
+    const response = await fetch(`${apiBase}/bot${botToken}/${method}`, {
+      method: 'POST',
+      headers: isForm ? {} : { 'Content-Type': 'application/json' },
+      body: isForm ? body : JSON.stringify(body)
+    });
+    const data = await readResponse(response, `Telegram ${method}`);
+    if (!data.ok) throw new Error(`Telegram ${method} failed: ${data.description || 'unknown error'}`);
+    return data.result;
+  }
+
+  async function sendImages(images, caption) {
+    const form = new FormData();
+    form.append('chat_id', chatId);
+
+    if (images.length === 1) {
+      form.append('photo', imageBlob(images[0]), images[0].name);
+      if (caption) {
+        form.append('caption', caption);
+        form.append('parse_mode', 'HTML');
+      }
+      return [await call('sendPhoto', form)];
+    }
+
+    form.append('media', JSON.stringify(images.map((img, i) => ({
+      type: 'photo',
+      media: `attach://photo${i}`,
+      ...(i === 0 && caption ? { caption, parse_mode: 'HTML' } : {})
+    }))));
+    images.forEach((img, i) => form.append(`photo${i}`, imageBlob(img), img.name));
+    return call('sendMediaGroup', form);
+  }
+
+  const sendText = (text) => call('sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    link_preview_options: { is_disabled: true }
+  });
+
+  const messageUrl = (id) => String(chatId).startsWith('@') ? `https://t.me/${String(chatId).slice(1)}/${id}` : null;
+
+  return {
+    channel: 'telegram',
+    limits: LIMITS,
+
+    missingSettings: () => [
+      ...(botToken ? [] : ['TELEGRAM_BOT_TOKEN']),
+      ...(chatId ? [] : ['TELEGRAM_CHAT_ID'])
+    ],
+
+    format(thread) {
+      const [hook = '', ...replies] = thread.parts.map(escapeHtml);
+      const parts = [emphasizeFirstLine(hook, '<b>', '</b>'), ...replies].filter(Boolean);
+      const images = pickImages(thread.images, LIMITS.maxImages);
+      return packParts(parts, LIMITS.maxChars)
+        .map((text, i) => ({ text, images: i === 0 ? images : [] }));
+    },
+
+    async publish(thread) {
+      const messages = this.format(thread);
+      if (isDryRun()) return { posts: previewMessages('telegram', messages) };
+
+      const sent = [];
+      for (const [i, message] of messages.entries()) {
+        if (i > 0) await sleep(MESSAGE_DELAY_MS);
+        if (!message.images.length) {
+          sent.push(await sendText(message.text));
+          continue;
+        }
+        const captioned = message.text.length <= LIMITS.maxCaption;
+        sent.push(...await sendImages(message.images, captioned ? message.text : null));
+        if (!captioned) {
+          await sleep(MESSAGE_DELAY_MS);
+          sent.push(await sendText(message.text));
+        }
+      }
+      return { posts: sent.map(m => ({ id: m.message_id, url: messageUrl(m.message_id) })) };
+    }
+  };
+}
+
+export default { createTelegramPublisher, LIMITS };
@@ -0,0 +1,46 @@
+/**
+ * X / TWITTER PUBLISHER - Reply-chain thread via twitterPoster.js
+ *
+ * 280 characters per tweet, one image (the chart / card on the hook).
+ * twitterPoster.js keeps the OAuth signing, preflight check, media upload,
+ * thread jobs (resume / duplicate rejection) and its own DRY_RUN output; this
+ * only fits the thread to X's limits.
+ */
+
+import { TWITTER_CONFIG } from '../config.js';
+import { postAlertThread } from '../twitterPoster.js';
+import { fitParts, pickImages } from './format.js';
+
+export const LIMITS = { maxChars: 280, maxImages: 1, markup: 'none' };
+
+/**
+ * @param {Object} options - Unused (credentials come from TWITTER_CONFIG)
+ */
+export function createXPublisher() {
+  return {
+    channel: 'x',
+    limits: LIMITS,
+
+    missingSettings: () => ['apiKey', 'apiSecret', 'accessToken', 'accessSecret']
+      .filter(key => !TWITTER_CONFIG[key])
+      .map(key => `TWITTER_${key.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`),
+
+    format(thread) {
+      const images = pickImages(thread.images, LIMITS.maxImages);
+      return fitParts(thread.parts, LIMITS.maxChars)
+        .map((text, i) => ({ text, images: i === 0 ? images : [] }));
+    },
+
+    async publish(thread) {
+      const [hook, ...replies] = this.format(thread);
+      const result = await postAlertThread(hook.text, replies.map(m => m.text), hook.images[0]?.path || null, { module: thread.module });
+      return {
+        tweets: result.tweets,
+        jobId: result.jobId,
+        posts: result.tweets.map(t => ({ id: t.id, url: `https://x.com/i/web/status/${t.id}` }))
+      };
+    }
+  };
+}
+
+export default { createXPublisher, LIMITS };
@@ -5,11 +5,11 @@
  * Coordinates FMP data fetching, scoring, storage, and posting.
  */
 
+import './scoringConfigFlag.js';
 import { 
   logConfig, 
   DRY_RUN, 
   VERBOSE, 
-  SCANNER_THRESHOLDS,
   TWITTER_CONFIG 
 } from './config.js';
 import { 
@@ -21,9 +21,15 @@ import {
   getApiCallCount,
   resetApiCallCount 
 } from './vendors/fmp.js';
+import { getLatestATMProgram } from './vendors/secProspectus.js';
+import { getRecentReverseSplit } from './splitEvents.js';
 import { evaluateSignal, calculateWeeklyChange } from './scoreEngine.js';
-import { loadSignals, saveSignals, loadDailyLog, saveDailyLog } from './storage.js';
+import { loadSignals, saveSignals, loadDailyLog, logRun } from './storage.js';
 import { generateAndPostTweet } from './postTweet.js';
+import { registerCalls } from './scorecard.js';
+import { SCORING_CONFIG, scoringVersion } from './scoringConfig.js';
+
+const SCANNER_THRESHOLDS = SCORING_CONFIG.scanner;
 
 // ═══════════════════════════════════════════════════════════════════════════
 // MAIN SCANNER
@@ -107,6 +113,17 @@ export async function runScan() {
         
         const offerings = await getOfferings(ticker);
         
+        // Real ATM size/terms from the latest 424B5 (SEC, free)
+        const atmProgram = await getLatestATMProgram(ticker);
+        if (atmProgram) {
+          offerings.atmProgram = atmProgram;
+          offerings.hasOfferings = true;
+          offerings.count = Math.max(offerings.count, 1);
+        }
+        
+        // Reverse split in the last few months (FMP splits + 8-K 5.03/3.03)
+        const recentReverseSplit = await getRecentReverseSplit(ticker);
+        
         // ─────────────────────────────────────────────────────────────────
         // STEP 4: Run through scoring engine
         // ─────────────────────────────────────────────────────────────────
@@ -116,7 +133,8 @@ export async function runScan() {
           candles,
           weeklyChange,
           fundamentals,
-          offerings
+          offerings,
+          recentReverseSplit
         });
         
         console.log(`   Score: ${decision.score.toFixed(2)} | Trigger: ${decision.shouldTrigger ? '✅ YES' : '❌ NO'}`);
@@ -137,13 +155,18 @@ export async function runScan() {
             market_cap: fundamentals.marketCap,
             offering_detected: offerings.hasOfferings,
             offering_count: offerings.count,
+            atm_offering_amount: atmProgram?.offeringAmount || null,
+            atm_size_to_mcap: decision.offeringFlags?.sizeRatio ?? null,
+            recent_reverse_split: recentReverseSplit?.label || null,
             dilution_risk_score: decision.score,
+            scoring_config: scoringVersion(),
             reason: decision.reasons.join('; '),
             tweet_id: null,
             notes: {
               fundamentals: decision.fundamentalFlags,
               candles: decision.candleFlags
-            }
+            },
+            explanation: decision.explanation
           };
           
           newSignals.push(signal);
@@ -152,6 +175,9 @@ export async function runScan() {
           if (canTweet && canAddSignals && !DRY_RUN) {
             const tweetResult = await generateAndPostTweet(signal, 'new_signal');
             signal.tweet_id = tweetResult?.tweetId || null;
+            if (tweetResult?.success) {
+              registerCalls('scanner_signal', [{ ticker, score: signal.dilution_risk_score, price: signal.entry_price }], { tweetId: signal.tweet_id });
+            }
           } else if (DRY_RUN) {
             console.log(`   📝 DRY RUN: Would tweet about ${ticker}`);
           } else {
@@ -190,15 +216,8 @@ export async function runScan() {
     durationMs: Date.now() - startTime
   };
   
-  dailyLog.runs = dailyLog.runs || [];
-  dailyLog.runs.push(runLog);
-  
-  dailyLog.signals = dailyLog.signals || [];
-  newSignals.forEach(s => {
-    dailyLog.signals.push({ date: scanDate, ticker: s.ticker });
-  });
-  
-  saveDailyLog(dailyLog);
+  // Appended, not rewritten - tweets logged during the run stay in the log
+  logRun(runLog, newSignals.map(s => ({ date: scanDate, ticker: s.ticker })));
   
   // ─────────────────────────────────────────────────────────────────────────
   // SUMMARY
@@ -5,7 +5,11 @@
  * All trigger logic lives here for easy tuning.
  */
 
-import { SCANNER_THRESHOLDS, VERBOSE } from './config.js';
+import { VERBOSE } from './config.js';
+import { SCORING_CONFIG } from './scoringConfig.js';
+import { buildExplanation, weightedFactor } from './scoreExplanation.js';
+
+const SCANNER_THRESHOLDS = SCORING_CONFIG.scanner;
 
 // ═══════════════════════════════════════════════════════════════════════════
 // HELPER: Calculate weekly % change from candles
@@ -195,6 +199,8 @@ export function getCashRunwayMonths(fundamentals) {
 
 /**
  * Evaluate offering risk
+ * Uses the parsed 424B5 terms (offerings.atmProgram) when available so size
+ * is judged against market cap instead of just counting filings.
  */
 export function evaluateOfferingRisk(offerings, marketCap) {
   if (!offerings || !offerings.hasOfferings) {
@@ -209,16 +215,25 @@ export function evaluateOfferingRisk(offerings, marketCap) {
     risk += Math.min(offerings.count * 0.1, 0.3);
   }
   
-  // TODO: When FMP provides offering size data, calculate relative to mcap
-  // if (offerings.size && marketCap) {
-  //   const sizeRatio = offerings.size / marketCap;
-  //   if (sizeRatio > 0.2) risk += 0.3; // >20% of mcap = big dilution
-  //   else if (sizeRatio > 0.1) risk += 0.2;
-  // }
+  // ATM size relative to market cap (from the 424B5 itself)
+  const atmProgram = offerings.atmProgram || null;
+  let sizeRatio = null;
+  if (atmProgram?.offeringAmount && marketCap > 0) {
+    sizeRatio = atmProgram.offeringAmount / marketCap;
+    if (sizeRatio > 0.2) risk += 0.3; // >20% of mcap = big dilution
+    else if (sizeRatio > SCANNER_THRESHOLDS.offeringSizeToMcapThreshold) risk += 0.2;
+  }
+  
+  // Upsizing an existing program = already selling and wants more room
+  if (atmProgram?.programType === 'increase') {
+    risk += 0.1;
+  }
   
   return {
     risk: Math.min(risk, 1),
     hasOffering: true,
+    sizeRatio,
+    atmProgram,
     details: offerings.recentFilings?.slice(0, 3) || []
   };
 }
@@ -236,9 +251,10 @@ export function evaluateOfferingRisk(offerings, marketCap) {
  * @param {number} params.weeklyChange - % change over 7 days
  * @param {Object} params.fundamentals - Cash, debt, etc.
  * @param {Object} params.offerings - Offering data
+ * @param {Object} params.recentReverseSplit - From getRecentReverseSplit() (null if none)
  * @returns {Object} Decision object with score, shouldTrigger, reasons
  */
-export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, offerings }) {
+export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, offerings, recentReverseSplit = null }) {
   const reasons = [];
   const flags = {
     candle: {},
@@ -325,13 +341,13 @@ export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, of
   
   // Burning cash
   const burningCash = isBurningCash(fundamentals);
+  const runway = burningCash ? getCashRunwayMonths(fundamentals) : Infinity;
   if (burningCash) {
     score += weights.burningCash;
     reasons.push('Negative cash flow');
     flags.fundamental.burningCash = true;
     
     // Check runway
-    const runway = getCashRunwayMonths(fundamentals);
     if (runway < 12) {
       score += 0.05;
       reasons.push(`Short runway (${runway.toFixed(0)} months)`);
@@ -339,6 +355,13 @@ export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, of
     }
   }
   
+  // Recent reverse split (bonus) - issuers fix their listing, then raise
+  if (recentReverseSplit) {
+    score += 0.05;
+    reasons.push(`Reverse split ${recentReverseSplit.label.replace(' R/S', '')} (${recentReverseSplit.daysAgo}d ago)`);
+    flags.fundamental.recentReverseSplit = recentReverseSplit.label;
+  }
+  
   // ─────────────────────────────────────────────────────────────────────────
   // OFFERING SIGNALS
   // ─────────────────────────────────────────────────────────────────────────
@@ -346,7 +369,12 @@ export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, of
   const offeringRisk = evaluateOfferingRisk(offerings, fundamentals.marketCap);
   if (offeringRisk.hasOffering) {
     score += weights.hasOffering * (offeringRisk.risk / 0.6); // normalize
-    reasons.push('Equity offering detected');
+    if (offeringRisk.sizeRatio !== null) {
+      const sizeM = (offeringRisk.atmProgram.offeringAmount / 1e6).toFixed(0);
+      reasons.push(`ATM $${sizeM}M (${(offeringRisk.sizeRatio * 100).toFixed(0)}% of mcap)`);
+    } else {
+      reasons.push('Equity offering detected');
+    }
     flags.offering = offeringRisk;
   }
   
@@ -357,6 +385,37 @@ export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, of
   // Normalize score to 0-1
   score = Math.min(Math.max(score, 0), 1);
   
+  // Per-factor contributions (bonuses are worth 0.05 each; the total is capped at 1)
+  const parabolic = weeklyChange >= SCANNER_THRESHOLDS.minWeeklyGainPct;
+  const redDay = !firstRedDay && isRedDay(candles);
+  const cashDebtRatio = fundamentals.totalDebt ? fundamentals.cash / fundamentals.totalDebt : null;
+  const explanation = buildExplanation('scanner', score, 1, [
+    weightedFactor('parabolicMove', 'Parabolic move', weeklyChange, parabolic ? 1 : 0, weights.parabolicMove,
+      `+${(weeklyChange ?? 0).toFixed(0)}% in a week`),
+    weightedFactor('extremeMove', 'Extreme move bonus', weeklyChange, parabolic && weeklyChange >= 300 ? 1 : 0, 0.05,
+      weeklyChange >= 300 ? 'Extreme parabolic run (300%+)' : 'Under 300% - no extreme bonus'),
+    weightedFactor('firstRedDay', 'Red day', firstRedDay || redDay, firstRedDay ? 1 : redDay ? 0.5 : 0, weights.firstRedDay,
+      firstRedDay ? 'First red day after a green streak' : redDay ? 'Red day (no green streak before it)' : 'No red day yet'),
+    weightedFactor('volumeFade', 'Volume fade', volumeFade, volumeFade ? 1 : 0, weights.volumeFade,
+      volumeFade ? 'Volume fading' : 'Volume holding up'),
+    weightedFactor('blowOffTop', 'Blow-off top', blowOff, blowOff ? 1 : 0, weights.blowOffTop,
+      blowOff ? 'Blow-off top pattern' : 'No blow-off top'),
+    weightedFactor('bearishEngulfing', 'Bearish engulfing', !!flags.candle.bearishEngulfing, flags.candle.bearishEngulfing ? 1 : 0, 0.05,
+      flags.candle.bearishEngulfing ? 'Bearish engulfing candle' : 'No bearish engulfing'),
+    weightedFactor('weakCash', 'Cash vs debt', cashDebtRatio, weakCash ? 1 : 0, weights.weakCash,
+      cashDebtRatio !== null ? `Cash covers ${(cashDebtRatio * 100).toFixed(0)}% of debt` : 'No debt'),
+    weightedFactor('burningCash', 'Cash burn', fundamentals.freeCashFlow, burningCash ? 1 : 0, weights.burningCash,
+      burningCash ? 'Negative free cash flow' : 'Not burning cash'),
+    weightedFactor('shortRunway', 'Short runway bonus', Number.isFinite(runway) ? runway : null, runway < 12 ? 1 : 0, 0.05,
+      Number.isFinite(runway) ? `${runway.toFixed(0)} months of cash runway` : 'Runway not limited by burn'),
+    weightedFactor('reverseSplit', 'Reverse split bonus', recentReverseSplit?.label || null, recentReverseSplit ? 1 : 0, 0.05,
+      recentReverseSplit ? `Reverse split ${recentReverseSplit.label.replace(' R/S', '')} ${recentReverseSplit.daysAgo}d ago` : 'No recent reverse split'),
+    weightedFactor('hasOffering', 'Offering risk', offeringRisk.sizeRatio !== null && offeringRisk.sizeRatio !== undefined ? offeringRisk.sizeRatio * 100 : offeringRisk.hasOffering,
+      offeringRisk.risk, weights.hasOffering / 0.6,
+      !offeringRisk.hasOffering ? 'No equity offering'
+        : offeringRisk.sizeRatio !== null ? `ATM ${(offeringRisk.sizeRatio * 100).toFixed(0)}% of market cap` : 'Equity offering detected')
+  ]);
+  
   // Must meet minimum score threshold
   const shouldTrigger = score >= SCANNER_THRESHOLDS.minScoreToTrigger;
   
@@ -381,6 +440,7 @@ export function evaluateSignal({ ticker, candles, weeklyChange, fundamentals, of
     fundamentalFlags: flags.fundamental,
     candleFlags: flags.candle,
     offeringFlags: flags.offering,
+    explanation,
     timestamp: Date.now()
   };
 }
@@ -8,6 +8,7 @@
  * - runway_factor        * 0.15  (survival window)
  * - offering_impact      * 0.20  (dilution force)
  * - float_fragility      * 0.10  (structural weakness)
+ * (defaults - a tuned version from tuneWeights.js replaces them when present)
  * 
  * TRIGGER CONDITIONS:
  * - score >= 0.65
@@ -16,36 +17,25 @@
  */
 
 import { VERBOSE } from './config.js';
+import { getEngineWeights } from './scoringWeights.js';
+import { SCORING_CONFIG } from './scoringConfig.js';
+import { buildExplanation, weightedFactor, renderExplanation } from './scoreExplanation.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION - Adjustable thresholds
 // ═══════════════════════════════════════════════════════════════════════════
 
-export const DILUTION_THRESHOLDS = {
-  // Price movement
-  minWeeklyGainPct: 150,        // Minimum 7-day gain to consider
-  extremeGainPct: 300,          // Bonus points threshold
-  
-  // Float sensitivity
-  fragileFloatPct: 20,          // Float < 20% = extremely fragile
-  sensitiveFloatPct: 40,        // Float < 40% = reactive to dilution
-  
-  // Cash runway
-  criticalRunwayMonths: 2,      // Imminent dilution
-  dangerRunwayMonths: 3,        // High probability
-  warningRunwayMonths: 6,       // Yellow flag
-  
-  // Offering impact
-  meaningfulOfferingPct: 10,    // >10% of market cap = meaningful
-  highOfferingPct: 25,          // >25% = high dilution probability
-  nuclearOfferingPct: 50,       // >50% = nuclear event
-  
-  // Volume capitulation
-  volumeFadeThreshold: 0.7,     // <70% = buyers disappearing
-  capitulationThreshold: 0.5,   // <50% = confirmed capitulation
-  
-  // Final trigger
-  minScoreToTrigger: 0.65
+// Loaded from scoring.config.json (dilutionV2)
+export const DILUTION_THRESHOLDS = SCORING_CONFIG.dilutionV2;
+
+// Factor weights (sum to 1)
+export const DILUTION_V2_WEIGHTS = {
+  gain: 0.30,
+  redCandle: 0.15,
+  volumeFade: 0.10,
+  runway: 0.15,
+  offeringImpact: 0.20,
+  floatFragility: 0.10
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -240,14 +230,7 @@ export function evaluateSignalV2({
   // WEIGHTED SCORE CALCULATION
   // ─────────────────────────────────────────────────────────────────────────
   
-  const weights = {
-    gain: 0.30,
-    redCandle: 0.15,
-    volumeFade: 0.10,
-    runway: 0.15,
-    offeringImpact: 0.20,
-    floatFragility: 0.10
-  };
+  const weights = getEngineWeights('dilution_v2', DILUTION_V2_WEIGHTS);
   
   const score = (
     (gainFactor * weights.gain) +
@@ -317,18 +300,36 @@ export function evaluateSignalV2({
     reasons.push(`🎯 Small float (< 40%) - highly sensitive to dilution`);
   }
   
+  // ─────────────────────────────────────────────────────────────────────────
+  // EXPLANATION (scoreExplanation.js)
+  // ─────────────────────────────────────────────────────────────────────────
+  
+  const volumeRatio = calculateVolumeRatio(candles);
+  const runwayMonths = runwayData?.runwayMonths ?? null;
+  const floatRatio = floatData?.floatRatio ?? null;
+  
+  const explanation = buildExplanation('dilution_v2', score, 1, [
+    weightedFactor('gain', '7-day gain', gainPct, gainFactor, weights.gain,
+      `+${gainPct.toFixed(0)}% in 7 days`),
+    weightedFactor('redCandle', 'Red candle', redCandleFactor > 0, redCandleFactor, weights.redCandle,
+      redCandleFactor >= 0.8 ? 'First red candle after a green streak' : redCandleFactor > 0 ? 'Red candle reversal' : 'No red candle yet'),
+    weightedFactor('volumeFade', 'Volume fade', volumeRatio, volumeFadeFactor, weights.volumeFade,
+      volumeRatio !== null && volumeFadeFactor > 0 ? `Volume down to ${(volumeRatio * 100).toFixed(0)}% of the prior 5 days` : 'Volume holding up'),
+    weightedFactor('runway', 'Cash runway', runwayMonths, runwayFactor, weights.runway,
+      runwayMonths !== null ? `${runwayMonths.toFixed(1)} months of cash runway` : 'Cash runway unknown'),
+    weightedFactor('offeringImpact', 'Offering impact', offeringImpactRatio * 100, offeringImpactFactor, weights.offeringImpact,
+      offeringImpactRatio > 0 ? `Offering ${(offeringImpactRatio * 100).toFixed(0)}% of market cap` : offeringImpactFactor > 0 ? 'Active equity offering' : 'No active offering'),
+    weightedFactor('floatFragility', 'Float fragility', floatRatio !== null ? floatRatio * 100 : null, floatFragilityFactor, weights.floatFragility,
+      floatRatio !== null ? `Float ${(floatRatio * 100).toFixed(0)}% of shares outstanding` : 'Float unknown')
+  ]);
+  
   // ─────────────────────────────────────────────────────────────────────────
   // VERBOSE LOGGING
   // ─────────────────────────────────────────────────────────────────────────
   
   if (VERBOSE) {
     console.log(`\n   📊 ${ticker} Score Breakdown (V2):`);
-    console.log(`      ├─ Gain Factor:      ${gainFactor.toFixed(3)} × 0.30 = ${(gainFactor * 0.30).toFixed(3)}`);
-    console.log(`      ├─ Red Candle:       ${redCandleFactor.toFixed(3)} × 0.15 = ${(redCandleFactor * 0.15).toFixed(3)}`);
-    console.log(`      ├─ Volume Fade:      ${volumeFadeFactor.toFixed(3)} × 0.10 = ${(volumeFadeFactor * 0.10).toFixed(3)}`);
-    console.log(`      ├─ Runway:           ${runwayFactor.toFixed(3)} × 0.15 = ${(runwayFactor * 0.15).toFixed(3)}`);
-    console.log(`      ├─ Offering Impact:  ${offeringImpactFactor.toFixed(3)} × 0.20 = ${(offeringImpactFactor * 0.20).toFixed(3)}`);
-    console.log(`      └─ Float Fragility:  ${floatFragilityFactor.toFixed(3)} × 0.10 = ${(floatFragilityFactor * 0.10).toFixed(3)}`);
+    console.log(renderExplanation(explanation, { indent: '      ' }));
     console.log(`      ══════════════════════════════════════════`);
     console.log(`      TOTAL SCORE: ${score.toFixed(3)} (threshold: ${DILUTION_THRESHOLDS.minScoreToTrigger})`);
     console.log(`      Trigger conditions: ${JSON.stringify(triggerConditions)}`);
@@ -356,7 +357,7 @@ export function evaluateSignalV2({
     metrics: {
       gainPct,
       isRedCandle: redCandleFactor > 0,
-      volumeFadeRatio: volumeFadeFactor > 0 ? calculateVolumeRatio(candles) : null,
+      volumeFadeRatio: volumeFadeFactor > 0 ? volumeRatio : null,
       runwayMonths: runwayData?.runwayMonths || null,
       offeringImpactRatio,
       floatRatio: floatData?.floatRatio || null
@@ -372,6 +373,9 @@ export function evaluateSignalV2({
       floatFragilityFactor
     },
     
+    // Per-factor inputs, weights, contributions + reasons
+    explanation,
+    
     // Trigger conditions breakdown
     triggerConditions,
     
@@ -416,6 +420,7 @@ export default {
   calculateOfferingImpactFactor,
   calculateFloatFragilityFactor,
   
-  // Thresholds
-  DILUTION_THRESHOLDS
+  // Thresholds + weights
+  DILUTION_THRESHOLDS,
+  DILUTION_V2_WEIGHTS
 };
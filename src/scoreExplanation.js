@@ -0,0 +1,159 @@
+/**
+ * SCORE EXPLANATION - One shape for "why did this score what it scored"
+ *
+ * Every engine keeps its own `breakdown` (points, 0-1 factors, sub-scores)
+ * and also returns an `explanation`:
+ *
+ *   {
+ *     engine: 'bankruptcy',
+ *     score: 82, max: 100,            // the engine's own scale (0-1 engines: max 1)
+ *     factors: [{
+ *       factor: 'runway',             // key in the engine's breakdown / weights
+ *       label: 'Cash runway',
+ *       raw: 2.1,                     // input the factor scored (months, %, ratio...)
+ *       normalized: 1,                // 0-1: how hard the factor fired
+ *       weight: 25,                   // most it can add (score units)
+ *       contribution: 25,             // what it added = normalized × weight
+ *       reason: '2.1 months of cash runway'  // plain English, safe to quote in a tweet
+ *     }, ...]
+ *   }
+ *
+ * renderExplanation() prints it (analyze.js, VERBOSE logs), topDrivers() /
+ * driverLines() give the 3 factors that added the most - thread generators
+ * quote those lines verbatim (driversTweet()) instead of letting GPT pick
+ * the "why".
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUILDERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function round(value, places = 3) {
+  const f = 10 ** places;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * Factor scored on a 0-1 level and multiplied by its weight
+ */
+export function weightedFactor(factor, label, raw, normalized, weight, reason) {
+  const level = Math.max(0, Math.min(1, normalized || 0));
+  return { factor, label, raw: raw ?? null, normalized: round(level), weight, contribution: round(level * weight), reason };
+}
+
+/**
+ * Factor scored in points out of a maximum
+ */
+export function pointsFactor(factor, label, raw, points, max, reason) {
+  return { factor, label, raw: raw ?? null, normalized: max > 0 ? round(points / max) : 0, weight: max, contribution: round(points), reason };
+}
+
+/**
+ * @param {string} engine - Engine name (same keys as scoringWeights.js where tuned)
+ * @param {number} score - Final score on the engine's scale
+ * @param {number} max - Top of that scale (100, or 1 for 0-1 engines)
+ * @param {Array} factors - From weightedFactor() / pointsFactor()
+ */
+export function buildExplanation(engine, score, max, factors) {
+  return { engine, score, max, factors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRIVERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Factors that added the most to the score (ties keep engine order)
+ */
+export function topDrivers(explanation, n = 3) {
+  if (!explanation?.factors) return [];
+  return explanation.factors
+    .filter(f => f.contribution > 0)
+    .map((f, i) => ({ f, i }))
+    .sort((a, b) => b.f.contribution - a.f.contribution || a.i - b.i)
+    .slice(0, n)
+    .map(({ f }) => f);
+}
+
+/**
+ * Contribution as points of a 0-100 score, whatever the engine's scale
+ */
+export function contributionPoints(factor, explanation) {
+  const scale = explanation.max > 0 ? 100 / explanation.max : 1;
+  return Math.round(factor.contribution * scale);
+}
+
+/**
+ * Tweet-ready driver lines: "• 2.1 months of cash runway (+25)"
+ */
+export function driverLines(explanation, n = 3) {
+  return topDrivers(explanation, n).map(f => `• ${f.reason} (+${contributionPoints(f, explanation)})`);
+}
+
+/**
+ * Tweet with the driver lines under `head`, dropping the weakest driver
+ * until it fits the character limit
+ */
+export function driversTweet(head, explanation, n = 3, limit = 280) {
+  for (let count = n; count > 0; count--) {
+    const lines = driverLines(explanation, count);
+    const text = [head, ...lines].join('\n');
+    if (text.length <= limit || count === 1) return lines.length ? text : head;
+  }
+  return head;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RENDERER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function formatRaw(raw) {
+  if (raw === null || raw === undefined) return '—';
+  if (typeof raw === 'boolean') return raw ? 'yes' : 'no';
+  if (typeof raw === 'number') {
+    const abs = Math.abs(raw);
+    if (abs >= 1e9) return `${(raw / 1e9).toFixed(2)}B`;
+    if (abs >= 1e6) return `${(raw / 1e6).toFixed(1)}M`;
+    if (abs >= 1e3) return `${(raw / 1e3).toFixed(1)}K`;
+    return Number.isInteger(raw) ? String(raw) : raw.toFixed(2);
+  }
+  return String(raw);
+}
+
+function formatAmount(value, max) {
+  return max <= 1 ? value.toFixed(3) : String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Factor table for the console
+ *
+ * @param {Object} explanation - ScoreExplanation
+ * @param {Object} options - { indent, title }
+ * @returns {string}
+ */
+export function renderExplanation(explanation, options = {}) {
+  const { indent = '   ', title = null } = options;
+  if (!explanation?.factors?.length) return `${indent}(no score explanation)`;
+
+  const { engine, score, max, factors } = explanation;
+  const drivers = new Set(topDrivers(explanation).map(f => f.factor));
+  const lines = [
+    `${indent}${title || `${engine} score`}: ${formatAmount(score, max)}/${max}`,
+    `${indent}${'Factor'.padEnd(22)}${'Input'.padStart(10)}${'Level'.padStart(7)}${'Weight'.padStart(8)}${'Adds'.padStart(8)}  Reason`
+  ];
+  for (const f of factors) {
+    lines.push(`${indent}${`${drivers.has(f.factor) ? '▶' : ' '} ${f.label}`.padEnd(22)}${formatRaw(f.raw).padStart(10)}${f.normalized.toFixed(2).padStart(7)}${formatAmount(f.weight, max).padStart(8)}${formatAmount(f.contribution, max).padStart(8)}  ${f.reason}`);
+  }
+  return lines.join('\n');
+}
+
+export default {
+  weightedFactor,
+  pointsFactor,
+  buildExplanation,
+  topDrivers,
+  contributionPoints,
+  driverLines,
+  driversTweet,
+  renderExplanation
+};
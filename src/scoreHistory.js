@@ -0,0 +1,319 @@
+/**
+ * SCORE HISTORY - How each ticker's scores moved over time
+ *
+ * bankruptcy_signals.json and the weekly leaderboard files are overwritten on
+ * every run. This keeps every score they held in one append-only store
+ * (data/score_history.jsonl, one JSON row per line, never rewritten):
+ *
+ *   { "date": "2026-10-19", "ticker": "PLUG", "engine": "vis", "score": 78,
+ *     "source": "bankruptcy_scan", "scoringConfig": "b0ce7b403f90", "recordedAt": "..." }
+ *
+ * Queries read it back as one point per ticker / engine / day (the last
+ * score recorded that day):
+ *   - scoreSeries()  - the points, oldest first
+ *   - scoreTrend()   - change over a window ("VIS up 15 points in 2 weeks")
+ *                      labeled deteriorating / improving / stable from the
+ *                      real delta (every engine here scores risk, so up = worse)
+ *   - scoreMovers()  - biggest changes across all tickers for one engine
+ *
+ * The bankruptcy card's status badge and the radar tweet use the labels.
+ *
+ * Usage:
+ *   node src/scoreHistory.js PLUG                 # Every engine's history + trend for a ticker
+ *   node src/scoreHistory.js PLUG --engine=vis    # One engine
+ *   node src/scoreHistory.js --movers             # Biggest VIS moves (--engine=, --days=)
+ *   node src/scoreHistory.js --backfill           # Record the scores in today's snapshot files
+ */
+
+import './scoringConfigFlag.js';
+import { SCORE_HISTORY_CONFIG } from './config.js';
+import { scoringVersion } from './scoringConfig.js';
+import { loadScores, appendScores, readDocument } from './storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Engines recorded here → display label
+export const SCORE_HISTORY_ENGINES = {
+  vis: 'VIS',
+  bankruptcy: 'Bankruptcy risk',
+  virality: 'Virality',
+  dss: 'DSS'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every recorded row, in the order it was written
+ */
+export function loadScoreHistory() {
+  return loadScores();
+}
+
+/**
+ * Append scores to the history
+ *
+ * @param {string} source - Module that produced the scores (e.g. 'bankruptcy_scan')
+ * @param {Array} entries - [{ ticker | symbol, engine, score }]
+ * @param {Object} options - { date (YYYY-MM-DD, default today), recordedAt }
+ * @returns {number} Rows written (a row already recorded for the same source,
+ *   ticker, engine, day and score is skipped)
+ */
+export function recordScores(source, entries, options = {}) {
+  const recordedAt = options.recordedAt || new Date().toISOString();
+  const date = options.date || recordedAt.split('T')[0];
+
+  try {
+    const known = new Set(loadScoreHistory()
+      .filter(r => r.date === date && r.source === source)
+      .map(r => `${r.ticker}|${r.engine}|${r.score}`));
+    const config = scoringVersion();
+
+    const rows = entries
+      .map(e => ({
+        date,
+        ticker: (e.ticker || e.symbol || '').toUpperCase().replace('$', ''),
+        engine: e.engine,
+        score: typeof e.score === 'number' && !isNaN(e.score) ? Math.round(e.score * 10) / 10 : null,
+        source,
+        scoringConfig: config,
+        recordedAt
+      }))
+      .filter(r => r.ticker && r.engine && r.score !== null && !known.has(`${r.ticker}|${r.engine}|${r.score}`));
+
+    return rows.length ? appendScores(rows) : 0;
+  } catch (e) {
+    console.warn(`⚠️  Could not record score history: ${e.message}`);
+    return 0;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function daysBetween(from, to) {
+  return Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+}
+
+function shiftDate(date, days) {
+  return new Date(new Date(date).getTime() + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * One point per day (last score recorded that day), oldest first
+ *
+ * @param {string} ticker
+ * @param {string} engine - Key of SCORE_HISTORY_ENGINES
+ * @param {Object} options - { since, asOf (YYYY-MM-DD), history (from loadScoreHistory) }
+ */
+export function scoreSeries(ticker, engine, options = {}) {
+  const { since = null, asOf = null, history = loadScoreHistory() } = options;
+  const symbol = ticker.toUpperCase();
+  const byDate = new Map();
+
+  for (const row of history) {
+    if (row.ticker !== symbol || row.engine !== engine) continue;
+    if ((since && row.date < since) || (asOf && row.date > asOf)) continue;
+    byDate.set(row.date, { date: row.date, score: row.score, source: row.source });
+  }
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * "2 weeks", "10 days", "1 day"
+ */
+function formatSpan(days) {
+  if (days >= 7 && days % 7 === 0) return `${days / 7} week${days === 7 ? '' : 's'}`;
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Score change over the last `days`
+ *
+ * Compares the latest point with the last one at least `days` older. When the
+ * history is shorter than that, the oldest point is used and `spanDays` says
+ * how far back it actually goes.
+ *
+ * @returns {Object} { ticker, engine, current, previous, delta, fromDate, toDate,
+ *   spanDays, label: 'deteriorating' | 'improving' | 'stable' | 'new', text }
+ */
+export function scoreTrend(ticker, engine, options = {}) {
+  const { days = SCORE_HISTORY_CONFIG.trendDays, minDelta = SCORE_HISTORY_CONFIG.minDelta } = options;
+  const series = scoreSeries(ticker, engine, options);
+  const latest = series[series.length - 1] || null;
+  const base = { ticker: ticker.toUpperCase(), engine, current: latest?.score ?? null };
+
+  if (series.length < 2) {
+    return { ...base, previous: null, delta: null, fromDate: null, toDate: latest?.date || null, spanDays: 0, label: 'new', text: null };
+  }
+
+  const cutoff = shiftDate(latest.date, -days);
+  const previous = [...series].reverse().find(p => p.date <= cutoff) || series[0];
+  const delta = Math.round((latest.score - previous.score) * 10) / 10;
+  const spanDays = daysBetween(previous.date, latest.date);
+
+  let label = 'stable';
+  if (delta >= minDelta) label = 'deteriorating';
+  else if (delta <= -minDelta) label = 'improving';
+
+  const name = SCORE_HISTORY_ENGINES[engine] || engine;
+  const text = delta === 0
+    ? `${name} unchanged in ${formatSpan(spanDays)}`
+    : `${name} ${delta > 0 ? 'up' : 'down'} ${Math.abs(delta)} point${Math.abs(delta) === 1 ? '' : 's'} in ${formatSpan(spanDays)}`;
+
+  return { ...base, previous: previous.score, delta, fromDate: previous.date, toDate: latest.date, spanDays, label, text };
+}
+
+/**
+ * Biggest score changes for one engine, largest first
+ *
+ * @param {string} engine
+ * @param {Object} options - { days, minDelta, limit, direction: 'up' | 'down' | null, history }
+ */
+export function scoreMovers(engine, options = {}) {
+  const { limit = 10, direction = null, history = loadScoreHistory() } = options;
+  const tickers = [...new Set(history.filter(r => r.engine === engine).map(r => r.ticker))];
+
+  return tickers
+    .map(ticker => scoreTrend(ticker, engine, { ...options, history }))
+    .filter(t => t.delta !== null && t.delta !== 0)
+    .filter(t => !direction || (direction === 'up' ? t.delta > 0 : t.delta < 0))
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, limit);
+}
+
+/**
+ * Compact arrow for tight layouts: "▲15", "▼8", '' when stable / new
+ */
+export function trendArrow(trend) {
+  if (!trend || trend.label === 'stable' || trend.label === 'new') return '';
+  return `${trend.delta > 0 ? '▲' : '▼'}${Math.abs(Math.round(trend.delta))}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BACKFILL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record the scores held in the current snapshot files, dated when each was generated
+ */
+export function backfillFromSnapshots() {
+  let written = 0;
+
+  const signals = readDocument('bankruptcy_signals');
+  if (signals?.scannedAt) {
+    const rows = [...(signals.primeAlerts || []), ...(signals.watchlist || []), ...(signals.storeOnly || [])];
+    written += recordScores('bankruptcy_scan', bankruptcyScoreRows(rows), { recordedAt: signals.scannedAt });
+  }
+
+  const bankruptcyLb = readDocument('bankruptcy_leaderboard');
+  if (bankruptcyLb?.generatedAt) {
+    const rows = (bankruptcyLb.leaderboard || []).map(t => ({ ticker: t.ticker, vis: t.vis, score: t.bankruptcyScore, viralityScore: t.viralityScore }));
+    written += recordScores('bankruptcy_leaderboard', bankruptcyScoreRows(rows), { recordedAt: bankruptcyLb.generatedAt });
+  }
+
+  const dilutionLb = readDocument('dilution_leaderboard');
+  if (dilutionLb?.generatedAt) {
+    const rows = (dilutionLb.leaderboard || []).map(t => ({ ticker: t.ticker, engine: 'dss', score: t.score }));
+    written += recordScores('dilution_leaderboard', rows, { recordedAt: dilutionLb.generatedAt });
+  }
+
+  return written;
+}
+
+/**
+ * VIS + bankruptcy risk + virality rows for one scored bankruptcy result
+ * ({ symbol | ticker, vis, score, viralityScore | virality.score })
+ */
+export function bankruptcyScoreRows(results) {
+  return results.flatMap(r => {
+    const ticker = r.symbol || r.ticker;
+    return [
+      { ticker, engine: 'vis', score: r.vis },
+      { ticker, engine: 'bankruptcy', score: r.score },
+      { ticker, engine: 'virality', score: r.viralityScore ?? r.virality?.score }
+    ];
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function printTicker(ticker, engines, history) {
+  console.log(`\n📈 $${ticker.toUpperCase()}`);
+  let found = false;
+
+  for (const engine of engines) {
+    const series = scoreSeries(ticker, engine, { history });
+    if (!series.length) continue;
+    found = true;
+
+    const trend = scoreTrend(ticker, engine, { history });
+    const emoji = { deteriorating: '🔴', improving: '🟢', stable: '⚪', new: '🆕' }[trend.label];
+    console.log(`\n   ${SCORE_HISTORY_ENGINES[engine] || engine}: ${emoji} ${trend.label.toUpperCase()}${trend.text ? ` - ${trend.text}` : ''}`);
+    for (const point of series.slice(-12)) {
+      console.log(`   ${point.date}  ${String(point.score).padStart(5)}  ${point.source}`);
+    }
+  }
+
+  if (!found) console.log('   No score history yet');
+}
+
+function printMovers(engine, days, history) {
+  const movers = scoreMovers(engine, { days, history, limit: 15 });
+  console.log(`\n📊 Biggest ${SCORE_HISTORY_ENGINES[engine] || engine} moves (last ${formatSpan(days)})\n`);
+  if (!movers.length) {
+    console.log('   No moves yet - needs at least two scans per ticker');
+    return;
+  }
+  for (const m of movers) {
+    const emoji = { deteriorating: '🔴', improving: '🟢', stable: '⚪' }[m.label];
+    console.log(`   ${emoji} $${m.ticker.padEnd(6)} ${String(m.previous).padStart(5)} → ${String(m.current).padEnd(5)} ${m.text}`);
+  }
+}
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const ticker = args.find(a => !a.startsWith('--'));
+  const engine = getArg('engine');
+  const days = parseInt(getArg('days') || SCORE_HISTORY_CONFIG.trendDays);
+
+  console.log('═══════════════════════════════════════════════════════════');
+  console.log('📈 SCORE HISTORY');
+  console.log('═══════════════════════════════════════════════════════════');
+
+  if (args.includes('--backfill')) {
+    const written = backfillFromSnapshots();
+    console.log(`\n💾 Recorded ${written} score(s) from the snapshot files`);
+  } else if (args.includes('--movers')) {
+    printMovers(engine || 'vis', days, loadScoreHistory());
+  } else if (ticker) {
+    printTicker(ticker.replace('$', ''), engine ? [engine] : Object.keys(SCORE_HISTORY_ENGINES), loadScoreHistory());
+  } else {
+    const history = loadScoreHistory();
+    const tickers = new Set(history.map(r => r.ticker));
+    const dates = history.map(r => r.date).sort();
+    console.log(`\n   ${history.length} rows · ${tickers.size} tickers · ${dates[0] || '-'} → ${dates[dates.length - 1] || '-'}`);
+    console.log('\n   node src/scoreHistory.js <TICKER> [--engine=vis]');
+    console.log('   node src/scoreHistory.js --movers [--engine=vis] [--days=14]');
+    console.log('   node src/scoreHistory.js --backfill');
+  }
+}
+
+export default {
+  SCORE_HISTORY_ENGINES,
+  loadScoreHistory,
+  recordScores,
+  scoreSeries,
+  scoreTrend,
+  scoreMovers,
+  trendArrow,
+  backfillFromSnapshots,
+  bankruptcyScoreRows
+};
@@ -0,0 +1,394 @@
+/**
+ * SIGNAL SCORECARD - Every call we publish, graded
+ *
+ * One store (data/scorecard.json) for every ticker any module posts: weekly
+ * leaderboards, bankruptcy threads + radar, CDE threads, scanner signals,
+ * post.js case studies and the daily alerts. Each call records the source
+ * module, its score, the price at post (when the poster had one), the post
+ * time, the tweet ID and the scoring config version (scoringConfig.js) the
+ * score was computed under.
+ *
+ * The daily job grades open calls from daily candles (split-adjusted):
+ *   - returns 1 / 5 / 20 / 60 trading days after the close on the post date
+ *   - max adverse excursion (MAE) - worst intraday move against the call so far
+ *   - hit = the stock moved the way the call said (down for 'short' calls,
+ *     up for 'long' ones like insider buying) at that horizon
+ * A call is complete once its 60-day return is in.
+ *
+ * Calls are only registered for real posts (DRY_RUN=false).
+ *
+ * Usage:
+ *   node src/scorecard.js                     # Report: hit rate + returns per module
+ *   node src/scorecard.js --update            # Daily job: grade open calls
+ *   node src/scorecard.js --source=cde_thread # Report for one module
+ *   node src/scorecard.js --receipts          # Draft last month's receipts tweet
+ *   node src/scorecard.js --receipts=2026-09  # ...for a given month
+ */
+
+import 'dotenv/config';
+import './scoringConfigFlag.js';
+
+import { DATA_PATHS, SCORECARD_CONFIG } from './config.js';
+import { round1, mean } from './backtestHelpers.js';
+import { readDataFile, updateDataFile } from './store/dataFile.js';
+import { getMarketData } from './vendors/marketData.js';
+import { splitAdjustCandles } from './splitEvents.js';
+import { scoringVersion } from './scoringConfig.js';
+
+// Source module → display label + which way the call points
+export const SCORECARD_SOURCES = {
+  dilution_leaderboard: { label: 'ATM Dilution LB', direction: 'short' },
+  shelf_leaderboard: { label: 'Shelf LB', direction: 'short' },
+  insider_selling_leaderboard: { label: 'Insider Selling LB', direction: 'short' },
+  insider_buying_leaderboard: { label: 'Insider Buying LB', direction: 'long' },
+  bankruptcy_leaderboard: { label: 'Bankruptcy LB', direction: 'short' },
+  delisting_leaderboard: { label: 'Delisting Watch', direction: 'short' },
+  bankruptcy_thread: { label: 'Bankruptcy thread', direction: 'short' },
+  bankruptcy_radar: { label: 'Bankruptcy radar', direction: 'short' },
+  cde_thread: { label: 'CDE thread', direction: 'short' },
+  scanner_signal: { label: 'Scanner signal', direction: 'short' },
+  case_study: { label: 'Case study', direction: 'short' },
+  daily_alert: { label: 'Daily alert', direction: 'short' },
+  pipeline_alert: { label: 'Pipeline alert', direction: 'short' }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function loadScorecard() {
+  return readDataFile(DATA_PATHS.scorecard, { calls: [] });
+}
+
+/**
+ * Locked load → change → save (registerCalls and the daily grading can overlap)
+ * @param {Function} change - Mutates the scorecard read under the lock
+ * @returns {Object} The saved scorecard
+ */
+function changeScorecard(change) {
+  return updateDataFile(DATA_PATHS.scorecard, { calls: [] }, scorecard => {
+    change(scorecard);
+    scorecard.updatedAt = new Date().toISOString();
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REGISTER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Add published tickers to the scorecard (no-op in DRY_RUN)
+ *
+ * @param {string} source - Key of SCORECARD_SOURCES
+ * @param {Array} entries - [{ ticker | symbol, score, price, components }] - components
+ *   (factor values behind the score) let tuneWeights.js fit weights from graded calls
+ * @param {Object} options - { tweetId, direction (default from the source), postedAt }
+ * @returns {Array} Calls added (same source + ticker + day is only recorded once)
+ */
+export function registerCalls(source, entries, options = {}) {
+  const { tweetId = null, postedAt = new Date().toISOString() } = options;
+  const direction = options.direction || SCORECARD_SOURCES[source]?.direction || 'short';
+  const calls = entries
+    .map(e => ({
+      ticker: (e.ticker || e.symbol || '').toUpperCase().replace('$', ''),
+      score: e.score ?? null,
+      price: e.price ?? null,
+      components: e.components || null
+    }))
+    .filter(e => e.ticker);
+
+  if (process.env.DRY_RUN !== 'false') {
+    console.log(`   [DRY_RUN] Would add ${calls.length} ${source} call(s) to the scorecard`);
+    return [];
+  }
+
+  try {
+    const postDate = postedAt.split('T')[0];
+    const added = [];
+
+    changeScorecard(scorecard => {
+      const known = new Set(scorecard.calls.map(c => `${c.source}|${c.ticker}|${c.postDate}`));
+      for (const call of calls) {
+        const key = `${source}|${call.ticker}|${postDate}`;
+        if (known.has(key)) continue;
+        known.add(key);
+        added.push({
+          id: `${postDate}-${source}-${call.ticker}`,
+          ticker: call.ticker,
+          source,
+          direction,
+          score: call.score,
+          priceAtPost: call.price,
+          ...(call.components && { components: call.components }),
+          scoringConfig: scoringVersion(),
+          postedAt,
+          postDate,
+          tweetId,
+          entryDate: null,
+          entryPrice: null,
+          returns: {},
+          mae: null,
+          lastPrice: null,
+          lastGradedAt: null,
+          complete: false
+        });
+      }
+      scorecard.calls.push(...added);
+    });
+
+    if (added.length > 0) console.log(`   🧾 Scorecard: +${added.length} ${source} call(s)`);
+    return added;
+  } catch (e) {
+    // Never fail a post over bookkeeping
+    console.warn(`⚠️  Could not register scorecard calls: ${e.message}`);
+    return [];
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GRADE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fill in returns / MAE for one call from daily candles (oldest first, split-adjusted)
+ */
+export function gradeCall(call, candles) {
+  let entryIndex = -1;
+  for (let i = candles.length - 1; i >= 0; i--) {
+    if (candles[i].date <= call.postDate) { entryIndex = i; break; }
+  }
+  if (entryIndex < 0) return call;
+
+  const entry = candles[entryIndex];
+  const sign = call.direction === 'long' ? 1 : -1;
+  const maxHorizon = Math.max(...SCORECARD_CONFIG.horizons);
+  const after = candles.slice(entryIndex + 1, entryIndex + 1 + maxHorizon);
+
+  const returns = {};
+  for (const days of SCORECARD_CONFIG.horizons) {
+    const exit = candles[entryIndex + days];
+    returns[`${days}d`] = exit ? round1(((exit.close - entry.close) / entry.close) * 100) : null;
+  }
+
+  // Worst move against the call so far (positive % = that much against us)
+  let mae = 0;
+  for (const c of after) {
+    const against = sign === -1 ? (c.high - entry.close) / entry.close : (entry.close - c.low) / entry.close;
+    mae = Math.max(mae, against * 100);
+  }
+
+  return {
+    ...call,
+    entryDate: entry.date,
+    entryPrice: entry.close,
+    priceAtPost: call.priceAtPost ?? entry.close,
+    returns,
+    mae: after.length > 0 ? round1(mae) : null,
+    lastPrice: candles[candles.length - 1].close,
+    lastGradedAt: new Date().toISOString(),
+    complete: returns[`${maxHorizon}d`] !== null
+  };
+}
+
+/**
+ * Daily job: grade every open call (one candle request per ticker)
+ */
+export async function updateScorecard() {
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  SIGNAL SCORECARD — Daily Grading                                             ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  const scorecard = loadScorecard();
+  const open = scorecard.calls.filter(c => !c.complete);
+  const tickers = [...new Set(open.map(c => c.ticker))];
+  console.log(`🧾 ${scorecard.calls.length} calls on the scorecard, ${open.length} open across ${tickers.length} tickers\n`);
+
+  const marketData = getMarketData();
+  const graded = new Map(); // id → graded call
+
+  for (const ticker of tickers) {
+    let candles = [];
+    try {
+      candles = [...await marketData.getCandles(ticker)].reverse(); // oldest first
+      candles = await splitAdjustCandles(ticker, candles);
+    } catch (e) {
+      console.log(`   ⚠️ ${ticker}: ${e.message}`);
+    }
+    if (candles.length === 0) {
+      console.log(`   ⚠️ ${ticker}: no price data`);
+      continue;
+    }
+
+    for (const call of open) {
+      if (call.ticker === ticker) graded.set(call.id, gradeCall(call, candles));
+    }
+  }
+
+  // Candles are fetched off the lock; grades land on the current file so calls
+  // registered meanwhile are kept
+  const saved = changeScorecard(current => {
+    current.calls = current.calls.map(c => (!c.complete && graded.has(c.id) ? graded.get(c.id) : c));
+  });
+  console.log(`\n✅ Graded ${graded.size} calls → ${DATA_PATHS.scorecard}`);
+  printScorecardReport(saved);
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Return in the call's favor (positive = the call was right), null until graded
+ */
+export function callEdge(call, horizon) {
+  const ret = call.returns?.[horizon];
+  if (ret === null || ret === undefined) return null;
+  return call.direction === 'long' ? ret : -ret;
+}
+
+/**
+ * Hit rate, average return and MAE per source module (plus 'ALL')
+ */
+export function summarizeScorecard(calls) {
+  const groups = { ALL: calls };
+  for (const call of calls) {
+    (groups[call.source] = groups[call.source] || []).push(call);
+  }
+
+  const summary = {};
+  for (const [source, group] of Object.entries(groups)) {
+    const row = { calls: group.length, horizons: {} };
+    for (const days of SCORECARD_CONFIG.horizons) {
+      const key = `${days}d`;
+      const graded = group.filter(c => callEdge(c, key) !== null);
+      const hits = graded.filter(c => callEdge(c, key) > 0).length;
+      row.horizons[key] = {
+        graded: graded.length,
+        hitRate: graded.length ? round1((hits / graded.length) * 100) : null,
+        avgReturn: round1(mean(graded.map(c => c.returns[key]))),
+        avgEdge: round1(mean(graded.map(c => callEdge(c, key))))
+      };
+    }
+    row.avgMae = round1(mean(group.filter(c => c.mae !== null).map(c => c.mae)));
+    summary[source] = row;
+  }
+  return summary;
+}
+
+export function printScorecardReport(scorecard, options = {}) {
+  const { source = null, since = null } = options;
+  const calls = scorecard.calls
+    .filter(c => !source || c.source === source)
+    .filter(c => !since || c.postDate >= since);
+  const summary = summarizeScorecard(calls);
+  const keys = SCORECARD_CONFIG.horizons.map(d => `${d}d`);
+  const fmt = (v, suffix = '%') => (v === null || v === undefined ? '—' : `${v}${suffix}`);
+
+  console.log(`\n📊 SCORECARD${source ? ` — ${source}` : ''}${since ? ` since ${since}` : ''} (${calls.length} calls)`);
+  console.log(`   Hit = moved the way the call said · cells are hit rate / avg return`);
+  console.log(`   ${'module'.padEnd(22)}${'calls'.padStart(6)}${keys.map(k => k.padStart(16)).join('')}${'avg MAE'.padStart(10)}`);
+
+  const rows = Object.entries(summary)
+    .filter(([name]) => !(source && name === 'ALL'))
+    .sort(([a], [b]) => (a === 'ALL') - (b === 'ALL') || a.localeCompare(b));
+  for (const [name, row] of rows) {
+    const label = name === 'ALL' ? 'ALL' : (SCORECARD_SOURCES[name]?.label || name);
+    const cells = keys.map(k => {
+      const h = row.horizons[k];
+      return `${fmt(h.hitRate)} / ${fmt(h.avgReturn)}`.padStart(16);
+    }).join('');
+    console.log(`   ${label.padEnd(22)}${String(row.calls).padStart(6)}${cells}${fmt(row.avgMae).padStart(10)}`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RECEIPTS TWEET
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function previousMonth() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+}
+
+/**
+ * Monthly receipts tweet from calls posted in `month` (YYYY-MM), graded at hitHorizon
+ * @returns {Object} { month, graded, hits, tweet } - tweet null if too few graded calls
+ */
+export function buildReceiptsDraft(scorecard, month = previousMonth()) {
+  const horizon = `${SCORECARD_CONFIG.hitHorizon}d`;
+  const graded = scorecard.calls
+    .filter(c => c.postDate.startsWith(month) && callEdge(c, horizon) !== null)
+    .sort((a, b) => callEdge(b, horizon) - callEdge(a, horizon));
+  const hits = graded.filter(c => callEdge(c, horizon) > 0).length;
+
+  if (graded.length < SCORECARD_CONFIG.receiptsMinCalls) {
+    return { month, graded: graded.length, hits, tweet: null };
+  }
+
+  const monthName = new Date(`${month}-01T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  const hitRate = Math.round((hits / graded.length) * 100);
+  const avgEdge = mean(graded.map(c => callEdge(c, horizon)));
+  const fmtMove = c => `$${c.ticker} ${c.returns[horizon] > 0 ? '+' : ''}${Math.round(c.returns[horizon])}% (${SCORECARD_SOURCES[c.source]?.label || c.source})`;
+  const worst = graded[graded.length - 1];
+
+  // Drop best calls until it fits
+  for (let best = Math.min(3, hits); best >= 0; best--) {
+    const lines = [
+      `🧾 Receipts — ${monthName}`,
+      '',
+      `${graded.length} calls graded ${SCORECARD_CONFIG.hitHorizon} trading days later`,
+      `Hit rate: ${hitRate}% (${hits}/${graded.length})`,
+      `Avg move in our direction: ${avgEdge >= 0 ? '+' : ''}${avgEdge.toFixed(1)}%`
+    ];
+    if (best > 0) {
+      lines.push('', 'Best:');
+      for (const c of graded.slice(0, best)) lines.push(fmtMove(c));
+    }
+    if (callEdge(worst, horizon) < 0) lines.push('', `Worst: ${fmtMove(worst)}`);
+    lines.push('', 'Every call tracked, wins and misses.');
+
+    const tweet = lines.join('\n');
+    if (tweet.length <= 280 || best === 0) return { month, graded: graded.length, hits, tweet };
+  }
+}
+
+// CLI
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const arg = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+
+  if (args.includes('--update')) {
+    updateScorecard()
+      .then(() => console.log('\n✅ Done!'))
+      .catch(e => { console.error(e); process.exit(1); });
+  } else if (args.some(a => a.startsWith('--receipts'))) {
+    const draft = buildReceiptsDraft(loadScorecard(), arg('receipts') || previousMonth());
+    if (!draft.tweet) {
+      console.log(`⚠️  Only ${draft.graded} graded call(s) for ${draft.month} - need ${SCORECARD_CONFIG.receiptsMinCalls} for a receipts tweet`);
+    } else {
+      console.log(`\n🧾 RECEIPTS DRAFT (${draft.month}):\n`);
+      console.log('────────────────────────────────────────');
+      console.log(draft.tweet);
+      console.log('────────────────────────────────────────');
+      console.log(`Characters: ${draft.tweet.length}`);
+    }
+  } else {
+    printScorecardReport(loadScorecard(), { source: arg('source'), since: arg('since') });
+  }
+}
+
+export default {
+  SCORECARD_SOURCES,
+  loadScorecard,
+  registerCalls,
+  gradeCall,
+  updateScorecard,
+  callEdge,
+  summarizeScorecard,
+  printScorecardReport,
+  buildReceiptsDraft
+};
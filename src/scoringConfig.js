@@ -0,0 +1,331 @@
+/**
+ * SCORING CONFIG - Every scoring threshold and tier in one validated file
+ *
+ * scoring.config.json (repo root) holds the thresholds the engines used to
+ * keep as constants:
+ *
+ *   scanner       scoreEngine.js / scanner.js (was config.js SCANNER_THRESHOLDS)
+ *   dilutionV2    scoreEngineV2.js DILUTION_THRESHOLDS
+ *   analystBrief  verdict cut-offs + the pipeline.js / activeScanner.js trigger (0-100)
+ *   bankruptcy    score classification + VIS tiers (engine, scan, radar, backtest)
+ *   cde           cdeDetector.js CDE_THRESHOLDS
+ *   shelfSDR      shelf leaderboard SDR tiers
+ *   insiderIDS    insider selling leaderboard IDS tiers
+ *
+ * A tier list is checked top to bottom and the first match scores:
+ *   [{ "lt": 3, "points": 25 }, { "lt": 6, "points": 20 }, { "points": 5 }]
+ * (lt / lte / gt / gte; a last entry without a comparison is the fallback).
+ *
+ * SCORING_CONFIG=<path> scores with another file; CLI entry points also take
+ * --config=<path> / --config <path> (scoringConfigFlag.js sets the env var).
+ * The file is validated on load and a bad one stops the process (exit 1) with
+ * every problem listed.
+ *
+ * scoringVersion() is a short hash of the config plus the current tuned
+ * weights (scoringWeights.js). Saved signals carry it, and each version is
+ * archived in data/scoring_configs/<hash>.json, so a historical score can
+ * always be traced back to the exact thresholds and weights behind it.
+ *
+ * Usage:
+ *   node src/scoringConfig.js                    # Validate + print version
+ *   node src/scoringConfig.js experiments.json   # Validate another file
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { DATA_PATHS, WEIGHT_TUNING_CONFIG } from './config.js';
+import { loadWeightsFile } from './scoringWeights.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'scoring.config.json');
+
+export const SCORING_CONFIG_PATH = process.env.SCORING_CONFIG || DEFAULT_CONFIG_PATH;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const NUMBER = 'number';
+const BOOLEAN = 'boolean';
+const TIERS = 'tiers';
+
+const SCHEMA = {
+  scanner: {
+    minWeeklyGainPct: NUMBER,
+    min5DayGainPct: NUMBER,
+    volumeFadeRatio: NUMBER,
+    minAvgVolume: NUMBER,
+    cashDebtRatioThreshold: NUMBER,
+    offeringSizeToMcapThreshold: NUMBER,
+    candleLookbackDays: NUMBER,
+    minScoreToTrigger: NUMBER
+  },
+  dilutionV2: {
+    minWeeklyGainPct: NUMBER,
+    extremeGainPct: NUMBER,
+    fragileFloatPct: NUMBER,
+    sensitiveFloatPct: NUMBER,
+    criticalRunwayMonths: NUMBER,
+    dangerRunwayMonths: NUMBER,
+    warningRunwayMonths: NUMBER,
+    meaningfulOfferingPct: NUMBER,
+    highOfferingPct: NUMBER,
+    nuclearOfferingPct: NUMBER,
+    volumeFadeThreshold: NUMBER,
+    capitulationThreshold: NUMBER,
+    minScoreToTrigger: NUMBER
+  },
+  analystBrief: {
+    triggerScore: NUMBER,
+    watchScore: NUMBER,
+    monitorScore: NUMBER
+  },
+  bankruptcy: {
+    alertScore: NUMBER,
+    watchScore: NUMBER,
+    visPrimeAlert: NUMBER,
+    visWatchlist: NUMBER
+  },
+  cde: {
+    dilutionRequired: BOOLEAN,
+    minBankruptcyRisk: NUMBER,
+    minVIS: NUMBER,
+    cooldownDays: NUMBER
+  },
+  shelfSDR: {
+    runwayMonths: TIERS,
+    debtCashRatio: TIERS,
+    daysSinceFiling: TIERS,
+    marketCap: TIERS,
+    formType: { amendment: NUMBER, 'S-3': NUMBER, 'S-1': NUMBER, '424B5': NUMBER, 'S-8': NUMBER, other: NUMBER },
+    monthlyBurn: TIERS
+  },
+  insiderIDS: {
+    pctMarketCapSold: TIERS,
+    priceChange30d: TIERS,
+    seniority: { ceo: NUMBER, cfo: NUMBER, director: NUMBER, max: NUMBER },
+    insiderCount: TIERS,
+    salesCount: TIERS,
+    daysSinceLastSale: TIERS,
+    totalValueSold: TIERS
+  }
+};
+
+// Lower cut-off must not sit above the higher one
+const ORDERED = [
+  ['analystBrief.monitorScore', 'analystBrief.watchScore'],
+  ['analystBrief.watchScore', 'analystBrief.triggerScore'],
+  ['bankruptcy.watchScore', 'bankruptcy.alertScore'],
+  ['bankruptcy.visWatchlist', 'bankruptcy.visPrimeAlert'],
+  ['dilutionV2.volumeFadeThreshold', 'dilutionV2.capitulationThreshold', 'reverse']
+];
+
+const COMPARATORS = ['lt', 'lte', 'gt', 'gte'];
+
+function validateTiers(value, at, errors) {
+  if (!Array.isArray(value) || value.length === 0) {
+    errors.push(`${at}: expected a non-empty tier list`);
+    return;
+  }
+  value.forEach((tier, i) => {
+    const where = `${at}[${i}]`;
+    if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+      errors.push(`${where}: expected { <lt|lte|gt|gte>: number, points: number }`);
+      return;
+    }
+    const unknown = Object.keys(tier).filter(k => k !== 'points' && !COMPARATORS.includes(k));
+    if (unknown.length) errors.push(`${where}: unknown key(s) ${unknown.join(', ')}`);
+    if (!Number.isFinite(tier.points)) errors.push(`${where}.points: expected number`);
+
+    const comparisons = COMPARATORS.filter(k => k in tier);
+    if (comparisons.length > 1) errors.push(`${where}: one comparison per tier (got ${comparisons.join(', ')})`);
+    if (comparisons.length === 1 && !Number.isFinite(tier[comparisons[0]])) errors.push(`${where}.${comparisons[0]}: expected number`);
+    if (comparisons.length === 0 && i !== value.length - 1) errors.push(`${where}: only the last tier can omit a comparison`);
+  });
+}
+
+function validateNode(value, schema, at, errors) {
+  if (schema === NUMBER) {
+    if (!Number.isFinite(value)) errors.push(`${at}: expected number`);
+  } else if (schema === BOOLEAN) {
+    if (typeof value !== 'boolean') errors.push(`${at}: expected true/false`);
+  } else if (schema === TIERS) {
+    validateTiers(value, at, errors);
+  } else if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${at || 'config'}: expected an object`);
+  } else {
+    for (const key of Object.keys(schema)) {
+      if (!(key in value)) errors.push(`${at ? `${at}.` : ''}${key}: missing`);
+      else validateNode(value[key], schema[key], at ? `${at}.${key}` : key, errors);
+    }
+    for (const key of Object.keys(value)) {
+      if (!(key in schema)) errors.push(`${at ? `${at}.` : ''}${key}: unknown key`);
+    }
+  }
+}
+
+/**
+ * @returns {string[]} Problems found (empty = valid)
+ */
+export function validateScoringConfig(config) {
+  const errors = [];
+  validateNode(config, SCHEMA, '', errors);
+  if (errors.length) return errors;
+
+  const get = dotted => dotted.split('.').reduce((node, key) => node[key], config);
+  for (const [low, high, reverse] of ORDERED) {
+    const ok = reverse ? get(low) >= get(high) : get(low) <= get(high);
+    if (!ok) errors.push(`${reverse ? high : low} (${get(reverse ? high : low)}) must not be above ${reverse ? low : high} (${get(reverse ? low : high)})`);
+  }
+  return errors;
+}
+
+/**
+ * Read + validate a scoring config file (throws listing every problem)
+ */
+export function loadScoringConfig(filePath = SCORING_CONFIG_PATH) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read scoring config ${filePath}: ${e.message}`);
+  }
+  const errors = validateScoringConfig(config);
+  if (errors.length) {
+    throw new Error(`Invalid scoring config ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+function loadOrExit(filePath) {
+  try {
+    return loadScoringConfig(filePath);
+  } catch (e) {
+    console.error(`\n❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// The config every engine scores with (engines read it at import, so a bad
+// file has to stop the process here)
+export const SCORING_CONFIG = loadOrExit(SCORING_CONFIG_PATH);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function matches(value, tier) {
+  if ('lt' in tier) return value < tier.lt;
+  if ('lte' in tier) return value <= tier.lte;
+  if ('gt' in tier) return value > tier.gt;
+  if ('gte' in tier) return value >= tier.gte;
+  return true;
+}
+
+/**
+ * Points for the first matching tier, or `fallback` when none match
+ */
+export function tierPoints(value, tiers, fallback = 0) {
+  const tier = tiers.find(t => matches(value, t));
+  return tier ? tier.points : fallback;
+}
+
+/**
+ * Most points any tier can give
+ */
+export function tierMax(tiers) {
+  return Math.max(0, ...tiers.map(t => t.points));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERSION STAMP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashSnapshot(snapshot) {
+  return crypto.createHash('sha256').update(canonicalJson(snapshot)).digest('hex').slice(0, 12);
+}
+
+let stamp = null;
+
+/**
+ * Everything a score depends on besides its inputs: thresholds + tuned weights
+ */
+export function scoringSnapshot(config = SCORING_CONFIG) {
+  const weights = {};
+  const engines = fs.existsSync(DATA_PATHS.weights)
+    ? fs.readdirSync(DATA_PATHS.weights).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort()
+    : [];
+  for (const engine of engines) {
+    const file = loadWeightsFile(engine);
+    const current = file.versions.find(v => v.version === file.current);
+    weights[engine] = current && WEIGHT_TUNING_CONFIG.useTuned
+      ? { version: current.version, weights: current.weights }
+      : null;
+  }
+  return { config, weights };
+}
+
+/**
+ * Short hash stamped on saved signals (archived on first use)
+ */
+export function scoringVersion() {
+  if (stamp) return stamp;
+
+  const snapshot = scoringSnapshot();
+  stamp = hashSnapshot(snapshot);
+
+  // Keep a copy so the hash can be explained later (silent fail)
+  try {
+    const archivePath = path.join(DATA_PATHS.scoringConfigs, `${stamp}.json`);
+    if (!fs.existsSync(archivePath)) {
+      fs.mkdirSync(DATA_PATHS.scoringConfigs, { recursive: true });
+      fs.writeFileSync(archivePath, JSON.stringify({ version: stamp, source: SCORING_CONFIG_PATH, archivedAt: new Date().toISOString(), ...snapshot }, null, 2));
+    }
+  } catch (e) {
+    // Ignore archive errors
+  }
+  return stamp;
+}
+
+// CLI
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const filePath = process.argv[2] ? path.resolve(process.argv[2]) : SCORING_CONFIG_PATH;
+  const active = path.resolve(filePath) === path.resolve(SCORING_CONFIG_PATH);
+  const config = active ? SCORING_CONFIG : loadOrExit(filePath);
+
+  console.log(`\n✅ ${filePath} is valid`);
+  for (const [section, values] of Object.entries(config)) {
+    console.log(`   ${section.padEnd(14)} ${Object.keys(values).length} setting(s)`);
+  }
+  const snapshot = scoringSnapshot(config);
+  const tuned = Object.entries(snapshot.weights).map(([e, w]) => `${e} ${w ? `v${w.version}` : 'built-in'}`);
+  console.log(`   Tuned weights: ${tuned.length ? tuned.join(' · ') : 'none (built-in everywhere)'}`);
+  if (active) {
+    console.log(`\n🔖 Scoring version: ${scoringVersion()} (archived in ${DATA_PATHS.scoringConfigs})`);
+  } else {
+    console.log(`\n🔖 Scoring version: ${hashSnapshot(snapshot)} (score with it: --config=${process.argv[2]})`);
+  }
+}
+
+export default {
+  SCORING_CONFIG_PATH,
+  SCORING_CONFIG,
+  validateScoringConfig,
+  loadScoringConfig,
+  tierPoints,
+  tierMax,
+  scoringSnapshot,
+  scoringVersion
+};
@@ -0,0 +1,41 @@
+/**
+ * --config FLAG - Score a CLI run with another scoring config file
+ *
+ *   node src/scanner.js --config=experiments/tight.json
+ *   node src/weekly/index.js all --config experiments/tight.json
+ *
+ * Entry points import this module FIRST (before anything that loads
+ * scoringConfig.js): the flag is copied into SCORING_CONFIG and removed from
+ * process.argv, so the engines only ever read the env var and each CLI's own
+ * argument parsing never sees it.
+ */
+
+/**
+ * Split `--config=<path>` / `--config <path>` out of an argument list
+ * @returns {{ configPath: string|null, rest: string[] }}
+ */
+export function parseConfigFlag(args) {
+  const rest = [];
+  let configPath = null;
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg.startsWith('--config=')) {
+      configPath = arg.slice('--config='.length);
+    } else if (arg === '--config' && i + 1 < args.length) {
+      configPath = args[++i];
+    } else {
+      rest.push(arg);
+    }
+  }
+  return { configPath: configPath || null, rest };
+}
+
+const { configPath, rest } = parseConfigFlag(process.argv.slice(2));
+if (configPath) {
+  process.env.SCORING_CONFIG = configPath;
+  process.argv.splice(2, process.argv.length - 2, ...rest);
+}
+
+export default {
+  parseConfigFlag
+};
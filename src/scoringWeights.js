@@ -0,0 +1,106 @@
+/**
+ * SCORING WEIGHTS - Tuned factor weights per scoring engine
+ *
+ * One versioned file per engine in data/weights/ (written by tuneWeights.js):
+ *
+ *   { engine, current: 2, versions: [{ version, fittedAt, method, label, rows,
+ *     auc: { train, holdout }, weights }, ...] }
+ *
+ * Engines call getEngineWeights(engine, DEFAULTS) and score with the current
+ * version, or their built-in constants when there is none, when its factor set
+ * doesn't match the engine's, or when USE_TUNED_WEIGHTS=false.
+ */
+
+import path from 'path';
+
+import { DATA_PATHS, WEIGHT_TUNING_CONFIG } from './config.js';
+import { readDataFile, writeDataFile } from './store/dataFile.js';
+
+const cache = new Map();
+
+export function weightsPath(engine) {
+  return path.join(DATA_PATHS.weights, `${engine}.json`);
+}
+
+/**
+ * @returns {Object} { engine, current, versions } (empty when never tuned)
+ */
+export function loadWeightsFile(engine) {
+  return readDataFile(weightsPath(engine), { engine, current: null, versions: [] }, { name: `weights/${engine}` });
+}
+
+function saveWeightsFile(engine, file) {
+  writeDataFile(weightsPath(engine), file, { name: `weights/${engine}` });
+  cache.delete(engine);
+}
+
+/**
+ * Append a fitted version and make it current
+ * @returns {number} New version number
+ */
+export function saveWeightsVersion(engine, entry) {
+  const file = loadWeightsFile(engine);
+  const version = Math.max(0, ...file.versions.map(v => v.version)) + 1;
+  file.versions.push({ version, ...entry });
+  file.current = version;
+  file.updatedAt = new Date().toISOString();
+  saveWeightsFile(engine, file);
+  return version;
+}
+
+/**
+ * Point the engine at an earlier version, or back to its constants (null)
+ */
+export function setCurrentWeightsVersion(engine, version) {
+  const file = loadWeightsFile(engine);
+  if (version !== null && !file.versions.some(v => v.version === version)) {
+    throw new Error(`${engine} has no weights version ${version}`);
+  }
+  file.current = version;
+  file.updatedAt = new Date().toISOString();
+  saveWeightsFile(engine, file);
+}
+
+function isValidFor(weights, defaults) {
+  const keys = Object.keys(defaults);
+  return weights
+    && Object.keys(weights).length === keys.length
+    && keys.every(k => Number.isFinite(weights[k]) && weights[k] >= 0);
+}
+
+/**
+ * Weights an engine should score with
+ *
+ * @param {string} engine - 'bankruptcy' | 'dilution_v2' | 'analyst_brief'
+ * @param {Object} defaults - The engine's built-in weights (also defines the factor set)
+ * @returns {Object} { weights, version } - version null = built-in constants
+ */
+export function resolveEngineWeights(engine, defaults) {
+  if (!WEIGHT_TUNING_CONFIG.useTuned) return { weights: defaults, version: null };
+  if (cache.has(engine)) return cache.get(engine);
+
+  const file = loadWeightsFile(engine);
+  const entry = file.versions.find(v => v.version === file.current);
+  let resolved = { weights: defaults, version: null };
+  if (entry && isValidFor(entry.weights, defaults)) {
+    resolved = { weights: entry.weights, version: entry.version };
+  } else if (entry) {
+    console.warn(`⚠️  ${weightsPath(engine)} v${entry.version} doesn't match the ${engine} factors - using built-in weights`);
+  }
+
+  cache.set(engine, resolved);
+  return resolved;
+}
+
+export function getEngineWeights(engine, defaults) {
+  return resolveEngineWeights(engine, defaults).weights;
+}
+
+export default {
+  weightsPath,
+  loadWeightsFile,
+  saveWeightsVersion,
+  setCurrentWeightsVersion,
+  resolveEngineWeights,
+  getEngineWeights
+};
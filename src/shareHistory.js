@@ -0,0 +1,305 @@
+/**
+ * SHARE HISTORY - Share count over time and how fast it's growing
+ *
+ * Two sources, merged into one per-ticker series:
+ *   - 10-Q/10-K cover page (dei:EntityCommonStockSharesOutstanding via XBRL)
+ *     → authoritative, but only as fresh as the last periodic report
+ *   - FMP shares-float snapshots → current-ish, recorded every time we look
+ *     so the series fills in between reports
+ *
+ * Cover pages and float snapshots are point-in-time counts, so points from
+ * before a split are restated on today's share basis (splitEvents.js) before
+ * any growth is measured - a 1:50 reverse split isn't a -98% share change.
+ *
+ * Derived metrics:
+ *   qoqGrowthPct            - share growth vs the report one quarter earlier
+ *   dilution12mPct          - share growth over the last ~12 months
+ *   impliedSharesSinceReport - shares added since the last report (snapshot - cover page),
+ *                              i.e. shares sold under ATMs/warrants/converts we haven't
+ *                              seen a filing for yet
+ *
+ * Feeds the bankruptcy score's dilution component, the bankruptcy card and analyze.js.
+ *
+ * Usage:
+ *   node src/shareHistory.js MULN FFIE     # Update and show share history
+ */
+
+import 'dotenv/config';
+
+import { DATA_PATHS } from './config.js';
+import { readDataFile, updateDataFile } from './store/dataFile.js';
+import { getSplitEvents } from './splitEvents.js';
+import { getSharesFloat } from './vendors/fmp.js';
+import { getXbrlFundamentals } from './vendors/secXbrl.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 3 * 365; // Older points never feed a metric
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HISTORY FILE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function loadShareHistory() {
+  return readDataFile(DATA_PATHS.shareHistory, { tickers: {} });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SERIES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function daysBetween(a, b) {
+  return (new Date(b).getTime() - new Date(a).getTime()) / DAY_MS;
+}
+
+/**
+ * Merge new points into an existing series (one point per date + source), oldest first
+ */
+export function mergeSharePoints(existing = [], incoming = []) {
+  const byKey = new Map();
+  for (const p of [...existing, ...incoming]) {
+    if (!p?.date || !(p.shares > 0)) continue;
+    byKey.set(`${p.date}|${p.source}`, p);
+  }
+  const cutoff = new Date(Date.now() - MAX_HISTORY_DAYS * DAY_MS).toISOString().split('T')[0];
+  return [...byKey.values()]
+    .filter(p => p.date >= cutoff)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Cover-page facts (from getXbrlFundamentals().sharesOutstanding) → series points
+ */
+export function pointsFromCoverPage(secShares = []) {
+  return secShares.map(s => ({
+    date: s.date,
+    shares: s.sharesOutstanding,
+    source: 'sec_cover',
+    form: s.form,
+    filingDate: s.filingDate
+  }));
+}
+
+/**
+ * FMP shares-float response (raw row or getSharesFloat() result) → series point
+ */
+export function pointFromFloat(floatData) {
+  const shares = floatData?.outstandingShares;
+  if (!(shares > 0)) return null;
+  return {
+    date: (floatData.date || new Date().toISOString()).split(' ')[0].split('T')[0],
+    shares,
+    source: 'fmp_float',
+    floatShares: floatData.floatShares ?? null
+  };
+}
+
+/**
+ * Restate share counts dated before each split on the post-split basis
+ * (shares × ratio of every later event; a 1:50 reverse split is × 0.02)
+ *
+ * @param {Array} points - Series from mergeSharePoints()
+ * @param {Array} events - From getSplitEvents()
+ * @returns {Array} Copies of restated points, marked splitAdjusted
+ */
+export function splitAdjustSharePoints(points = [], events = []) {
+  if (!events.length) return points;
+  return points.map(p => {
+    const factor = events.filter(e => e.date > p.date).reduce((f, e) => f * e.ratio, 1);
+    return factor === 1 ? p : { ...p, shares: Math.round(p.shares * factor), splitAdjusted: true };
+  });
+}
+
+// Point closest to `targetDays` before `from`, within `toleranceDays`
+function pointNear(points, from, targetDays, toleranceDays) {
+  let best = null;
+  for (const p of points) {
+    const offset = Math.abs(daysBetween(p.date, from) - targetDays);
+    if (offset <= toleranceDays && (!best || offset < best.offset)) best = { point: p, offset };
+  }
+  return best?.point || null;
+}
+
+function growthPct(from, to) {
+  if (!from?.shares || !to?.shares) return null;
+  return ((to.shares - from.shares) / from.shares) * 100;
+}
+
+/**
+ * Dilution metrics from a share series
+ *
+ * @param {Array} points - Series from mergeSharePoints()
+ * @param {Array} splitEvents - From getSplitEvents() (pre-split points are restated first)
+ * @returns {Object} { sharesOutstanding, asOf, lastReported, qoqGrowthPct, dilution12mPct,
+ *                     impliedSharesSinceReport, impliedDilutionSinceReportPct }
+ */
+export function computeDilutionMetrics(points = [], splitEvents = []) {
+  if (points.length === 0) {
+    return {
+      sharesOutstanding: null,
+      asOf: null,
+      lastReported: null,
+      qoqGrowthPct: null,
+      dilution12mPct: null,
+      impliedSharesSinceReport: null,
+      impliedDilutionSinceReportPct: null
+    };
+  }
+
+  points = splitAdjustSharePoints(points, splitEvents);
+  const latest = points[points.length - 1];
+  const reports = points.filter(p => p.source === 'sec_cover');
+  const lastReport = reports[reports.length - 1] || null;
+
+  // QoQ: report vs report (cover-page dates drift, so allow a wide window)
+  let qoqGrowthPct = null;
+  if (lastReport) {
+    const prevReport = pointNear(reports, lastReport.date, 91, 40);
+    qoqGrowthPct = growthPct(prevReport, lastReport);
+  } else {
+    const snapshots = points.filter(p => p.source === 'fmp_float');
+    qoqGrowthPct = growthPct(pointNear(snapshots, latest.date, 91, 30), latest);
+  }
+
+  // 12 months: newest point of either source vs whatever we have ~a year earlier
+  const yearAgo = pointNear(points, latest.date, 365, 60);
+  const dilution12mPct = growthPct(yearAgo, latest);
+
+  // Shares added since the last report: a newer snapshot above the cover-page count
+  let impliedSharesSinceReport = null;
+  let impliedDilutionSinceReportPct = null;
+  if (lastReport && latest.source === 'fmp_float' && latest.date > lastReport.date) {
+    impliedSharesSinceReport = Math.max(0, latest.shares - lastReport.shares);
+    impliedDilutionSinceReportPct = (impliedSharesSinceReport / lastReport.shares) * 100;
+  }
+
+  return {
+    sharesOutstanding: latest.shares,
+    asOf: latest.date,
+    lastReported: lastReport ? { shares: lastReport.shares, date: lastReport.date, form: lastReport.form } : null,
+    qoqGrowthPct,
+    dilution12mPct,
+    impliedSharesSinceReport,
+    impliedDilutionSinceReportPct
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// UPDATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Record the latest cover-page facts + float snapshot for a ticker and recompute metrics
+ *
+ * Callers that already fetched the data (fetchBankruptcyInputs) pass it in;
+ * otherwise it's fetched here.
+ *
+ * @param {string} ticker
+ * @param {Object} options - { secShares, floatData, splitEvents }
+ * @returns {Object} { ticker, points, metrics }
+ */
+export async function updateShareHistory(ticker, options = {}) {
+  const symbol = ticker.toUpperCase();
+  let { secShares, floatData, splitEvents } = options;
+
+  if (secShares === undefined || floatData === undefined) {
+    const [xbrl, float] = await Promise.all([
+      secShares === undefined ? getXbrlFundamentals(symbol).catch(() => null) : null,
+      floatData === undefined ? getSharesFloat(symbol) : null
+    ]);
+    if (secShares === undefined) secShares = xbrl?.sharesOutstanding || [];
+    if (floatData === undefined) floatData = float;
+  }
+
+  if (splitEvents === undefined) splitEvents = await getSplitEvents(symbol).catch(() => []);
+
+  const incoming = pointsFromCoverPage(secShares || []);
+  const snapshot = pointFromFloat(Array.isArray(floatData) ? floatData[0] : floatData);
+  if (snapshot) incoming.push(snapshot);
+
+  // Merged against the file as it is under the lock - bankruptcy scans update many tickers at once
+  const measure = history => {
+    const points = mergeSharePoints(history.tickers[symbol]?.points, incoming);
+    return { points, metrics: computeDilutionMetrics(points, splitEvents) };
+  };
+
+  if (incoming.length === 0) return { ticker: symbol, ...measure(loadShareHistory()) };
+
+  let result = null;
+  try {
+    updateDataFile(DATA_PATHS.shareHistory, { tickers: {} }, history => {
+      result = measure(history);
+      history.tickers[symbol] = { ...result, updatedAt: new Date().toISOString() };
+      history.updatedAt = new Date().toISOString();
+    });
+  } catch (e) {
+    console.warn(`⚠️  Could not save share history: ${e.message}`);
+    result = result || measure({ tickers: {} });
+  }
+
+  return { ticker: symbol, ...result };
+}
+
+/**
+ * Stored metrics for a ticker without fetching anything (null if never tracked)
+ */
+export function getShareMetrics(ticker, history = loadShareHistory()) {
+  return history.tickers[ticker?.toUpperCase()]?.metrics || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export function formatShares(num) {
+  if (num === null || num === undefined) return 'N/A';
+  if (num >= 1e9) return `${(num / 1e9).toFixed(2)}B`;
+  if (num >= 1e6) return `${(num / 1e6).toFixed(1)}M`;
+  if (num >= 1e3) return `${(num / 1e3).toFixed(0)}K`;
+  return String(Math.round(num));
+}
+
+export function formatGrowth(pct) {
+  if (pct === null || pct === undefined) return 'N/A';
+  return `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const tickers = process.argv.slice(2).filter(a => !a.startsWith('--')).map(t => t.toUpperCase().replace('$', ''));
+  if (tickers.length === 0) {
+    console.log('Usage: node src/shareHistory.js TICKER [TICKER...]');
+    process.exit(1);
+  }
+
+  for (const ticker of tickers) {
+    const { points, metrics: m } = await updateShareHistory(ticker);
+    console.log(`\n📈 $${ticker} share count (${points.length} points)`);
+    for (const p of points.slice(-8)) {
+      console.log(`   ${p.date}  ${formatShares(p.shares).padStart(8)}  ${p.source}${p.form ? ` (${p.form})` : ''}`);
+    }
+    console.log(`   Outstanding:       ${formatShares(m.sharesOutstanding)} as of ${m.asOf || 'N/A'}`);
+    console.log(`   QoQ growth:        ${formatGrowth(m.qoqGrowthPct)}`);
+    console.log(`   12-month dilution: ${formatGrowth(m.dilution12mPct)}`);
+    if (m.impliedSharesSinceReport !== null) {
+      console.log(`   Since last report: +${formatShares(m.impliedSharesSinceReport)} shares (${formatGrowth(m.impliedDilutionSinceReportPct)})`);
+    }
+  }
+}
+
+export default {
+  loadShareHistory,
+  mergeSharePoints,
+  pointsFromCoverPage,
+  pointFromFloat,
+  splitAdjustSharePoints,
+  computeDilutionMetrics,
+  updateShareHistory,
+  getShareMetrics,
+  formatShares,
+  formatGrowth
+};
@@ -0,0 +1,418 @@
+/**
+ * SPLIT EVENTS - Reverse/forward splits and split-adjusted price series
+ *
+ * Serial diluters reverse split to stay listed. Raw closes across a 1:50 reverse
+ * split look like a +4,900% day, which wrecks peak-gain, DSS and short P/L.
+ *
+ * Sources (merged, deduped by date):
+ *   - FMP /stable/splits               → exchange effective date + ratio
+ *   - SEC 8-K Item 5.03 / 3.03         → catches splits FMP hasn't picked up yet
+ *     ("...a 1-for-50 reverse stock split ... will begin trading on a
+ *      split-adjusted basis on March 4, 2025")
+ *
+ * Adjustment puts everything on the *current* share basis. An event is only
+ * applied when the series actually jumps by the split ratio at that date, so
+ * series FMP already adjusted pass through untouched.
+ *
+ * Usage:
+ *   node src/splitEvents.js MULN FFIE     # Show split events for tickers
+ */
+
+import 'dotenv/config';
+
+import { SPLIT_CONFIG, DATA_PATHS, FIXTURE_MODE } from './config.js';
+import { readDataFile, writeDataFile } from './store/dataFile.js';
+import { secGet } from './vendors/sec.js';
+import { findCikByTicker } from './vendors/secTickers.js';
+import { htmlToText } from './vendors/secProspectus.js';
+import { fmpGet } from './vendors/fmp.js';
+
+const SUBMISSIONS_URL = 'https://data.sec.gov/submissions';
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAME_EVENT_DAYS = 10; // FMP and the 8-K often disagree on the date by a few days
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CACHE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function loadCache() {
+  try {
+    return readDataFile(DATA_PATHS.splitEvents, { tickers: {} });
+  } catch (e) {
+    // Unreadable cache - start fresh
+  }
+  return { tickers: {} };
+}
+
+function saveCache(cache) {
+  try {
+    writeDataFile(DATA_PATHS.splitEvents, cache);
+  } catch (e) {
+    // Cache is an optimization only
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVENT HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build a normalized split event
+ * numerator/denominator as FMP reports them: 1-for-50 reverse = 1/50, 3-for-1 forward = 3/1
+ */
+function makeEvent(date, numerator, denominator, source, extra = {}) {
+  const ratio = numerator / denominator;
+  return {
+    date,
+    numerator,
+    denominator,
+    ratio,
+    type: ratio < 1 ? 'reverse' : 'forward',
+    label: ratio < 1 ? `1:${denominator / numerator} R/S` : `${numerator / denominator}:1 split`,
+    source,
+    ...extra
+  };
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(b).getTime() - new Date(a).getTime()) / DAY_MS;
+}
+
+/**
+ * Merge events from both sources - FMP's effective date wins when they match
+ */
+export function mergeSplitEvents(fmpEvents = [], secEvents = []) {
+  const merged = [...fmpEvents];
+  for (const secEvent of secEvents) {
+    const match = merged.find(e =>
+      daysBetween(e.date, secEvent.date) <= SAME_EVENT_DAYS &&
+      Math.abs(Math.log(e.ratio / secEvent.ratio)) < 0.01
+    );
+    if (match) {
+      match.source = `${match.source}+${secEvent.source}`;
+      match.accessionNumber = match.accessionNumber || secEvent.accessionNumber;
+    } else {
+      merged.push(secEvent);
+    }
+  }
+  return merged.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// 8-K PARSER (Items 5.03 / 3.03)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40,
+  fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+// "fifty" → 50, "twenty-five" → 25, "two hundred fifty" → 250
+function wordsToNumber(text) {
+  if (/^\d[\d,]*$/.test(text)) return parseInt(text.replace(/,/g, ''), 10);
+  let total = 0;
+  let current = 0;
+  for (const word of text.toLowerCase().split(/[\s-]+/).filter(w => w && w !== 'and')) {
+    if (word === 'hundred') current = (current || 1) * 100;
+    else if (word === 'thousand') { total += (current || 1) * 1000; current = 0; }
+    else if (NUMBER_WORDS[word] !== undefined) current += NUMBER_WORDS[word];
+    else return null;
+  }
+  return total + current || null;
+}
+
+const NUM = String.raw`(\d[\d,]*|(?:(?:one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety|hundred|thousand|and)[\s-]*)+)`;
+const RATIO_PATTERNS = [
+  new RegExp(String.raw`\b${NUM}\s*-?\s*for\s*-?\s*${NUM}`, 'i'),
+  // "(1:50)" / "ratio of 1:50" only - a bare colon is usually a time ("12:01 a.m.")
+  /(?:\(|ratio of\s+)(\d[\d,]*)\s*:\s*(\d[\d,]*)/i
+];
+const MONTH_DATE = /(January|February|March|April|May|June|July|August|September|October|November|December)\s+(\d{1,2}),\s*(\d{4})/i;
+
+// Month, day, year are always the last three groups
+function toIsoDate(match) {
+  const [month, day, year] = match.slice(-3);
+  const date = new Date(`${month} ${day}, ${year} 12:00:00 UTC`);
+  return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a reverse/forward split out of an 8-K
+ *
+ * @param {string} html - 8-K primary document
+ * @param {string} filingDate - Fallback effective date
+ * @returns {Object|null} { date, numerator, denominator } or null if no effected split
+ */
+export function parseSplitAnnouncement(html, filingDate) {
+  const text = htmlToText(html);
+  const sentences = text.split(/(?<=[.;])\s+(?=[A-Z(])/);
+
+  let numerator = null;
+  let denominator = null;
+  for (const sentence of sentences) {
+    if (!/split/i.test(sentence)) continue;
+    // Stockholder approval of a range isn't a split that happened
+    if (/rang(e|ing)|not (less|more) than|up to|within/i.test(sentence)) continue;
+
+    for (const pattern of RATIO_PATTERNS) {
+      const m = sentence.match(pattern);
+      if (!m) continue;
+      const a = wordsToNumber(m[1].trim());
+      const b = wordsToNumber(m[2].trim());
+      if (!a || !b || a === b) continue;
+      // "1-for-50 reverse split": 1 new share for 50 old
+      numerator = a;
+      denominator = b;
+      break;
+    }
+    if (numerator) break;
+  }
+  if (!numerator) return null;
+
+  const isReverse = /reverse\s+(stock\s+)?split/i.test(text);
+  if (isReverse && numerator > denominator) [numerator, denominator] = [denominator, numerator];
+
+  // Effective date: "split-adjusted basis on <date>" beats "effective ... <date>"
+  let date = null;
+  const adjusted = text.match(new RegExp(String.raw`split[- ]adjusted basis[^.]{0,80}?${MONTH_DATE.source}`, 'i'));
+  const effective = text.match(new RegExp(String.raw`(?:reverse\s+)?(?:stock\s+)?split[^.]{0,150}?effective[^.]{0,80}?${MONTH_DATE.source}`, 'i'))
+    || text.match(new RegExp(String.raw`effective[^.]{0,80}?${MONTH_DATE.source}[^.]{0,150}?split`, 'i'));
+  if (adjusted) date = toIsoDate(adjusted);
+  if (!date && effective) date = toIsoDate(effective);
+
+  return { date: date || filingDate, numerator, denominator };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FETCH
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function getFmpSplits(symbol) {
+  const data = await fmpGet(`/splits?symbol=${symbol}`);
+  if (!Array.isArray(data)) return [];
+  return data
+    .filter(s => s.date && s.numerator > 0 && s.denominator > 0 && s.numerator !== s.denominator)
+    .map(s => makeEvent(s.date, s.numerator, s.denominator, 'fmp'));
+}
+
+async function getSecSplits(symbol, lookbackDays = SPLIT_CONFIG.eightKLookbackDays) {
+  const cik = await findCikByTicker(symbol);
+  if (!cik) return [];
+
+  let submissions;
+  try {
+    submissions = await secGet(`${SUBMISSIONS_URL}/CIK${String(cik).padStart(10, '0')}.json`);
+  } catch (e) {
+    return [];
+  }
+
+  const recent = submissions?.filings?.recent;
+  if (!recent?.form) return [];
+
+  const since = new Date(Date.now() - lookbackDays * DAY_MS).toISOString().split('T')[0];
+  const events = [];
+
+  for (let i = 0; i < recent.form.length; i++) {
+    if (!recent.form[i].startsWith('8-K') || recent.filingDate[i] < since) continue;
+    const items = String(recent.items?.[i] || '');
+    if (!/5\.03|3\.03/.test(items)) continue;
+
+    const adsh = recent.accessionNumber[i];
+    try {
+      const html = await secGet(`${ARCHIVES_URL}/${cik}/${adsh.replace(/-/g, '')}/${recent.primaryDocument[i]}`, { json: false });
+      const parsed = parseSplitAnnouncement(html, recent.filingDate[i]);
+      if (parsed) {
+        events.push(makeEvent(parsed.date, parsed.numerator, parsed.denominator, 'sec_8k', {
+          accessionNumber: adsh,
+          filingDate: recent.filingDate[i]
+        }));
+      }
+    } catch (e) {
+      console.log(`   ⚠️ Could not read 8-K ${adsh} for ${symbol}: ${e.message}`);
+    }
+  }
+  return events;
+}
+
+/**
+ * All known split events for a ticker, oldest first (cached)
+ * @returns {Array} [{ date, numerator, denominator, ratio, type, label, source }]
+ */
+export async function getSplitEvents(symbol) {
+  const ticker = symbol.toUpperCase();
+  const cache = loadCache();
+  const cached = cache.tickers[ticker];
+
+  // Cassette runs skip the cache so the FMP / EDGAR requests are recorded / replayed
+  if (cached && !FIXTURE_MODE && Date.now() - new Date(cached.fetchedAt).getTime() < SPLIT_CONFIG.cacheTtl) {
+    return cached.events;
+  }
+
+  const [fmpEvents, secEvents] = await Promise.all([
+    getFmpSplits(ticker),
+    getSecSplits(ticker).catch(() => [])
+  ]);
+  const events = mergeSplitEvents(fmpEvents, secEvents);
+
+  cache.tickers[ticker] = { fetchedAt: new Date().toISOString(), events };
+  saveCache(cache);
+  return events;
+}
+
+/**
+ * Most recent reverse split within `days` (null if none) - the risk flag
+ */
+export async function getRecentReverseSplit(symbol, days = SPLIT_CONFIG.recentReverseSplitDays) {
+  const events = await getSplitEvents(symbol);
+  return findRecentReverseSplit(events, days);
+}
+
+export function findRecentReverseSplit(events = [], days = SPLIT_CONFIG.recentReverseSplitDays) {
+  const since = new Date(Date.now() - days * DAY_MS).toISOString().split('T')[0];
+  const recent = events.filter(e => e.type === 'reverse' && e.date >= since);
+  if (recent.length === 0) return null;
+  const latest = recent[recent.length - 1];
+  return {
+    ...latest,
+    daysAgo: Math.floor((Date.now() - new Date(latest.date).getTime()) / DAY_MS),
+    countInWindow: recent.length
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADJUSTMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Does the series have an overnight jump big enough to be a split?
+ * Cheap pre-check so we only look up split events when something looks off.
+ */
+export function hasSuspiciousGap(rows = [], field = 'open') {
+  const sorted = [...rows].filter(r => r?.date).sort((a, b) => a.date.localeCompare(b.date));
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = sorted[i - 1].close;
+    const next = sorted[i][field] ?? sorted[i].close;
+    if (!(prev > 0) || !(next > 0)) continue;
+    const jump = next / prev;
+    if (jump >= SPLIT_CONFIG.gapRatio || jump <= 1 / SPLIT_CONFIG.gapRatio) return true;
+  }
+  return false;
+}
+
+/**
+ * Put a price series on the current share basis
+ *
+ * @param {Array} rows - Candles or {date, close} entries, any order (order is kept)
+ * @param {Array} events - From getSplitEvents()
+ * @param {Object} options - { priceFields, volumeField, jumpField }
+ * @returns {Array} Adjusted copies; the first post-split row carries `splitEvent`
+ */
+export function adjustForSplits(rows = [], events = [], options = {}) {
+  const {
+    priceFields = ['open', 'high', 'low', 'close'],
+    volumeField = 'volume',
+    jumpField = 'open'
+  } = options;
+  if (!rows.length || !events.length) return rows;
+
+  const sorted = rows.map((r, i) => ({ r, i })).filter(x => x.r?.date).sort((a, b) => a.r.date.localeCompare(b.r.date));
+  const factors = new Array(rows.length).fill(1);
+  const marks = new Map();
+
+  for (const event of events) {
+    const postIdx = sorted.findIndex(x => x.r.date.split('T')[0] >= event.date);
+    if (postIdx <= 0) continue; // Split is outside the window
+
+    const pre = sorted[postIdx - 1].r;
+    const post = sorted[postIdx].r;
+    const jump = (post[jumpField] ?? post.close) / pre.close;
+    if (!(jump > 0)) continue;
+
+    // Only adjust if the series really moved by the split ratio (not already adjusted)
+    const expected = 1 / event.ratio;
+    if (Math.abs(Math.log(jump / expected)) >= Math.abs(Math.log(jump))) continue;
+
+    for (let k = 0; k < postIdx; k++) factors[sorted[k].i] *= event.ratio;
+    marks.set(sorted[postIdx].i, event);
+  }
+
+  return rows.map((row, i) => {
+    const factor = factors[i];
+    const mark = marks.get(i);
+    if (factor === 1 && !mark) return row;
+    const adjusted = { ...row };
+    if (factor !== 1) {
+      for (const field of priceFields) {
+        if (typeof adjusted[field] === 'number') adjusted[field] = adjusted[field] / factor;
+      }
+      if (volumeField && typeof adjusted[volumeField] === 'number') {
+        adjusted[volumeField] = Math.round(adjusted[volumeField] * factor);
+      }
+      adjusted.splitAdjusted = true;
+    }
+    if (mark) adjusted.splitEvent = { date: mark.date, label: mark.label, type: mark.type };
+    return adjusted;
+  });
+}
+
+/**
+ * Convert a price recorded on `sinceDate` to the current share basis
+ * (e.g. a short entry taken before a 1:50 reverse split → entry × 50)
+ */
+export function adjustPriceSince(price, sinceDate, events = []) {
+  if (!price || !sinceDate) return price;
+  const since = sinceDate.split('T')[0];
+  return events
+    .filter(e => e.date > since)
+    .reduce((p, e) => p / e.ratio, price);
+}
+
+/**
+ * Fetch-and-adjust for candle consumers. Only looks up events when the
+ * series has a split-sized gap.
+ */
+export async function splitAdjustCandles(symbol, candles) {
+  if (!Array.isArray(candles) || candles.length < 2 || !hasSuspiciousGap(candles)) return candles;
+  const events = await getSplitEvents(symbol);
+  return adjustForSplits(candles, events);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const tickers = process.argv.slice(2).filter(a => !a.startsWith('--')).map(t => t.toUpperCase().replace('$', ''));
+  if (tickers.length === 0) {
+    console.log('Usage: node src/splitEvents.js TICKER [TICKER...]');
+    process.exit(1);
+  }
+
+  for (const ticker of tickers) {
+    const events = await getSplitEvents(ticker);
+    console.log(`\n✂️  $${ticker}: ${events.length} split event(s)`);
+    for (const e of events) {
+      console.log(`   ${e.date}  ${e.label.padEnd(12)} ${e.source}${e.accessionNumber ? ` (${e.accessionNumber})` : ''}`);
+    }
+    const recent = findRecentReverseSplit(events);
+    if (recent) console.log(`   ⚠️ Recent reverse split: ${recent.label} ${recent.daysAgo}d ago`);
+  }
+}
+
+export default {
+  getSplitEvents,
+  getRecentReverseSplit,
+  findRecentReverseSplit,
+  mergeSplitEvents,
+  parseSplitAnnouncement,
+  hasSuspiciousGap,
+  adjustForSplits,
+  adjustPriceSince,
+  splitAdjustCandles
+};
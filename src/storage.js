@@ -1,53 +1,17 @@
 /**
  * Storage Module
  * 
- * Handles all JSON file operations for signals and tracking data.
- * No database needed - just flat JSON files committed to repo.
+ * Every read and write of signals and tracking data goes through here.
+ * The backend (flat JSON files committed to the repo, or SQLite) is picked
+ * by STORAGE_BACKEND - see src/store/.
+ *
+ * Load-change-save helpers run inside getStore().transaction(), so another
+ * process can't write between the load and the save.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { DATA_PATHS, VERBOSE } from './config.js';
-
-// ═══════════════════════════════════════════════════════════════════════════
-// HELPER: Ensure directory exists
-// ═══════════════════════════════════════════════════════════════════════════
-
-function ensureDir(filePath) {
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
-
-// ═══════════════════════════════════════════════════════════════════════════
-// HELPER: Safe JSON read/write
-// ═══════════════════════════════════════════════════════════════════════════
-
-function readJSON(filePath, defaultValue = []) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      return defaultValue;
-    }
-    const data = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.warn(`⚠️  Could not read ${filePath}: ${error.message}`);
-    return defaultValue;
-  }
-}
-
-function writeJSON(filePath, data) {
-  try {
-    ensureDir(filePath);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    if (VERBOSE) console.log(`💾 Saved: ${filePath}`);
-    return true;
-  } catch (error) {
-    console.error(`❌ Could not write ${filePath}: ${error.message}`);
-    return false;
-  }
-}
+import { VERBOSE } from './config.js';
+import { adjustForSplits } from './splitEvents.js';
+import { getStore } from './store/index.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // ACTIVE SIGNALS
@@ -58,7 +22,7 @@ function writeJSON(filePath, data) {
  * @returns {Array} Array of signal objects
  */
 export function loadSignals() {
-  return readJSON(DATA_PATHS.activeSignals, []);
+  return getStore().getSignals();
 }
 
 /**
@@ -66,7 +30,7 @@ export function loadSignals() {
  * @param {Array} signals - Array of signal objects
  */
 export function saveSignals(signals) {
-  return writeJSON(DATA_PATHS.activeSignals, signals);
+  return getStore().saveSignals(signals);
 }
 
 /**
@@ -75,17 +39,19 @@ export function saveSignals(signals) {
  * @returns {boolean} True if added, false if already exists
  */
 export function addSignal(signal) {
-  const signals = loadSignals();
-  
-  // Check if already tracking this ticker
-  if (signals.some(s => s.ticker === signal.ticker)) {
-    if (VERBOSE) console.log(`⏭️  ${signal.ticker} already being tracked`);
-    return false;
-  }
-  
-  signals.push(signal);
-  saveSignals(signals);
-  return true;
+  return getStore().transaction(() => {
+    const signals = loadSignals();
+    
+    // Check if already tracking this ticker
+    if (signals.some(s => s.ticker === signal.ticker)) {
+      if (VERBOSE) console.log(`⏭️  ${signal.ticker} already being tracked`);
+      return false;
+    }
+    
+    signals.push(signal);
+    saveSignals(signals);
+    return true;
+  });
 }
 
 /**
@@ -94,15 +60,17 @@ export function addSignal(signal) {
  * @returns {boolean} True if removed
  */
 export function removeSignal(ticker) {
-  const signals = loadSignals();
-  const filtered = signals.filter(s => s.ticker !== ticker);
-  
-  if (filtered.length === signals.length) {
-    return false; // not found
-  }
-  
-  saveSignals(filtered);
-  return true;
+  return getStore().transaction(() => {
+    const signals = loadSignals();
+    const filtered = signals.filter(s => s.ticker !== ticker);
+    
+    if (filtered.length === signals.length) {
+      return false; // not found
+    }
+    
+    saveSignals(filtered);
+    return true;
+  });
 }
 
 /**
@@ -111,16 +79,18 @@ export function removeSignal(ticker) {
  * @param {Object} updates - Fields to update
  */
 export function updateSignal(ticker, updates) {
-  const signals = loadSignals();
-  const idx = signals.findIndex(s => s.ticker === ticker);
-  
-  if (idx === -1) {
-    return false;
-  }
-  
-  signals[idx] = { ...signals[idx], ...updates };
-  saveSignals(signals);
-  return true;
+  return getStore().transaction(() => {
+    const signals = loadSignals();
+    const idx = signals.findIndex(s => s.ticker === ticker);
+    
+    if (idx === -1) {
+      return false;
+    }
+    
+    signals[idx] = { ...signals[idx], ...updates };
+    saveSignals(signals);
+    return true;
+  });
 }
 
 /**
@@ -142,7 +112,7 @@ export function getSignal(ticker) {
  * @returns {Object}
  */
 export function loadPerformanceHistory() {
-  return readJSON(DATA_PATHS.performanceHistory, {});
+  return getStore().getPerformanceHistory();
 }
 
 /**
@@ -150,7 +120,7 @@ export function loadPerformanceHistory() {
  * @param {Object} history
  */
 export function savePerformanceHistory(history) {
-  return writeJSON(DATA_PATHS.performanceHistory, history);
+  return getStore().savePerformanceHistory(history);
 }
 
 /**
@@ -160,24 +130,8 @@ export function savePerformanceHistory(history) {
  * @param {number} close - Closing price
  */
 export function addPerformanceEntry(ticker, date, close) {
-  const history = loadPerformanceHistory();
-  
-  if (!history[ticker]) {
-    history[ticker] = [];
-  }
-  
-  // Don't add duplicate dates
-  if (history[ticker].some(e => e.date === date)) {
-    return false;
-  }
-  
-  history[ticker].push({ date, close });
-  
-  // Keep sorted by date
-  history[ticker].sort((a, b) => new Date(a.date) - new Date(b.date));
-  
-  savePerformanceHistory(history);
-  return true;
+  // Duplicate dates are skipped, entries stay sorted by date
+  return getStore().addPerformance(ticker, date, close);
 }
 
 /**
@@ -191,32 +145,47 @@ export function getPerformance(ticker) {
 
 /**
  * Calculate P/L for a signal based on history
+ * 
+ * Prices are put on the current share basis using `signal.splits`
+ * (set by updatePerformance.js), so a reverse split after entry isn't a loss.
+ * The entry goes through adjustForSplits as the oldest row, so it is restated
+ * by exactly the splits applied to the closes - none when they're already
+ * adjusted.
+ * 
  * @param {Object} signal - Signal object with entry_price
  * @returns {Object} P/L data
  */
 export function calculatePL(signal) {
-  const history = getPerformance(signal.ticker);
+  const entryRow = { date: signal.trigger_date, close: signal.entry_price };
+  const [entry, ...history] = adjustForSplits([entryRow, ...getPerformance(signal.ticker)], signal.splits || [], {
+    priceFields: ['close'],
+    volumeField: null,
+    jumpField: 'close'
+  });
+  const entryPrice = entry.close;
   
   if (history.length === 0) {
     return { 
-      currentPrice: signal.entry_price,
+      entryPrice,
+      currentPrice: entryPrice,
       plPercent: 0,
       plDollars: 0,
       daysTracked: 0,
-      highSinceEntry: signal.entry_price,
-      lowSinceEntry: signal.entry_price
+      highSinceEntry: entryPrice,
+      lowSinceEntry: entryPrice
     };
   }
   
   const latestClose = history[history.length - 1].close;
-  const plDollars = signal.entry_price - latestClose; // We're short, so profit = entry - current
-  const plPercent = (plDollars / signal.entry_price) * 100;
+  const plDollars = entryPrice - latestClose; // We're short, so profit = entry - current
+  const plPercent = (plDollars / entryPrice) * 100;
   
   const closes = history.map(h => h.close);
-  const highSinceEntry = Math.max(signal.entry_price, ...closes);
-  const lowSinceEntry = Math.min(signal.entry_price, ...closes);
+  const highSinceEntry = Math.max(entryPrice, ...closes);
+  const lowSinceEntry = Math.min(entryPrice, ...closes);
   
   return {
+    entryPrice,
     currentPrice: latestClose,
     plPercent,
     plDollars,
@@ -234,46 +203,178 @@ export function calculatePL(signal) {
  * Load daily operation log (API calls, tweets sent, etc.)
  */
 export function loadDailyLog() {
-  return readJSON(DATA_PATHS.dailyLog, {
-    runs: [],
-    signals: [],
-    tweets: []
-  });
+  return getStore().getDailyLog();
 }
 
 /**
  * Save daily log
  */
 export function saveDailyLog(log) {
-  return writeJSON(DATA_PATHS.dailyLog, log);
+  return getStore().saveDailyLog(log);
+}
+
+/**
+ * Append one scanner run (and the signals it produced) to the daily log
+ * @param {Object} run - { date, timestamp, ... }
+ * @param {Array} signals - [{ date, ticker }]
+ */
+export function logRun(run, signals = []) {
+  return getStore().addRun(run, signals);
 }
 
 /**
  * Log a tweet that was sent
  */
 export function logTweet(ticker, tweetId, type = 'new_signal') {
-  const log = loadDailyLog();
   const today = new Date().toISOString().split('T')[0];
   
-  log.tweets = log.tweets || [];
-  log.tweets.push({
+  getStore().addPost('daily_log', {
     date: today,
     timestamp: new Date().toISOString(),
     ticker,
     tweetId,
     type
   });
-  
-  saveDailyLog(log);
 }
 
 /**
  * Get count of tweets sent today
  */
 export function getTodaysTweetCount() {
-  const log = loadDailyLog();
   const today = new Date().toISOString().split('T')[0];
-  return (log.tweets || []).filter(t => t.date === today).length;
+  return getStore().getPosts('daily_log').filter(t => t.date === today).length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCORE HISTORY (score_history.jsonl - queries live in scoreHistory.js)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every recorded score row, in the order it was written
+ */
+export function loadScores() {
+  return getStore().getScores();
+}
+
+/**
+ * Append score rows ({ date, ticker, engine, score, source, scoringConfig, recordedAt })
+ * @returns {number} Rows written
+ */
+export function appendScores(rows) {
+  return getStore().addScores(rows);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POSTED CONTENT (tweet_history.json)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Everything recorded by contentManager.recordTweet, oldest first
+ * @returns {Array} [{ ticker, bucket, date, timestamp, ... }]
+ */
+export function loadTweetHistory() {
+  return getStore().getPosts('tweet_history');
+}
+
+/**
+ * Record one posted piece of content
+ * @returns {boolean} False if the same ticker / bucket / day was already recorded
+ */
+export function addTweetRecord(entry) {
+  return getStore().addPost('tweet_history', entry);
+}
+
+/**
+ * Replace the whole content history
+ * @param {Array} tweets
+ */
+export function saveTweetHistory(tweets) {
+  return getStore().savePosts('tweet_history', tweets);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POSTING COOLDOWNS (*_posted.json)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Last post date per ticker for one posting scope
+ * @param {string} scope - e.g. 'dilution', 'bankruptcy', 'cde', 'roundup'
+ * @returns {Object} { TICKER: 'YYYY-MM-DD' }
+ */
+export function loadCooldowns(scope) {
+  return getStore().getCooldowns(scope);
+}
+
+/**
+ * Every scope that has posted something
+ * @returns {Array} e.g. ['bankruptcy', 'cde', 'dilution', 'roundup']
+ */
+export function listCooldownScopes() {
+  return getStore().listCooldownScopes();
+}
+
+/**
+ * Score each ticker was last posted at, where the module recorded one
+ * @param {string} scope
+ * @returns {Object} { TICKER: score }
+ */
+export function loadCooldownScores(scope) {
+  return getStore().getCooldownScores(scope);
+}
+
+/**
+ * Replace a scope's cooldowns
+ * @param {string} scope
+ * @param {Object} tickers - { TICKER: 'YYYY-MM-DD' }
+ * @param {Object} scores - { TICKER: score } (default: keep the recorded ones)
+ */
+export function saveCooldowns(scope, tickers, scores = null) {
+  return getStore().transaction(() => {
+    const kept = Object.fromEntries(Object.entries(scores || loadCooldownScores(scope)).filter(([ticker]) => ticker in tickers));
+    return getStore().saveCooldowns(scope, tickers, kept);
+  });
+}
+
+/**
+ * Mark tickers as posted in a scope
+ * @param {string} scope
+ * @param {Array} entries - Tickers, or { ticker, score } to remember the score posted at
+ * @param {Object} options - { date: YYYY-MM-DD (default today) }
+ */
+export function markPosted(scope, entries, options = {}) {
+  const date = options.date || new Date().toISOString().split('T')[0];
+  return getStore().transaction(() => {
+    const posted = loadCooldowns(scope);
+    const scores = loadCooldownScores(scope);
+    for (const entry of entries) {
+      const { ticker, score = null } = typeof entry === 'string' ? { ticker: entry } : entry;
+      posted[ticker] = date;
+      if (typeof score === 'number' && !isNaN(score)) scores[ticker] = score;
+      else delete scores[ticker];
+    }
+    return saveCooldowns(scope, posted, scores);
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DOCUMENTS (leaderboards, scan snapshots)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read a whole snapshot (data/<name>.json in the JSON store)
+ * @param {string} name - e.g. 'bankruptcy_signals', 'dilution_leaderboard'
+ */
+export function readDocument(name, defaultValue = null) {
+  return getStore().getDocument(name, defaultValue);
+}
+
+/**
+ * Overwrite a snapshot
+ * @param {string} name
+ * @param {*} data
+ */
+export function writeDocument(name, data) {
+  return getStore().putDocument(name, data);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -285,59 +386,62 @@ export function getTodaysTweetCount() {
  * Moves them from active_signals to a separate archive
  */
 export function archiveOldSignals(maxAgeDays = 30) {
-  const signals = loadSignals();
-  const now = new Date();
-  
-  const active = [];
-  const archived = [];
-  
-  for (const signal of signals) {
-    const triggerDate = new Date(signal.trigger_date);
-    const ageDays = (now - triggerDate) / (1000 * 60 * 60 * 24);
+  return getStore().transaction(() => {
+    const signals = loadSignals();
+    const now = new Date();
+    
+    const active = [];
+    const archived = [];
     
-    if (ageDays > maxAgeDays) {
-      archived.push(signal);
-    } else {
-      active.push(signal);
+    for (const signal of signals) {
+      const triggerDate = new Date(signal.trigger_date);
+      const ageDays = (now - triggerDate) / (1000 * 60 * 60 * 24);
+      
+      if (ageDays > maxAgeDays) {
+        archived.push(signal);
+      } else {
+        active.push(signal);
+      }
     }
-  }
-  
-  if (archived.length > 0) {
-    // Save archived signals
-    const archivePath = DATA_PATHS.activeSignals.replace('.json', '_archive.json');
-    const existingArchive = readJSON(archivePath, []);
-    writeJSON(archivePath, [...existingArchive, ...archived]);
     
-    // Update active signals
-    saveSignals(active);
+    if (archived.length > 0) {
+      // Save archived signals
+      const existingArchive = readDocument('active_signals_archive', []);
+      writeDocument('active_signals_archive', [...existingArchive, ...archived]);
+      
+      // Update active signals
+      saveSignals(active);
+      
+      console.log(`📦 Archived ${archived.length} signals older than ${maxAgeDays} days`);
+    }
     
-    console.log(`📦 Archived ${archived.length} signals older than ${maxAgeDays} days`);
-  }
-  
-  return { active: active.length, archived: archived.length };
+    return { active: active.length, archived: archived.length };
+  });
 }
 
 /**
  * Prune performance history (keep only last N entries per ticker)
  */
 export function prunePerformanceHistory(maxEntriesPerTicker = 90) {
-  const history = loadPerformanceHistory();
-  let pruned = 0;
-  
-  for (const ticker of Object.keys(history)) {
-    if (history[ticker].length > maxEntriesPerTicker) {
-      const excess = history[ticker].length - maxEntriesPerTicker;
-      history[ticker] = history[ticker].slice(excess);
-      pruned += excess;
+  return getStore().transaction(() => {
+    const history = loadPerformanceHistory();
+    let pruned = 0;
+    
+    for (const ticker of Object.keys(history)) {
+      if (history[ticker].length > maxEntriesPerTicker) {
+        const excess = history[ticker].length - maxEntriesPerTicker;
+        history[ticker] = history[ticker].slice(excess);
+        pruned += excess;
+      }
     }
-  }
-  
-  if (pruned > 0) {
-    savePerformanceHistory(history);
-    console.log(`🧹 Pruned ${pruned} old performance entries`);
-  }
-  
-  return pruned;
+    
+    if (pruned > 0) {
+      savePerformanceHistory(history);
+      console.log(`🧹 Pruned ${pruned} old performance entries`);
+    }
+    
+    return pruned;
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -363,9 +467,28 @@ export default {
   // Daily log
   loadDailyLog,
   saveDailyLog,
+  logRun,
   logTweet,
   getTodaysTweetCount,
   
+  // Score history
+  loadScores,
+  appendScores,
+  
+  // Posted content + cooldowns
+  loadTweetHistory,
+  addTweetRecord,
+  saveTweetHistory,
+  loadCooldowns,
+  loadCooldownScores,
+  listCooldownScopes,
+  saveCooldowns,
+  markPosted,
+  
+  // Documents
+  readDocument,
+  writeDocument,
+  
   // Maintenance
   archiveOldSignals,
   prunePerformanceHistory
@@ -0,0 +1,318 @@
+/**
+ * DATA FILE - Crash-safe, locked, versioned JSON files
+ *
+ * Every JSON state file in data/ is read and written through here:
+ *
+ *   - atomic     written to <file>.<pid>.tmp, fsynced, then renamed over the
+ *                original - a crash mid-write leaves the previous file, never
+ *                half of one
+ *   - locked     writes (and withFileLock / updateDataFile read-modify-writes)
+ *                hold <file>.lock, so two processes on one runner can't
+ *                interleave a load and a save
+ *   - versioned  every file carries schemaVersion; files written by older
+ *                code are upgraded on load by the steps in migrations.js
+ *
+ * A file that doesn't parse is moved aside to <file>.corrupt-<timestamp> and
+ * reported, instead of being read as empty and overwritten by the next save.
+ * A file with a newer schemaVersion than this code knows is refused.
+ *
+ * Callers never see the envelope: objects come back without schemaVersion,
+ * and arrays (stored as { schemaVersion, items }) come back as arrays.
+ *
+ * Locks are advisory and synchronous: a lock held across an `await` is
+ * released before the awaited work finishes, so async read-modify-write
+ * cycles only get an atomic, locked write.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { STORAGE_CONFIG, VERBOSE } from '../config.js';
+import { MIGRATIONS } from './migrations.js';
+
+const migrations = new Map(Object.entries(MIGRATIONS).map(([name, steps]) => [name, [...steps]]));
+const heldLocks = new Map();   // lock path → depth (re-entrant within one process)
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA VERSIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Migration name for a file: data/bankruptcy_signals.json → 'bankruptcy_signals'
+ */
+export function dataFileName(filePath) {
+  return path.basename(filePath).replace(/\.json$/, '');
+}
+
+/**
+ * Register an upgrade step for a data file (in addition to migrations.js)
+ * @param {string} name - File / document name
+ * @param {number} version - Version the step upgrades to
+ * @param {Function} migrate - payload → upgraded payload
+ */
+export function registerMigration(name, version, migrate) {
+  const steps = migrations.get(name) || [];
+  if (steps.some(s => s.version === version)) {
+    throw new Error(`${name} already has a migration to schemaVersion ${version}`);
+  }
+  steps.push({ version, migrate });
+  steps.sort((a, b) => a.version - b.version);
+  migrations.set(name, steps);
+}
+
+/**
+ * Version new writes of a file are stamped with
+ */
+export function schemaVersion(name) {
+  return Math.max(1, ...(migrations.get(name) || []).map(s => s.version));
+}
+
+/**
+ * Stored form of a payload: { schemaVersion, ...object } or { schemaVersion, items }
+ */
+export function toStored(name, data) {
+  const version = schemaVersion(name);
+  if (Array.isArray(data)) return { schemaVersion: version, items: data };
+  if (data && typeof data === 'object') {
+    const { schemaVersion: _previous, ...rest } = data;
+    return { schemaVersion: version, ...rest };
+  }
+  return data;
+}
+
+/**
+ * Payload of a stored value, upgraded to the current schemaVersion
+ * @param {string} name
+ * @param {*} stored - Parsed file contents (with or without the envelope)
+ * @param {string} source - For error messages
+ * @returns {Object} { data, fromVersion, version }
+ */
+export function fromStored(name, stored, source = name) {
+  const enveloped = stored && typeof stored === 'object' && !Array.isArray(stored) && Number.isInteger(stored.schemaVersion);
+  const fromVersion = enveloped ? stored.schemaVersion : 0;
+  const version = schemaVersion(name);
+
+  if (fromVersion > version) {
+    throw new Error(`${source} is schemaVersion ${fromVersion} but this code only reads up to ${version} - update before running`);
+  }
+
+  let data = stored;
+  if (enveloped) {
+    const { schemaVersion: _version, ...rest } = stored;
+    const keys = Object.keys(rest);
+    data = keys.length === 1 && keys[0] === 'items' && Array.isArray(rest.items) ? rest.items : rest;
+  }
+
+  for (const step of migrations.get(name) || []) {
+    if (step.version > fromVersion) data = step.migrate(data);
+  }
+
+  if (VERBOSE && fromVersion < version && fromVersion > 0) {
+    console.log(`🔄 Upgraded ${source} schemaVersion ${fromVersion} → ${version}`);
+  }
+  return { data, fromVersion, version };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOCKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function sleep(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function lockHolder(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch {
+    return null;   // Gone, or the holder hasn't written its details yet
+  }
+}
+
+function isStale(lockPath) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch {
+    return false;
+  }
+  if (Date.now() - stat.mtimeMs > STORAGE_CONFIG.lockStaleMs) return true;
+
+  // Holder on this machine that no longer exists (killed mid-write)
+  const holder = lockHolder(lockPath);
+  if (!holder || holder.host !== os.hostname() || holder.pid === process.pid) return false;
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (e) {
+    return e.code === 'ESRCH';
+  }
+}
+
+function acquire(lockPath) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + STORAGE_CONFIG.lockTimeoutMs;
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }), { flag: 'wx' });
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+
+    if (isStale(lockPath)) {
+      console.warn(`⚠️  Removing stale lock ${lockPath}`);
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      const holder = lockHolder(lockPath);
+      const by = holder ? ` (pid ${holder.pid} on ${holder.host} since ${holder.at})` : '';
+      throw new Error(`Timed out waiting for ${lockPath}${by} - delete it if nothing else is writing`);
+    }
+    sleep(25 + Math.floor(Math.random() * 50));
+  }
+}
+
+/**
+ * Run fn while holding <filePath>.lock (re-entrant within this process)
+ * @returns {*} What fn returns
+ */
+export function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const depth = heldLocks.get(lockPath) || 0;
+  if (depth === 0) acquire(lockPath);
+  heldLocks.set(lockPath, depth + 1);
+
+  try {
+    return fn();
+  } finally {
+    if (depth === 0) {
+      heldLocks.delete(lockPath);
+      fs.rmSync(lockPath, { force: true });
+    } else {
+      heldLocks.set(lockPath, depth);
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// READ / WRITE
+// ═══════════════════════════════════════════════════════════════════════════
+
+function quarantine(filePath, error) {
+  const backup = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  try {
+    fs.renameSync(filePath, backup);
+    console.error(`❌ ${filePath} is corrupt (${error.message}) - moved to ${backup}, starting from empty`);
+  } catch (e) {
+    throw new Error(`${filePath} is corrupt (${error.message}) and could not be moved aside: ${e.message}`);
+  }
+}
+
+function writeAtomic(filePath, text) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, filePath);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Read a data file, upgraded to the current schemaVersion
+ *
+ * @param {string} filePath
+ * @param {*} defaultValue - Returned when the file doesn't exist (or was corrupt)
+ * @param {Object} options - { name } (migration name, default: the file name)
+ */
+export function readDataFile(filePath, defaultValue = null, options = {}) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return defaultValue;
+    throw e;
+  }
+
+  let stored;
+  try {
+    stored = JSON.parse(text);
+  } catch (e) {
+    quarantine(filePath, e);
+    return defaultValue;
+  }
+
+  return fromStored(options.name || dataFileName(filePath), stored, filePath).data;
+}
+
+/**
+ * Write a data file: stamped with schemaVersion, under its lock, temp + rename
+ *
+ * @param {string} filePath
+ * @param {*} data
+ * @param {Object} options - { name, compact (no indentation, for big caches) }
+ * @returns {boolean} true
+ */
+export function writeDataFile(filePath, data, options = {}) {
+  const stored = toStored(options.name || dataFileName(filePath), data);
+  const text = options.compact ? JSON.stringify(stored) : JSON.stringify(stored, null, 2);
+  withFileLock(filePath, () => writeAtomic(filePath, text));
+  if (VERBOSE) console.log(`💾 Saved: ${filePath}`);
+  return true;
+}
+
+/**
+ * Locked read-modify-write
+ *
+ * @param {string} filePath
+ * @param {*} defaultValue - Starting value when the file doesn't exist
+ * @param {Function} update - data → new data (or undefined to save `data` as mutated)
+ * @param {Object} options - As writeDataFile
+ * @returns {*} The saved data
+ */
+export function updateDataFile(filePath, defaultValue, update, options = {}) {
+  return withFileLock(filePath, () => {
+    const data = readDataFile(filePath, defaultValue, options);
+    const next = update(data);
+    const saved = next === undefined ? data : next;
+    writeDataFile(filePath, saved, options);
+    return saved;
+  });
+}
+
+/**
+ * Append lines to an append-only .jsonl file under its lock
+ * (rows are never rewritten, so they carry no envelope)
+ */
+export function appendDataLines(filePath, rows) {
+  if (!rows.length) return 0;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  withFileLock(filePath, () => fs.appendFileSync(filePath, rows.map(r => JSON.stringify(r)).join('\n') + '\n'));
+  return rows.length;
+}
+
+export default {
+  dataFileName,
+  registerMigration,
+  schemaVersion,
+  toStored,
+  fromStored,
+  withFileLock,
+  readDataFile,
+  writeDataFile,
+  updateDataFile,
+  appendDataLines
+};
@@ -0,0 +1,88 @@
+/**
+ * STORE - Pick the storage backend
+ *
+ * Modules never touch data files directly for signals, posts, cooldowns,
+ * scores or snapshot documents; they go through storage.js, which calls the
+ * store returned here:
+ *   - json   (default) the flat files in data/, committed by the workflows
+ *   - sqlite one database at DATA_PATHS.database (STORAGE_BACKEND=sqlite)
+ *
+ * copyStore() moves everything from one store to another. The migration
+ * command uses it in both directions: JSON files → SQLite, and SQLite →
+ * JSON-compatible files (export).
+ */
+
+import { STORAGE_CONFIG } from '../config.js';
+import { createJsonStore } from './jsonStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+let store = null;
+
+/**
+ * @param {string} backend - 'json' | 'sqlite'
+ * @param {Object} options - Passed to the backend ({ dataDir } / { file })
+ */
+export function createStore(backend = STORAGE_CONFIG.backend, options = {}) {
+  if (backend === 'json') return createJsonStore(options);
+  if (backend === 'sqlite') return createSqliteStore(options);
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use json or sqlite)`);
+}
+
+/**
+ * The process-wide store for STORAGE_CONFIG.backend
+ */
+export function getStore() {
+  if (!store) store = createStore();
+  return store;
+}
+
+/**
+ * Copy every collection from one store into another
+ * Posts and scores are de-duplicated on the way by the target's keys.
+ *
+ * @returns {Object} Counts per collection
+ */
+export function copyStore(from, to) {
+  const counts = {};
+
+  const signals = from.getSignals();
+  to.saveSignals(signals);
+  counts.signals = signals.length;
+
+  const performance = from.getPerformanceHistory();
+  to.savePerformanceHistory(performance);
+  counts.performance = Object.values(performance).reduce((n, entries) => n + entries.length, 0);
+
+  const dailyLog = from.getDailyLog();
+  to.saveDailyLog(dailyLog);
+  counts.runs = (dailyLog.runs || []).length + (dailyLog.signals || []).length;
+
+  const tweets = from.getPosts('tweet_history');
+  const dailyTweets = dailyLog.tweets || [];
+  to.savePosts('tweet_history', tweets);
+  counts.posts = tweets.length + dailyTweets.length;
+  counts.postsKept = to.getPosts('tweet_history').length + to.getPosts('daily_log').length;
+
+  counts.cooldowns = 0;
+  for (const scope of from.listCooldownScopes()) {
+    const tickers = from.getCooldowns(scope);
+    to.saveCooldowns(scope, tickers, from.getCooldownScores(scope));
+    counts.cooldowns += Object.keys(tickers).length;
+  }
+
+  const scores = from.getScores();
+  counts.scores = scores.length;
+  counts.scoresKept = to.addScores(scores);
+
+  counts.documents = 0;
+  for (const name of from.listDocuments()) {
+    const data = from.getDocument(name);
+    if (data === null) continue;
+    to.putDocument(name, data);
+    counts.documents++;
+  }
+
+  return counts;
+}
+
+export default { createStore, getStore, copyStore };
@@ -0,0 +1,204 @@
+/**
+ * JSON STORE - The original flat files in data/
+ *
+ * Every collection is read and written in the layout the modules have always
+ * used (plus a schemaVersion field), so switching backends (or exporting
+ * SQLite back to JSON) keeps the committed files diffable:
+ *
+ *   signals      active_signals.json            { schemaVersion, items: [signal, ...] }
+ *   performance  performance_history.json       { TICKER: [{ date, close }] }
+ *   runs         daily_log.json                 { runs, signals, tweets }
+ *   posts        tweet_history.json             { tweets, lastUpdated }
+ *                daily_log.json .tweets
+ *   cooldowns    <scope>_posted.json            { tickers: { TICKER: date }, scores?, updatedAt }
+ *                postedRoundups.json (roundup)
+ *   scores       score_history.jsonl            one row per line, append-only
+ *   documents    <name>.json                    any other top-level JSON file
+ *
+ * Files go through dataFile.js (temp + rename writes, schemaVersion, load-time
+ * migrations). Every change - including storage.js's load-change-save
+ * sequences via transaction() - holds data/.store.lock, so two processes
+ * writing the same checkout queue up instead of dropping each other's rows.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { DATA_PATHS } from '../config.js';
+import { readDataFile, writeDataFile, withFileLock, appendDataLines } from './dataFile.js';
+
+// Cooldown scopes whose file doesn't follow <scope>_posted.json
+const COOLDOWN_FILE_OVERRIDES = { roundup: 'postedRoundups.json' };
+
+// Files backing a structured collection (never listed as documents)
+const STRUCTURED_FILES = ['active_signals.json', 'performance_history.json', 'daily_log.json', 'tweet_history.json'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Missing and corrupt files read as the default; a newer schemaVersion throws
+function readJSON(filePath, defaultValue) {
+  return readDataFile(filePath, defaultValue);
+}
+
+function writeJSON(filePath, data) {
+  try {
+    return writeDataFile(filePath, data);
+  } catch (error) {
+    console.error(`❌ Could not write ${filePath}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Same-post key shared by both backends (tweet_history.json picked up
+ * duplicate rows when post.js ran twice)
+ */
+export function postKey(log, entry) {
+  return [log, entry.ticker || '', entry.date || '', entry.bucket || entry.type || '', entry.tweetId || ''].join('|');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {Object} options - { dataDir } (default: the directory of DATA_PATHS files)
+ */
+export function createJsonStore(options = {}) {
+  const dataDir = options.dataDir || DATA_PATHS.dataDir;
+  const inDir = (defaultPath) => options.dataDir ? path.join(dataDir, path.basename(defaultPath)) : defaultPath;
+
+  const files = {
+    signals: inDir(DATA_PATHS.activeSignals),
+    performance: inDir(DATA_PATHS.performanceHistory),
+    dailyLog: inDir(DATA_PATHS.dailyLog),
+    tweetHistory: inDir(DATA_PATHS.tweetHistory),
+    scores: inDir(DATA_PATHS.scoreHistory)
+  };
+
+  const lockFile = path.join(dataDir, '.store');
+  const locked = (fn) => withFileLock(lockFile, fn);
+
+  const cooldownFile = (scope) => path.join(dataDir, COOLDOWN_FILE_OVERRIDES[scope] || `${scope}_posted.json`);
+  const documentFile = (name) => path.join(dataDir, `${name}.json`);
+
+  function loadDailyLog() {
+    return readJSON(files.dailyLog, { runs: [], signals: [], tweets: [] });
+  }
+
+  function postsFile(log) {
+    return log === 'daily_log' ? files.dailyLog : files.tweetHistory;
+  }
+
+  function getPosts(log) {
+    if (log === 'daily_log') return loadDailyLog().tweets || [];
+    return readJSON(files.tweetHistory, { tweets: [] }).tweets || [];
+  }
+
+  function savePosts(log, entries) {
+    return locked(() => {
+      if (log === 'daily_log') {
+        const dailyLog = loadDailyLog();
+        return writeJSON(files.dailyLog, { ...dailyLog, tweets: entries });
+      }
+      return writeJSON(postsFile(log), { tweets: entries, lastUpdated: new Date().toISOString() });
+    });
+  }
+
+  return {
+    backend: 'json',
+    location: dataDir,
+
+    /**
+     * Run a load-change-save sequence without another process writing in between
+     */
+    transaction: locked,
+
+    // ── Signals ──
+    getSignals: () => readJSON(files.signals, []),
+    saveSignals: (signals) => locked(() => writeJSON(files.signals, signals)),
+
+    // ── Performance ──
+    getPerformanceHistory: () => readJSON(files.performance, {}),
+    savePerformanceHistory: (history) => locked(() => writeJSON(files.performance, history)),
+    addPerformance: (ticker, date, close) => locked(() => {
+      const history = readJSON(files.performance, {});
+      history[ticker] = history[ticker] || [];
+      if (history[ticker].some(e => e.date === date)) return false;
+      history[ticker].push({ date, close });
+      history[ticker].sort((a, b) => new Date(a.date) - new Date(b.date));
+      return writeJSON(files.performance, history);
+    }),
+
+    // ── Runs (daily log) ──
+    getDailyLog: loadDailyLog,
+    saveDailyLog: (log) => locked(() => writeJSON(files.dailyLog, log)),
+    addRun: (run, signals = []) => locked(() => {
+      const log = loadDailyLog();
+      log.runs = [...(log.runs || []), run];
+      log.signals = [...(log.signals || []), ...signals];
+      return writeJSON(files.dailyLog, log);
+    }),
+
+    // ── Posts ──
+    getPosts,
+    savePosts,
+    addPost: (log, entry) => locked(() => {
+      const entries = getPosts(log);
+      const key = postKey(log, entry);
+      if (entries.some(e => postKey(log, e) === key)) return false;
+      return savePosts(log, [...entries, entry]);
+    }),
+
+    // ── Cooldowns ──
+    getCooldowns: (scope) => readJSON(cooldownFile(scope), { tickers: {} })?.tickers || {},
+    getCooldownScores: (scope) => readJSON(cooldownFile(scope), {})?.scores || {},
+    saveCooldowns: (scope, tickers, scores = {}) => locked(() => {
+      const data = Object.keys(scores).length ? { tickers, scores } : { tickers };
+      return writeJSON(cooldownFile(scope), { ...data, updatedAt: new Date().toISOString() });
+    }),
+    listCooldownScopes() {
+      if (!fs.existsSync(dataDir)) return [];
+      const overrides = Object.entries(COOLDOWN_FILE_OVERRIDES);
+      return fs.readdirSync(dataDir)
+        .map(f => overrides.find(([, file]) => file === f)?.[0] || (f.endsWith('_posted.json') ? f.replace('_posted.json', '') : null))
+        .filter(Boolean);
+    },
+
+    // ── Scores (append-only) ──
+    getScores() {
+      try {
+        if (!fs.existsSync(files.scores)) return [];
+        return fs.readFileSync(files.scores, 'utf8')
+          .split('\n')
+          .filter(line => line.trim())
+          .map(line => {
+            try { return JSON.parse(line); } catch { return null; }
+          })
+          .filter(Boolean);
+      } catch (e) {
+        console.warn(`⚠️  Could not read ${files.scores}: ${e.message}`);
+        return [];
+      }
+    },
+    addScores: (rows) => appendDataLines(files.scores, rows),
+
+    // ── Documents (whole-file snapshots: leaderboards, scan signals, ...) ──
+    getDocument: (name, defaultValue = null) => readJSON(documentFile(name), defaultValue),
+    putDocument: (name, data) => locked(() => writeJSON(documentFile(name), data)),
+    listDocuments() {
+      if (!fs.existsSync(dataDir)) return [];
+      const cooldownFiles = new Set(Object.values(COOLDOWN_FILE_OVERRIDES));
+      return fs.readdirSync(dataDir)
+        .filter(f => f.endsWith('.json') && !STRUCTURED_FILES.includes(f) && !f.endsWith('_posted.json') && !cooldownFiles.has(f))
+        .filter(f => fs.statSync(path.join(dataDir, f)).isFile())
+        .map(f => f.replace(/\.json$/, ''));
+    },
+
+    close() {}
+  };
+}
+
+export default { createJsonStore, postKey };
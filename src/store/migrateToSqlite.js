@@ -0,0 +1,148 @@
+/**
+ * MIGRATE TO SQLITE - One-shot import of data/ into the SQLite store
+ *
+ * Reads every file the JSON store knows about and writes it into the
+ * database. Duplicate posts (tweet_history.json has repeated rows from
+ * post.js re-runs) and duplicate score rows are dropped by the table keys.
+ *
+ *   active_signals.json           → signals
+ *   performance_history.json      → performance
+ *   daily_log.json                → runs + posts
+ *   tweet_history.json            → posts
+ *   *_posted.json, postedRoundups → cooldowns
+ *   score_history.jsonl           → scores
+ *   every other top-level *.json  → documents
+ *
+ * Subfolders (cache/, mock/, fixtures/, backtests/, weights/, scoring_configs/)
+ * stay files - they're caches, recordings or versioned archives, not state.
+ *
+ * --export goes the other way and writes JSON-compatible files (same layout
+ * as data/) from the database, for diffing, committing or switching back.
+ *
+ * Usage:
+ *   node src/store/migrateToSqlite.js                    # data/ → data/dilutionhunter.db
+ *   node src/store/migrateToSqlite.js --db=/tmp/dh.db    # Different database file
+ *   node src/store/migrateToSqlite.js --force            # Replace an existing database
+ *   node src/store/migrateToSqlite.js --export           # Database → data/export/*.json
+ *   node src/store/migrateToSqlite.js --export=./out     # Database → ./out/*.json
+ *
+ * Then set STORAGE_BACKEND=sqlite.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { DATA_PATHS } from '../config.js';
+import { createJsonStore } from './jsonStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+import { copyStore } from './index.js';
+
+// Extensions the JSON store reads from data/
+const STORE_EXTENSIONS = ['.json', '.jsonl'];
+
+function printCounts(counts) {
+  console.log(`   Signals:      ${counts.signals}`);
+  console.log(`   Performance:  ${counts.performance} closes`);
+  console.log(`   Runs:         ${counts.runs}`);
+  console.log(`   Posts:        ${counts.postsKept}${counts.posts !== counts.postsKept ? ` (${counts.posts - counts.postsKept} duplicates dropped)` : ''}`);
+  console.log(`   Cooldowns:    ${counts.cooldowns} tickers`);
+  console.log(`   Scores:       ${counts.scoresKept}${counts.scores !== counts.scoresKept ? ` (${counts.scores - counts.scoresKept} duplicates dropped)` : ''}`);
+  console.log(`   Documents:    ${counts.documents}`);
+}
+
+/**
+ * Import data/ into a new SQLite database
+ *
+ * @param {Object} options - { dataDir, file, force }
+ * @returns {Object} Counts per collection + skipped entries
+ */
+export function migrateToSqlite(options = {}) {
+  const { dataDir = DATA_PATHS.dataDir, file = DATA_PATHS.database, force = false } = options;
+
+  if (fs.existsSync(file)) {
+    if (!force) throw new Error(`${file} already exists (--force to replace it)`);
+    for (const suffix of ['', '-wal', '-shm']) fs.rmSync(`${file}${suffix}`, { force: true });
+  }
+
+  const skipped = fs.existsSync(dataDir)
+    ? fs.readdirSync(dataDir).filter(f => {
+        const full = path.join(dataDir, f);
+        if (path.resolve(full) === path.resolve(file)) return false;
+        return fs.statSync(full).isDirectory() || !STORE_EXTENSIONS.includes(path.extname(f));
+      })
+    : [];
+
+  const source = createJsonStore({ dataDir });
+  const target = createSqliteStore({ file });
+  try {
+    return { ...copyStore(source, target), skipped };
+  } finally {
+    target.close();
+  }
+}
+
+/**
+ * Write the database back out as JSON-compatible files
+ *
+ * @param {Object} options - { file, outDir }
+ */
+export function exportToJson(options = {}) {
+  const { file = DATA_PATHS.database, outDir = path.join(DATA_PATHS.dataDir, 'export') } = options;
+  if (!fs.existsSync(file)) throw new Error(`${file} not found`);
+
+  fs.mkdirSync(outDir, { recursive: true });
+  if (fs.readdirSync(outDir).length > 0) throw new Error(`${outDir} is not empty`);
+
+  const source = createSqliteStore({ file });
+  try {
+    return copyStore(source, createJsonStore({ dataDir: outDir }));
+  } finally {
+    source.close();
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const getArg = (name) => {
+    const arg = args.find(a => a === `--${name}` || a.startsWith(`--${name}=`));
+    if (!arg) return null;
+    return arg.includes('=') ? arg.split('=').slice(1).join('=') : true;
+  };
+
+  const file = getArg('db') || DATA_PATHS.database;
+  const exportDir = getArg('export');
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(exportDir ? '📤 SQLITE → JSON EXPORT' : '🗄️  JSON → SQLITE MIGRATION');
+  console.log('═'.repeat(60) + '\n');
+
+  try {
+    if (exportDir) {
+      const outDir = exportDir === true ? undefined : exportDir;
+      const counts = exportToJson({ file, outDir });
+      console.log(`✅ Exported ${file} → ${outDir || path.join(DATA_PATHS.dataDir, 'export')}\n`);
+      printCounts(counts);
+    } else {
+      const dataDir = getArg('data') || DATA_PATHS.dataDir;
+      const result = migrateToSqlite({ dataDir, file, force: !!getArg('force') });
+      console.log(`✅ Imported ${dataDir} → ${file}\n`);
+      printCounts(result);
+      if (result.skipped.length) {
+        console.log(`\n   Left as files: ${result.skipped.join(', ')}`);
+      }
+      console.log('\n   Set STORAGE_BACKEND=sqlite to use it.');
+    }
+    console.log('');
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+export default { migrateToSqlite, exportToJson };
@@ -0,0 +1,48 @@
+/**
+ * DATA FILE MIGRATIONS - Upgrade older data file shapes on load
+ *
+ * Keyed by file / document name (data/<name>.json). Each step upgrades the
+ * payload to its `version`; dataFile.js runs every step above the version a
+ * file was written with, in order, then stamps the newest one on the next
+ * save. Files written before schemaVersion existed are version 0.
+ *
+ * A step gets the payload without the envelope (arrays as arrays, objects
+ * without schemaVersion) and returns the upgraded payload. Steps never touch
+ * the disk - a file is only rewritten when its module saves it.
+ *
+ * Files with no steps here are still stamped schemaVersion 1.
+ */
+
+const asArray = (value) => Array.isArray(value) ? value : [];
+
+export const MIGRATIONS = {
+  // v1: the three VIS tiers are always arrays, every row has `symbol` and a
+  // viralityScore, and scans from before scoring.config.json carry
+  // scoringConfig: null instead of nothing
+  bankruptcy_signals: [
+    {
+      version: 1,
+      migrate(data) {
+        if (!data || typeof data !== 'object') return data;
+        const tier = (rows) => asArray(rows).map(({ ticker, ...row }) => ({
+          ...row,
+          symbol: row.symbol || ticker,
+          viralityScore: row.viralityScore ?? row.virality?.score ?? null
+        }));
+        const primeAlerts = tier(data.primeAlerts);
+        const watchlist = tier(data.watchlist);
+        const storeOnly = tier(data.storeOnly);
+        return {
+          ...data,
+          scoringConfig: data.scoringConfig ?? null,
+          totalScanned: data.totalScanned ?? primeAlerts.length + watchlist.length + storeOnly.length,
+          primeAlerts,
+          watchlist,
+          storeOnly
+        };
+      }
+    }
+  ]
+};
+
+export default { MIGRATIONS };
@@ -0,0 +1,278 @@
+/**
+ * SQLITE STORE - One database file instead of read-modify-write JSON
+ *
+ * Same interface as jsonStore.js. Every write is a row-level statement inside
+ * SQLite's own locking (WAL mode + busy timeout), so two workflows writing at
+ * once no longer drop each other's rows, and the UNIQUE keys below make
+ * duplicate posts / scores impossible instead of something to clean up.
+ *
+ * Tables:
+ *   signals      active scanner signals (one row per ticker, list order kept)
+ *   performance  daily closes per tracked ticker
+ *   runs         scanner runs + the signals each produced (daily_log.json)
+ *   posts        everything posted (tweet_history.json, daily_log.json tweets)
+ *   cooldowns    last post date (+ score posted at) per scope + ticker (*_posted.json)
+ *   scores       score history (score_history.jsonl)
+ *   documents    whole-file snapshots: leaderboards, scan signals, caches
+ *
+ * Documents are kept with the same schemaVersion envelope and load-time
+ * migrations as the JSON files (dataFile.js); the tables themselves are
+ * versioned with PRAGMA user_version (SCHEMA_VERSION below).
+ *
+ * better-sqlite3 is only loaded when this backend is selected.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+import { DATA_PATHS, STORAGE_CONFIG } from '../config.js';
+import { postKey } from './jsonStore.js';
+import { toStored, fromStored } from './dataFile.js';
+
+const require = createRequire(import.meta.url);
+
+// Bump with a step in SCHEMA_UPGRADES (SQL from the previous version) when a table changes
+const SCHEMA_VERSION = 1;
+const SCHEMA_UPGRADES = {};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS signals (
+    ticker TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS performance (
+    ticker TEXT NOT NULL,
+    date TEXT NOT NULL,
+    close REAL,
+    PRIMARY KEY (ticker, date)
+  );
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    kind TEXT NOT NULL,
+    date TEXT,
+    ticker TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    log TEXT NOT NULL,
+    ticker TEXT,
+    date TEXT,
+    timestamp TEXT,
+    kind TEXT,
+    tweet_id TEXT,
+    dedupe_key TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS cooldowns (
+    scope TEXT NOT NULL,
+    ticker TEXT NOT NULL,
+    last_posted TEXT NOT NULL,
+    score REAL,
+    PRIMARY KEY (scope, ticker)
+  );
+  CREATE TABLE IF NOT EXISTS scores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date TEXT NOT NULL,
+    ticker TEXT NOT NULL,
+    engine TEXT NOT NULL,
+    score REAL NOT NULL,
+    source TEXT,
+    scoring_config TEXT,
+    recorded_at TEXT,
+    UNIQUE (source, ticker, engine, date, score)
+  );
+  CREATE INDEX IF NOT EXISTS scores_by_ticker ON scores (ticker, engine, date);
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA VERSION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function upgradeSchema(db, file) {
+  const version = db.pragma('user_version', { simple: true });
+  if (version > SCHEMA_VERSION) {
+    db.close();
+    throw new Error(`${file} is schema version ${version} but this code only reads up to ${SCHEMA_VERSION} - update before running`);
+  }
+  if (version === SCHEMA_VERSION) return;
+
+  db.transaction(() => {
+    for (let v = Math.max(version, 1) + 1; v <= SCHEMA_VERSION; v++) db.exec(SCHEMA_UPGRADES[v]);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }).immediate();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {Object} options - { file } (default: DATA_PATHS.database)
+ */
+export function createSqliteStore(options = {}) {
+  const file = options.file || DATA_PATHS.database;
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (e) {
+    throw new Error(`STORAGE_BACKEND=sqlite needs better-sqlite3 (npm install): ${e.message}`);
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${STORAGE_CONFIG.busyTimeoutMs}`);
+  db.exec(SCHEMA);
+  upgradeSchema(db, file);
+
+  const parse = (row) => JSON.parse(row.data);
+
+  const stmt = {
+    signals: db.prepare('SELECT data FROM signals ORDER BY position'),
+    insertSignal: db.prepare('INSERT OR REPLACE INTO signals (ticker, position, data) VALUES (?, ?, ?)'),
+    performance: db.prepare('SELECT ticker, date, close FROM performance ORDER BY ticker, date'),
+    insertPerformance: db.prepare('INSERT OR IGNORE INTO performance (ticker, date, close) VALUES (?, ?, ?)'),
+    runs: db.prepare('SELECT data FROM runs WHERE kind = ? ORDER BY id'),
+    insertRun: db.prepare('INSERT INTO runs (kind, date, ticker, data) VALUES (?, ?, ?, ?)'),
+    posts: db.prepare('SELECT data FROM posts WHERE log = ? ORDER BY id'),
+    insertPost: db.prepare(`INSERT OR IGNORE INTO posts (log, ticker, date, timestamp, kind, tweet_id, dedupe_key, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`),
+    cooldowns: db.prepare('SELECT ticker, last_posted, score FROM cooldowns WHERE scope = ? ORDER BY ticker'),
+    cooldownScopes: db.prepare('SELECT DISTINCT scope FROM cooldowns ORDER BY scope'),
+    upsertCooldown: db.prepare('INSERT OR REPLACE INTO cooldowns (scope, ticker, last_posted, score) VALUES (?, ?, ?, ?)'),
+    scores: db.prepare('SELECT date, ticker, engine, score, source, scoring_config, recorded_at FROM scores ORDER BY id'),
+    insertScore: db.prepare(`INSERT OR IGNORE INTO scores (date, ticker, engine, score, source, scoring_config, recorded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)`),
+    document: db.prepare('SELECT data FROM documents WHERE name = ?'),
+    upsertDocument: db.prepare('INSERT OR REPLACE INTO documents (name, data, updated_at) VALUES (?, ?, ?)'),
+    documents: db.prepare('SELECT name FROM documents ORDER BY name')
+  };
+
+  const insertPost = (log, entry) => stmt.insertPost.run(
+    log, entry.ticker || null, entry.date || null, entry.timestamp || null,
+    entry.bucket || entry.type || null, entry.tweetId ? String(entry.tweetId) : null,
+    postKey(log, entry), JSON.stringify(entry)
+  ).changes > 0;
+
+  const insertRun = (kind, entry) =>
+    stmt.insertRun.run(kind, entry.date || null, entry.ticker || null, JSON.stringify(entry));
+
+  const savePosts = db.transaction((log, entries) => {
+    db.prepare('DELETE FROM posts WHERE log = ?').run(log);
+    for (const entry of entries) insertPost(log, entry);
+    return true;
+  });
+
+  const saveDailyLog = db.transaction((log) => {
+    db.prepare('DELETE FROM runs').run();
+    for (const run of log.runs || []) insertRun('scan', run);
+    for (const signal of log.signals || []) insertRun('signal', signal);
+    savePosts('daily_log', log.tweets || []);
+    return true;
+  });
+
+  return {
+    backend: 'sqlite',
+    location: file,
+
+    /**
+     * Run a load-change-save sequence as one write transaction
+     */
+    transaction: (fn) => db.transaction(fn).immediate(),
+
+    // ── Signals ──
+    getSignals: () => stmt.signals.all().map(parse),
+    saveSignals: db.transaction((signals) => {
+      db.prepare('DELETE FROM signals').run();
+      signals.forEach((s, i) => stmt.insertSignal.run(s.ticker, i, JSON.stringify(s)));
+      return true;
+    }),
+
+    // ── Performance ──
+    getPerformanceHistory() {
+      const history = {};
+      for (const row of stmt.performance.all()) {
+        (history[row.ticker] = history[row.ticker] || []).push({ date: row.date, close: row.close });
+      }
+      return history;
+    },
+    savePerformanceHistory: db.transaction((history) => {
+      db.prepare('DELETE FROM performance').run();
+      for (const [ticker, entries] of Object.entries(history)) {
+        for (const e of entries) stmt.insertPerformance.run(ticker, e.date, e.close);
+      }
+      return true;
+    }),
+    addPerformance: (ticker, date, close) => stmt.insertPerformance.run(ticker, date, close).changes > 0,
+
+    // ── Runs (daily log) ──
+    getDailyLog: () => ({
+      runs: stmt.runs.all('scan').map(parse),
+      signals: stmt.runs.all('signal').map(parse),
+      tweets: stmt.posts.all('daily_log').map(parse)
+    }),
+    saveDailyLog,
+    addRun: db.transaction((run, signals = []) => {
+      insertRun('scan', run);
+      for (const signal of signals) insertRun('signal', signal);
+      return true;
+    }),
+
+    // ── Posts ──
+    getPosts: (log) => stmt.posts.all(log).map(parse),
+    savePosts,
+    addPost: insertPost,
+
+    // ── Cooldowns ──
+    getCooldowns: (scope) => Object.fromEntries(stmt.cooldowns.all(scope).map(r => [r.ticker, r.last_posted])),
+    getCooldownScores: (scope) => Object.fromEntries(stmt.cooldowns.all(scope)
+      .filter(r => r.score !== null)
+      .map(r => [r.ticker, r.score])),
+    saveCooldowns: db.transaction((scope, tickers, scores = {}) => {
+      db.prepare('DELETE FROM cooldowns WHERE scope = ?').run(scope);
+      for (const [ticker, date] of Object.entries(tickers)) stmt.upsertCooldown.run(scope, ticker, date, scores[ticker] ?? null);
+      return true;
+    }),
+    listCooldownScopes: () => stmt.cooldownScopes.all().map(r => r.scope),
+
+    // ── Scores (append-only) ──
+    getScores: () => stmt.scores.all().map(r => ({
+      date: r.date,
+      ticker: r.ticker,
+      engine: r.engine,
+      score: r.score,
+      source: r.source,
+      scoringConfig: r.scoring_config,
+      recordedAt: r.recorded_at
+    })),
+    addScores: db.transaction((rows) => {
+      let written = 0;
+      for (const r of rows) {
+        written += stmt.insertScore.run(r.date, r.ticker, r.engine, r.score, r.source || null,
+          r.scoringConfig || null, r.recordedAt || null).changes;
+      }
+      return written;
+    }),
+
+    // ── Documents ──
+    getDocument(name, defaultValue = null) {
+      const row = stmt.document.get(name);
+      return row ? fromStored(name, parse(row), `${file} document ${name}`).data : defaultValue;
+    },
+    putDocument: (name, data) => stmt.upsertDocument.run(name, JSON.stringify(toStored(name, data)), new Date().toISOString()).changes > 0,
+    listDocuments: () => stmt.documents.all().map(r => r.name),
+
+    close: () => db.close()
+  };
+}
+
+export default { createSqliteStore };
@@ -0,0 +1,283 @@
+/**
+ * THREAD JOBS - Resumable, idempotent X threads
+ *
+ * Every live thread twitterPoster.postAlertThread() posts is a job in
+ * data/thread_jobs.json, keyed by a hash of its text:
+ *
+ *   - per-tweet status  each tweet's id is saved the moment it posts, so a
+ *                       thread that fails on tweet 3 of 4 knows tweets 1-2
+ *   - resume            posting the same thread again continues from the first
+ *                       unposted tweet, replying to the last posted tweet id
+ *   - idempotent        a thread that already posted in full is rejected
+ *                       (error.code 'THREAD_DUPLICATE'), as is one another run
+ *                       is posting right now ('THREAD_IN_PROGRESS')
+ *
+ * A job posting for longer than POSTING_CONFIG.threadJobLeaseMinutes, or whose
+ * process is gone, is treated as abandoned and can be resumed.
+ *
+ * Usage:
+ *   node src/threadJobs.js                 # Recent jobs
+ *   node src/threadJobs.js --open          # Only unfinished ones
+ *   node src/threadJobs.js show <job>      # One job's tweets
+ *   node src/post.js --resume <job> --live # Finish a broken thread
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+
+import { DATA_PATHS, POSTING_CONFIG } from './config.js';
+import { readDataFile, updateDataFile } from './store/dataFile.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB FILE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function loadJobs() {
+  return readDataFile(DATA_PATHS.threadJobs, { jobs: {} }).jobs || {};
+}
+
+function updateJobs(update) {
+  return updateDataFile(DATA_PATHS.threadJobs, { jobs: {} }, (data) => {
+    data.jobs = data.jobs || {};
+    update(data.jobs);
+    return data;
+  });
+}
+
+function updateJob(jobId, update) {
+  let job = null;
+  updateJobs((jobs) => {
+    if (!jobs[jobId]) throw new Error(`Thread job ${jobId} not found`);
+    job = jobs[jobId];
+    update(job);
+    job.updatedAt = new Date().toISOString();
+  });
+  return job;
+}
+
+function pruneJobs(jobs, now = Date.now()) {
+  const cutoff = now - POSTING_CONFIG.threadJobRetentionDays * DAY_MS;
+  for (const [id, job] of Object.entries(jobs)) {
+    if (new Date(job.updatedAt).getTime() < cutoff) delete jobs[id];
+  }
+}
+
+/**
+ * Hash of a thread's text - the same thread on the same channel is the same job
+ */
+export function threadHash(channel, parts) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ channel, parts: parts.map(p => p.trim()) }))
+    .digest('hex');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB STATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Is another run posting this job right now?
+ */
+function isHeld(job, now = Date.now()) {
+  if (job.status !== 'posting' || !job.owner) return false;
+  if (now - new Date(job.updatedAt).getTime() > POSTING_CONFIG.threadJobLeaseMinutes * 60 * 1000) return false;
+  if (job.owner.host !== os.hostname()) return true;
+  if (job.owner.pid === process.pid) return false;
+  try {
+    process.kill(job.owner.pid, 0);
+    return true;
+  } catch (e) {
+    return e.code !== 'ESRCH';
+  }
+}
+
+/**
+ * Index of the first tweet not yet posted (tweets.length when all are)
+ */
+export function nextTweetIndex(job) {
+  const index = job.tweets.findIndex(t => !t.id);
+  return index === -1 ? job.tweets.length : index;
+}
+
+function jobError(code, message, job) {
+  const error = new Error(message);
+  error.code = code;
+  error.jobId = job.id;
+  return error;
+}
+
+/**
+ * Start a thread job, or claim the unfinished one with the same text
+ *
+ * @param {Object} thread - { channel, module, parts: [hook, ...replies], image }
+ * @returns {Object} { job, resumed (true when earlier tweets were already posted) }
+ * @throws {Error} error.code 'THREAD_DUPLICATE' (already fully posted) or 'THREAD_IN_PROGRESS'
+ */
+export function openThreadJob({ channel = 'x', module = null, parts, image = null }) {
+  const hash = threadHash(channel, parts);
+  const id = hash.slice(0, 12);
+  const now = new Date().toISOString();
+  let job = null;
+
+  updateJobs((jobs) => {
+    pruneJobs(jobs);
+    const existing = jobs[id];
+
+    if (existing?.status === 'completed') {
+      const first = existing.tweets[0]?.id;
+      throw jobError('THREAD_DUPLICATE', `Thread already posted (job ${id}, first tweet ${first}, ${existing.completedAt})`, existing);
+    }
+    if (existing && isHeld(existing)) {
+      throw jobError('THREAD_IN_PROGRESS', `Thread is being posted by pid ${existing.owner.pid} on ${existing.owner.host} (job ${id})`, existing);
+    }
+
+    job = existing || {
+      id,
+      hash,
+      channel,
+      module,
+      image,
+      createdAt: now,
+      attempts: 0,
+      tweets: parts.map(text => ({ text, id: null, postedAt: null }))
+    };
+    Object.assign(job, {
+      status: 'posting',
+      owner: { pid: process.pid, host: os.hostname() },
+      attempts: job.attempts + 1,
+      updatedAt: now,
+      lastError: null
+    });
+    jobs[id] = job;
+  });
+
+  return { job, resumed: nextTweetIndex(job) > 0 };
+}
+
+/**
+ * Save a tweet's id the moment it posts
+ */
+export function recordTweetPosted(jobId, index, tweetId) {
+  return updateJob(jobId, (job) => {
+    job.tweets[index].id = tweetId;
+    job.tweets[index].postedAt = new Date().toISOString();
+  });
+}
+
+export function completeThreadJob(jobId) {
+  return updateJob(jobId, (job) => {
+    job.status = 'completed';
+    job.completedAt = new Date().toISOString();
+    job.owner = null;
+  });
+}
+
+/**
+ * Release a job after a failure so a rerun or --resume can pick it up
+ */
+export function failThreadJob(jobId, index, message) {
+  return updateJob(jobId, (job) => {
+    job.status = 'failed';
+    job.owner = null;
+    job.lastError = { index, message, at: new Date().toISOString() };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One job by id (or unambiguous id prefix)
+ */
+export function loadThreadJob(jobId) {
+  const jobs = loadJobs();
+  if (jobs[jobId]) return jobs[jobId];
+  const matches = Object.values(jobs).filter(j => j.id.startsWith(jobId));
+  if (matches.length > 1) throw new Error(`Job id "${jobId}" matches ${matches.length} jobs - use more characters`);
+  return matches[0] || null;
+}
+
+/**
+ * Jobs, newest first
+ * @param {Object} options - { open (only unfinished) }
+ */
+export function listThreadJobs({ open = false } = {}) {
+  return Object.values(loadJobs())
+    .filter(j => !open || j.status !== 'completed')
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STATUS_ICON = { completed: '✅', failed: '❌', posting: '⏳' };
+
+function printJob(job) {
+  const next = nextTweetIndex(job);
+  console.log(`${STATUS_ICON[job.status] || '•'} Job ${job.id} (${job.channel}${job.module ? `, ${job.module}` : ''}) - ${job.status}, ${next}/${job.tweets.length} posted, ${job.attempts} attempt(s)`);
+  console.log(`   Created ${job.createdAt} · updated ${job.updatedAt}${job.image ? ` · image ${job.image}` : ''}`);
+  if (job.lastError) console.log(`   Last error at tweet ${job.lastError.index + 1}: ${job.lastError.message}`);
+  console.log('');
+  job.tweets.forEach((t, i) => {
+    console.log(`   ${t.id ? '✅' : '⬜'} [${i + 1}/${job.tweets.length}] ${t.id ? t.id : 'not posted'}`);
+    console.log(`      ${t.text.split('\n')[0].slice(0, 70)}`);
+  });
+  if (job.status !== 'completed') console.log(`\n   Finish it: node src/post.js --resume ${job.id} --live`);
+  console.log('');
+}
+
+function printJobs(jobs) {
+  if (!jobs.length) {
+    console.log('📭 No thread jobs.\n');
+    return;
+  }
+  console.log(`${'JOB'.padEnd(15)}${'STATUS'.padEnd(12)}${'POSTED'.padEnd(8)}${'MODULE'.padEnd(20)}${'UPDATED'.padEnd(22)}HOOK`);
+  console.log('─'.repeat(100));
+  for (const job of jobs) {
+    const posted = `${nextTweetIndex(job)}/${job.tweets.length}`;
+    console.log(`${STATUS_ICON[job.status] || '•'} ${job.id.padEnd(13)}${job.status.padEnd(12)}${posted.padEnd(8)}${(job.module || '-').padEnd(20)}${job.updatedAt.slice(0, 19).padEnd(22)}${job.tweets[0]?.text.split('\n')[0].slice(0, 30) || ''}`);
+  }
+  console.log(`\n${jobs.length} job(s), ${jobs.filter(j => j.status !== 'completed').length} unfinished\n`);
+}
+
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const [command = 'list', jobId] = args.filter(a => !a.startsWith('--'));
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  THREAD JOBS                                                                  ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  if (command === 'list') {
+    printJobs(listThreadJobs({ open: args.includes('--open') }));
+  } else if (command === 'show' && jobId) {
+    const job = loadThreadJob(jobId);
+    if (!job) {
+      console.error(`❌ No thread job ${jobId}`);
+      process.exit(1);
+    }
+    printJob(job);
+  } else {
+    console.error(`Unknown command "${command}". Usage: node src/threadJobs.js [list] [--open] | show <job>`);
+    process.exit(1);
+  }
+}
+
+export default {
+  threadHash,
+  nextTweetIndex,
+  openThreadJob,
+  recordTweetPosted,
+  completeThreadJob,
+  failThreadJob,
+  loadThreadJob,
+  listThreadJobs
+};
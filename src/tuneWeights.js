@@ -0,0 +1,412 @@
+/**
+ * WEIGHT TUNING - Fit scoring-engine factor weights from labeled outcomes
+ *
+ * Engines and where their labels come from:
+ *   bankruptcy     bankruptcyBacktest.js rows (breakdown levels vs an outcome, default 'adverse')
+ *   analyst_brief  scorecard calls that carry the brief's components (pipeline alerts),
+ *                  labeled hit/miss at SCORECARD_CONFIG.hitHorizon
+ *   dilution_v2    scorecard calls with V2 factors, or a --data file
+ *
+ * --data=<file> replaces any engine's source: a JSON array of
+ *   { date, features: { <factor>: 0-1, ... }, label: true/false }
+ *
+ * Every factor is a 0-1 level and the engine score is a weighted sum, so any
+ * positive rescaling ranks the same. Fitted weights are rescaled to the
+ * engine's built-in total (100 pts / 1.0) and thresholds keep their meaning.
+ *
+ * Methods (both in-repo, weights kept non-negative):
+ *   logistic    L2 logistic regression by batch gradient descent
+ *   coordinate  move weight between factors while train AUC improves
+ *
+ * The newest WEIGHT_TUNING_CONFIG.holdoutShare of rows (by date) is held out.
+ * A new version is written to data/weights/<engine>.json and made current
+ * only when it beats the current weights on the holdout (--force to save anyway).
+ *
+ * Usage:
+ *   node src/tuneWeights.js bankruptcy
+ *   node src/tuneWeights.js bankruptcy --backtest=data/backtests/bankruptcy_2022-03-31_2024-12-31.json --label=chapter11
+ *   node src/tuneWeights.js analyst_brief --method=coordinate
+ *   node src/tuneWeights.js dilution_v2 --data=labels.json --dry
+ *   node src/tuneWeights.js --list                  # Engines + current versions
+ *   node src/tuneWeights.js bankruptcy --activate=2 # Switch version
+ *   node src/tuneWeights.js bankruptcy --reset      # Back to built-in weights
+ */
+
+import 'dotenv/config';
+import './scoringConfigFlag.js';
+import fs from 'fs';
+import path from 'path';
+
+import { DATA_PATHS, SCORECARD_CONFIG, WEIGHT_TUNING_CONFIG } from './config.js';
+import { readJson } from './backtestHelpers.js';
+import { BANKRUPTCY_WEIGHTS } from './bankruptcy/bankruptcyScoreEngine.js';
+import { factorLevel } from './bankruptcy/bankruptcyBacktest.js';
+import { BRIEF_WEIGHTS } from './analystBrief.js';
+import { DILUTION_V2_WEIGHTS } from './scoreEngineV2.js';
+import { loadScorecard, callEdge } from './scorecard.js';
+import {
+  loadWeightsFile,
+  saveWeightsVersion,
+  setCurrentWeightsVersion,
+  resolveEngineWeights,
+  weightsPath
+} from './scoringWeights.js';
+
+export const TUNABLE_ENGINES = {
+  bankruptcy: { label: 'Bankruptcy score (bankruptcyScoreEngine.js)', defaults: BANKRUPTCY_WEIGHTS },
+  analyst_brief: { label: 'Analyst brief (analystBrief.js)', defaults: BRIEF_WEIGHTS },
+  dilution_v2: { label: 'Dilution V2 (scoreEngineV2.js)', defaults: DILUTION_V2_WEIGHTS }
+};
+
+// A training file named on the command line must be there - missing is an error, not zero rows
+function readTrainingFile(filePath) {
+  const data = readJson(filePath, null);
+  if (data === null) throw new Error(`Could not read ${filePath}`);
+  return data;
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + v, 0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRAINING ROWS - { id, date, features: { factor: 0-1 }, label: 0 | 1 }
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// V2 results name their factors gainFactor, redCandleFactor, ...
+function pickFeatures(source, keys) {
+  if (!source) return null;
+  const features = {};
+  for (const key of keys) {
+    const value = source[key] ?? source[`${key}Factor`];
+    if (!Number.isFinite(value)) return null;
+    features[key] = value;
+  }
+  return features;
+}
+
+function latestBankruptcyBacktest() {
+  let files = [];
+  try {
+    files = fs.readdirSync(DATA_PATHS.backtests)
+      .filter(f => /^bankruptcy_.*\.json$/.test(f))
+      .map(f => path.join(DATA_PATHS.backtests, f));
+  } catch (e) {
+    // No backtests yet
+  }
+  if (files.length === 0) {
+    throw new Error(`No bankruptcy backtest in ${DATA_PATHS.backtests} - run node src/bankruptcy/bankruptcyBacktest.js first`);
+  }
+  return files.sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+}
+
+function loadBankruptcyRows(options) {
+  const file = options.backtest || latestBankruptcyBacktest();
+  const label = options.label || WEIGHT_TUNING_CONFIG.bankruptcyLabel;
+  const keys = Object.keys(BANKRUPTCY_WEIGHTS);
+
+  const rows = readTrainingFile(file).rows
+    .filter(r => r.classification !== 'INSUFFICIENT_DATA' && r.outcomes?.[label] !== null && r.outcomes?.[label] !== undefined)
+    .map(r => {
+      const features = {};
+      for (const key of keys) features[key] = factorLevel(r.breakdown?.[key]);
+      return { id: `${r.symbol}@${r.asOf}`, date: r.asOf, features, label: r.outcomes[label] ? 1 : 0 };
+    });
+
+  return { rows, source: file, label };
+}
+
+function loadScorecardRows(engine, options) {
+  const keys = Object.keys(TUNABLE_ENGINES[engine].defaults);
+  const horizon = `${options.horizon || SCORECARD_CONFIG.hitHorizon}d`;
+
+  const rows = [];
+  for (const call of loadScorecard().calls) {
+    const features = pickFeatures(call.components, keys);
+    const edge = callEdge(call, horizon);
+    if (!features || edge === null) continue;
+    rows.push({ id: call.id, date: call.postDate, features, label: edge > 0 ? 1 : 0 });
+  }
+
+  return { rows, source: DATA_PATHS.scorecard, label: `hit@${horizon}` };
+}
+
+function loadDataFileRows(engine, file) {
+  const keys = Object.keys(TUNABLE_ENGINES[engine].defaults);
+  const data = readTrainingFile(file);
+  const rows = (Array.isArray(data) ? data : data.rows || [])
+    .map((r, i) => ({
+      id: r.id || String(i),
+      date: r.date || '',
+      features: pickFeatures(r.features || r.components || r.factors, keys),
+      label: r.label ? 1 : 0
+    }))
+    .filter(r => r.features);
+
+  return { rows, source: file, label: 'label' };
+}
+
+/**
+ * Labeled rows for an engine
+ * @param {Object} options - { data, backtest, label, horizon }
+ */
+export function loadTrainingRows(engine, options = {}) {
+  if (options.data) return loadDataFileRows(engine, options.data);
+  if (engine === 'bankruptcy') return loadBankruptcyRows(options);
+  return loadScorecardRows(engine, options);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCORING + AUC
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function scoreRow(row, weights) {
+  return sum(Object.keys(weights).map(k => row.features[k] * weights[k]));
+}
+
+/**
+ * Area under the ROC curve (Mann-Whitney, ties count half) - null without both classes
+ */
+export function computeAUC(scores, labels) {
+  const items = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+  const positives = labels.filter(Boolean).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  let positiveRankSum = 0;
+  for (let i = 0; i < items.length;) {
+    let j = i;
+    while (j + 1 < items.length && items[j + 1].score === items[i].score) j++;
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (items[k].label) positiveRankSum += averageRank;
+    i = j + 1;
+  }
+  return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+function aucFor(rows, weights) {
+  const auc = computeAUC(rows.map(r => scoreRow(r, weights)), rows.map(r => r.label));
+  return auc === null ? null : Math.round(auc * 1000) / 1000;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FITTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Logistic regression with non-negative coefficients (projected gradient descent)
+ * @returns {Object} Coefficient per factor (unscaled)
+ */
+export function fitLogistic(rows, keys) {
+  const { iterations, learningRate, l2 } = WEIGHT_TUNING_CONFIG;
+  const beta = Object.fromEntries(keys.map(k => [k, 0]));
+  let intercept = 0;
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const gradient = Object.fromEntries(keys.map(k => [k, 0]));
+    let interceptGradient = 0;
+
+    for (const row of rows) {
+      const z = intercept + scoreRow(row, beta);
+      const error = 1 / (1 + Math.exp(-z)) - row.label;
+      interceptGradient += error;
+      for (const k of keys) gradient[k] += error * row.features[k];
+    }
+
+    intercept -= learningRate * interceptGradient / rows.length;
+    for (const k of keys) {
+      beta[k] = Math.max(0, beta[k] - learningRate * (gradient[k] / rows.length + l2 * beta[k]));
+    }
+  }
+  return beta;
+}
+
+/**
+ * Greedy coordinate search on train AUC, starting from `start`
+ * @returns {Object} Weights summing to 1
+ */
+export function fitCoordinateSearch(rows, keys, start) {
+  const normalize = w => {
+    const total = sum(Object.values(w));
+    return Object.fromEntries(keys.map(k => [k, total > 0 ? w[k] / total : 1 / keys.length]));
+  };
+
+  let weights = normalize(start);
+  let best = computeAUC(rows.map(r => scoreRow(r, weights)), rows.map(r => r.label));
+  let step = WEIGHT_TUNING_CONFIG.coordinateStep;
+
+  for (let round = 0; round < 500 && step >= WEIGHT_TUNING_CONFIG.coordinateMinStep; round++) {
+    let improved = false;
+    for (const k of keys) {
+      for (const direction of [1, -1]) {
+        const candidate = normalize({ ...weights, [k]: Math.max(0, weights[k] + direction * step) });
+        const auc = computeAUC(rows.map(r => scoreRow(r, candidate)), rows.map(r => r.label));
+        if (auc > best + 1e-9) {
+          weights = candidate;
+          best = auc;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+  return weights;
+}
+
+/**
+ * Rescale to the engine's total (100 pts → 1 decimal, 1.0 → 3 decimals)
+ */
+function rescaleWeights(raw, defaults) {
+  const keys = Object.keys(defaults);
+  const total = sum(Object.values(defaults));
+  const rawTotal = sum(keys.map(k => raw[k]));
+  if (!(rawTotal > 0)) return null;
+
+  const factor = total >= 10 ? 10 : 1000;
+  const weights = Object.fromEntries(keys.map(k => [k, Math.round((raw[k] / rawTotal) * total * factor) / factor]));
+
+  // Put rounding drift on the largest weight so the total is exact
+  const largest = keys.reduce((a, b) => (weights[b] > weights[a] ? b : a));
+  weights[largest] = Math.round((weights[largest] + total - sum(Object.values(weights))) * factor) / factor;
+  return weights;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fit, compare on the holdout and (optionally) save a new weights version
+ *
+ * @param {string} engine - Key of TUNABLE_ENGINES
+ * @param {Object} options - { method, data, backtest, label, horizon, holdoutShare, dry, force }
+ */
+export function tuneEngineWeights(engine, options = {}) {
+  const spec = TUNABLE_ENGINES[engine];
+  if (!spec) throw new Error(`Unknown engine "${engine}" - one of ${Object.keys(TUNABLE_ENGINES).join(', ')}`);
+
+  const { method = 'logistic', holdoutShare = WEIGHT_TUNING_CONFIG.holdoutShare, dry = false, force = false } = options;
+  if (!['logistic', 'coordinate'].includes(method)) throw new Error(`Unknown method "${method}" - logistic or coordinate`);
+  const keys = Object.keys(spec.defaults);
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  WEIGHT TUNING — Fit Factor Weights From Labeled Outcomes                     ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+  console.log(`⚖️  ${spec.label} · ${method}`);
+
+  const { rows, source, label } = loadTrainingRows(engine, options);
+  console.log(`   Source: ${source} · label: ${label}`);
+
+  // Time-ordered split: fit on the past, judge on the newest rows
+  const sorted = [...rows].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  const holdoutSize = Math.round(sorted.length * holdoutShare);
+  const train = sorted.slice(0, sorted.length - holdoutSize);
+  const holdout = sorted.slice(sorted.length - holdoutSize);
+  const positives = set => set.filter(r => r.label).length;
+  console.log(`   Rows: ${rows.length} (train ${train.length} / holdout ${holdout.length}) · positives ${positives(train)} / ${positives(holdout)}`);
+
+  const { minRows, minPositives } = WEIGHT_TUNING_CONFIG;
+  const tooFewClass = set => positives(set) < minPositives || set.length - positives(set) < minPositives;
+  if (rows.length < minRows || tooFewClass(train) || tooFewClass(holdout)) {
+    throw new Error(`Not enough labeled rows - need ${minRows}+ with ${minPositives}+ positives and negatives in both train and holdout`);
+  }
+
+  const current = resolveEngineWeights(engine, spec.defaults);
+  const raw = method === 'logistic' ? fitLogistic(train, keys) : fitCoordinateSearch(train, keys, current.weights);
+  const fitted = rescaleWeights(raw, spec.defaults);
+  if (!fitted) throw new Error('No factor separates the labels (all fitted coefficients are 0)');
+
+  const auc = {
+    train: { before: aucFor(train, current.weights), after: aucFor(train, fitted) },
+    holdout: { before: aucFor(holdout, current.weights), after: aucFor(holdout, fitted) }
+  };
+
+  // Report
+  const currentLabel = current.version ? `v${current.version}` : 'built-in';
+  console.log(`\n   ${'factor'.padEnd(18)}${currentLabel.padStart(10)}${'fitted'.padStart(10)}`);
+  for (const k of keys) {
+    console.log(`   ${k.padEnd(18)}${String(current.weights[k]).padStart(10)}${String(fitted[k]).padStart(10)}`);
+  }
+  const delta = Math.round((auc.holdout.after - auc.holdout.before) * 1000) / 1000;
+  console.log(`\n   ${'AUC'.padEnd(18)}${'train'.padStart(10)}${'holdout'.padStart(10)}`);
+  console.log(`   ${currentLabel.padEnd(18)}${String(auc.train.before).padStart(10)}${String(auc.holdout.before).padStart(10)}`);
+  console.log(`   ${'fitted'.padEnd(18)}${String(auc.train.after).padStart(10)}${String(auc.holdout.after).padStart(10)}  (${delta >= 0 ? '+' : ''}${delta})`);
+
+  const improved = auc.holdout.after > auc.holdout.before;
+  let version = null;
+  if (dry) {
+    console.log('\n   --dry: nothing written');
+  } else if (!improved && !force) {
+    console.log(`\n⚠️  Fitted weights don't beat ${currentLabel} on the holdout - not saved (--force to save anyway)`);
+  } else {
+    version = saveWeightsVersion(engine, {
+      fittedAt: new Date().toISOString(),
+      method,
+      source,
+      label,
+      rows: { train: train.length, holdout: holdout.length, positives: { train: positives(train), holdout: positives(holdout) } },
+      auc,
+      replaced: current.version,
+      weights: fitted
+    });
+    console.log(`\n✅ Saved ${engine} weights v${version} → ${weightsPath(engine)} (now current)`);
+  }
+
+  return { engine, method, source, label, weights: fitted, previous: current, auc, version };
+}
+
+function printWeightVersions() {
+  console.log('\n⚖️  SCORING WEIGHTS\n');
+  for (const [engine, spec] of Object.entries(TUNABLE_ENGINES)) {
+    const file = loadWeightsFile(engine);
+    const current = file.versions.find(v => v.version === file.current);
+    console.log(`   ${engine.padEnd(15)} ${current ? `v${current.version} (holdout AUC ${current.auc.holdout.before} → ${current.auc.holdout.after}, ${current.fittedAt.split('T')[0]})` : 'built-in'} · ${file.versions.length} version(s)`);
+    console.log(`   ${''.padEnd(15)} ${Object.entries(current?.weights || spec.defaults).map(([k, w]) => `${k} ${w}`).join(' · ')}`);
+  }
+  if (!WEIGHT_TUNING_CONFIG.useTuned) console.log('\n   USE_TUNED_WEIGHTS=false - engines are using built-in weights');
+}
+
+// CLI
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const arg = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const engine = args.find(a => !a.startsWith('--'));
+
+  try {
+    if (args.includes('--list') || !engine) {
+      printWeightVersions();
+    } else if (arg('activate')) {
+      setCurrentWeightsVersion(engine, parseInt(arg('activate')));
+      console.log(`✅ ${engine} now scores with weights v${arg('activate')}`);
+    } else if (args.includes('--reset')) {
+      setCurrentWeightsVersion(engine, null);
+      console.log(`✅ ${engine} now scores with its built-in weights`);
+    } else {
+      tuneEngineWeights(engine, {
+        method: arg('method'),
+        data: arg('data'),
+        backtest: arg('backtest'),
+        label: arg('label'),
+        horizon: arg('horizon') ? parseInt(arg('horizon')) : undefined,
+        holdoutShare: arg('holdout') ? parseFloat(arg('holdout')) : undefined,
+        dry: args.includes('--dry'),
+        force: args.includes('--force')
+      });
+    }
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+export default {
+  TUNABLE_ENGINES,
+  loadTrainingRows,
+  computeAUC,
+  fitLogistic,
+  fitCoordinateSearch,
+  tuneEngineWeights
+};
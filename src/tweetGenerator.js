@@ -12,6 +12,7 @@
  */
 
 import 'dotenv/config';
+import './scoringConfigFlag.js';
 import OpenAI from 'openai';
 import { classifyTicker, generateGPTContext, shouldTweet, loadHistory } from './contentManager.js';
 
@@ -11,6 +11,9 @@ import 'dotenv/config';
 import crypto from 'crypto';
 import fs from 'fs';
 
+import { PUBLISHING_CONFIG } from './config.js';
+import { openThreadJob, nextTweetIndex, recordTweetPosted, completeThreadJob, failThreadJob } from './threadJobs.js';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIG
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -27,7 +30,9 @@ const TWITTER_CONFIG = {
   accessSecret: process.env.TWITTER_ACCESS_SECRET,
 };
 
-const API_BASE = 'https://api.twitter.com';
+// Overridable (TWITTER_API_BASE / TWITTER_UPLOAD_BASE) to run against a local stand-in
+const API_BASE = PUBLISHING_CONFIG.channels.x.apiBase;
+const UPLOAD_BASE = PUBLISHING_CONFIG.channels.x.uploadBase;
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // OAUTH 1.0a SIGNATURE GENERATION
@@ -90,7 +95,7 @@ async function uploadMedia(imagePath) {
   const totalBytes = imageData.length;
   const mediaType = 'image/png';
   
-  const uploadUrl = 'https://upload.twitter.com/1.1/media/upload.json';
+  const uploadUrl = `${UPLOAD_BASE}/1.1/media/upload.json`;
 
   // Step 1: INIT
   const initParams = {
@@ -249,11 +254,17 @@ async function postTweet(text, options = {}) {
 
 /**
  * Post an alert thread with hook + multiple breakdown replies
+ *
+ * Live threads are journaled as thread jobs (threadJobs.js): each tweet id is
+ * saved as it posts, posting the same thread again resumes after the last
+ * posted tweet, and a thread that already posted in full is rejected.
+ *
  * @param {string} hook - The main hook tweet
  * @param {string|string[]} breakdown - Single tweet or array of breakdown tweets  
  * @param {string} chartPath - Path to chart image
- * @param {Object} options - { skipPreflight: boolean, preflightMediaId: string }
- * @returns {Object} Results with tweet IDs
+ * @param {Object} options - { module (recorded on the thread job) }
+ * @returns {Object} Results with tweet IDs + jobId
+ * @throws {Error} error.code 'THREAD_DUPLICATE' / 'THREAD_IN_PROGRESS', or the failed tweet's error (with error.jobId)
  */
 export async function postAlertThread(hook, breakdown, chartPath, options = {}) {
   console.log('\n🐦 POSTING ALERT THREAD...');
@@ -261,8 +272,21 @@ export async function postAlertThread(hook, breakdown, chartPath, options = {})
   
   // Normalize breakdown to array
   const breakdownTweets = Array.isArray(breakdown) ? breakdown : [breakdown];
+  const parts = [hook, ...breakdownTweets.filter(Boolean)];
+  
+  const results = { tweets: [], mediaId: null, jobId: null, resumed: false };
   
-  const results = { tweets: [], mediaId: null };
+  // Live threads only - DRY_RUN never touches the job file
+  const { job = null } = isDryRun() ? {} : openThreadJob({ channel: 'x', module: options.module || null, parts, image: chartPath || null });
+  const start = job ? nextTweetIndex(job) : 0;
+  if (job) {
+    results.jobId = job.id;
+    results.resumed = start > 0;
+    results.tweets = job.tweets.slice(0, start).map(t => ({ id: t.id, text: t.text }));
+    if (start > 0) {
+      console.log(`   ♻️  Resuming thread job ${job.id} at tweet ${start + 1}/${parts.length} (replying to ${results.tweets[start - 1].id})`);
+    }
+  }
   
   // In DRY_RUN mode, just simulate
   if (isDryRun()) {
@@ -271,48 +295,53 @@ export async function postAlertThread(hook, breakdown, chartPath, options = {})
       results.mediaId = 'dry-run-media-id';
     }
   } else {
-    // LIVE MODE: Run preflight check first
-    const preflight = await preflightCheck(chartPath);
+    // LIVE MODE: Run preflight check first (media only matters if the hook isn't out yet)
+    const preflight = await preflightCheck(start === 0 ? chartPath : null);
     if (!preflight.success) {
+      failThreadJob(job.id, start, 'Preflight check failed');
       throw new Error('Preflight check failed - aborting post');
     }
     // Use the already-uploaded media from preflight
     results.mediaId = preflight.mediaId;
   }
   
+  let lastTweetId = results.tweets[start - 1]?.id || null;
+  let i = start;
   try {
-    // Step 1: Post main tweet with chart (media already uploaded in preflight)
-    console.log(`   📝 Posting hook tweet (1/${breakdownTweets.length + 1})...`);
-    const mainTweet = await postTweet(hook, {
-      mediaIds: results.mediaId ? [results.mediaId] : []
-    });
-    results.tweets.push(mainTweet);
-    console.log(`   ✅ Tweet 1: ${mainTweet.id}`);
-    
-    // Step 2: Post breakdown tweets as thread
-    let lastTweetId = mainTweet.id;
-    for (let i = 0; i < breakdownTweets.length; i++) {
-      const tweet = breakdownTweets[i];
-      if (!tweet) continue;
-      
-      // Delay between tweets to avoid rate limits (Twitter is strict - 3 sec)
-      console.log(`   ⏳ Waiting 3s to avoid rate limit...`);
-      await new Promise(r => setTimeout(r, 3000));
+    for (; i < parts.length; i++) {
+      if (i === 0) {
+        // Step 1: Post main tweet with chart (media already uploaded in preflight)
+        console.log(`   📝 Posting hook tweet (1/${parts.length})...`);
+      } else {
+        // Step 2: Post breakdown tweets as thread
+        // Delay between tweets to avoid rate limits (Twitter is strict - 3 sec)
+        if (i > start) {
+          console.log(`   ⏳ Waiting 3s to avoid rate limit...`);
+          await new Promise(r => setTimeout(r, 3000));
+        }
+        console.log(`   📝 Posting thread ${i + 1}/${parts.length}...`);
+      }
       
-      console.log(`   📝 Posting thread ${i + 2}/${breakdownTweets.length + 1}...`);
-      const replyTweet = await postTweet(tweet, {
-        replyToId: lastTweetId
-      });
-      results.tweets.push(replyTweet);
-      lastTweetId = replyTweet.id;
-      console.log(`   ✅ Tweet ${i + 2}: ${replyTweet.id}`);
+      const tweet = await postTweet(parts[i], i === 0
+        ? { mediaIds: results.mediaId ? [results.mediaId] : [] }
+        : { replyToId: lastTweetId });
+      if (job) recordTweetPosted(job.id, i, tweet.id);
+      results.tweets.push(tweet);
+      lastTweetId = tweet.id;
+      console.log(`   ✅ Tweet ${i + 1}: ${tweet.id}`);
     }
     
+    if (job) completeThreadJob(job.id);
     console.log(`\n✅ THREAD POSTED SUCCESSFULLY (${results.tweets.length} tweets)`);
     return results;
     
   } catch (error) {
     console.error('❌ Twitter posting failed:', error.message);
+    if (job) {
+      failThreadJob(job.id, i, error.message);
+      console.error(`   Thread job ${job.id} stopped at tweet ${i + 1}/${parts.length} - rerun, or: node src/post.js --resume ${job.id} --live`);
+      error.jobId = job.id;
+    }
     throw error;
   }
 }
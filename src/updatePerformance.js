@@ -12,9 +12,12 @@ import {
   loadPerformanceHistory, 
   savePerformanceHistory,
   addPerformanceEntry,
+  getPerformance,
+  updateSignal,
   calculatePL,
   getTodaysTweetCount
 } from './storage.js';
+import { getSplitEvents, hasSuspiciousGap } from './splitEvents.js';
 import { generateAndPostTweet } from './postTweet.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -83,12 +86,22 @@ export async function updateAllPerformance() {
     // Add to performance history
     addPerformanceEntry(signal.ticker, today, currentPrice);
     
+    // Split-sized jump since entry → look up split events so P/L stays on one share basis
+    if (hasSuspiciousGap(getPerformance(signal.ticker), 'close')) {
+      const splits = await getSplitEvents(signal.ticker);
+      if (splits.length !== (signal.splits || []).length) {
+        signal.splits = splits;
+        updateSignal(signal.ticker, { splits });
+        console.log(`   ✂️  ${signal.ticker}: ${splits.map(s => `${s.label} on ${s.date}`).join(', ')}`);
+      }
+    }
+    
     // Calculate P/L
     const pl = calculatePL(signal);
     
     const update = {
       ticker: signal.ticker,
-      entryPrice: signal.entry_price,
+      entryPrice: pl.entryPrice,
       currentPrice,
       plPercent: pl.plPercent,
       daysTracked: pl.daysTracked + 1
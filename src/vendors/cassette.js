@@ -0,0 +1,348 @@
+/**
+ * Network Cassettes - record a live run, replay it offline
+ *
+ * Wraps the global fetch, so every client goes through it: FMP (vendors/fmp.js),
+ * SEC EDGAR (vendors/sec.js), OpenAI (SDK) and Twitter (twitterPoster.js).
+ *
+ *   FIXTURE_MODE=record node src/dailyRun.js
+ *     → data/fixtures/<run-id>/manifest.json + one file per HTTP exchange
+ *
+ *   FIXTURE_MODE=replay FIXTURE_RUN=<run-id|latest> node src/dailyRun.js
+ *     → same run with no network. The clock is set back to when the run was
+ *       recorded (SEC search windows and cache keys are date-based), responses
+ *       are served per method + URL in recorded order, and any request that
+ *       wasn't recorded throws and fails the process at exit.
+ *
+ * Entry points import this module FIRST - the OpenAI SDK captures fetch when
+ * the client is constructed.
+ *
+ * Secrets are redacted before anything is written, so a run can be committed:
+ *   - request headers aren't recorded (Authorization, OAuth signatures)
+ *   - key/token query params are stripped from URLs (FMP apikey)
+ *   - tokens in URL paths are masked (Telegram /bot<token>/, Discord webhook token)
+ *   - credential fields in JSON / form bodies are masked both ways (Bluesky
+ *     createSession password in, accessJwt / refreshJwt out)
+ *   - any configured credential value left anywhere in an exchange is masked
+ * `check` scans recorded runs for configured credentials and exits 1 on a leak.
+ *
+ * Usage:
+ *   node src/vendors/cassette.js                # List recorded runs
+ *   node src/vendors/cassette.js check [run]    # Scan recorded runs for credentials
+ */
+
+import {
+  FIXTURE_MODE,
+  FIXTURE_RUN,
+  DATA_PATHS,
+  FMP_CONFIG,
+  OPENAI_CONFIG,
+  TWITTER_CONFIG,
+  PUBLISHING_CONFIG
+} from '../config.js';
+import fs from 'fs';
+import path from 'path';
+
+const SECRET_PARAMS = ['apikey', 'api_key', 'token', 'access_token'];
+const SECRET_PATHS = [
+  [/\/bot\d+:[\w-]+/g, '/bot[REDACTED]'], // Telegram Bot API
+  [/(\/api\/webhooks\/\d+\/)[\w-]+/g, '$1[REDACTED]'] // Discord webhook
+];
+// Body fields holding credentials (only string values - "prompt_tokens" counts stay)
+const SECRET_FIELD = /password|secret|token$|jwt|api_?key|authorization/i;
+const REDACTED = '[REDACTED]';
+const MAX_REQUEST_BODY = 20000; // chars kept for debugging mismatches
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function redactPath(text) {
+  return SECRET_PATHS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), text);
+}
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const param of SECRET_PARAMS) parsed.searchParams.delete(param);
+    parsed.pathname = redactPath(parsed.pathname);
+    return parsed.toString();
+  } catch (e) {
+    return redactPath(String(url));
+  }
+}
+
+function redactFields(value, masked) {
+  if (Array.isArray(value)) return value.map(v => redactFields(v, masked));
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([key, v]) => {
+    if (!SECRET_FIELD.test(key) || typeof v !== 'string') return [key, redactFields(v, masked)];
+    masked.count++;
+    return [key, REDACTED];
+  }));
+}
+
+/**
+ * Mask credential fields in a JSON or form-encoded body. Bodies without any
+ * come back untouched (re-serializing would round 64-bit ids like media_id).
+ */
+function redactBody(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    parsed = undefined;
+  }
+  if (parsed !== undefined) {
+    const masked = { count: 0 };
+    const redacted = redactFields(parsed, masked);
+    return masked.count ? JSON.stringify(redacted) : text;
+  }
+  if (/^[\w.%-]+=[^&\s]*(?:&[\w.%-]+=[^&\s]*)*$/.test(text)) {
+    const params = new URLSearchParams(text);
+    for (const key of new Set(params.keys())) {
+      if (SECRET_FIELD.test(key)) params.set(key, REDACTED);
+    }
+    return params.toString();
+  }
+  return text;
+}
+
+/**
+ * Credential values from config (only ones long enough not to match by accident)
+ */
+function configuredSecrets() {
+  const { discord, telegram, bluesky, mastodon } = PUBLISHING_CONFIG.channels;
+  const discordToken = discord.webhookUrl.match(/\/api\/webhooks\/\d+\/([\w-]+)/)?.[1];
+  return [
+    FMP_CONFIG.apiKey, OPENAI_CONFIG.apiKey,
+    TWITTER_CONFIG.apiKey, TWITTER_CONFIG.apiSecret, TWITTER_CONFIG.accessToken, TWITTER_CONFIG.accessSecret,
+    discordToken, telegram.botToken, bluesky.appPassword, mastodon.accessToken
+  ].filter(secret => secret && secret.length >= 8);
+}
+
+function scrubSecrets(text, secrets) {
+  return secrets.reduce((out, secret) => out.split(secret).join(REDACTED), text);
+}
+
+function describeRequest(input, init = {}) {
+  const url = typeof input === 'string' || input instanceof URL ? String(input) : input.url;
+  const method = (init.method || (typeof input === 'object' && input.method) || 'GET').toUpperCase();
+  const redacted = redactUrl(url);
+  return { method, url: redacted, key: `${method} ${redacted}` };
+}
+
+function describeBody(body) {
+  if (body === undefined || body === null) return null;
+  if (typeof body === 'string') return redactBody(body).slice(0, MAX_REQUEST_BODY);
+  if (body instanceof URLSearchParams) return redactBody(body.toString()).slice(0, MAX_REQUEST_BODY);
+  return `[${body.constructor?.name || typeof body}]`;
+}
+
+function isText(contentType) {
+  return !contentType || /json|text|xml|html|javascript|x-www-form-urlencoded/i.test(contentType);
+}
+
+export function listRuns() {
+  try {
+    return fs.readdirSync(DATA_PATHS.fixtures)
+      .filter(dir => fs.existsSync(path.join(DATA_PATHS.fixtures, dir, 'manifest.json')))
+      .map(dir => JSON.parse(fs.readFileSync(path.join(DATA_PATHS.fixtures, dir, 'manifest.json'), 'utf8')))
+      .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Configured credentials that made it into a recorded run (recorded before
+ * redaction existed, or a credential in a field we don't know about)
+ *
+ * @returns {Array} [{ file, count }]
+ */
+export function findLeaks(runId) {
+  const runDir = path.join(DATA_PATHS.fixtures, runId);
+  const secrets = configuredSecrets();
+  if (!secrets.length || !fs.existsSync(runDir)) return [];
+
+  return fs.readdirSync(runDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const text = fs.readFileSync(path.join(runDir, file), 'utf8');
+      return { file: path.join(runDir, file), count: secrets.filter(secret => text.includes(secret)).length };
+    })
+    .filter(leak => leak.count > 0);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECORD
+// ═══════════════════════════════════════════════════════════════════════════
+
+function installRecorder(runId) {
+  const realFetch = globalThis.fetch;
+  const runDir = path.join(DATA_PATHS.fixtures, runId);
+  fs.mkdirSync(runDir, { recursive: true });
+
+  const manifest = {
+    runId,
+    startedAt: new Date().toISOString(),
+    command: process.argv.slice(1).map(arg => path.isAbsolute(arg) ? path.relative(process.cwd(), arg) : arg).join(' '),
+    exchanges: 0
+  };
+  const writeManifest = () => {
+    fs.writeFileSync(path.join(runDir, 'manifest.json'), JSON.stringify({ ...manifest, updatedAt: new Date().toISOString() }, null, 2));
+  };
+  writeManifest();
+
+  const secrets = configuredSecrets();
+
+  globalThis.fetch = async (input, init = {}) => {
+    const request = describeRequest(input, init);
+    const response = await realFetch(input, init);
+
+    const seq = ++manifest.exchanges;
+    const contentType = response.headers.get('content-type');
+    const buffer = Buffer.from(await response.clone().arrayBuffer());
+    const text = isText(contentType);
+
+    const exchange = JSON.stringify({
+      seq,
+      key: request.key,
+      method: request.method,
+      url: request.url,
+      requestBody: describeBody(init.body),
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: {
+          ...(contentType && { 'content-type': contentType }),
+          ...(response.headers.get('retry-after') && { 'retry-after': response.headers.get('retry-after') })
+        },
+        encoding: text ? 'utf8' : 'base64',
+        body: text ? redactBody(buffer.toString('utf8')) : buffer.toString('base64')
+      }
+    });
+    fs.writeFileSync(path.join(runDir, `${String(seq).padStart(5, '0')}.json`), scrubSecrets(exchange, secrets));
+    writeManifest();
+    return response;
+  };
+
+  process.on('exit', () => {
+    console.log(`\n📼 Recorded ${manifest.exchanges} HTTP exchanges → ${runDir}`);
+  });
+  console.log(`📼 Recording network to ${runDir}`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run the process clock from the recording's start time (time still moves)
+ */
+function shiftClock(startedAt) {
+  const RealDate = Date;
+  const offset = new RealDate(startedAt).getTime() - RealDate.now();
+
+  class ReplayDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(RealDate.now() + offset);
+      else super(...args);
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+  }
+  globalThis.Date = ReplayDate;
+}
+
+function installReplayer(runId) {
+  const runs = listRuns();
+  const manifest = runId === 'latest' ? runs[runs.length - 1] : runs.find(r => r.runId === runId);
+  if (!manifest) {
+    throw new Error(`No recorded fixture run '${runId}' in ${DATA_PATHS.fixtures} (have: ${runs.map(r => r.runId).join(', ') || 'none'})`);
+  }
+  const runDir = path.join(DATA_PATHS.fixtures, manifest.runId);
+
+  // Recorded responses, queued per method + URL in the order they happened
+  const queues = new Map();
+  const files = fs.readdirSync(runDir).filter(f => /^\d+\.json$/.test(f)).sort();
+  for (const file of files) {
+    const exchange = JSON.parse(fs.readFileSync(path.join(runDir, file), 'utf8'));
+    if (!queues.has(exchange.key)) queues.set(exchange.key, []);
+    queues.get(exchange.key).push(exchange);
+  }
+
+  const misses = [];
+  let served = 0;
+
+  globalThis.fetch = async (input, init = {}) => {
+    const request = describeRequest(input, init);
+    const exchange = queues.get(request.key)?.shift();
+
+    if (!exchange) {
+      misses.push(request.key);
+      console.error(`   ❌ [REPLAY] Unrecorded request: ${request.key}`);
+      throw new Error(`Unrecorded request in fixture run ${manifest.runId}: ${request.key}`);
+    }
+
+    served++;
+    const { status, statusText, headers, encoding, body } = exchange.response;
+    const nullBody = status === 204 || status === 304;
+    return new Response(nullBody ? null : Buffer.from(body, encoding), { status, statusText, headers });
+  };
+
+  shiftClock(manifest.startedAt);
+
+  process.on('exit', () => {
+    const unused = [...queues.values()].reduce((sum, queue) => sum + queue.length, 0);
+    console.log(`\n📼 Replayed ${served}/${files.length} exchanges from ${manifest.runId}${unused ? ` (${unused} unused)` : ''}`);
+    if (misses.length > 0) {
+      console.error(`❌ ${misses.length} request(s) were not in the cassette:`);
+      for (const key of [...new Set(misses)]) console.error(`   ${key}`);
+      process.exitCode = 1;
+    }
+  });
+  console.log(`📼 Replaying ${manifest.runId} (recorded ${manifest.startedAt}, ${files.length} exchanges) - network disabled`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INSTALL
+// ═══════════════════════════════════════════════════════════════════════════
+
+function defaultRunId() {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  const entry = path.basename(process.argv[1] || 'run', '.js');
+  return `${stamp}-${entry}`;
+}
+
+if (FIXTURE_MODE === 'record') {
+  installRecorder(FIXTURE_RUN || defaultRunId());
+} else if (FIXTURE_MODE === 'replay') {
+  if (!FIXTURE_RUN) throw new Error('FIXTURE_MODE=replay needs FIXTURE_RUN=<run-id|latest>');
+  installReplayer(FIXTURE_RUN);
+}
+
+// CLI
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const [command, runId] = process.argv.slice(2);
+  const runs = listRuns();
+
+  if (command === 'check') {
+    const leaks = runs.filter(run => !runId || run.runId === runId).flatMap(run => findLeaks(run.runId));
+    for (const leak of leaks) console.error(`❌ ${leak.file}: ${leak.count} configured credential(s)`);
+    console.log(leaks.length ? `\n${leaks.length} file(s) leak credentials - delete or re-record them` : '✅ No configured credentials in recorded runs');
+    process.exitCode = leaks.length ? 1 : 0;
+  } else {
+    if (runs.length === 0) console.log(`No recorded runs in ${DATA_PATHS.fixtures}`);
+    for (const run of runs) {
+      console.log(`📼 ${run.runId.padEnd(40)} ${String(run.exchanges).padStart(5)} exchanges  ${run.command}`);
+    }
+  }
+}
+
+export default {
+  listRuns,
+  findLeaks
+};
@@ -1,10 +1,14 @@
 /**
- * FMP (Financial Modeling Prep) API Wrapper
+ * FMP (Financial Modeling Prep) API Client
  * 
- * Modular design for easy swap between:
- * - Test mode (small ticker list, conservative calls)
- * - Full mode (universe scan, screener endpoints)
+ * One client shared by every module that talks to FMP (stable and v3 endpoints):
+ * - Daily call budget shared across processes (FMP_CONFIG.maxCallsPerDay)
+ * - Per-process safety cap, spacing between calls, request timeout
+ * - 429 backoff (honors Retry-After)
+ * - Response cache keyed by endpoint + params + trading day (data/cache/fmp/)
  * - Mock mode (cached responses for development)
+ * 
+ * Modules either use the typed helpers below or fmpGet() for one-off endpoints.
  */
 
 import { 
@@ -13,10 +17,81 @@ import {
   DRY_RUN, 
   MOCK_FMP, 
   VERBOSE,
-  DATA_PATHS 
+  DATA_PATHS,
+  FIXTURE_MODE
 } from '../config.js';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import { getXbrlFundamentals, mergeFundamentals } from './secXbrl.js';
+import { splitAdjustCandles } from '../splitEvents.js';
+import { readDataFile, updateDataFile } from '../store/dataFile.js';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} FmpQuote
+ * @property {string} symbol
+ * @property {string} name
+ * @property {number} price
+ * @property {number} changePercentage
+ * @property {number} volume
+ * @property {number} avgVolume
+ * @property {number} marketCap
+ * @property {number} yearHigh
+ * @property {number} yearLow
+ * @property {string} exchange
+ */
+
+/**
+ * @typedef {Object} FmpCandle - One row of /historical-price-eod/full (newest first)
+ * @property {string} date - YYYY-MM-DD
+ * @property {number} open
+ * @property {number} high
+ * @property {number} low
+ * @property {number} close
+ * @property {number} volume
+ * @property {number} change
+ * @property {number} changePercent
+ */
+
+/**
+ * @typedef {Object} FmpProfile
+ * @property {string} symbol
+ * @property {string} companyName
+ * @property {string} cik
+ * @property {number} price
+ * @property {number} marketCap
+ * @property {string} exchange
+ * @property {string} sector
+ * @property {string} industry
+ * @property {boolean} isActivelyTrading
+ */
+
+/**
+ * @typedef {Object} FmpStatement - Balance sheet / cash flow / income statement row (newest first)
+ * @property {string} date - Period end, YYYY-MM-DD
+ * @property {string} period - 'Q1'..'Q4' or 'FY'
+ * @property {number} [cashAndCashEquivalents]
+ * @property {number} [totalDebt]
+ * @property {number} [operatingCashFlow]
+ * @property {number} [revenue]
+ * @property {number} [netIncome]
+ */
+
+/**
+ * @typedef {Object} FmpInsiderTrade
+ * @property {string} symbol
+ * @property {string} filingDate
+ * @property {string} transactionDate
+ * @property {string} reportingName
+ * @property {string} typeOfOwner
+ * @property {string} transactionType - e.g. 'P-Purchase', 'S-Sale'
+ * @property {number} securitiesTransacted
+ * @property {number} price
+ */
 
 // ═══════════════════════════════════════════════════════════════════════════
 // API CALL TRACKING (to stay within limits)
@@ -35,6 +110,7 @@ export function resetApiCallCount() {
 }
 
 function logApiCall(endpoint, ticker = null) {
+  const usage = recordDailyCall(endpoint);
   apiCallCount++;
   const entry = {
     timestamp: new Date().toISOString(),
@@ -45,28 +121,222 @@ function logApiCall(endpoint, ticker = null) {
   apiCallLog.push(entry);
   
   if (VERBOSE) {
-    console.log(`📡 FMP Call #${apiCallCount}: ${endpoint}${ticker ? ` (${ticker})` : ''}`);
+    const today = usage ? ` (${usage.calls}/${FMP_CONFIG.maxCallsPerDay} today)` : '';
+    console.log(`📡 FMP Call #${apiCallCount}${today}: ${endpoint}${ticker ? ` (${ticker})` : ''}`);
   }
   
   // Safety check
-  if (apiCallCount >= FMP_CONFIG.maxCallsPerRun) {
+  if (apiCallCount === FMP_CONFIG.maxCallsPerRun - 10) {
     console.warn(`⚠️  WARNING: Approaching max API calls per run (${FMP_CONFIG.maxCallsPerRun})`);
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// DAILY BUDGET (shared by every process that runs today)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function todayUtc() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function currentUsage(saved) {
+  const today = todayUtc();
+  return saved?.date === today ? saved : { date: today, calls: 0, byEndpoint: {} };
+}
+
+function budgetError(message) {
+  const error = new Error(message);
+  error.code = 'FMP_BUDGET_EXHAUSTED';
+  return error;
+}
+
+/**
+ * Today's usage as every process has recorded it so far. Read from disk each
+ * time - another scan may have spent calls since we last looked.
+ */
+function loadDailyUsage() {
+  try {
+    return currentUsage(readDataFile(DATA_PATHS.fmpUsage, null));
+  } catch (e) {
+    // Unreadable usage file - start the day fresh
+    return currentUsage(null);
+  }
+}
+
+/**
+ * Take one call out of today's budget. The read, check and increment happen
+ * under the usage file's lock, so two scans can't both spend the last call.
+ * 
+ * @returns {Object|null} Usage after this call (null if the file couldn't be updated)
+ * @throws {Error} error.code = 'FMP_BUDGET_EXHAUSTED' when the budget is already spent
+ */
+function recordDailyCall(endpoint) {
+  try {
+    return updateDataFile(DATA_PATHS.fmpUsage, null, (saved) => {
+      const usage = currentUsage(saved);
+      if (usage.calls >= FMP_CONFIG.maxCallsPerDay) {
+        throw budgetError(`FMP daily budget exhausted (${FMP_CONFIG.maxCallsPerDay} calls on ${usage.date})`);
+      }
+      usage.calls++;
+      usage.byEndpoint[endpoint] = (usage.byEndpoint[endpoint] || 0) + 1;
+      return usage;
+    });
+  } catch (e) {
+    if (e.code === 'FMP_BUDGET_EXHAUSTED') throw e;
+    // Lock or write failed - maxCallsPerRun still caps this process
+    return null;
+  }
+}
+
+/**
+ * Calls made today across all processes and what's left of the daily budget
+ */
+export function getDailyUsage() {
+  const usage = loadDailyUsage();
+  return {
+    date: usage.date,
+    calls: usage.calls,
+    limit: FMP_CONFIG.maxCallsPerDay,
+    remaining: Math.max(0, FMP_CONFIG.maxCallsPerDay - usage.calls),
+    byEndpoint: { ...usage.byEndpoint }
+  };
+}
+
+/**
+ * Fail fast before queueing for a slot (recordDailyCall makes the binding check)
+ */
+function checkBudget() {
+  if (apiCallCount >= FMP_CONFIG.maxCallsPerRun) {
+    throw budgetError(`API call limit reached (${FMP_CONFIG.maxCallsPerRun} per run). Aborting.`);
+  }
+  const usage = loadDailyUsage();
+  if (usage.calls >= FMP_CONFIG.maxCallsPerDay) {
+    throw budgetError(`FMP daily budget exhausted (${FMP_CONFIG.maxCallsPerDay} calls on ${usage.date})`);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSE CACHE (endpoint + params + trading day)
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Intraday data - cached per trading day, but also expires after intradayCacheTtl
+const INTRADAY_ENDPOINTS = [
+  '/quote', '/batch-quote', '/biggest-gainers', '/biggest-losers', '/most-actives',
+  '/stock-price-change', '/news/stock', '/insider-trading/latest', '/fundraising-latest'
+];
+
+/**
+ * Current US trading day (YYYY-MM-DD, New York time). Weekends map to Friday
+ * so a Saturday run reuses Friday's statements and candles. Holidays are not
+ * special-cased - they just get their own (short-lived) cache directory.
+ */
+export function getTradingDay(date = new Date()) {
+  const ny = new Date(date.toLocaleString('en-US', { timeZone: 'America/New_York' }));
+  const weekday = ny.getDay();
+  if (weekday === 6) ny.setDate(ny.getDate() - 1);
+  if (weekday === 0) ny.setDate(ny.getDate() - 2);
+  return `${ny.getFullYear()}-${String(ny.getMonth() + 1).padStart(2, '0')}-${String(ny.getDate()).padStart(2, '0')}`;
+}
+
+function isIntraday(endpoint) {
+  return INTRADAY_ENDPOINTS.some(e => endpoint.endsWith(e));
+}
+
+function getCachePath(endpoint, params) {
+  const sorted = Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('&');
+  const key = crypto.createHash('sha1').update(`${endpoint}?${sorted}`).digest('hex');
+  return path.join(DATA_PATHS.fmpCache, getTradingDay(), `${key}.json`);
+}
+
+let cachePruned = false;
+
+/**
+ * Drop cache directories from earlier trading days (once per process)
+ */
+function pruneCache() {
+  if (cachePruned) return;
+  cachePruned = true;
+  try {
+    const today = getTradingDay();
+    for (const dir of fs.readdirSync(DATA_PATHS.fmpCache)) {
+      if (dir !== today) fs.rmSync(path.join(DATA_PATHS.fmpCache, dir), { recursive: true, force: true });
+    }
+  } catch (e) {
+    // No cache yet
+  }
+}
+
+function readCache(endpoint, params) {
+  const filePath = getCachePath(endpoint, params);
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const age = Date.now() - new Date(entry.fetchedAt).getTime();
+    if (isIntraday(endpoint) && age > FMP_CONFIG.intradayCacheTtl) return null;
+    if (VERBOSE) console.log(`📦 FMP cache hit (${Math.round(age / 60000)} min old): ${endpoint}`);
+    return entry;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(endpoint, params, data) {
+  pruneCache();
+  const filePath = getCachePath(endpoint, params);
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ endpoint, params, fetchedAt: new Date().toISOString(), data }));
+  } catch (e) {
+    // Silent fail on cache save
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CORE FETCH HELPER
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function fmpFetch(endpoint, params = {}) {
+/**
+ * Split '/quote?symbol=X' into a full endpoint path and params.
+ * Bare paths are stable endpoints; '/stable/...' and '/api/v3/...' pass through.
+ */
+function normalizeRequest(endpoint, params = {}) {
+  const [rawPath, query] = endpoint.split('?');
+  const fullPath = /^\/(stable|api)\//.test(rawPath) ? rawPath : `/stable${rawPath}`;
+  const merged = { ...Object.fromEntries(new URLSearchParams(query || '')), ...params };
+  return { endpoint: fullPath, params: merged };
+}
+
+// Space out calls across the whole process (parallel callers queue up)
+let callQueue = Promise.resolve();
+
+function waitForSlot() {
+  const next = callQueue.then(() => sleep(FMP_CONFIG.delayBetweenCalls));
+  callQueue = next;
+  return next;
+}
+
+/**
+ * Fetch an FMP endpoint through the shared budget, cache and backoff
+ * 
+ * @param {string} endpoint - '/stable/quote', '/api/v3/...', or stable-relative '/quote?symbol=X'
+ * @param {Object} params - Query params (merged with any in the endpoint string)
+ * @param {Object} options - { cache: true }
+ * @returns {Array|Object} Parsed JSON
+ * @throws {Error} On HTTP errors (error.status), timeouts and an exhausted budget (error.code = 'FMP_BUDGET_EXHAUSTED')
+ */
+export async function fmpFetch(endpoint, params = {}, options = {}) {
+  const { cache = true } = options;
+  ({ endpoint, params } = normalizeRequest(endpoint, params));
+  
   // Check if we should use mock data
   if (DRY_RUN && MOCK_FMP) {
     return loadMockData(endpoint, params);
   }
   
-  // Safety: check call limits
-  if (apiCallCount >= FMP_CONFIG.maxCallsPerRun) {
-    throw new Error(`API call limit reached (${FMP_CONFIG.maxCallsPerRun} per run). Aborting.`);
+  // Cassette runs skip cache reads so every response is recorded / replayed
+  if (cache && !FIXTURE_MODE) {
+    const cached = readCache(endpoint, params);
+    if (cached) return cached.data;
   }
   
   // Build URL
@@ -77,27 +347,54 @@ async function fmpFetch(endpoint, params = {}) {
     url.searchParams.set(key, value);
   }
   
-  // Rate limiting delay
-  await sleep(FMP_CONFIG.delayBetweenCalls);
-  
-  logApiCall(endpoint, params.symbol || null);
-  
-  try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), FMP_CONFIG.requestTimeout);
+  for (let attempt = 1; attempt <= FMP_CONFIG.maxRetries; attempt++) {
+    // Safety: check call limits (every attempt counts against FMP's quota)
+    checkBudget();
     
-    const response = await fetch(url.toString(), {
-      signal: controller.signal,
-      headers: { 'Accept': 'application/json' }
-    });
+    // Rate limiting delay
+    await waitForSlot();
+    
+    logApiCall(endpoint, params.symbol || null);
+    
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        signal: AbortSignal.timeout(FMP_CONFIG.requestTimeout),
+        headers: { 'Accept': 'application/json' }
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new Error(`FMP API timeout after ${FMP_CONFIG.requestTimeout}ms`);
+      }
+      throw error;
+    }
     
-    clearTimeout(timeout);
+    if (response.status === 429 && attempt < FMP_CONFIG.maxRetries) {
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      const waitTime = retryAfter > 0 ? retryAfter * 1000 : FMP_CONFIG.retryDelay * 2 ** (attempt - 1);
+      console.log(`   ⚠️ FMP 429 on ${endpoint}, retrying in ${waitTime / 1000}s... (attempt ${attempt}/${FMP_CONFIG.maxRetries})`);
+      await sleep(waitTime);
+      continue;
+    }
     
     if (!response.ok) {
-      throw new Error(`FMP API error: ${response.status} ${response.statusText}`);
+      const error = new Error(`FMP API error: ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    // Premium-only endpoints can answer 200 with a plain-text notice
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      const error = new Error(`FMP API returned non-JSON for ${endpoint}: ${text.slice(0, 80)}`);
+      error.status = 402; // same as a premium-tier refusal
+      throw error;
     }
     
-    const data = await response.json();
+    if (cache) writeCache(endpoint, params, data);
     
     // Cache response for future mock use (optional)
     if (VERBOSE) {
@@ -105,12 +402,33 @@ async function fmpFetch(endpoint, params = {}) {
     }
     
     return data;
-    
+  }
+}
+
+let budgetWarned = false;
+
+/**
+ * Like fmpFetch, but never throws: failures come back as null.
+ * Drop-in for the old per-module fmpGet helpers.
+ * 
+ * @param {string} endpoint - e.g. `/quote?symbol=${symbol}` (stable) or '/api/v3/...'
+ * @param {Object} options - { params: {}, cache: true, silent: false }
+ * @returns {Array|Object|null}
+ */
+export async function fmpGet(endpoint, options = {}) {
+  const { params = {}, cache = true, silent = false } = options;
+  try {
+    return await fmpFetch(endpoint, params, { cache });
   } catch (error) {
-    if (error.name === 'AbortError') {
-      throw new Error(`FMP API timeout after ${FMP_CONFIG.requestTimeout}ms`);
+    if (error.code === 'FMP_BUDGET_EXHAUSTED') {
+      // Log once - everything after this would repeat it
+      if (!budgetWarned) console.error(`   🛑 ${error.message} - remaining FMP requests return null`);
+      budgetWarned = true;
+    } else if (!silent && error.status !== 402 && error.status !== 404) {
+      // 402 = premium tier, 404 = no data for this symbol - both expected
+      console.error(`   ⚠️  FMP ${error.status || 'error'}: ${endpoint.split('?')[0]}${error.status ? '' : ` (${error.message})`}`);
     }
-    throw error;
+    return null;
   }
 }
 
@@ -241,7 +559,7 @@ export async function getOHLCV(symbol, days = 30) {
   
   // Stable API returns array directly, newest first - take only what we need and reverse
   const limited = data.slice(0, days);
-  return limited.reverse().map(candle => ({
+  const candles = limited.reverse().map(candle => ({
     date: candle.date,
     open: candle.open,
     high: candle.high,
@@ -251,10 +569,33 @@ export async function getOHLCV(symbol, days = 30) {
     change: candle.change,
     changePercent: candle.changePercent
   }));
+  
+  // A reverse split inside the window would read as a huge gain
+  return MOCK_FMP ? candles : splitAdjustCandles(symbol, candles);
+}
+
+/**
+ * Full daily EOD history, newest first, as FMP returns it (not split-adjusted)
+ * Returns [] when FMP has nothing for the symbol.
+ * @returns {Promise<FmpCandle[]>}
+ */
+export async function getHistoricalPrices(symbol) {
+  const data = await fmpGet('/historical-price-eod/full', { params: { symbol } });
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Price change over standard windows (1D, 5D, 1M, ...) - null if unavailable
+ * @returns {Promise<Object|null>} { symbol, '1D', '5D', '1M', '3M', '6M', 'ytd', '1Y', ... }
+ */
+export async function getPriceChange(symbol) {
+  const data = await fmpGet('/stock-price-change', { params: { symbol } });
+  return data?.[0] || null;
 }
 
 /**
  * Get current quote (real-time or delayed)
+ * @returns {Promise<FmpQuote|null>}
  */
 export async function getQuote(symbol) {
   // NEW: Using /stable/ endpoint format
@@ -265,6 +606,7 @@ export async function getQuote(symbol) {
 /**
  * Get batch quotes for multiple symbols (more efficient)
  * Max ~50 symbols per call recommended
+ * @returns {Promise<FmpQuote[]>}
  */
 export async function getBatchQuotes(symbols) {
   if (symbols.length === 0) return [];
@@ -307,8 +649,18 @@ export async function getFinancials(symbol) {
   };
 }
 
+/**
+ * Company profile (name, CIK, exchange, sector) - null if unavailable
+ * @returns {Promise<FmpProfile|null>}
+ */
+export async function getProfile(symbol) {
+  const data = await fmpGet('/profile', { params: { symbol } });
+  return data?.[0] || null;
+}
+
 /**
  * Get balance sheet data (more detailed)
+ * @returns {Promise<FmpStatement[]>}
  */
 export async function getBalanceSheet(symbol, period = 'quarter', limit = 4) {
   // NEW: Using /stable/ endpoint format
@@ -322,6 +674,7 @@ export async function getBalanceSheet(symbol, period = 'quarter', limit = 4) {
 
 /**
  * Get cash flow statement
+ * @returns {Promise<FmpStatement[]>}
  */
 export async function getCashFlow(symbol, period = 'quarter', limit = 4) {
   // NEW: Using /stable/ endpoint format
@@ -333,6 +686,37 @@ export async function getCashFlow(symbol, period = 'quarter', limit = 4) {
   return data || [];
 }
 
+/**
+ * Get income statement - [] if unavailable
+ * @returns {Promise<FmpStatement[]>}
+ */
+export async function getIncomeStatement(symbol, period = 'quarter', limit = 4) {
+  const data = await fmpGet('/income-statement', { params: { symbol, period, limit } });
+  return data || [];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INSIDER TRADING / NEWS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Latest Form 4 trades across all issuers (one page) - [] if unavailable
+ * @returns {Promise<FmpInsiderTrade[]>}
+ */
+export async function getLatestInsiderTrades(page = 0, limit = 100) {
+  const data = await fmpGet('/insider-trading/latest', { params: { page, limit } });
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Recent stock news for a symbol - [] if unavailable
+ * @returns {Promise<Array<{ title: string, publishedDate: string, site: string, url: string }>>}
+ */
+export async function getStockNews(symbol, limit = 20) {
+  const data = await fmpGet('/news/stock', { params: { symbols: symbol, limit } });
+  return Array.isArray(data) ? data : [];
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // EQUITY OFFERINGS / SEC DATA
 // ═══════════════════════════════════════════════════════════════════════════
@@ -472,8 +856,14 @@ export async function getSharesFloat(symbol) {
 export async function getCashRunway(symbol) {
   try {
     // Get latest balance sheet for cash position
-    const balanceSheet = await getBalanceSheet(symbol, 'quarter', 1);
-    const cashFlow = await getCashFlow(symbol, 'quarter', 2);
+    let balanceSheet = await getBalanceSheet(symbol, 'quarter', 1);
+    let cashFlow = await getCashFlow(symbol, 'quarter', 2);
+    
+    // SEC XBRL fills quarters FMP is missing or hasn't caught up on yet
+    if (!MOCK_FMP) {
+      const xbrl = await getXbrlFundamentals(symbol, 2).catch(() => null);
+      ({ balanceSheet, cashFlow } = mergeFundamentals({ balanceSheet, cashFlow }, xbrl, 2));
+    }
     
     if (!balanceSheet?.[0] || !cashFlow?.[0]) {
       return null;
@@ -497,7 +887,8 @@ export async function getCashRunway(symbol) {
         monthlyBurn: 0,
         runwayMonths: Infinity,
         status: 'PROFITABLE',
-        operatingCashFlow
+        operatingCashFlow,
+        dataSource: bs.source || 'fmp'
       };
     }
     
@@ -519,7 +910,8 @@ export async function getCashRunway(symbol) {
       monthlyBurn,
       runwayMonths,
       status,
-      operatingCashFlow
+      operatingCashFlow,
+      dataSource: bs.source || 'fmp'
     };
   } catch (e) {
     console.warn(`⚠️  Could not calculate runway for ${symbol}: ${e.message}`);
@@ -658,13 +1050,21 @@ export default {
   
   // Price data
   getOHLCV,
+  getHistoricalPrices,
+  getPriceChange,
   getQuote,
   getBatchQuotes,
   
   // Fundamentals
   getFinancials,
+  getProfile,
   getBalanceSheet,
   getCashFlow,
+  getIncomeStatement,
+  
+  // Insiders & news
+  getLatestInsiderTrades,
+  getStockNews,
   
   // Float & Shares
   getSharesFloat,
@@ -683,7 +1083,13 @@ export default {
   getLosers,
   getMostActive,
   
+  // Client
+  fmpFetch,
+  fmpGet,
+  getTradingDay,
+  
   // Tracking
   getApiCallCount,
-  resetApiCallCount
+  resetApiCallCount,
+  getDailyUsage
 };
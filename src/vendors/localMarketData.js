@@ -0,0 +1,270 @@
+/**
+ * Local Market Data Provider - historical datasets from disk
+ *
+ * Serves the MarketDataProvider interface (vendors/marketData.js) from a directory:
+ *
+ *   <dir>/prices/<SYMBOL>.csv        date,open,high,low,close,volume (header row, any column
+ *                                    order, extra columns ignored - split-adjusted prices)
+ *   <dir>/profiles/<SYMBOL>.json     FMP profile fields (companyName, exchange, cik,
+ *                                    sharesOutstanding or marketCap...)
+ *   <dir>/statements/<SYMBOL>.json   { balanceSheet: [], cashFlow: [], incomeStatement: [] }
+ *                                    FMP statement rows (date, period, cashAndCashEquivalents...)
+ *   <dir>/insider/<SYMBOL>.json      FMP insider-trading rows
+ *
+ * Only prices/ is required; missing files read as "no data".
+ *
+ * With asOf (YYYY-MM-DD) nothing after that date is visible: candles after it are
+ * dropped, statements count from their filing date (fillingDate/filingDate/acceptedDate,
+ * else period end + MARKET_DATA_CONFIG.statementLagDays) and insider trades from their
+ * filing date. The quote is built from the last visible candle.
+ */
+
+import { MARKET_DATA_CONFIG } from '../config.js';
+import fs from 'fs';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AVG_VOLUME_DAYS = 50;
+const YEAR_TRADING_DAYS = 252;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILE READERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function readJsonFile(filePath, defaultValue) {
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    console.warn(`⚠️  Could not read ${filePath}: ${e.message}`);
+  }
+  return defaultValue;
+}
+
+function toIsoDay(value) {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  return isNaN(parsed) ? null : parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Parse an OHLCV CSV into FMP-shaped candles, newest first
+ */
+export function parseCandlesCsv(csv) {
+  const lines = csv.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) return [];
+
+  const header = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+  const col = name => header.indexOf(name);
+  const idx = {
+    date: col('date') >= 0 ? col('date') : col('timestamp'),
+    open: col('open'),
+    high: col('high'),
+    low: col('low'),
+    close: col('close'),
+    volume: col('volume')
+  };
+  if (idx.date < 0 || idx.close < 0) {
+    throw new Error('CSV needs at least date and close columns');
+  }
+
+  const candles = [];
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+    const date = toIsoDay(cells[idx.date]);
+    const close = parseFloat(cells[idx.close]);
+    if (!date || isNaN(close)) continue;
+
+    const num = (i, fallback) => (i >= 0 && cells[i] !== '' && !isNaN(parseFloat(cells[i])) ? parseFloat(cells[i]) : fallback);
+    candles.push({
+      date,
+      open: num(idx.open, close),
+      high: num(idx.high, close),
+      low: num(idx.low, close),
+      close,
+      volume: num(idx.volume, 0)
+    });
+  }
+
+  // Newest first (FMP order) with change vs previous close
+  candles.sort((a, b) => b.date.localeCompare(a.date));
+  for (let i = 0; i < candles.length; i++) {
+    const prev = candles[i + 1];
+    candles[i].change = prev ? candles[i].close - prev.close : 0;
+    candles[i].changePercent = prev && prev.close ? ((candles[i].close - prev.close) / prev.close) * 100 : 0;
+  }
+  return candles;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POINT-IN-TIME FILTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Date a statement row became public (backtests apply the same rule to FMP rows)
+ */
+export function statementAvailableOn(row) {
+  const filed = toIsoDay(row.fillingDate || row.filingDate || row.acceptedDate);
+  if (filed) return filed;
+  const periodEnd = toIsoDay(row.date);
+  if (!periodEnd) return null;
+  return new Date(new Date(periodEnd).getTime() + MARKET_DATA_CONFIG.statementLagDays * DAY_MS).toISOString().split('T')[0];
+}
+
+function visibleAsOf(asOf, day) {
+  return !asOf || (day !== null && day <= asOf);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+
+const STATEMENT_KEYS = {
+  'balance-sheet': 'balanceSheet',
+  'cash-flow': 'cashFlow',
+  'income': 'incomeStatement'
+};
+
+/**
+ * @param {Object} options - { dir, asOf: 'YYYY-MM-DD' | null }
+ * @returns {import('./marketData.js').MarketDataProvider}
+ */
+export function createLocalMarketData(options = {}) {
+  const { dir = MARKET_DATA_CONFIG.localDir, asOf = null } = options;
+  const candleCache = new Map();
+
+  const file = (kind, symbol, ext) => path.join(dir, kind, `${symbol.toUpperCase()}.${ext}`);
+
+  function loadAllCandles(symbol) {
+    const key = symbol.toUpperCase();
+    if (!candleCache.has(key)) {
+      const csvPath = file('prices', key, 'csv');
+      let candles = [];
+      try {
+        if (fs.existsSync(csvPath)) candles = parseCandlesCsv(fs.readFileSync(csvPath, 'utf8'));
+      } catch (e) {
+        console.warn(`⚠️  Could not parse ${csvPath}: ${e.message}`);
+      }
+      candleCache.set(key, candles);
+    }
+    return candleCache.get(key);
+  }
+
+  async function getCandles(symbol) {
+    return loadAllCandles(symbol).filter(c => visibleAsOf(asOf, c.date));
+  }
+
+  async function getProfile(symbol) {
+    const profile = readJsonFile(file('profiles', symbol, 'json'), null);
+    const [last] = await getCandles(symbol);
+    if (!profile && !last) return null;
+
+    const price = last?.close ?? profile?.price ?? 0;
+    const marketCap = profile?.sharesOutstanding ? price * profile.sharesOutstanding : (profile?.marketCap || profile?.mktCap || 0);
+    return {
+      symbol: symbol.toUpperCase(),
+      companyName: symbol.toUpperCase(),
+      ...profile,
+      price,
+      marketCap,
+      mktCap: marketCap
+    };
+  }
+
+  async function getQuote(symbol) {
+    const candles = await getCandles(symbol);
+    if (candles.length === 0) return null;
+
+    const [last, prev] = candles;
+    const recent = candles.slice(0, AVG_VOLUME_DAYS);
+    const year = candles.slice(0, YEAR_TRADING_DAYS);
+    const profile = await getProfile(symbol);
+
+    return {
+      symbol: symbol.toUpperCase(),
+      name: profile?.companyName || symbol.toUpperCase(),
+      price: last.close,
+      open: last.open,
+      dayHigh: last.high,
+      dayLow: last.low,
+      previousClose: prev?.close ?? last.open,
+      change: last.change,
+      changePercentage: last.changePercent,
+      volume: last.volume,
+      avgVolume: Math.round(recent.reduce((sum, c) => sum + c.volume, 0) / recent.length),
+      marketCap: profile?.marketCap || 0,
+      yearHigh: Math.max(...year.map(c => c.high)),
+      yearLow: Math.min(...year.map(c => c.low)),
+      exchange: profile?.exchange || null,
+      timestamp: Math.floor(new Date(last.date).getTime() / 1000)
+    };
+  }
+
+  async function getStatements(symbol, type, statementOptions = {}) {
+    const { period = 'quarter', limit = 4 } = statementOptions;
+    const statements = readJsonFile(file('statements', symbol, 'json'), {});
+    const rows = statements[STATEMENT_KEYS[type]] || [];
+
+    return rows
+      .filter(r => (period === 'annual' ? r.period === 'FY' : r.period !== 'FY'))
+      .filter(r => visibleAsOf(asOf, statementAvailableOn(r)))
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .slice(0, limit);
+  }
+
+  async function getInsiderTrades(symbol, limit = 50) {
+    const trades = readJsonFile(file('insider', symbol, 'json'), []);
+    return trades
+      .filter(t => visibleAsOf(asOf, toIsoDay(t.filingDate || t.transactionDate)))
+      .sort((a, b) => String(b.filingDate || b.transactionDate).localeCompare(String(a.filingDate || a.transactionDate)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Every symbol with a price file (and a visible candle)
+   */
+  async function getUniverse() {
+    let files = [];
+    try {
+      files = fs.readdirSync(path.join(dir, 'prices')).filter(f => f.toLowerCase().endsWith('.csv'));
+    } catch (e) {
+      console.warn(`⚠️  No price files in ${path.join(dir, 'prices')}`);
+      return [];
+    }
+
+    const rows = [];
+    for (const f of files) {
+      const symbol = path.basename(f, path.extname(f)).toUpperCase();
+      const profile = await getProfile(symbol);
+      if (!profile || !(await getCandles(symbol)).length) continue;
+      rows.push({
+        symbol,
+        name: profile.companyName,
+        price: profile.price,
+        marketCap: profile.marketCap,
+        exchange: profile.exchange || null,
+        source: 'local'
+      });
+    }
+    return rows;
+  }
+
+  return {
+    name: 'local',
+    live: false,
+    asOf,
+    getQuote,
+    getCandles,
+    getProfile,
+    getStatements,
+    getInsiderTrades,
+    getUniverse
+  };
+}
+
+export default {
+  createLocalMarketData,
+  parseCandlesCsv,
+  statementAvailableOn
+};
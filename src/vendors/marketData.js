@@ -0,0 +1,158 @@
+/**
+ * Market Data Provider
+ *
+ * One interface for everything price/fundamental related, so scanners, the
+ * leaderboards and charting never care where the numbers come from:
+ *
+ *   fmp   - live FMP (vendors/fmp.js: budget, backoff, cache)          [default]
+ *   local - OHLCV CSVs + statement JSON from a directory (vendors/localMarketData.js),
+ *           optionally cut off at MARKET_DATA_AS_OF for historical runs
+ *
+ * Every provider returns FMP-shaped rows (see the typedefs in vendors/fmp.js),
+ * so scoring code reads the same fields either way.
+ *
+ * Select with MARKET_DATA_PROVIDER=fmp|local (MARKET_DATA_DIR, MARKET_DATA_AS_OF),
+ * or swap in code with setMarketData() (backtests, tests).
+ */
+
+import { MARKET_DATA_CONFIG } from '../config.js';
+import {
+  fmpGet,
+  getHistoricalPrices,
+  getProfile,
+  getIncomeStatement
+} from './fmp.js';
+import { createLocalMarketData } from './localMarketData.js';
+
+/**
+ * @typedef {Object} UniverseRow
+ * @property {string} symbol
+ * @property {string} name
+ * @property {number} [price]
+ * @property {number} [marketCap]
+ * @property {string} [exchange]
+ * @property {string} source - where the row came from ('loser', 'active', 'gainer', 'screener', 'local')
+ */
+
+/**
+ * @typedef {Object} MarketDataProvider
+ * @property {string} name - 'fmp', 'local', ...
+ * @property {boolean} live - true when data is current (callers may add SEC/FMP-only
+ *   enrichments and write state files); false for historical datasets
+ * @property {(symbol: string) => Promise<import('./fmp.js').FmpQuote|null>} getQuote
+ * @property {(symbol: string) => Promise<import('./fmp.js').FmpCandle[]>} getCandles - daily, newest first
+ * @property {(symbol: string) => Promise<import('./fmp.js').FmpProfile|null>} getProfile
+ * @property {(symbol: string, type: 'balance-sheet'|'cash-flow'|'income', options?: { period?: 'quarter'|'annual', limit?: number }) => Promise<import('./fmp.js').FmpStatement[]>} getStatements - newest first
+ * @property {(symbol: string, limit?: number) => Promise<import('./fmp.js').FmpInsiderTrade[]>} getInsiderTrades - newest first
+ * @property {(options?: { screener?: boolean }) => Promise<UniverseRow[]>} getUniverse - candidate symbols to scan
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FMP PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+
+const STATEMENT_ENDPOINTS = {
+  'balance-sheet': '/balance-sheet-statement',
+  'cash-flow': '/cash-flow-statement',
+  'income': '/income-statement'
+};
+
+/**
+ * FMP behind the provider interface. Failures come back as null / [] like fmpGet.
+ * @returns {MarketDataProvider}
+ */
+export function createFmpMarketData() {
+  return {
+    name: 'fmp',
+    live: true,
+
+    async getQuote(symbol) {
+      const data = await fmpGet('/quote', { params: { symbol } });
+      return data?.[0] || null;
+    },
+
+    getCandles: getHistoricalPrices,
+
+    getProfile,
+
+    async getStatements(symbol, type, options = {}) {
+      const { period = 'quarter', limit = 4 } = options;
+      if (type === 'income') return getIncomeStatement(symbol, period, limit);
+      const data = await fmpGet(STATEMENT_ENDPOINTS[type], { params: { symbol, period, limit } });
+      return data || [];
+    },
+
+    async getInsiderTrades(symbol, limit = 50) {
+      // May 404 on lower tiers - silent fail OK
+      const data = await fmpGet('/insider-trading', { params: { symbol, limit }, silent: true });
+      return data || [];
+    },
+
+    /**
+     * Today's movers (losers, actives, gainers), plus the small/mid-cap screener if asked
+     */
+    async getUniverse(options = {}) {
+      const { screener = false } = options;
+      const [losers, actives, gainers, screened] = await Promise.all([
+        fmpGet('/biggest-losers'),
+        fmpGet('/most-actives'),
+        fmpGet('/biggest-gainers'),
+        screener ? fmpGet('/stock-screener?marketCapMoreThan=10000000&marketCapLowerThan=10000000000&limit=500') : null
+      ]);
+
+      return [
+        ...(losers || []).map(r => ({ ...r, source: 'loser' })),
+        ...(actives || []).map(r => ({ ...r, source: 'active' })),
+        ...(gainers || []).map(r => ({ ...r, source: 'gainer' })),
+        ...(screened || []).map(r => ({ ...r, source: 'screener' }))
+      ].map(r => ({
+        ...r,
+        name: r.name || r.companyName || r.symbol,
+        marketCap: r.marketCap || r.mktCap
+      }));
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ACTIVE PROVIDER
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PROVIDERS = {
+  fmp: () => createFmpMarketData(),
+  local: () => createLocalMarketData({
+    dir: MARKET_DATA_CONFIG.localDir,
+    asOf: MARKET_DATA_CONFIG.asOf
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * The provider every module should read market data through
+ * @returns {MarketDataProvider}
+ */
+export function getMarketData() {
+  if (!activeProvider) {
+    const factory = PROVIDERS[MARKET_DATA_CONFIG.provider];
+    if (!factory) {
+      throw new Error(`Unknown MARKET_DATA_PROVIDER '${MARKET_DATA_CONFIG.provider}' (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (pass null to go back to the configured one)
+ * @param {MarketDataProvider|null} provider
+ */
+export function setMarketData(provider) {
+  activeProvider = provider;
+}
+
+export default {
+  getMarketData,
+  setMarketData,
+  createFmpMarketData
+};
@@ -0,0 +1,324 @@
+/**
+ * SEC EDGAR API Client
+ *
+ * One client shared by every scanner that talks to EDGAR:
+ * - Full-text search (efts.sec.gov) with pagination past the 100-hit page cap
+ * - Shared token-bucket limiter (SEC fair access: 10 requests/second)
+ * - On-disk response cache (data/cache/sec/)
+ * - Pluggable transport, so tests can replay recorded JSON fixtures offline
+ */
+
+import { SEC_CONFIG, DATA_PATHS, VERBOSE, FIXTURE_MODE } from '../config.js';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const EFTS_SEARCH_URL = 'https://efts.sec.gov/LATEST/search-index';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TRANSPORT (swappable for offline fixture replay)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Default transport: real HTTP via fetch
+ * A transport takes (url, { headers, timeout }) and resolves { status, body }
+ */
+async function fetchTransport(url, { headers, timeout }) {
+  const response = await fetch(url, {
+    headers,
+    signal: AbortSignal.timeout(timeout)
+  });
+  return { status: response.status, body: await response.text() };
+}
+
+let transport = fetchTransport;
+
+/**
+ * Replace the HTTP transport (pass null to restore real fetch)
+ */
+export function setTransport(fn) {
+  transport = fn || fetchTransport;
+}
+
+/**
+ * Transport that serves responses from a fixture directory instead of the network.
+ * Fixture files are named by cacheKey(url) and hold either a cache entry
+ * ({ url, status, body }) or the raw JSON response itself (e.g. a saved EFTS result).
+ * Unrecorded URLs come back as 404 so tests fail loudly.
+ */
+export function createFixtureTransport(fixtureDir) {
+  return async (url) => {
+    const filePath = path.join(fixtureDir, `${cacheKey(url)}.json`);
+    if (!fs.existsSync(filePath)) {
+      return { status: 404, body: `No fixture for ${url} (expected ${filePath})` };
+    }
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (fixture?.url && 'body' in fixture) {
+      return { status: fixture.status ?? 200, body: fixture.body };
+    }
+    return { status: 200, body: JSON.stringify(fixture) };
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RATE LIMITER (token bucket, shared by every caller in the process)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const bucket = {
+  tokens: SEC_CONFIG.maxRequestsPerSecond,
+  updatedAt: Date.now()
+};
+let bucketQueue = Promise.resolve();
+
+function refillBucket() {
+  const now = Date.now();
+  const refill = ((now - bucket.updatedAt) / 1000) * SEC_CONFIG.maxRequestsPerSecond;
+  bucket.tokens = Math.min(SEC_CONFIG.maxRequestsPerSecond, bucket.tokens + refill);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Wait for a request slot. Callers are served in FIFO order so
+ * concurrent scanners can't starve each other.
+ */
+function acquireToken() {
+  const next = bucketQueue.then(async () => {
+    refillBucket();
+    while (bucket.tokens < 1) {
+      const waitMs = Math.ceil(((1 - bucket.tokens) / SEC_CONFIG.maxRequestsPerSecond) * 1000);
+      await sleep(waitMs);
+      refillBucket();
+    }
+    bucket.tokens -= 1;
+  });
+  bucketQueue = next;
+  return next;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSE CACHE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Stable file-safe key for a request URL (also used to name fixtures)
+ */
+export function cacheKey(url) {
+  return crypto.createHash('sha1').update(url).digest('hex');
+}
+
+function getCachePath(url) {
+  return path.join(DATA_PATHS.secCache, `${cacheKey(url)}.json`);
+}
+
+function readCache(url, ttl) {
+  const filePath = getCachePath(url);
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const age = Date.now() - new Date(entry.fetchedAt).getTime();
+    if (age > ttl) return null;
+    if (VERBOSE) console.log(`📦 SEC cache hit (${Math.round(age / 60000)} min old): ${url}`);
+    return entry;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeCache(url, status, body) {
+  const filePath = getCachePath(url);
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({
+      url,
+      status,
+      fetchedAt: new Date().toISOString(),
+      body
+    }));
+  } catch (e) {
+    // Silent fail on cache save
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUEST TRACKING
+// ═══════════════════════════════════════════════════════════════════════════
+
+let requestCount = 0;
+
+export function getRequestCount() {
+  return requestCount;
+}
+
+export function resetRequestCount() {
+  requestCount = 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CORE REQUEST HELPER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET any EDGAR URL (search API, archives, company tickers...)
+ * Rate limited, cached and retried on 429/5xx/network errors.
+ *
+ * @param {string} url - Full EDGAR URL
+ * @param {Object} options - { json: true, cache: true, ttl, maxRetries }
+ * @returns {Object|string} Parsed JSON (or raw text when json = false)
+ * @throws {Error} When the request still fails after all retries
+ */
+export async function secGet(url, options = {}) {
+  const {
+    json = true,
+    cache = true,
+    ttl = SEC_CONFIG.cacheTtl,
+    maxRetries = SEC_CONFIG.maxRetries
+  } = options;
+
+  // Cassette runs skip cache reads so every response is recorded / replayed
+  if (cache && !FIXTURE_MODE) {
+    const cached = readCache(url, ttl);
+    if (cached) return json ? JSON.parse(cached.body) : cached.body;
+  }
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    await acquireToken();
+    requestCount++;
+    if (VERBOSE) console.log(`📡 SEC Request #${requestCount}: ${url}`);
+
+    let response;
+    try {
+      response = await transport(url, {
+        headers: { 'User-Agent': SEC_CONFIG.userAgent },
+        timeout: SEC_CONFIG.requestTimeout
+      });
+    } catch (err) {
+      if (attempt === maxRetries) throw err;
+      const waitTime = attempt * SEC_CONFIG.retryDelay;
+      console.log(`   ⚠️ SEC API error, retrying in ${waitTime / 1000}s... (attempt ${attempt}/${maxRetries})`);
+      await sleep(waitTime);
+      continue;
+    }
+
+    if (response.status >= 200 && response.status < 300) {
+      if (cache) writeCache(url, response.status, response.body);
+      return json ? JSON.parse(response.body) : response.body;
+    }
+
+    // 429 = throttled, 5xx = SEC server issue - both worth retrying
+    const retryable = response.status === 429 || response.status >= 500;
+    if (retryable && attempt < maxRetries) {
+      const waitTime = attempt * SEC_CONFIG.retryDelay;
+      console.log(`   ⚠️ SEC API returned ${response.status}, retrying in ${waitTime / 1000}s... (attempt ${attempt}/${maxRetries})`);
+      await sleep(waitTime);
+      continue;
+    }
+
+    throw new Error(`SEC API returned ${response.status}${retryable ? ` after ${maxRetries} attempts` : ''}`);
+  }
+
+  throw new Error(`SEC API request failed after ${maxRetries} attempts`);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FULL-TEXT SEARCH
+// ═══════════════════════════════════════════════════════════════════════════
+
+function buildSearchUrl(query, forms, startDate, endDate, from) {
+  const url = new URL(EFTS_SEARCH_URL);
+  url.searchParams.set('q', query);
+  url.searchParams.set('dateRange', 'custom');
+  url.searchParams.set('startdt', startDate);
+  url.searchParams.set('enddt', endDate);
+  url.searchParams.set('forms', forms);
+  url.searchParams.set('from', from.toString());
+  url.searchParams.set('size', SEC_CONFIG.searchPageSize.toString());
+  return url.toString();
+}
+
+/**
+ * Search EDGAR full-text search, paging until `limit` hits are collected
+ *
+ * @param {string} query - EFTS query, e.g. '"at-the-market" OR "ATM offering"'
+ * @param {string} forms - Comma-separated form types, e.g. '424B5' or 'S-3,S-3/A'
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {Object} options - { limit: 100, throwOnError: false, maxRetries }
+ * @returns {Array} Raw EFTS hits ({ _id, _source: { display_names, ciks, adsh, form, file_date } })
+ */
+export async function searchFilings(query, forms, startDate, endDate, options = {}) {
+  const { limit = 100, throwOnError = false, maxRetries } = options;
+  const maxHits = Math.min(limit, SEC_CONFIG.searchMaxHits);
+
+  const hits = [];
+  let from = 0;
+
+  while (hits.length < maxHits) {
+    let data;
+    try {
+      data = await secGet(buildSearchUrl(query, forms, startDate, endDate, from), { maxRetries });
+    } catch (err) {
+      if (throwOnError) throw err;
+      // Return what we have instead of crashing the whole scan
+      console.log(`   ❌ SEC search failed (${forms}): ${err.message} - returning ${hits.length} results`);
+      break;
+    }
+
+    const page = data.hits?.hits || [];
+    const total = data.hits?.total?.value ?? 0;
+    hits.push(...page);
+    from += page.length;
+
+    if (page.length === 0 || from >= total || from >= SEC_CONFIG.searchMaxHits) break;
+  }
+
+  return hits.slice(0, maxHits);
+}
+
+/**
+ * Extract all tickers listed in an EFTS display name:
+ * "Company Name  (TICK, TICK-WT)  (CIK 0001234567)" → ['TICK', 'TICK-WT']
+ * Fallback only - prefer resolveCik() in secTickers.js, since many display names list no ticker.
+ */
+export function extractTickers(displayName) {
+  const groups = [...(displayName || '').matchAll(/\(([^()]+)\)/g)].map(m => m[1]);
+  const tickerGroup = groups.find(g => !g.startsWith('CIK'));
+  if (!tickerGroup) return [];
+  return tickerGroup
+    .split(',')
+    .map(t => t.trim().toUpperCase())
+    .filter(t => /^[A-Z][A-Z0-9.\-]{0,9}$/.test(t));
+}
+
+/**
+ * Extract company name from EFTS display name
+ */
+export function extractCompanyName(displayName) {
+  return displayName?.split('  (')[0] || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// UTILITY EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export default {
+  // Requests
+  secGet,
+  searchFilings,
+
+  // Parsing
+  extractTickers,
+  extractCompanyName,
+
+  // Transport / cache
+  setTransport,
+  createFixtureTransport,
+  cacheKey,
+
+  // Tracking
+  getRequestCount,
+  resetRequestCount
+};
@@ -0,0 +1,348 @@
+/**
+ * SEC 424B5 Prospectus Parser
+ *
+ * Downloads the primary 424B5 document for an accession number (adsh) and
+ * pulls out the terms of the ATM program it covers:
+ *   - offering amount (dollars registered by this prospectus supplement)
+ *   - program size (total after an increase, when stated)
+ *   - sales agent(s) and commission rate
+ *   - whether it's a new program or an increase to an existing one
+ *
+ * Parsed results are cached by accession number - filed documents never change.
+ */
+
+import { SEC_CONFIG, DATA_PATHS, FIXTURE_MODE } from '../config.js';
+import { secGet } from './sec.js';
+import { findCikByTicker, normalizeCik } from './secTickers.js';
+import { readDataFile, writeDataFile } from '../store/dataFile.js';
+
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+const SUBMISSIONS_URL = 'https://data.sec.gov/submissions';
+
+// Banks that regularly run ATM programs for small caps (fallback when the
+// "Sales Agreement with ..." sentence can't be parsed)
+const KNOWN_AGENTS = [
+  'H.C. Wainwright & Co.', 'Cantor Fitzgerald & Co.', 'B. Riley Securities', 'Jefferies LLC',
+  'Roth Capital Partners', 'ThinkEquity', 'Maxim Group', 'A.G.P./Alliance Global Partners',
+  'Leerink Partners', 'TD Securities (USA)', 'TD Cowen', 'Cowen and Company', 'Piper Sandler & Co.',
+  'Oppenheimer & Co.', 'BTIG, LLC', 'Ladenburg Thalmann & Co.', 'EF Hutton', 'Craig-Hallum Capital Group',
+  'Canaccord Genuity', 'JonesTrading Institutional Services', 'Virtu Americas', 'Stifel, Nicolaus & Company',
+  'Raymond James & Associates', 'Evercore Group', 'Lake Street Capital Markets', 'Needham & Company',
+  'Aegis Capital Corp.', 'Univest Securities', 'Dawson James Securities', 'Northland Securities',
+  'Chardan Capital Markets', 'Titan Partners Group', 'Wedbush Securities', 'Rodman & Renshaw',
+  'Benchmark Company', 'Spartan Capital Securities', 'Joseph Gunnar & Co.', 'Laidlaw & Company'
+];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEXT HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ENTITIES = {
+  nbsp: ' ', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>',
+  rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', ndash: '-', mdash: '-', bull: ' '
+};
+
+/**
+ * Flatten prospectus HTML to a single line of plain text
+ */
+export function htmlToText(html) {
+  return (html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (m, name) => ENTITIES[name.toLowerCase()] ?? m)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const AMOUNT = String.raw`\$\s?([\d,]+(?:\.\d+)?)(?:\s*(million|billion))?`;
+
+/**
+ * "$75,000,000" → 75000000, "$50.0 million" → 50000000
+ */
+export function parseDollarAmount(number, unit) {
+  const value = parseFloat(String(number).replace(/,/g, ''));
+  if (!Number.isFinite(value)) return null;
+  if (/billion/i.test(unit || '')) return value * 1e9;
+  if (/million/i.test(unit || '')) return value * 1e6;
+  return value;
+}
+
+// Periods that don't end a sentence: initials and entity abbreviations in
+// agent names ("B. Riley Securities, Inc.", "H.C. Wainwright & Co., LLC")
+const ABBREVIATION = /\b(?:[A-Z]|Co|Inc|Corp|Ltd|No|L\.L\.C|L\.P|N\.A|U\.S|Mr|Ms|Dr|St)\./g;
+
+/**
+ * Same text with abbreviation periods swapped for \u0000 (offsets unchanged)
+ */
+function maskAbbreviations(text) {
+  return text.replace(ABBREVIATION, m => m.slice(0, -1) + '\u0000');
+}
+
+/**
+ * Split flattened text into sentences (on "." and ";") without breaking
+ * inside agent names
+ */
+export function splitSentences(text) {
+  return maskAbbreviations(text)
+    .split(/(?<=[.;])\s+(?=[A-Z(])/)
+    .map(sentence => sentence.replace(/\u0000/g, '.'));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIELD EXTRACTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * The part of the sentence that ends at `index` (at most maxChars back)
+ */
+function sentenceBefore(text, index, maxChars = 600) {
+  const window = text.slice(Math.max(0, index - maxChars), index);
+  const masked = maskAbbreviations(window);
+  const end = Math.max(masked.lastIndexOf('. '), masked.lastIndexOf('; '));
+  return end === -1 ? window : window.slice(end + 2);
+}
+
+/**
+ * Offering amount + new vs increase.
+ * Increases usually read "...increase the maximum aggregate offering price ...
+ * from $50,000,000 to $100,000,000" or "...an additional $25,000,000...".
+ * The "from $X to $Y" pair is found first, then its sentence is checked for
+ * the increase wording - agent names between the two are full of periods.
+ */
+function extractOfferingTerms(text) {
+  const pairs = text.matchAll(new RegExp(String.raw`from ${AMOUNT}(?:\s*\([^)]{0,40}\))? to ${AMOUNT}`, 'gi'));
+  for (const fromTo of pairs) {
+    const sentence = sentenceBefore(text, fromTo.index);
+    if (!/increas/i.test(sentence) || !/aggregate (?:gross )?(?:offering|sales) (?:price|amount)/i.test(sentence)) continue;
+
+    const previous = parseDollarAmount(fromTo[1], fromTo[2]);
+    const total = parseDollarAmount(fromTo[3], fromTo[4]);
+    if (previous && total && total > previous) {
+      return { programType: 'increase', offeringAmount: total - previous, programSize: total, previousProgramSize: previous };
+    }
+  }
+
+  const additional = text.match(new RegExp(
+    String.raw`(?:aggregate (?:gross )?(?:offering|sales) (?:price|amount) of up to an additional|up to an additional|an additional) ${AMOUNT}`, 'i'
+  ));
+  if (additional) {
+    return { programType: 'increase', offeringAmount: parseDollarAmount(additional[1], additional[2]), programSize: null, previousProgramSize: null };
+  }
+
+  const upTo = text.match(new RegExp(
+    String.raw`aggregate (?:gross )?(?:offering|sales) (?:price|amount) of up to ${AMOUNT}`, 'i'
+  )) || text.match(new RegExp(String.raw`up to ${AMOUNT} of (?:our |its )?(?:shares of )?(?:common stock|ordinary shares|American Depositary Shares|ADSs)`, 'i'));
+  if (upTo) {
+    const amount = parseDollarAmount(upTo[1], upTo[2]);
+    return { programType: 'new', offeringAmount: amount, programSize: amount, previousProgramSize: null };
+  }
+
+  return { programType: null, offeringAmount: null, programSize: null, previousProgramSize: null };
+}
+
+const ENTITY_SUFFIX = /^(LLC|L\.L\.C\.|Inc\.?|Incorporated|L\.P\.|LP|Ltd\.?|Limited|Corp\.?|Corporation|N\.A\.)$/i;
+
+/**
+ * Split "H.C. Wainwright & Co., LLC and Roth Capital Partners, LLC" into agents,
+ * re-attaching ", LLC"-style suffixes to the name before them
+ */
+function splitAgentNames(list) {
+  const names = [];
+  for (const part of list.split(/,\s*(?:and\s+)?|\s+and\s+/)) {
+    const piece = part.trim().replace(/^(?:each of|both of|us and)\s+/i, '');
+    if (!piece) continue;
+    if (ENTITY_SUFFIX.test(piece) && names.length) {
+      names[names.length - 1] += `, ${piece}`;
+    } else if (/^[A-Z]/.test(piece)) {
+      names.push(piece);
+    }
+  }
+  return names;
+}
+
+function extractAgents(text) {
+  const agreement = text.match(
+    /(?:sales agreement|equity distribution agreement|distribution agreement|equity offering sales agreement|at[- ]the[- ]market (?:offering |issuance )?(?:sales )?agreement|ATM (?:sales )?agreement)(?:\s*\([^)]{0,80}\))?[^.]{0,120}?\bwith\s+(.{3,250}?)(?:\s*\(|,\s*(?:as|each|who|dated|relating|or)\b|\s+as\s+(?:our\s+)?(?:sales\s+|placement\s+)?agents?\b|\s+dated\b|\s+relating\b|(?<!\b(?:[A-Z]|Co|Inc|Corp|Ltd))\.\s)/i
+  );
+  if (agreement) {
+    const names = splitAgentNames(agreement[1]);
+    if (names.length) return names;
+  }
+
+  // Fallback: scan the cover/summary for banks we know run ATMs
+  const head = text.slice(0, 20000).toLowerCase();
+  return KNOWN_AGENTS.filter(agent => head.includes(agent.toLowerCase()));
+}
+
+function extractCommissionPct(text) {
+  const sentences = text.split(/(?<=\.)\s+(?=[A-Z])/);
+  for (const sentence of sentences) {
+    const aboutAgent = /(commission|compensation)/i.test(sentence) || (/\bfee\b/i.test(sentence) && /\bagents?\b/i.test(sentence));
+    if (!aboutAgent || !/(gross|sales price|agent)/i.test(sentence)) continue;
+    const match = sentence.match(/(?:commission|compensation|fee)[^%]{0,200}?(\d{1,2}(?:\.\d{1,2})?)\s?%/i);
+    if (match) {
+      const pct = parseFloat(match[1]);
+      if (pct > 0 && pct <= 10) return pct;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a 424B5 prospectus supplement
+ *
+ * @param {string} html - Raw document (HTML or plain text)
+ * @returns {Object} { isATM, programType, offeringAmount, programSize, previousProgramSize, agents, commissionPct }
+ */
+export function parseATMProspectus(html) {
+  const text = htmlToText(html);
+  const isATM = /at[- ]the[- ]market|equity distribution agreement|sales agreement/i.test(text);
+
+  return {
+    isATM,
+    ...extractOfferingTerms(text),
+    agents: extractAgents(text),
+    commissionPct: extractCommissionPct(text)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DOCUMENT FETCHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function filingFolderUrl(cik, adsh) {
+  return `${ARCHIVES_URL}/${normalizeCik(cik)}/${adsh.replace(/-/g, '')}`;
+}
+
+/**
+ * Find the primary document in a filing folder when we don't know its name
+ * (the biggest .htm/.txt that isn't an exhibit or the index page)
+ */
+async function findPrimaryDocument(cik, adsh) {
+  const index = await secGet(`${filingFolderUrl(cik, adsh)}/index.json`);
+  const docs = (index.directory?.item || [])
+    .filter(item => /\.(htm|html|txt)$/i.test(item.name))
+    .filter(item => !/index|^ex|_ex|exhibit/i.test(item.name) && item.name !== `${adsh}.txt`)
+    .sort((a, b) => (parseInt(b.size, 10) || 0) - (parseInt(a.size, 10) || 0));
+  return docs[0]?.name || null;
+}
+
+function loadProgramCache() {
+  try {
+    return readDataFile(DATA_PATHS.atmPrograms, {});
+  } catch (e) {
+    // Unreadable cache - start over
+  }
+  return {};
+}
+
+function saveProgramCache(cache) {
+  try {
+    writeDataFile(DATA_PATHS.atmPrograms, cache);
+  } catch (e) {
+    // Silent fail on cache save
+  }
+}
+
+/**
+ * Fetch and parse the ATM terms of one 424B5 filing
+ *
+ * @param {Object} filing - { cik, adsh, primaryDocument? } (EFTS hit _id gives the document name)
+ * @returns {Object|null} atmProgram, or null if the document couldn't be fetched
+ */
+export async function getATMProgram({ cik, adsh, primaryDocument = null }) {
+  if (!cik || !adsh) return null;
+
+  // Cassette runs skip the cache so the 424B5 requests are recorded / replayed
+  const cache = loadProgramCache();
+  if (cache[adsh] && !FIXTURE_MODE) return cache[adsh];
+
+  try {
+    const document = primaryDocument || await findPrimaryDocument(cik, adsh);
+    if (!document) return null;
+
+    const documentUrl = `${filingFolderUrl(cik, adsh)}/${document}`;
+    const html = await secGet(documentUrl, { json: false, cache: false });
+
+    const program = {
+      adsh,
+      documentUrl,
+      ...parseATMProspectus(html),
+      parsedAt: new Date().toISOString()
+    };
+
+    cache[adsh] = program;
+    saveProgramCache(cache);
+    return program;
+  } catch (err) {
+    console.log(`   ⚠️ Could not parse 424B5 ${adsh}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attach `atmProgram` to each filing from getRecentATMFilings()
+ */
+export async function attachATMPrograms(filings) {
+  let parsed = 0;
+  for (const filing of filings) {
+    filing.atmProgram = await getATMProgram({
+      cik: filing.cik,
+      adsh: filing.filingId,
+      primaryDocument: filing.primaryDocument
+    });
+    if (filing.atmProgram?.offeringAmount) parsed++;
+  }
+  console.log(`   📄 Parsed ATM size from ${parsed}/${filings.length} prospectuses`);
+  return filings;
+}
+
+/**
+ * Most recent ATM program for a ticker (for scanners that start from FMP, not EDGAR)
+ * Walks the issuer's recent 424B5s via the submissions API until one is an ATM.
+ */
+export async function getLatestATMProgram(ticker, days = SEC_CONFIG.atmLookbackDays) {
+  const cik = await findCikByTicker(ticker);
+  if (!cik) return null;
+
+  let submissions;
+  try {
+    submissions = await secGet(`${SUBMISSIONS_URL}/CIK${cik.padStart(10, '0')}.json`);
+  } catch (err) {
+    console.log(`   ⚠️ Could not load SEC submissions for ${ticker}: ${err.message}`);
+    return null;
+  }
+
+  const recent = submissions.filings?.recent || {};
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  let tried = 0;
+
+  for (let i = 0; i < (recent.form || []).length && tried < SEC_CONFIG.maxProspectusesPerTicker; i++) {
+    if (recent.filingDate[i] < cutoff) break; // newest first
+    if (recent.form[i] !== '424B5') continue;
+
+    tried++;
+    const program = await getATMProgram({
+      cik,
+      adsh: recent.accessionNumber[i],
+      primaryDocument: recent.primaryDocument[i]
+    });
+    if (program?.isATM) return { ...program, fileDate: recent.filingDate[i] };
+  }
+  return null;
+}
+
+export default {
+  getATMProgram,
+  getLatestATMProgram,
+  attachATMPrograms,
+  parseATMProspectus,
+  parseDollarAmount,
+  htmlToText,
+  splitSentences
+};
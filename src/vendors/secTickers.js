@@ -0,0 +1,330 @@
+/**
+ * SEC CIK → Ticker Resolver
+ *
+ * Maps a filing's CIK to every ticker the issuer trades under, using a
+ * locally cached copy of SEC's company_tickers_exchange.json.
+ *
+ * Why not parse display_names? EFTS display names often list no ticker at all,
+ * and a "([A-Z]{1,5})" regex drops class shares (BRK-B), warrants/units and
+ * tickers with digits - those issuers silently disappeared from our scans.
+ *
+ * Also keeps data/ticker_history.json: the tickers seen for each CIK we've
+ * resolved, so renamed/delisted issuers still resolve to their last known ticker.
+ */
+
+import { SEC_CONFIG, DATA_PATHS, VERBOSE, FIXTURE_MODE } from '../config.js';
+import { secGet, extractTickers, extractCompanyName } from './sec.js';
+import { readDataFile, writeDataFile } from '../store/dataFile.js';
+
+const COMPANY_TICKERS_URL = 'https://www.sec.gov/files/company_tickers_exchange.json';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * EFTS gives CIKs as zero-padded strings ("0001050446"), the ticker file as numbers
+ */
+export function normalizeCik(cik) {
+  if (cik === null || cik === undefined || cik === '') return null;
+  const n = parseInt(cik, 10);
+  return Number.isFinite(n) ? String(n) : null;
+}
+
+function readJSON(filePath, defaultValue) {
+  try {
+    return readDataFile(filePath, defaultValue);
+  } catch (e) {
+    console.warn(`⚠️  Could not read ${filePath}: ${e.message}`);
+  }
+  return defaultValue;
+}
+
+function writeJSON(filePath, data, options = {}) {
+  writeDataFile(filePath, data, options);
+}
+
+/**
+ * Warrants, units and rights: "ABCDW", "ABCDU", "ABCDR" (when ABCD also trades)
+ * or the dash forms "ABC-WT", "ABC-UN", "ABC-RT"
+ */
+function isDerivativeTicker(ticker, allTickers) {
+  if (/-(WT|WS|UN|U|RT|R)$/.test(ticker)) return true;
+  if (ticker.length === 5 && /[WUR]$/.test(ticker)) {
+    return allTickers.includes(ticker.slice(0, 4));
+  }
+  return false;
+}
+
+/**
+ * Pick the ticker we scan/post: exchange-listed common stock first
+ */
+export function pickPrimaryTicker(tickers) {
+  if (!tickers?.length) return null;
+  const symbols = tickers.map(t => t.ticker);
+  const common = tickers.filter(t => !isDerivativeTicker(t.ticker, symbols));
+  const pool = common.length ? common : tickers;
+  return (pool.find(t => t.exchange && t.exchange !== 'OTC') || pool[0]).ticker;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TICKER MAP (company_tickers_exchange.json)
+// ═══════════════════════════════════════════════════════════════════════════
+
+let tickerMapPromise = null;
+
+function indexTickerRows(rows) {
+  const byCik = new Map();
+  const byTicker = new Map();
+  for (const [cik, name, ticker, exchange] of rows) {
+    if (!ticker) continue;
+    const key = String(cik);
+    if (!byCik.has(key)) byCik.set(key, { name, tickers: [] });
+    byCik.get(key).tickers.push({ ticker: ticker.toUpperCase(), exchange: exchange || null });
+    byTicker.set(ticker.toUpperCase(), key);
+  }
+  return { byCik, byTicker };
+}
+
+async function fetchTickerMap() {
+  const cached = readJSON(DATA_PATHS.secTickerMap, null);
+  const age = cached ? Date.now() - new Date(cached.fetchedAt).getTime() : Infinity;
+
+  // Cassette runs always fetch it, so replays don't depend on this machine's cache
+  if (cached && age < SEC_CONFIG.tickerMapTtl && !FIXTURE_MODE) {
+    if (VERBOSE) console.log(`📦 Using cached SEC ticker map (${Math.round(age / 3600000)}h old)`);
+    return indexTickerRows(cached.data);
+  }
+
+  try {
+    const data = await secGet(COMPANY_TICKERS_URL, { cache: false });
+    // ~10k rows - indented it's several MB
+    writeJSON(DATA_PATHS.secTickerMap, {
+      fetchedAt: new Date().toISOString(),
+      fields: data.fields,
+      data: data.data
+    }, { compact: true });
+    return indexTickerRows(data.data || []);
+  } catch (err) {
+    if (cached) {
+      console.log(`   ⚠️ Could not refresh SEC ticker map (${err.message}) - using stale copy`);
+      return indexTickerRows(cached.data);
+    }
+    console.log(`   ❌ Could not load SEC ticker map: ${err.message}`);
+    return indexTickerRows([]);
+  }
+}
+
+/**
+ * Load the CIK → tickers map once per process (refreshed daily on disk)
+ * @returns {{ byCik: Map, byTicker: Map }}
+ */
+export function loadTickerMap() {
+  if (!tickerMapPromise) tickerMapPromise = fetchTickerMap();
+  return tickerMapPromise;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TICKER HISTORY (ticker changes per CIK)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function loadHistory() {
+  return readDataFile(DATA_PATHS.tickerHistory, { companies: {} });
+}
+
+function saveHistory(history) {
+  history.updatedAt = new Date().toISOString();
+  writeJSON(DATA_PATHS.tickerHistory, history);
+}
+
+/**
+ * Record the tickers currently mapped to a CIK; anything that dropped off
+ * since last time moves to formerTickers with the date we noticed.
+ * Returns true if the history changed.
+ */
+function recordTickers(history, cik, name, tickers) {
+  const today = new Date().toISOString().split('T')[0];
+  const symbols = tickers.map(t => t.ticker);
+  const entry = history.companies[cik];
+
+  if (!entry) {
+    history.companies[cik] = { name, tickers: symbols, formerTickers: [], firstSeen: today, changedAt: null };
+    return true;
+  }
+
+  const removed = entry.tickers.filter(t => !symbols.includes(t));
+  const added = symbols.filter(t => !entry.tickers.includes(t));
+  if (removed.length === 0 && added.length === 0 && entry.name === name) return false;
+
+  for (const ticker of removed) {
+    entry.formerTickers.push({ ticker, until: today });
+  }
+  if (removed.length || added.length) {
+    console.log(`   🔁 CIK ${cik} ticker change: ${removed.join(', ') || '—'} → ${added.join(', ') || '—'}`);
+    entry.changedAt = today;
+  }
+  entry.tickers = symbols;
+  entry.name = name;
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function resolveFromMap(cik, map, history) {
+  const key = normalizeCik(cik);
+  if (!key) return null;
+
+  const mapped = map.byCik.get(key);
+  if (mapped) {
+    return { cik: key, name: mapped.name, tickers: mapped.tickers, source: 'sec_ticker_map' };
+  }
+
+  // Dropped from SEC's current list (delisted, renamed) - fall back to last known tickers
+  const known = history.companies[key];
+  if (known?.tickers?.length) {
+    return {
+      cik: key,
+      name: known.name,
+      tickers: known.tickers.map(ticker => ({ ticker, exchange: null })),
+      source: 'ticker_history'
+    };
+  }
+  return null;
+}
+
+/**
+ * Resolve one CIK to all known tickers
+ * @returns {Object|null} { cik, name, tickers: [{ticker, exchange}], primaryTicker, source }
+ */
+export async function resolveCik(cik) {
+  const map = await loadTickerMap();
+  const history = loadHistory();
+  const resolved = resolveFromMap(cik, map, history);
+  if (!resolved) return null;
+
+  if (resolved.source === 'sec_ticker_map' && recordTickers(history, resolved.cik, resolved.name, resolved.tickers)) {
+    saveHistory(history);
+  }
+  return { ...resolved, primaryTicker: pickPrimaryTicker(resolved.tickers) };
+}
+
+/**
+ * Reverse lookup: ticker → CIK (including tickers an issuer used to trade under)
+ */
+export async function findCikByTicker(ticker) {
+  const symbol = ticker?.toUpperCase();
+  if (!symbol) return null;
+
+  const map = await loadTickerMap();
+  if (map.byTicker.has(symbol)) return map.byTicker.get(symbol);
+
+  const history = loadHistory();
+  for (const [cik, entry] of Object.entries(history.companies)) {
+    if (entry.tickers.includes(symbol) || entry.formerTickers.some(f => f.ticker === symbol)) {
+      return cik;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve a batch of EFTS hits to tickers
+ *
+ * Order of preference per filing: SEC ticker map (ciks[0]) → our ticker history
+ * → tickers listed in the display name. Anything left is reported as unresolved
+ * instead of being dropped silently.
+ *
+ * @param {Array} hits - Raw EFTS hits from searchFilings()
+ * @returns {{ resolved: Array, unresolved: Array }}
+ *   resolved:   [{ hit, cik, companyName, ticker, tickers, source }]
+ *   unresolved: [{ cik, companyName, displayName, form, fileDate, adsh }]
+ */
+export async function resolveFilings(hits) {
+  const map = await loadTickerMap();
+  const history = loadHistory();
+  let historyChanged = false;
+
+  const resolved = [];
+  const unresolved = [];
+
+  for (const hit of hits) {
+    const source = hit._source || {};
+    const displayName = source.display_names?.[0];
+    const companyName = extractCompanyName(displayName);
+
+    // Try every CIK on the filing (co-registrants), primary filer first
+    let match = null;
+    for (const cik of source.ciks || []) {
+      match = resolveFromMap(cik, map, history);
+      if (match) break;
+    }
+
+    if (match?.source === 'sec_ticker_map') {
+      historyChanged = recordTickers(history, match.cik, match.name, match.tickers) || historyChanged;
+    }
+
+    if (!match) {
+      const listed = extractTickers(displayName);
+      if (listed.length) {
+        match = {
+          cik: normalizeCik(source.ciks?.[0]),
+          name: companyName,
+          tickers: listed.map(ticker => ({ ticker, exchange: null })),
+          source: 'display_name'
+        };
+      }
+    }
+
+    if (!match) {
+      unresolved.push({
+        cik: normalizeCik(source.ciks?.[0]),
+        companyName,
+        displayName,
+        form: source.form,
+        fileDate: source.file_date,
+        adsh: source.adsh
+      });
+      continue;
+    }
+
+    resolved.push({
+      hit,
+      cik: match.cik,
+      companyName: companyName || match.name,
+      ticker: pickPrimaryTicker(match.tickers),
+      tickers: match.tickers.map(t => t.ticker),
+      source: match.source
+    });
+  }
+
+  if (historyChanged) saveHistory(history);
+
+  return { resolved, unresolved };
+}
+
+/**
+ * Print the filings we couldn't map to a ticker (so they aren't lost silently)
+ */
+export function logUnresolved(unresolved, label = 'filings') {
+  if (!unresolved?.length) return;
+  const unique = [...new Map(unresolved.map(u => [u.cik || u.displayName, u])).values()];
+  console.log(`   ⚠️  ${unique.length} ${label} could not be resolved to a ticker:`);
+  for (const u of unique.slice(0, 10)) {
+    console.log(`      ${u.companyName || 'Unknown'} (CIK ${u.cik || '?'}) — ${u.form} ${u.fileDate}`);
+  }
+  if (unique.length > 10) {
+    console.log(`      ... and ${unique.length - 10} more`);
+  }
+}
+
+export default {
+  loadTickerMap,
+  resolveCik,
+  resolveFilings,
+  findCikByTicker,
+  pickPrimaryTicker,
+  normalizeCik,
+  logUnresolved
+};
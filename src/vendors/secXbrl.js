@@ -0,0 +1,428 @@
+/**
+ * SEC XBRL Companyfacts Adapter
+ *
+ * Second fundamentals source for when FMP statements come back empty (common
+ * for microcaps - the exact names we care about). Reads every XBRL fact an
+ * issuer has filed from data.sec.gov/api/xbrl/companyfacts and normalizes them
+ * into the same row shape as FMP's quarterly balance-sheet / cash-flow / income
+ * arrays, newest first.
+ *
+ * mergeFundamentals() combines the two sources per quarter: the row from the
+ * fresher filing wins, gaps are filled from the other source, and values that
+ * disagree by more than SEC_CONFIG.xbrlConflictTolerance are flagged.
+ */
+
+import { SEC_CONFIG, VERBOSE } from '../config.js';
+import { secGet } from './sec.js';
+import { findCikByTicker, normalizeCik } from './secTickers.js';
+
+const COMPANY_FACTS_URL = 'https://data.sec.gov/api/xbrl/companyfacts';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Concepts per normalized field, in priority order (issuers pick different tags)
+const CONCEPTS = {
+  cash: ['CashAndCashEquivalentsAtCarryingValue', 'CashCashEquivalentsRestrictedCashAndRestrictedCashEquivalents', 'Cash'],
+  shortTermInvestments: ['ShortTermInvestments', 'AvailableForSaleSecuritiesDebtSecuritiesCurrent', 'MarketableSecuritiesCurrent'],
+  shortTermDebt: ['DebtCurrent', 'LongTermDebtCurrent', 'ShortTermBorrowings', 'ConvertibleNotesPayableCurrent', 'NotesPayableCurrent'],
+  // Noncurrent only - the current portion is already in shortTermDebt
+  longTermDebt: ['LongTermDebtNoncurrent', 'LongTermNotesPayable', 'ConvertibleLongTermNotesPayable', 'ConvertibleDebtNoncurrent', 'NotesPayableNoncurrent'],
+  // Issuers that only tag the total: noncurrent = LongTermDebt - LongTermDebtCurrent
+  longTermDebtTotal: ['LongTermDebt'],
+  longTermDebtCurrent: ['LongTermDebtCurrent'],
+  totalAssets: ['Assets'],
+  totalLiabilities: ['Liabilities'],
+  totalStockholdersEquity: ['StockholdersEquity'],
+  operatingCashFlow: ['NetCashProvidedByUsedInOperatingActivities', 'NetCashProvidedByUsedInOperatingActivitiesContinuingOperations'],
+  commonStockIssuance: ['ProceedsFromIssuanceOfCommonStock', 'ProceedsFromIssuanceOrSaleOfEquity'],
+  revenue: ['Revenues', 'RevenueFromContractWithCustomerExcludingAssessedTax', 'SalesRevenueNet'],
+  operatingIncome: ['OperatingIncomeLoss'],
+  netIncome: ['NetIncomeLoss', 'ProfitLoss'],
+  interestExpense: ['InterestExpense', 'InterestExpenseNonoperating', 'InterestExpenseDebt'],
+  weightedAverageShsOut: ['WeightedAverageNumberOfSharesOutstandingBasic']
+};
+
+// Fields compared when merging (the ones scoring actually reads)
+const MERGE_FIELDS = {
+  balanceSheet: ['cashAndCashEquivalents', 'shortTermDebt', 'longTermDebt', 'totalDebt', 'totalAssets', 'totalLiabilities'],
+  cashFlow: ['operatingCashFlow', 'netCashProvidedByOperatingActivities', 'commonStockIssuance'],
+  income: ['revenue', 'operatingIncome', 'netIncome', 'interestExpense']
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FETCH
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Raw companyfacts JSON for a CIK (cached on disk)
+ */
+export async function getCompanyFacts(cik) {
+  const key = normalizeCik(cik);
+  if (!key) return null;
+  try {
+    return await secGet(`${COMPANY_FACTS_URL}/CIK${key.padStart(10, '0')}.json`, { ttl: SEC_CONFIG.companyFactsTtl });
+  } catch (err) {
+    // 404 = issuer has never filed XBRL (new listings, some foreign filers)
+    if (VERBOSE || !/404/.test(err.message)) {
+      console.log(`   ⚠️ SEC companyfacts unavailable for CIK ${key}: ${err.message}`);
+    }
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FACT SERIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function daysBetween(start, end) {
+  return (new Date(end).getTime() - new Date(start).getTime()) / DAY_MS;
+}
+
+/**
+ * All 10-Q/10-K facts for one concept, one per (start, end) - the latest filing wins,
+ * so amended numbers replace the originals
+ */
+function conceptFacts(facts, concept, unit) {
+  const entries = facts?.['us-gaap']?.[concept]?.units?.[unit] || [];
+  const byPeriod = new Map();
+  for (const f of entries) {
+    if (!f.form?.startsWith('10-') || f.val === undefined) continue;
+    const key = `${f.start || ''}|${f.end}`;
+    const existing = byPeriod.get(key);
+    if (!existing || f.filed > existing.filed) byPeriod.set(key, f);
+  }
+  return [...byPeriod.values()];
+}
+
+/**
+ * Balance-sheet style facts: value at a point in time, keyed by date
+ */
+function instantSeries(facts, concepts, unit = 'USD') {
+  const series = new Map();
+  for (const concept of concepts) {
+    for (const f of conceptFacts(facts, concept, unit)) {
+      if (f.start) continue;
+      if (!series.has(f.end)) series.set(f.end, f); // earlier concepts have priority
+    }
+  }
+  return series;
+}
+
+/**
+ * Flow facts (cash flow, income) as single quarters, keyed by quarter end.
+ * 10-Q cash flows are year-to-date and Q4 only exists inside the 10-K's full
+ * year, so quarters are derived as YTD minus the YTD ending 3 months earlier.
+ */
+function quarterlySeries(facts, concepts, unit = 'USD') {
+  const series = new Map();
+
+  for (const concept of concepts) {
+    // Shortest periods first so a reported quarter beats one derived from YTD
+    const all = conceptFacts(facts, concept, unit)
+      .filter(f => f.start)
+      .sort((a, b) => daysBetween(a.start, a.end) - daysBetween(b.start, b.end));
+    const byStart = new Map();
+    for (const f of all) {
+      if (!byStart.has(f.start)) byStart.set(f.start, []);
+      byStart.get(f.start).push(f);
+    }
+
+    for (const f of all) {
+      if (series.has(f.end)) continue;
+      const days = daysBetween(f.start, f.end);
+
+      if (days >= 80 && days <= 100) {
+        series.set(f.end, { ...f, derived: false });
+        continue;
+      }
+
+      // YTD: subtract the same-start YTD that ended one quarter earlier
+      const prior = (byStart.get(f.start) || []).find(p => {
+        const gap = daysBetween(p.end, f.end);
+        return gap >= 80 && gap <= 100;
+      });
+      if (prior) {
+        series.set(f.end, { ...f, val: f.val - prior.val, derived: true });
+      }
+    }
+  }
+  return series;
+}
+
+/**
+ * Calendar month a period ends in - 52/53-week years end a few days either side
+ * of a month end ("2024-09-28" and "2024-10-01" both close September)
+ */
+function closingMonth(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const month = d.getUTCMonth() + (d.getUTCDate() > 15 ? 1 : 0); // 1-12, 0 = December of the year before
+  return month === 0 ? { year: d.getUTCFullYear() - 1, month: 12 } : { year: d.getUTCFullYear(), month };
+}
+
+/**
+ * The issuer's fiscal calendar, from the newest filing's own balance-sheet date
+ *
+ * Every fact carries its filing's fy/fp, including the prior-year comparatives
+ * (a Q1 FY2025 10-Q tags its Sept 2024 balance sheet Q1 / 2025). Only the latest
+ * date in a filing is the period fy/fp describe, so rows are labeled from their
+ * own dates against the calendar that date pins down.
+ *
+ * @returns {Object|null} { endMonth (1-12), yearOffset (fy minus the calendar year the fiscal year ends in) }
+ */
+function fiscalCalendar(facts) {
+  const latestInFiling = new Map();
+  for (const concept of [...CONCEPTS.totalAssets, ...CONCEPTS.cash]) {
+    for (const f of facts?.['us-gaap']?.[concept]?.units?.USD || []) {
+      if (!f.form?.startsWith('10-') || !f.accn) continue;
+      const latest = latestInFiling.get(f.accn);
+      if (!latest || f.end > latest.end) latestInFiling.set(f.accn, f);
+    }
+  }
+
+  const own = [...latestInFiling.values()]
+    .filter(f => f.fy && /^(FY|Q[1-3])$/.test(f.fp))
+    .sort((a, b) => b.filed.localeCompare(a.filed))[0];
+  if (!own) return null;
+
+  const { year, month } = closingMonth(own.end);
+  const monthsToYearEnd = own.fp === 'FY' ? 0 : (4 - parseInt(own.fp[1], 10)) * 3;
+  const endMonth = ((month - 1 + monthsToYearEnd) % 12) + 1;
+  const endYear = year + (month + monthsToYearEnd > 12 ? 1 : 0);
+  return { endMonth, yearOffset: own.fy - endYear };
+}
+
+/**
+ * Fiscal quarter + year of a period ending on `date` ('Q4' for the year end)
+ */
+function fiscalLabel(date, calendar) {
+  if (!calendar) return { period: null, fiscalYear: null };
+  const { year, month } = closingMonth(date);
+  const monthsToYearEnd = (calendar.endMonth - month + 12) % 12;
+  if (monthsToYearEnd % 3 !== 0) return { period: null, fiscalYear: null };
+  const endYear = year + (month + monthsToYearEnd > 12 ? 1 : 0);
+  return { period: `Q${4 - monthsToYearEnd / 3}`, fiscalYear: String(endYear + calendar.yearOffset) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NORMALIZED STATEMENTS (FMP shape)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function rowMeta(fact, date, calendar) {
+  return {
+    date,
+    ...fiscalLabel(date, calendar),
+    reportedCurrency: 'USD',
+    filingDate: fact?.filed || null,
+    accessionNumber: fact?.accn || null,
+    source: 'sec_xbrl'
+  };
+}
+
+function valueAt(series, date) {
+  return series.get(date)?.val ?? null;
+}
+
+/**
+ * Noncurrent debt from a LongTermDebt total (which includes current maturities)
+ */
+function noncurrentPortion(instant, date) {
+  const total = valueAt(instant.longTermDebtTotal, date);
+  if (total === null) return null;
+  return Math.max(0, total - (valueAt(instant.longTermDebtCurrent, date) || 0));
+}
+
+/**
+ * Normalize companyfacts into FMP-shaped quarterly statements, newest first
+ *
+ * @param {Object} facts - companyfacts JSON (the `facts` object or the full response)
+ * @param {number} limit - Quarters per statement
+ * @returns {Object} { balanceSheet, cashFlow, income, sharesOutstanding }
+ */
+export function normalizeCompanyFacts(companyFacts, limit = 4) {
+  const facts = companyFacts?.facts || companyFacts;
+  if (!facts?.['us-gaap']) {
+    return { balanceSheet: [], cashFlow: [], income: [], sharesOutstanding: [] };
+  }
+
+  const instant = Object.fromEntries(
+    ['cash', 'shortTermInvestments', 'shortTermDebt', 'longTermDebt', 'longTermDebtTotal', 'longTermDebtCurrent', 'totalAssets', 'totalLiabilities', 'totalStockholdersEquity']
+      .map(field => [field, instantSeries(facts, CONCEPTS[field])])
+  );
+  const flows = Object.fromEntries(
+    ['operatingCashFlow', 'commonStockIssuance', 'revenue', 'operatingIncome', 'netIncome', 'interestExpense']
+      .map(field => [field, quarterlySeries(facts, CONCEPTS[field])])
+  );
+  const weightedShares = quarterlySeries(facts, CONCEPTS.weightedAverageShsOut, 'shares');
+
+  const calendar = fiscalCalendar(facts);
+  const newest = (series) => [...series.keys()].sort((a, b) => b.localeCompare(a)).slice(0, limit);
+
+  // Balance sheet: one row per date we have a cash or total assets figure for
+  const bsDates = newest(new Map([...instant.cash, ...instant.totalAssets]));
+  const balanceSheet = bsDates.map(date => {
+    const cash = valueAt(instant.cash, date);
+    const shortTermInvestments = valueAt(instant.shortTermInvestments, date);
+    const shortTermDebt = valueAt(instant.shortTermDebt, date);
+    const longTermDebt = valueAt(instant.longTermDebt, date) ?? noncurrentPortion(instant, date);
+    const hasDebt = shortTermDebt !== null || longTermDebt !== null;
+    return {
+      ...rowMeta(instant.cash.get(date) || instant.totalAssets.get(date), date, calendar),
+      cashAndCashEquivalents: cash,
+      shortTermInvestments,
+      cashAndShortTermInvestments: cash !== null ? cash + (shortTermInvestments || 0) : null,
+      shortTermDebt,
+      longTermDebt,
+      totalDebt: hasDebt ? (shortTermDebt || 0) + (longTermDebt || 0) : null,
+      totalAssets: valueAt(instant.totalAssets, date),
+      totalLiabilities: valueAt(instant.totalLiabilities, date),
+      totalStockholdersEquity: valueAt(instant.totalStockholdersEquity, date)
+    };
+  });
+
+  const cashFlow = newest(flows.operatingCashFlow).map(date => {
+    const ocf = valueAt(flows.operatingCashFlow, date);
+    return {
+      ...rowMeta(flows.operatingCashFlow.get(date), date, calendar),
+      operatingCashFlow: ocf,
+      netCashProvidedByOperatingActivities: ocf,
+      commonStockIssuance: valueAt(flows.commonStockIssuance, date)
+    };
+  });
+
+  const incomeDates = newest(new Map([...flows.netIncome, ...flows.revenue]));
+  const income = incomeDates.map(date => ({
+    ...rowMeta(flows.netIncome.get(date) || flows.revenue.get(date), date, calendar),
+    revenue: valueAt(flows.revenue, date),
+    operatingIncome: valueAt(flows.operatingIncome, date),
+    netIncome: valueAt(flows.netIncome, date),
+    interestExpense: valueAt(flows.interestExpense, date),
+    weightedAverageShsOut: valueAt(weightedShares, date)
+  }));
+
+  // Cover-page share count (dei), as of the filing date rather than quarter end
+  const sharesOutstanding = (facts.dei?.EntityCommonStockSharesOutstanding?.units?.shares || [])
+    .filter(f => f.form?.startsWith('10-'))
+    .map(f => ({ date: f.end, sharesOutstanding: f.val, filingDate: f.filed, form: f.form, accessionNumber: f.accn, source: 'sec_xbrl' }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  return { balanceSheet, cashFlow, income, sharesOutstanding };
+}
+
+/**
+ * XBRL fundamentals for a ticker (or CIK)
+ * @returns {Object|null} { cik, balanceSheet, cashFlow, income, sharesOutstanding }
+ */
+export async function getXbrlFundamentals(symbolOrCik, limit = 4) {
+  const cik = /^\d+$/.test(String(symbolOrCik))
+    ? normalizeCik(symbolOrCik)
+    : await findCikByTicker(symbolOrCik);
+  if (!cik) return null;
+
+  const companyFacts = await getCompanyFacts(cik);
+  if (!companyFacts) return null;
+
+  return { cik, ...normalizeCompanyFacts(companyFacts, limit) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MERGE POLICY (FMP + SEC)
+// ═══════════════════════════════════════════════════════════════════════════
+
+function isMissing(value) {
+  // FMP reports 0 for fields it doesn't have
+  return value === null || value === undefined || value === 0;
+}
+
+function filingDateOf(row) {
+  return row.filingDate || row.fillingDate || row.acceptedDate?.split(' ')[0] || null;
+}
+
+/**
+ * Merge one statement type from both sources
+ *
+ * Quarters are matched by period end (±10 days, fiscal calendars differ slightly).
+ * The row from the fresher filing is primary; missing fields are filled from
+ * the other source; both present and >tolerance apart = conflict.
+ *
+ * @returns {{ rows: Array, conflicts: Array }}
+ */
+export function mergeStatements(fmpRows = [], secRows = [], fields = [], statement = '') {
+  const rows = [];
+  const conflicts = [];
+  const unmatchedSec = [...secRows];
+
+  for (const fmpRow of fmpRows) {
+    const idx = unmatchedSec.findIndex(s => Math.abs(daysBetween(s.date, fmpRow.date)) <= 10);
+    if (idx === -1) {
+      rows.push({ ...fmpRow, source: fmpRow.source || 'fmp' });
+      continue;
+    }
+    const secRow = unmatchedSec.splice(idx, 1)[0];
+
+    const fmpFiled = filingDateOf(fmpRow);
+    const secIsFresher = secRow.filingDate && fmpFiled && secRow.filingDate > fmpFiled;
+    const [primary, secondary] = secIsFresher ? [secRow, fmpRow] : [fmpRow, secRow];
+    const merged = { ...secondary, ...primary, source: secIsFresher ? 'sec_xbrl+fmp' : 'fmp+sec_xbrl' };
+
+    for (const field of fields) {
+      const a = primary[field];
+      const b = secondary[field];
+      if (isMissing(a) && !isMissing(b)) {
+        merged[field] = b;
+        continue;
+      }
+      if (!isMissing(a) && !isMissing(b)) {
+        const diff = Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b));
+        if (diff > SEC_CONFIG.xbrlConflictTolerance) {
+          conflicts.push({
+            statement,
+            date: fmpRow.date,
+            field,
+            fmp: fmpRow[field],
+            sec: secRow[field],
+            used: secIsFresher ? 'sec_xbrl' : 'fmp'
+          });
+        }
+      }
+    }
+    rows.push(merged);
+  }
+
+  // Quarters FMP doesn't have at all (usually the newest one - FMP lags filings)
+  rows.push(...unmatchedSec);
+  rows.sort((a, b) => b.date.localeCompare(a.date));
+
+  return { rows, conflicts };
+}
+
+/**
+ * Merge FMP statements with XBRL statements
+ *
+ * @param {Object} fmp - { balanceSheet, cashFlow, income } from FMP (any may be empty)
+ * @param {Object|null} sec - Result of getXbrlFundamentals()
+ * @param {number} limit - Quarters to keep per statement
+ * @returns {Object} { balanceSheet, cashFlow, income, sharesOutstanding, dataSources, dataConflicts }
+ */
+export function mergeFundamentals(fmp, sec, limit = 4) {
+  const result = { dataConflicts: [], sharesOutstanding: sec?.sharesOutstanding || [] };
+  const sources = new Set();
+
+  for (const statement of ['balanceSheet', 'cashFlow', 'income']) {
+    const fmpRows = Array.isArray(fmp?.[statement]) ? fmp[statement] : [];
+    const secRows = sec?.[statement] || [];
+    const { rows, conflicts } = mergeStatements(fmpRows, secRows, MERGE_FIELDS[statement], statement);
+    result[statement] = rows.slice(0, limit);
+    result.dataConflicts.push(...conflicts.filter(c => result[statement].some(r => r.date === c.date)));
+    result[statement].forEach(r => r.source?.split('+').forEach(s => sources.add(s)));
+  }
+
+  result.dataSources = [...sources];
+  return result;
+}
+
+export default {
+  getCompanyFacts,
+  getXbrlFundamentals,
+  normalizeCompanyFacts,
+  mergeStatements,
+  mergeFundamentals
+};
@@ -19,101 +19,40 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import '../scoringConfigFlag.js';
 import OpenAI from 'openai';
 
 import { fetchBankruptcyInputs, fetchViralityInputs } from '../bankruptcy/fmpBankruptcy.js';
 import { scoreWithVIS } from '../bankruptcy/bankruptcyScoreEngine.js';
-import { postAlertThread } from '../twitterPoster.js';
+import { recordLeaderboardAlerts } from '../bankruptcy/bankruptcyFilings.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { writeDocument } from '../storage.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownLabel } from '../postingRegistry.js';
+import { scoringVersion } from '../scoringConfig.js';
+import { recordScores, bankruptcyScoreRows } from '../scoreHistory.js';
+import { getMarketData } from '../vendors/marketData.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 
-// Cooldown settings (30 days for weekly leaderboard = ~4 weeks before repeat)
-const COOLDOWN_DAYS = parseInt(process.env.BANKRUPTCY_LB_COOLDOWN_DAYS || '30');
-const POSTED_FILE = path.join(DATA_DIR, 'bankruptcy_lb_posted.json');
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// COOLDOWN / DEDUPE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function loadPostedHistory() {
-  try {
-    if (fs.existsSync(POSTED_FILE)) {
-      return JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'))?.tickers || {};
-    }
-  } catch (e) { /* ignore */ }
-  return {};
-}
-
-function savePostedHistory(tickers) {
-  fs.writeFileSync(POSTED_FILE, JSON.stringify({ tickers, updatedAt: new Date().toISOString() }, null, 2));
-}
-
-function isOnCooldown(ticker, posted) {
-  const lastPosted = posted[ticker];
-  if (!lastPosted) return false;
-  const daysSince = Math.floor((Date.now() - new Date(lastPosted).getTime()) / (1000 * 60 * 60 * 24));
-  return daysSince < COOLDOWN_DAYS;
-}
-
-function markTickersAsPosted(tickers) {
-  const posted = loadPostedHistory();
-  const today = new Date().toISOString().split('T')[0];
-  for (const t of tickers) {
-    posted[t] = today;
-  }
-  savePostedHistory(posted);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// FMP HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-async function fmpGet(endpoint) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_KEY}`;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    return await res.json();
-  } catch (e) {
-    return null;
-  }
-}
+// Cooldowns: POSTING_CONFIG.modules.bankruptcy_lb + the global cross-module cooldown (postingRegistry.js)
+const POSTING_MODULE = 'bankruptcy_lb';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STAGE 1: CHEAP DISTRESS FILTER (Broad Universe → ~200-300 candidates)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 async function getBaseUniverse() {
-  console.log('📡 Stage 1a: Fetching base universe from FMP...\n');
+  const marketData = getMarketData();
+  console.log(`📡 Stage 1a: Fetching base universe (${marketData.name})...\n`);
   
-  // Get from multiple sources: losers, actives, gainers, plus known distress universe
-  const [losers, actives, gainers, screener] = await Promise.all([
-    fmpGet('/biggest-losers'),
-    fmpGet('/most-actives'),
-    fmpGet('/biggest-gainers'),
-    // FMP stock screener - get small/mid caps
-    fmpGet('/stock-screener?marketCapMoreThan=10000000&marketCapLowerThan=10000000000&limit=500')
-  ]);
+  // Live: losers, actives, gainers + small/mid-cap screener. Local: every symbol in the dataset
+  const allResults = await marketData.getUniverse({ screener: true });
 
   // Combine + dedupe
   const seen = new Set();
   const candidates = [];
-  
-  const allResults = [
-    ...(losers || []).map(r => ({ ...r, source: 'loser' })),
-    ...(actives || []).map(r => ({ ...r, source: 'active' })),
-    ...(gainers || []).map(r => ({ ...r, source: 'gainer' })),
-    ...(screener || []).map(r => ({ ...r, source: 'screener' }))
-  ];
 
   for (const r of allResults) {
     const sym = r.symbol;
@@ -136,8 +75,8 @@ async function getBaseUniverse() {
     });
   }
 
-  // Also add known distress list
-  const KNOWN_DISTRESS = [
+  // Also add known distress list (today's names - meaningless for a historical dataset)
+  const KNOWN_DISTRESS = !marketData.live ? [] : [
     'MULN', 'FFIE', 'NKLA', 'GOEV', 'RIDE', 'WKHS', 'FSR', 'LCID', 'RIVN',
     'AMC', 'GME', 'BBIG', 'CEI', 'PROG', 'ATER', 'SNDL', 'TLRY',
     'CLOV', 'WISH', 'SOFI', 'HOOD', 'UPST', 'AFRM', 'LMND',
@@ -167,8 +106,7 @@ async function cheapDistressFilter(candidates) {
     process.stdout.write(`   [${checked}/${Math.min(candidates.length, 500)}] ${c.symbol}...`);
     
     // Use quote endpoint - more reliable for market cap
-    const quote = await fmpGet(`/quote?symbol=${c.symbol}`);
-    const q = Array.isArray(quote) ? quote[0] : quote;
+    const q = await getMarketData().getQuote(c.symbol);
     
     if (!q) {
       console.log(' skip (no data)');
@@ -220,8 +158,7 @@ async function attentionFilter(candidates) {
     process.stdout.write(`   [${checked}/${candidates.length}] ${c.symbol}...`);
     
     // Get quote for volume data
-    const quote = await fmpGet(`/quote?symbol=${c.symbol}`);
-    const q = Array.isArray(quote) ? quote[0] : quote;
+    const q = await getMarketData().getQuote(c.symbol);
     
     if (!q) {
       console.log(' skip');
@@ -305,7 +242,9 @@ async function fullBankruptcyAnalysis(candidates, maxAnalyze = 50) {
           monthlyBurn: analysis.metrics?.monthlyBurn,
           interestCoverage: analysis.metrics?.interestCoverage,
           marketCap: viralityInputs.marketCap,
-          avgVolume: viralityInputs.avgVolume
+          avgVolume: viralityInputs.avgVolume,
+          explanation: analysis.explanation,
+          viralityExplanation: analysis.virality?.explanation || null
         });
         console.log(`      VIS: ${analysis.vis.toFixed(0)} | Bankruptcy: ${analysis.score} | Virality: ${analysis.virality?.score || 0}`);
       }
@@ -452,14 +391,16 @@ export async function generateBankruptcyLeaderboard(options = {}) {
   const analyzed = await fullBankruptcyAnalysis(stage2Passed);
 
   // Load cooldown history
-  const posted = loadPostedHistory();
+  const registry = loadRegistry();
   const skippedCooldown = [];
 
   // Rank by VIS, exclude cooldown tickers
   const ranked = analyzed
     .filter(t => {
       if (t.vis < minVIS) return false;
-      if (isOnCooldown(t.ticker, posted)) {
+      const cooldown = checkCooldown(POSTING_MODULE, t.ticker, { score: t.vis, registry });
+      if (cooldown.override) console.log(`   🔓 ${t.ticker}: ${cooldown.text}`);
+      if (cooldown.blocked) {
         skippedCooldown.push(t.ticker);
         return false;
       }
@@ -495,7 +436,9 @@ export async function generateBankruptcyLeaderboard(options = {}) {
       monthlyBurn: t.monthlyBurn,
       marketCap: t.marketCap,
       avgVolume: t.avgVolume
-    }
+    },
+    explanation: t.explanation,
+    viralityExplanation: t.viralityExplanation
   }));
 
   // Display
@@ -510,9 +453,9 @@ export async function generateBankruptcyLeaderboard(options = {}) {
   console.log('═'.repeat(70));
 
   // Save
-  const outputPath = path.join(DATA_DIR, 'bankruptcy_leaderboard.json');
   const output = {
     generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     dateRange,
     pipeline: {
       baseUniverse: baseUniverse.length,
@@ -524,9 +467,15 @@ export async function generateBankruptcyLeaderboard(options = {}) {
     leaderboard
   };
   
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n💾 Saved to ${outputPath}`);
+  writeDocument('bankruptcy_leaderboard', output);
+  console.log(`\n💾 Saved bankruptcy_leaderboard`);
+  recordLeaderboardAlerts(output);
+
+  // Every fully analyzed ticker, not just the ranked ones, so trends cover the whole funnel
+  const recorded = recordScores('bankruptcy_leaderboard', bankruptcyScoreRows(
+    analyzed.map(t => ({ ticker: t.ticker, vis: t.vis, score: t.bankruptcyScore, viralityScore: t.viralityScore }))
+  ));
+  console.log(`📈 Recorded ${recorded} score(s) to history`);
 
   return output;
 }
@@ -586,14 +535,15 @@ export async function runBankruptcyLeaderboard(options = {}) {
     if (DRY_RUN) {
       console.log('\n[DRY_RUN] Would post. Set DRY_RUN=false to post.');
     } else {
-      console.log('\n🚀 Posting to Twitter...');
+      console.log('\n🚀 Publishing...');
       try {
-        await postAlertThread(tweet, [], null);
+        const result = await publishThread(POSTING_MODULE, tweet, [], null);
         console.log(`✅ Posted!`);
-        // Mark all tickers in leaderboard as posted (30-day cooldown)
+        // Mark all tickers in leaderboard as posted (with the score, for cooldown overrides)
         const tickers = leaderboardData.leaderboard.map(t => t.ticker);
-        markTickersAsPosted(tickers);
-        console.log(`   ⏳ ${tickers.length} tickers on ${COOLDOWN_DAYS}-day cooldown`);
+        recordPosting(POSTING_MODULE, leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.vis })));
+        registerCalls('bankruptcy_leaderboard', leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.vis })), { tweetId: result?.tweets?.[0]?.id });
+        console.log(`   ⏳ ${tickers.length} tickers on ${cooldownLabel(POSTING_MODULE)}`);
       } catch (e) {
         console.error(`❌ Post failed: ${e.message}`);
       }
@@ -0,0 +1,520 @@
+/**
+ * DELISTING WATCH — Weekly Exchange Deficiency Scan
+ *
+ * Ranks tickers with an open exchange deficiency notice (8-K Item 3.01,
+ * see delistingScanner.js) by how likely the clock runs out before they fix it.
+ *
+ * Scoring: DRS (0-100) = deadline urgency × deficiency severity × how far
+ * from compliance × balance sheet
+ *
+ * Output: ONE tweet with ranked tickers + one-line reason each
+ *
+ * Usage:
+ *   node src/weekly/delistingLeaderboard.js           # Preview
+ *   node src/weekly/delistingLeaderboard.js --post    # Post tweet
+ */
+
+import 'dotenv/config';
+import '../scoringConfigFlag.js';
+import OpenAI from 'openai';
+
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { writeDocument } from '../storage.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownLabel } from '../postingRegistry.js';
+import { scoringVersion } from '../scoringConfig.js';
+import { buildExplanation, pointsFactor } from '../scoreExplanation.js';
+import {
+  scanDelistingNotices,
+  loadDelistingNotices,
+  getTickersWithActiveNotices,
+  getActiveDelistingNotices,
+  DEFICIENCY_LABELS
+} from '../delistingScanner.js';
+import { fmpGet } from '../vendors/fmp.js';
+
+const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const DRY_RUN = process.env.DRY_RUN !== 'false';
+
+// Cooldowns: POSTING_CONFIG.modules.delisting + the global cross-module cooldown (postingRegistry.js)
+const POSTING_MODULE = 'delisting';
+
+// Most urgent notices enriched per run (keeps FMP calls bounded - the feed holds a year of notices)
+const MAX_CANDIDATES = 40;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CANDIDATES (from the Item 3.01 feed)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function getOpenNotices() {
+  const feed = loadDelistingNotices();
+  return getTickersWithActiveNotices(feed)
+    .map(ticker => {
+      const notices = getActiveDelistingNotices(ticker, feed);
+      const notice = notices[0];
+      return {
+        ticker,
+        companyName: notice.companyName,
+        notice,
+        deficiencies: [...new Set(notices.flatMap(n => n.deficiencies))],
+        daysToDeadline: notice.daysToDeadline,
+        daysSinceNotice: Math.floor((Date.now() - new Date(notice.noticeDate).getTime()) / (1000 * 60 * 60 * 24))
+      };
+    })
+    .sort((a, b) => {
+      if ((a.notice.status === 'determination') !== (b.notice.status === 'determination')) {
+        return a.notice.status === 'determination' ? -1 : 1;
+      }
+      return (a.daysToDeadline ?? Infinity) - (b.daysToDeadline ?? Infinity);
+    });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENRICHMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function enrichDelistingTicker(candidate) {
+  const { ticker } = candidate;
+
+  const [quote, balanceSheet, cashFlow] = await Promise.all([
+    fmpGet(`/quote?symbol=${ticker}`),
+    fmpGet(`/balance-sheet-statement?symbol=${ticker}&limit=1`),
+    fmpGet(`/cash-flow-statement?symbol=${ticker}&limit=1`)
+  ]);
+
+  const q = Array.isArray(quote) ? quote[0] : quote;
+  const bs = Array.isArray(balanceSheet) ? balanceSheet[0] : balanceSheet;
+  const cf = Array.isArray(cashFlow) ? cashFlow[0] : cashFlow;
+
+  // Already delisted / no longer quoted
+  if (!q || !q.price) return null;
+
+  const cash = bs?.cashAndCashEquivalents || bs?.cashAndShortTermInvestments || 0;
+  const ocf = cf?.operatingCashFlow || 0;
+  const monthlyBurn = ocf < 0 ? Math.abs(ocf / 12) : 0;
+
+  return {
+    ...candidate,
+    price: q.price,
+    marketCap: q.marketCap || 0,
+    change: q.changesPercentage || 0,
+    stockholdersEquity: bs?.totalStockholdersEquity ?? null,
+    cash,
+    monthlyBurn,
+    runwayMonths: monthlyBurn > 0 ? cash / monthlyBurn : 999
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRS SCORING (Delisting Risk Score)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SEVERITY = {
+  stockholders_equity: 20,
+  late_filing: 18,
+  market_value: 15,
+  bid_price: 10,
+  other: 8
+};
+
+function calculateDRS(ticker) {
+  let score = 0;
+  const breakdown = {};
+
+  // 1. Deadline Urgency (0-30 pts) - passed or no stated deadline after a determination = max
+  const days = ticker.daysToDeadline;
+  if (ticker.notice.status === 'determination' || (days !== null && days <= 30)) { breakdown.deadlineRisk = 30; }
+  else if (days === null) { breakdown.deadlineRisk = 10; }
+  else if (days <= 60) { breakdown.deadlineRisk = 24; }
+  else if (days <= 90) { breakdown.deadlineRisk = 18; }
+  else if (days <= 180) { breakdown.deadlineRisk = 10; }
+  else { breakdown.deadlineRisk = 5; }
+  score += breakdown.deadlineRisk;
+
+  // 2. Deficiency Severity (0-25 pts) - worst deficiency, +5 when there's more than one
+  const worst = Math.max(...ticker.deficiencies.map(d => SEVERITY[d] || SEVERITY.other));
+  breakdown.severityRisk = Math.min(25, worst + (ticker.deficiencies.length > 1 ? 5 : 0));
+  score += breakdown.severityRisk;
+
+  // 3. Distance From Compliance (0-15 pts)
+  if (ticker.deficiencies.includes('bid_price')) {
+    // How far below $1 - deep sub-dollar names need a reverse split
+    const price = ticker.price;
+    if (price < 0.25) { breakdown.complianceGap = 15; }
+    else if (price < 0.5) { breakdown.complianceGap = 12; }
+    else if (price < 0.8) { breakdown.complianceGap = 8; }
+    else if (price < 1) { breakdown.complianceGap = 4; }
+    else { breakdown.complianceGap = 0; } // Back above $1 - likely to regain
+  } else if (ticker.deficiencies.includes('stockholders_equity')) {
+    breakdown.complianceGap = ticker.stockholdersEquity !== null && ticker.stockholdersEquity < 0 ? 15 : 8;
+  } else {
+    breakdown.complianceGap = 8;
+  }
+  score += breakdown.complianceGap;
+
+  // 4. Runway Risk (0-20 pts) - no cash = no way to buy time
+  const runway = ticker.runwayMonths;
+  if (runway < 3) { breakdown.runwayRisk = 20; }
+  else if (runway < 6) { breakdown.runwayRisk = 15; }
+  else if (runway < 12) { breakdown.runwayRisk = 10; }
+  else if (runway < 24) { breakdown.runwayRisk = 5; }
+  else { breakdown.runwayRisk = 0; }
+  score += breakdown.runwayRisk;
+
+  // 5. Market Cap Risk (0-10 pts)
+  const mcap = ticker.marketCap;
+  if (mcap < 10e6) { breakdown.mcapRisk = 10; }
+  else if (mcap < 50e6) { breakdown.mcapRisk = 8; }
+  else if (mcap < 200e6) { breakdown.mcapRisk = 5; }
+  else { breakdown.mcapRisk = 2; }
+  score += breakdown.mcapRisk;
+
+  const drs = Math.min(100, Math.round(score));
+  const deficiencyList = ticker.deficiencies.map(d => d.replace(/_/g, ' ')).join(' + ');
+  let gapReason = 'Compliance plan pending';
+  if (ticker.deficiencies.includes('bid_price')) gapReason = `Trading at $${ticker.price?.toFixed(2)} vs the $1 minimum`;
+  else if (ticker.deficiencies.includes('stockholders_equity') && ticker.stockholdersEquity !== null && ticker.stockholdersEquity < 0) gapReason = 'Negative stockholders\' equity';
+  const explanation = buildExplanation('drs', drs, 100, [
+    pointsFactor('deadlineRisk', 'Deadline', days, breakdown.deadlineRisk, 30,
+      ticker.notice.status === 'determination' ? 'Delisting determination issued'
+        : days === null ? 'No stated compliance deadline'
+        : days <= 0 ? 'Compliance deadline passed' : `${days} days to the compliance deadline`),
+    pointsFactor('severityRisk', 'Deficiency', ticker.deficiencies.join(','), breakdown.severityRisk, 25,
+      `Deficient on ${deficiencyList}`),
+    pointsFactor('complianceGap', 'Compliance gap', ticker.price, breakdown.complianceGap, 15, gapReason),
+    pointsFactor('runwayRisk', 'Cash runway', runway, breakdown.runwayRisk, 20,
+      runway >= 999 ? 'No cash burn' : `${runway.toFixed(1)} months of cash runway`),
+    pointsFactor('mcapRisk', 'Market cap', mcap, breakdown.mcapRisk, 10,
+      `$${(mcap / 1e6).toFixed(0)}M market cap`)
+  ]);
+
+  return {
+    score: drs,
+    breakdown,
+    explanation
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AI ONE-LINER GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function generateAIOneLiners(tickers) {
+  if (!tickers.length) return {};
+
+  const tickerData = tickers.map(t => ({
+    ticker: t.ticker,
+    drs: t.scoring.score,
+    deficiencies: t.deficiencies,
+    status: t.notice.status,
+    exchange: t.notice.exchange,
+    daysToDeadline: t.daysToDeadline,
+    price: t.price,
+    runway: t.runwayMonths?.toFixed(1),
+    marketCap: t.marketCap
+  }));
+
+  const prompt = `Generate exactly one short reason line for each ticker explaining why its exchange listing is at risk.
+
+Format MUST be: "metric1 · metric2 → meaning clause"
+
+RULES:
+1. Use exactly 2 quantitative metrics from: deficiency type (bid <$1, equity, late 10-K/10-Q, market value), Xd to deadline, $X.XX price, Xmo runway, $XM cap
+2. End with a SHORT meaning clause (2-5 words). VARY these across tickers - use DIFFERENT phrases:
+   - "reverse split likely"
+   - "clock running out"
+   - "hearing panel next"
+   - "equity raise needed"
+   - "filings still missing"
+   - "delisting risk rising"
+   - "compliance looks distant"
+   - "watch for R/S vote"
+3. NEVER repeat the same meaning clause twice in the list
+4. If status is "determination", say the exchange has already decided to delist (e.g. "hearing panel next")
+5. Keep total length under 60 characters
+
+Tickers to analyze:
+${JSON.stringify(tickerData, null, 2)}
+
+Return ONLY valid JSON object mapping ticker to reason string. Example:
+{"TICK1": "bid <$1 · 21d to deadline → reverse split likely", "TICK2": "late 10-K · 1.8mo runway → filings still missing"}`;
+
+  try {
+    const response = await openai.chat.completions.create({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0.7,
+      max_tokens: 1000
+    });
+
+    const content = response.choices[0].message.content.trim();
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[0]);
+    }
+  } catch (e) {
+    console.log(`   ⚠️ AI generation failed: ${e.message}`);
+  }
+  return {};
+}
+
+function generateFallbackReason(t) {
+  const parts = [DEFICIENCY_LABELS[t.notice.deficiency] || t.notice.deficiency];
+
+  if (t.notice.status === 'determination') {
+    parts.push('delisting determination');
+  } else if (t.daysToDeadline !== null) {
+    parts.push(t.daysToDeadline < 0 ? `deadline passed ${-t.daysToDeadline}d ago` : `${t.daysToDeadline}d to deadline`);
+  } else if (t.runwayMonths < 24) {
+    parts.push(`${t.runwayMonths.toFixed(1)}mo runway`);
+  } else {
+    parts.push(`$${t.price.toFixed(2)}`);
+  }
+
+  let meaning;
+  if (t.notice.status === 'determination') meaning = 'hearing panel next';
+  else if (t.deficiencies.includes('bid_price') && t.price < 0.5) meaning = 'reverse split likely';
+  else if (t.deficiencies.includes('late_filing')) meaning = 'filings still missing';
+  else if (t.deficiencies.includes('stockholders_equity')) meaning = 'equity raise needed';
+  else if (t.daysToDeadline !== null && t.daysToDeadline <= 30) meaning = 'clock running out';
+  else meaning = 'delisting risk rising';
+
+  return `${parts.join(' · ')} → ${meaning}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN GENERATOR
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function generateDelistingLeaderboard(options = {}) {
+  const { days = 7, maxTickers = 10, minScore = 40 } = options;
+
+  // Calculate date range for display
+  const endDate = new Date();
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  const formatDate = (d) => `${d.getMonth() + 1}/${d.getDate()}`;
+  const dateRange = `${formatDate(startDate)}–${formatDate(endDate)}`;
+
+  console.log(`
+╔═══════════════════════════════════════════════════════════════════════════════╗
+║  DELISTING WATCH — Weekly Exchange Deficiency Scan                            ║
+║  ${new Date().toISOString()}                                          ║
+╚═══════════════════════════════════════════════════════════════════════════════╝
+`);
+
+  // Step 1: Pull this week's Item 3.01 8-Ks into the feed
+  console.log(`📡 Step 1: Scanning 8-K Item 3.01 notices (${days} days)...`);
+  const { added } = await scanDelistingNotices({ days });
+
+  // Step 2: Every ticker with an open notice, most urgent first
+  const open = getOpenNotices();
+  const candidates = open.slice(0, MAX_CANDIDATES);
+  console.log(`📋 Step 2: ${open.length} tickers with open notices (enriching top ${candidates.length})\n`);
+
+  if (candidates.length === 0) {
+    return { leaderboard: [], dateRange };
+  }
+
+  // Step 3: Enrich with FMP data
+  console.log(`📊 Step 3: Enriching with FMP data...\n`);
+  const enriched = [];
+
+  for (const candidate of candidates) {
+    process.stdout.write(`   ${candidate.ticker}...`);
+    const data = await enrichDelistingTicker(candidate);
+    if (data) {
+      enriched.push(data);
+      console.log(` ✓`);
+    } else {
+      console.log(` skip`);
+    }
+    await new Promise(r => setTimeout(r, 200)); // Rate limit
+  }
+
+  console.log(`\n   Enriched ${enriched.length} tickers\n`);
+
+  // Step 4: Score and rank
+  console.log(`🧮 Step 4: Scoring (DRS) and ranking...\n`);
+  const scored = enriched.map(t => ({ ...t, scoring: calculateDRS(t) }));
+
+  // Load cooldown history
+  const registry = loadRegistry();
+  const skippedCooldown = [];
+
+  const qualified = scored
+    .filter(t => {
+      if (t.scoring.score < minScore) return false;
+      const cooldown = checkCooldown(POSTING_MODULE, t.ticker, { score: t.scoring.score, registry });
+      if (cooldown.override) console.log(`   🔓 ${t.ticker}: ${cooldown.text}`);
+      if (cooldown.blocked) {
+        skippedCooldown.push(t.ticker);
+        return false;
+      }
+      return true;
+    })
+    .sort((a, b) => b.scoring.score - a.scoring.score)
+    .slice(0, maxTickers);
+
+  qualified.forEach((t, i) => { t.rank = i + 1; });
+
+  if (skippedCooldown.length > 0) {
+    console.log(`   ⏳ Skipped ${skippedCooldown.length} on cooldown: ${skippedCooldown.slice(0, 5).join(', ')}${skippedCooldown.length > 5 ? '...' : ''}\n`);
+  }
+
+  console.log(`   ${qualified.length} tickers qualify (DRS ≥ ${minScore})\n`);
+
+  // Step 5: Generate AI one-liners
+  console.log(`🤖 Step 5: Generating AI one-liners...\n`);
+  const aiOneLiners = await generateAIOneLiners(qualified);
+
+  qualified.forEach(t => {
+    t.reason = aiOneLiners?.[t.ticker] || generateFallbackReason(t);
+  });
+
+  // Step 6: Display leaderboard
+  console.log('═'.repeat(70));
+  console.log('🚨 DELISTING WATCH (Ranked by DRS)');
+  console.log('═'.repeat(70));
+
+  qualified.forEach((t, i) => {
+    console.log(`#${i + 1} $${t.ticker.padEnd(6)} — DRS: ${t.scoring.score.toString().padStart(2)} → ${t.reason}`);
+  });
+
+  console.log('═'.repeat(70));
+
+  // Build output
+  const leaderboard = qualified.map((t, i) => ({
+    rank: i + 1,
+    ticker: t.ticker,
+    companyName: t.companyName,
+    score: t.scoring.score,
+    breakdown: t.scoring.breakdown,
+    explanation: t.scoring.explanation,
+    deficiency: t.notice.deficiency,
+    deficiencies: t.deficiencies,
+    status: t.notice.status,
+    exchange: t.notice.exchange,
+    noticeDate: t.notice.noticeDate,
+    complianceDeadline: t.notice.complianceDeadline,
+    documentUrl: t.notice.documentUrl,
+    reason: t.reason,
+    metrics: {
+      daysToDeadline: t.daysToDeadline,
+      daysSinceNotice: t.daysSinceNotice,
+      price: t.price,
+      marketCap: t.marketCap,
+      runway: t.runwayMonths?.toFixed(1),
+      stockholdersEquity: t.stockholdersEquity
+    }
+  }));
+
+  const output = {
+    generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
+    period: `${days}d`,
+    dateRange,
+    newNotices: added.length,
+    openNotices: open.length,
+    enriched: enriched.length,
+    qualified: qualified.length,
+    leaderboard
+  };
+
+  writeDocument('delisting_leaderboard', output);
+  console.log(`\n💾 Saved delisting_leaderboard`);
+
+  return output;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TWEET GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function generateTweet(leaderboardData) {
+  if (!leaderboardData?.leaderboard?.length) {
+    return `🚨 Weekly Delisting Watch
+
+No exchange clocks worth flagging this week.
+
+Back next week with fresh scans.`;
+  }
+
+  const lines = leaderboardData.leaderboard.slice(0, 10).map(t =>
+    `#${t.rank} $${t.ticker} — Risk: ${t.score}/100\n→ ${t.reason}`
+  );
+
+  return `🚨 WEEKLY DELISTING WATCH
+Exchanges warned these companies they're out of compliance.
+⏳ The clock is running — fix it or get delisted.
+📅 ${leaderboardData.newNotices} new notices ${leaderboardData.dateRange}
+
+${lines.join('\n\n')}
+
+Buried in 8-K Item 3.01. Most holders never see it.
+👁️ We do.`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+export async function runDelistingLeaderboard(options = {}) {
+  const { post = false, days = 7, greeting = null } = options;
+
+  const leaderboardData = await generateDelistingLeaderboard({ days });
+
+  console.log('\n🤖 Generating tweet...\n');
+  let tweet = generateTweet(leaderboardData);
+
+  if (greeting) {
+    tweet = `${greeting}\n\n${tweet}`;
+  }
+
+  console.log('═'.repeat(70));
+  console.log('📝 DELISTING WATCH TWEET');
+  console.log('═'.repeat(70));
+  console.log(tweet);
+  console.log('═'.repeat(70));
+  console.log(`Characters: ${tweet.length}`);
+
+  if (post) {
+    // Don't post empty/no-data tweets
+    if (!leaderboardData?.leaderboard?.length) {
+      console.log('\n⚠️ No open delisting notices qualified - skipping post');
+    } else if (DRY_RUN) {
+      console.log('\n[DRY_RUN] Would post. Set DRY_RUN=false to post.');
+    } else {
+      console.log('\n🚀 Publishing...');
+      try {
+        const result = await publishThread(POSTING_MODULE, tweet, [], null);
+        console.log(`✅ Posted!`);
+        const tickers = leaderboardData.leaderboard.map(t => t.ticker);
+        recordPosting(POSTING_MODULE, leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.score })));
+        registerCalls('delisting_leaderboard', leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.score, price: t.metrics?.price })), { tweetId: result?.tweets?.[0]?.id });
+        console.log(`   ⏳ ${tickers.length} tickers on ${cooldownLabel(POSTING_MODULE)}`);
+      } catch (e) {
+        console.error(`❌ Post failed: ${e.message}`);
+      }
+    }
+  } else {
+    console.log('\nUse --post to publish.');
+  }
+
+  return { leaderboardData, tweet };
+}
+
+// CLI
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const args = process.argv.slice(2);
+  const post = args.includes('--post');
+  const daysArg = args.find(a => a.startsWith('--days='));
+  const days = daysArg ? parseInt(daysArg.split('=')[1]) : 7;
+  const greetingArg = args.find(a => a.startsWith('--greeting='));
+  const greeting = greetingArg ? greetingArg.split('=')[1] : null;
+
+  runDelistingLeaderboard({ post, days, greeting })
+    .then(() => console.log('\n✅ Done!'))
+    .catch(e => { console.error(e); process.exit(1); });
+}
@@ -3,9 +3,9 @@
  * 
  * Sources: SEC EDGAR ATM filings (7 days) → FMP enrichment → Score → Rank
  * 
- * Scoring: Dilution Severity Score (0-100)
- *   40% Distress (cash runway, burn rate, debt)
- *   40% ATM Impact (ATM size ÷ market cap, pullback from peak)
+ * Scoring: Dilution Severity Score (0-100, dilutionSeverity.js)
+ *   40% Distress (cash runway, burn rate, debt, recent reverse split)
+ *   40% ATM Impact (remaining ATM capacity ÷ market cap, pullback from peak)
  *   20% Attention (volume percentile, volatility)
  * 
  * Output: ONE tweet with ranked tickers + one-line reason each
@@ -16,79 +16,32 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import '../scoringConfigFlag.js';
 import OpenAI from 'openai';
 
 import { getRecentATMFilings } from '../atmScanner.js';
-import { postAlertThread } from '../twitterPoster.js';
+import { loadATMLedger, getLedgerEntry } from '../atmLedger.js';
+import { getSplitEvents, adjustForSplits, findRecentReverseSplit } from '../splitEvents.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { scoringVersion } from '../scoringConfig.js';
+import { recordScores } from '../scoreHistory.js';
+import { writeDocument } from '../storage.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownLabel } from '../postingRegistry.js';
+import { deriveDilutionMetrics, calculateDilutionSeverity } from '../dilutionSeverity.js';
+import { fmpGet } from '../vendors/fmp.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 
-// Cooldown settings (30 days for weekly leaderboard = ~4 weeks before repeat)
-const COOLDOWN_DAYS = parseInt(process.env.DILUTION_COOLDOWN_DAYS || '30');
-const POSTED_FILE = path.join(DATA_DIR, 'dilution_posted.json');
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// COOLDOWN / DEDUPE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function loadPostedHistory() {
-  try {
-    if (fs.existsSync(POSTED_FILE)) {
-      return JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'))?.tickers || {};
-    }
-  } catch (e) { /* ignore */ }
-  return {};
-}
-
-function savePostedHistory(tickers) {
-  fs.writeFileSync(POSTED_FILE, JSON.stringify({ tickers, updatedAt: new Date().toISOString() }, null, 2));
-}
-
-function isOnCooldown(ticker, posted) {
-  const lastPosted = posted[ticker];
-  if (!lastPosted) return false;
-  const daysSince = Math.floor((Date.now() - new Date(lastPosted).getTime()) / (1000 * 60 * 60 * 24));
-  return daysSince < COOLDOWN_DAYS;
-}
-
-function markTickersAsPosted(tickers) {
-  const posted = loadPostedHistory();
-  const today = new Date().toISOString().split('T')[0];
-  for (const t of tickers) {
-    posted[t] = today;
-  }
-  savePostedHistory(posted);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// FMP HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-async function fmpGet(endpoint) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_KEY}`;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) return null;
-    return await res.json();
-  } catch (e) {
-    return null;
-  }
-}
+// Cooldowns: POSTING_CONFIG.modules.dilution + the global cross-module cooldown (postingRegistry.js)
+const POSTING_MODULE = 'dilution';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // DATA ENRICHMENT
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function enrichATMTicker(filing) {
+async function enrichATMTicker(filing, ledger) {
   const { ticker } = filing;
   
   // Parallel fetch: quote, balance sheet, cash flow, historical prices
@@ -105,137 +58,20 @@ async function enrichATMTicker(filing) {
   const bs = balanceSheet?.[0] || {};
   const cf = cashFlow || [];
 
-  // Calculate metrics
-  const cash = bs.cashAndCashEquivalents || 0;
-  const debt = (bs.totalDebt || 0) + (bs.shortTermDebt || 0) + (bs.longTermDebt || 0);
-  
-  // Quarterly burn = negative operating cash flow
-  const quarterlyOCF = cf.map(c => c.operatingCashFlow || 0);
-  const avgQuarterlyBurn = quarterlyOCF.filter(o => o < 0).length > 0
-    ? Math.abs(quarterlyOCF.filter(o => o < 0).reduce((a, b) => a + b, 0) / quarterlyOCF.filter(o => o < 0).length)
-    : 0;
-  const monthlyBurn = avgQuarterlyBurn / 3;
-  const runwayMonths = monthlyBurn > 0 ? cash / monthlyBurn : 999;
-
-  // Price action from historical
-  let peakGain = 0, currentGain = 0, pullback = 0;
-  if (Array.isArray(historical) && historical.length >= 7) {
-    const candles = historical.slice(0, 30).reverse(); // oldest to newest
-    if (candles.length >= 7) {
-      const filingIdx = candles.findIndex(c => c.date >= filing.fileDate);
-      const startIdx = Math.max(0, filingIdx);
-      const window = candles.slice(startIdx);
-      
-      if (window.length >= 2) {
-        const startPrice = window[0].open;
-        const currentPrice = window[window.length - 1].close;
-        const peakHigh = Math.max(...window.map(c => c.high));
-        
-        peakGain = ((peakHigh - startPrice) / startPrice) * 100;
-        currentGain = ((currentPrice - startPrice) / startPrice) * 100;
-        pullback = peakGain - currentGain;
-      }
-    }
-  }
-
-  // Volume percentile (simple: current vs average)
-  const volumeRatio = q.avgVolume > 0 ? q.volume / q.avgVolume : 1;
-
-  return {
-    ...filing,
-    price: q.price,
-    marketCap: q.marketCap,
-    volume: q.volume,
-    avgVolume: q.avgVolume,
-    volumeRatio,
-    cash,
-    debt,
-    monthlyBurn,
-    runwayMonths,
-    peakGain,
-    currentGain,
-    pullback,
-    daysSinceFiling: Math.floor((Date.now() - new Date(filing.fileDate).getTime()) / (1000 * 60 * 60 * 24))
-  };
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// SCORING — Dilution Severity Score (0-100)
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function calculateDilutionSeverity(ticker) {
-  let distressScore = 0;  // 40% weight
-  let impactScore = 0;    // 40% weight
-  let attentionScore = 0; // 20% weight
-
-  // === DISTRESS (40 pts max) ===
-  // Runway
-  if (ticker.runwayMonths <= 3) distressScore += 15;
-  else if (ticker.runwayMonths <= 6) distressScore += 12;
-  else if (ticker.runwayMonths <= 12) distressScore += 8;
-  else if (ticker.runwayMonths <= 18) distressScore += 4;
-
-  // Burn rate relative to cash
-  const burnRatio = ticker.monthlyBurn > 0 ? ticker.cash / ticker.monthlyBurn : 999;
-  if (burnRatio < 3) distressScore += 15;
-  else if (burnRatio < 6) distressScore += 10;
-  else if (burnRatio < 12) distressScore += 5;
-
-  // Debt vs cash
-  const debtCashRatio = ticker.cash > 0 ? ticker.debt / ticker.cash : 999;
-  if (debtCashRatio > 5) distressScore += 10;
-  else if (debtCashRatio > 2) distressScore += 7;
-  else if (debtCashRatio > 1) distressScore += 4;
-
-  // === ATM IMPACT (40 pts max) ===
-  // Pullback from peak (dilution may have started)
-  if (ticker.pullback >= 30) impactScore += 15;
-  else if (ticker.pullback >= 20) impactScore += 12;
-  else if (ticker.pullback >= 10) impactScore += 8;
-  else if (ticker.pullback >= 5) impactScore += 4;
-
-  // Peak gain (setup magnitude)
-  if (ticker.peakGain >= 100) impactScore += 15;
-  else if (ticker.peakGain >= 50) impactScore += 12;
-  else if (ticker.peakGain >= 30) impactScore += 8;
-  else if (ticker.peakGain >= 15) impactScore += 4;
-
-  // Recency of filing
-  if (ticker.daysSinceFiling <= 3) impactScore += 10;
-  else if (ticker.daysSinceFiling <= 7) impactScore += 7;
-  else if (ticker.daysSinceFiling <= 14) impactScore += 4;
-
-  // === ATTENTION (20 pts max) ===
-  // Volume ratio
-  if (ticker.volumeRatio >= 3) attentionScore += 10;
-  else if (ticker.volumeRatio >= 2) attentionScore += 7;
-  else if (ticker.volumeRatio >= 1.5) attentionScore += 5;
-  else if (ticker.volumeRatio >= 1) attentionScore += 3;
-
-  // Market cap sweet spot (retail favorites: $50M - $2B)
-  const mcap = ticker.marketCap || 0;
-  if (mcap >= 50_000_000 && mcap <= 500_000_000) attentionScore += 10;
-  else if (mcap >= 500_000_000 && mcap <= 2_000_000_000) attentionScore += 7;
-  else if (mcap >= 10_000_000 && mcap < 50_000_000) attentionScore += 5;
-
-  const totalScore = Math.min(100, distressScore + impactScore + attentionScore);
-
-  return {
-    score: totalScore,
-    dss: totalScore, // Dilution Severity Score (DSS) - branded name
-    distressScore,
-    impactScore,
-    attentionScore,
-    breakdown: {
-      runway: ticker.runwayMonths,
-      burnRatio,
-      debtCashRatio,
-      pullback: ticker.pullback,
-      peakGain: ticker.peakGain,
-      daysSinceFiling: ticker.daysSinceFiling,
-      volumeRatio: ticker.volumeRatio
-    }
-  };
+  // Split events: adjust the price window + reverse-split risk flag
+  const splits = await getSplitEvents(ticker);
+  const candles = Array.isArray(historical) && historical.length >= 7
+    ? adjustForSplits(historical.slice(0, 30).reverse(), splits) // oldest to newest
+    : [];
+
+  return deriveDilutionMetrics(filing, {
+    quote: q,
+    balanceSheet: bs,
+    cashFlow: cf,
+    candles,
+    recentReverseSplit: findRecentReverseSplit(splits),
+    ledgerEntry: getLedgerEntry(ticker, ledger)
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -260,6 +96,9 @@ async function generateAIOneLiners(tickers) {
       peakGain: t.peakGain?.toFixed(0),
       daysSinceFiling: t.daysSinceFiling,
       debtCashRatio: t.scoring.breakdown.debtCashRatio?.toFixed(1),
+      atmSizePct: t.atmSizePct?.toFixed(0),
+      atmRemainingPct: t.atmRemainingPct?.toFixed(0),
+      reverseSplit: t.recentReverseSplit ? `${t.recentReverseSplit.label} ${t.recentReverseSplit.daysAgo}d ago` : null,
       marketCapStr,
       marketCapRaw: mcap
     };
@@ -275,6 +114,9 @@ METRIC OPTIONS (use exact format, pick 2 quantitative metrics):
 - "+X% spike" for peakGain (e.g., "+92% spike")
 - "ATM filed Xd ago" for daysSinceFiling (e.g., "ATM filed 3d ago")
 - "debt Xx cash" for debtCashRatio (e.g., "debt 13.1x cash", "debt 196x cash")
+- "ATM X% of cap" for atmSizePct if provided (e.g., "ATM 45% of cap")
+- "X% of cap left on ATM" for atmRemainingPct if provided (e.g., "30% of cap left on ATM")
+- "1:X R/S Yd ago" for reverseSplit if provided (e.g., "1:50 R/S 12d ago")
 - "$XM cap" for marketCapStr if provided (e.g., "$72M cap", "$35M cap")
 - "thin liquidity" for small caps under $100M
 
@@ -338,6 +180,17 @@ function generateFallbackReason(ticker, scoring) {
   if (ticker.daysSinceFiling <= 7) {
     metrics.push({ key: 'days', text: `ATM filed ${ticker.daysSinceFiling}d ago`, priority: ticker.daysSinceFiling <= 3 ? 9 : 5 });
   }
+  // With ledger data, an ATM that's mostly used up isn't flagged by its original size
+  if (ticker.atmRemainingPct !== null && ticker.atmRemainingPct !== undefined) {
+    if (ticker.atmRemainingPct >= 10) {
+      metrics.push({ key: 'atm', text: `${ticker.atmRemainingPct.toFixed(0)}% of cap left on ATM`, priority: ticker.atmRemainingPct >= 25 ? 9 : 6 });
+    }
+  } else if (ticker.atmSizePct >= 10) {
+    metrics.push({ key: 'atm', text: `ATM ${ticker.atmSizePct.toFixed(0)}% of cap`, priority: ticker.atmSizePct >= 25 ? 9 : 6 });
+  }
+  if (ticker.recentReverseSplit) {
+    metrics.push({ key: 'split', text: `${ticker.recentReverseSplit.label} ${ticker.recentReverseSplit.daysAgo}d ago`, priority: 8 });
+  }
   if (scoring.breakdown.debtCashRatio > 2) {
     metrics.push({ key: 'debt', text: `debt ${scoring.breakdown.debtCashRatio.toFixed(1)}x cash`, priority: scoring.breakdown.debtCashRatio > 5 ? 9 : 6 });
   }
@@ -375,7 +228,7 @@ export async function generateDilutionLeaderboard(options = {}) {
 
   // Step 1: Get ATM filings from SEC EDGAR
   console.log(`📡 Step 1: Fetching ATM filings from SEC EDGAR (${days} days)...\n`);
-  const filings = await getRecentATMFilings(days);
+  const filings = await getRecentATMFilings(days, { withPrograms: true });
   console.log(`   Found ${filings.length} unique ATM filings\n`);
 
   if (filings.length === 0) {
@@ -385,10 +238,11 @@ export async function generateDilutionLeaderboard(options = {}) {
   // Step 2: Enrich with FMP data
   console.log(`📊 Step 2: Enriching with FMP data...\n`);
   const enriched = [];
+  const ledger = loadATMLedger();
   
   for (const filing of filings) {
     process.stdout.write(`   ${filing.ticker}...`);
-    const data = await enrichATMTicker(filing);
+    const data = await enrichATMTicker(filing, ledger);
     if (data && data.marketCap > 0) {
       enriched.push(data);
       console.log(` ✓`);
@@ -408,14 +262,16 @@ export async function generateDilutionLeaderboard(options = {}) {
   });
 
   // Load cooldown history
-  const posted = loadPostedHistory();
+  const registry = loadRegistry();
   const skippedCooldown = [];
 
   // Filter by minimum score, exclude cooldown tickers, and sort
   const qualified = scored
     .filter(t => {
       if (t.scoring.score < minScore) return false;
-      if (isOnCooldown(t.ticker, posted)) {
+      const cooldown = checkCooldown(POSTING_MODULE, t.ticker, { score: t.scoring.score, registry });
+      if (cooldown.override) console.log(`   🔓 ${t.ticker}: ${cooldown.text}`);
+      if (cooldown.blocked) {
         skippedCooldown.push(t.ticker);
         return false;
       }
@@ -471,14 +327,22 @@ export async function generateDilutionLeaderboard(options = {}) {
       peakGain: t.peakGain?.toFixed(1),
       daysSinceFiling: t.daysSinceFiling,
       marketCap: t.marketCap,
+      atmOffering: t.atmOffering,
+      atmSizePct: t.atmSizePct?.toFixed(1),
+      atmRemaining: t.atmRemaining,
+      atmRemainingPct: t.atmRemainingPct?.toFixed(1),
+      atmProgramType: t.atmProgram?.programType || null,
+      atmAgents: t.atmProgram?.agents || [],
+      recentReverseSplit: t.recentReverseSplit?.label || null,
       debtCashRatio: t.scoring.breakdown.debtCashRatio?.toFixed(1)
-    }
+    },
+    explanation: t.scoring.explanation
   }));
 
-  // Save to file
-  const outputPath = path.join(DATA_DIR, 'dilution_leaderboard.json');
+  // Save to the store
   const output = {
     generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     period: `${days}d`,
     dateRange,
     totalFilings: filings.length,
@@ -487,9 +351,12 @@ export async function generateDilutionLeaderboard(options = {}) {
     leaderboard
   };
   
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n💾 Saved to ${outputPath}`);
+  writeDocument('dilution_leaderboard', output);
+  console.log(`\n💾 Saved dilution_leaderboard`);
+
+  // Every scored filing, not just the ranked ones, so trends cover the whole window
+  const recorded = recordScores('dilution_leaderboard', scored.map(t => ({ ticker: t.ticker, engine: 'dss', score: t.scoring.score })));
+  console.log(`📈 Recorded ${recorded} score(s) to history`);
 
   return output;
 }
@@ -553,14 +420,15 @@ export async function runDilutionLeaderboard(options = {}) {
     } else if (DRY_RUN) {
       console.log('\n[DRY_RUN] Would post. Set DRY_RUN=false to post.');
     } else {
-      console.log('\n🚀 Posting to Twitter...');
+      console.log('\n🚀 Publishing...');
       try {
-        const result = await postAlertThread(tweet, [], null);
+        const result = await publishThread(POSTING_MODULE, tweet, [], null);
         console.log(`✅ Posted!`);
-        // Mark all tickers in leaderboard as posted (30-day cooldown)
+        // Mark all tickers in leaderboard as posted (with the score, for cooldown overrides)
         const tickers = leaderboardData.leaderboard.map(t => t.ticker);
-        markTickersAsPosted(tickers);
-        console.log(`   ⏳ ${tickers.length} tickers on ${COOLDOWN_DAYS}-day cooldown`);
+        recordPosting(POSTING_MODULE, leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.score })));
+        registerCalls('dilution_leaderboard', leaderboardData.leaderboard, { tweetId: result?.tweets?.[0]?.id });
+        console.log(`   ⏳ ${tickers.length} tickers on ${cooldownLabel(POSTING_MODULE)}`);
       } catch (e) {
         console.error(`❌ Post failed: ${e.message}`);
       }
@@ -1,12 +1,13 @@
 /**
  * WEEKLY LEADERBOARDS — Main Entry Point
  * 
- * Five independent leaderboard systems:
+ * Six independent leaderboard systems:
  *   1. Dilution Leaderboard (Mon) — ATM filings from SEC EDGAR
  *   2. Bankruptcy Leaderboard (Tue) — 3-stage filtered distress scan
  *   3. Shelf Offering Radar (Wed) — S-3/shelf registrations (dilution armed)
  *   4. Insider Selling Watch (Thu) — Insiders selling into strength
  *   5. Insider Buying Radar (Fri) — Insiders buying dips/flat (bullish)
+ *   6. Delisting Watch (Sat) — 8-K Item 3.01 exchange deficiency notices
  * 
  * Each produces ONE consolidated tweet.
  * 
@@ -21,26 +22,32 @@
  *   node src/weekly/index.js insider --post       # Post insider tweet
  *   node src/weekly/index.js buying               # Preview insider buying radar
  *   node src/weekly/index.js buying --post        # Post buying tweet
+ *   node src/weekly/index.js delisting            # Preview delisting watch
+ *   node src/weekly/index.js delisting --post     # Post delisting tweet
  *   node src/weekly/index.js all                  # Preview all
  *   node src/weekly/index.js all --post           # Post all (with delays)
  */
 
+// Network cassettes (FIXTURE_MODE) - must load before anything creates an HTTP client
+import '../vendors/cassette.js';
+import '../scoringConfigFlag.js';
 import { runDilutionLeaderboard } from './dilutionLeaderboard.js';
 import { runBankruptcyLeaderboard } from './bankruptcyLeaderboard.js';
 import { runShelfLeaderboard } from './shelfLeaderboard.js';
 import { runInsiderLeaderboard } from './insiderLeaderboard.js';
 import { runInsiderBuyingLeaderboard } from './insiderBuyingLeaderboard.js';
+import { runDelistingLeaderboard } from './delistingLeaderboard.js';
 
 async function main() {
   const args = process.argv.slice(2);
-  const mode = args[0]?.toLowerCase();
+  const mode = args.find(a => !a.startsWith('--'))?.toLowerCase();
   const post = args.includes('--post');
   const greetingArg = args.find(a => a.startsWith('--greeting='));
   const greeting = greetingArg ? greetingArg.split('=')[1] : null;
   const daysArg = args.find(a => a.startsWith('--days='));
   const days = daysArg ? parseInt(daysArg.split('=')[1]) : 7;
 
-  if (!mode || !['dilution', 'bankruptcy', 'shelf', 'insider', 'buying', 'all', 'both'].includes(mode)) {
+  if (!mode || !['dilution', 'bankruptcy', 'shelf', 'insider', 'buying', 'delisting', 'all', 'both'].includes(mode)) {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════════════════════╗
 ║  WEEKLY LEADERBOARDS                                                          ║
@@ -55,12 +62,14 @@ Modes:
   shelf        S-3/shelf filings → Risk scoring → Tweet (Wednesday)
   insider      Insider selling disconnect → Risk scoring → Tweet (Thursday)
   buying       Insider buying conviction → Score → Tweet (Friday)
-  all          Run all five leaderboards
+  delisting    8-K Item 3.01 notices → Risk scoring → Tweet (Saturday)
+  all          Run all six leaderboards
 
 Options:
   --post              Post to Twitter (otherwise preview only)
   --greeting="GM!"    Add greeting to tweet
   --days=7            Lookback days for scans (default: 7)
+  --config=<path>     Score with another scoring.config.json
 
 Examples:
   node src/weekly/index.js dilution
@@ -125,6 +134,18 @@ Examples:
     await runInsiderBuyingLeaderboard(options);
   }
 
+  if (mode === 'all') {
+    console.log('\n\n' + '═'.repeat(70));
+    console.log('Waiting 30s before next post...');
+    console.log('═'.repeat(70) + '\n');
+    await new Promise(r => setTimeout(r, 30000));
+  }
+
+  if (mode === 'delisting' || mode === 'all') {
+    console.log('\n🚨 Running DELISTING WATCH...\n');
+    await runDelistingLeaderboard(options);
+  }
+
   console.log('\n✅ Done!');
 }
 
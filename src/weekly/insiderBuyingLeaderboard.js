@@ -20,75 +20,23 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import '../scoringConfigFlag.js';
 import OpenAI from 'openai';
 
-import { postAlertThread } from '../twitterPoster.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { writeDocument } from '../storage.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownLabel } from '../postingRegistry.js';
+import { scoringVersion } from '../scoringConfig.js';
+import { buildExplanation, pointsFactor } from '../scoreExplanation.js';
+import { splitAdjustCandles } from '../splitEvents.js';
+import { fmpGet } from '../vendors/fmp.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 
-// Cooldown settings (30 days for weekly leaderboard)
-const COOLDOWN_DAYS = parseInt(process.env.INSIDER_BUY_COOLDOWN_DAYS || '30');
-const POSTED_FILE = path.join(DATA_DIR, 'insider_buying_posted.json');
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// COOLDOWN / DEDUPE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function loadPostedHistory() {
-  try {
-    if (fs.existsSync(POSTED_FILE)) {
-      return JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'))?.tickers || {};
-    }
-  } catch (e) { /* ignore */ }
-  return {};
-}
-
-function savePostedHistory(tickers) {
-  fs.writeFileSync(POSTED_FILE, JSON.stringify({ tickers, updatedAt: new Date().toISOString() }, null, 2));
-}
-
-function isOnCooldown(ticker, posted) {
-  const lastPosted = posted[ticker];
-  if (!lastPosted) return false;
-  const daysSince = Math.floor((Date.now() - new Date(lastPosted).getTime()) / (1000 * 60 * 60 * 24));
-  return daysSince < COOLDOWN_DAYS;
-}
-
-function markTickersAsPosted(tickers) {
-  const posted = loadPostedHistory();
-  const today = new Date().toISOString().split('T')[0];
-  for (const t of tickers) {
-    posted[t] = today;
-  }
-  savePostedHistory(posted);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// FMP HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-async function fmpGet(endpoint) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_KEY}`;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) {
-      if (res.status === 429) console.log(`   ⚠️  FMP 429: ${endpoint.split('?')[0]}`);
-      return null;
-    }
-    return await res.json();
-  } catch (e) {
-    return null;
-  }
-}
+// Cooldowns: POSTING_CONFIG.modules.insider_buying + the global cross-module cooldown (postingRegistry.js)
+const POSTING_MODULE = 'insider_buying';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // INSIDER TRANSACTION SCANNER
@@ -183,7 +131,7 @@ async function analyzeTickerFromPurchases(ticker, purchases) {
   let volatility30d = 0;
   
   if (Array.isArray(historical) && historical.length >= 2) {
-    const sortedPrices = historical.slice(0, 252).reverse(); // oldest to newest
+    const sortedPrices = await splitAdjustCandles(ticker, historical.slice(0, 252).reverse()); // oldest to newest
     
     // 30-day change
     if (sortedPrices.length >= 22) {
@@ -313,9 +261,25 @@ function calculateConvictionScore(ticker) {
   else { breakdown.recency = 2; }
   score += breakdown.recency;
 
+  const conviction = Math.min(100, Math.round(score));
+  const titles = [ticker.hasCEO && 'CEO', ticker.hasCFO && 'CFO', ticker.has10PctOwner && '10% owner', ticker.hasDirector && 'director'].filter(Boolean);
+  const explanation = buildExplanation('conviction', conviction, 100, [
+    pointsFactor('valueImpact', 'Value bought', pctBought, breakdown.valueImpact, 25,
+      `Insiders bought ${pctBought?.toFixed(2)}% of market cap`),
+    pointsFactor('priceContext', 'Price context', ticker.priceChange30d, breakdown.priceContext, 25,
+      `Bought on a ${ticker.priceContext} (${ticker.priceChange30d >= 0 ? '+' : ''}${ticker.priceChange30d?.toFixed(0)}% in 30 days)`),
+    pointsFactor('seniority', 'Seniority', titles.join('/') || null, breakdown.seniority, 25,
+      titles.length ? `${titles.join(' + ')} buying` : 'No senior buyers'),
+    pointsFactor('cluster', 'Cluster', ticker.insiderCount, breakdown.cluster, 15,
+      `${ticker.insiderCount} insider${ticker.insiderCount === 1 ? '' : 's'}, ${ticker.purchaseCount} purchase${ticker.purchaseCount === 1 ? '' : 's'}`),
+    pointsFactor('recency', 'Recency', days, breakdown.recency, 10,
+      `Last buy ${days}d ago`)
+  ]);
+
   return {
-    score: Math.min(100, Math.round(score)),
-    breakdown
+    score: conviction,
+    breakdown,
+    explanation
   };
 }
 
@@ -518,10 +482,10 @@ export async function generateInsiderBuyingLeaderboard(options = {}) {
   }));
 
   // Filter by minimum score and cooldown
-  const posted = loadPostedHistory();
+  const registry = loadRegistry();
   const candidates = scored
     .filter(t => t.scoring.score >= minScore)
-    .filter(t => !isOnCooldown(t.ticker, posted))
+    .filter(t => !checkCooldown(POSTING_MODULE, t.ticker, { score: t.scoring.score, registry }).blocked)
     .sort((a, b) => b.scoring.score - a.scoring.score)
     .slice(0, maxTickers);
 
@@ -552,13 +516,14 @@ export async function generateInsiderBuyingLeaderboard(options = {}) {
       hasCEO: t.hasCEO,
       hasCFO: t.hasCFO
     },
-    breakdown: t.scoring.breakdown
+    breakdown: t.scoring.breakdown,
+    explanation: t.scoring.explanation
   }));
 
   // Save output
-  const outputPath = path.join(DATA_DIR, 'insider_buying_leaderboard.json');
   const output = {
     generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     scanner: 'insider-buying-radar',
     leaderboard,
     stats: {
@@ -569,9 +534,8 @@ export async function generateInsiderBuyingLeaderboard(options = {}) {
     }
   };
   
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n💾 Saved to ${outputPath}`);
+  writeDocument('insider_buying_leaderboard', output);
+  console.log(`\n💾 Saved insider_buying_leaderboard`);
 
   return output;
 }
@@ -631,13 +595,14 @@ export async function runInsiderBuyingLeaderboard(options = {}) {
     if (DRY_RUN) {
       console.log('\n[DRY_RUN] Would post. Set DRY_RUN=false to post.');
     } else {
-      console.log('\n🚀 Posting to Twitter...');
+      console.log('\n🚀 Publishing...');
       try {
-        await postAlertThread(tweet, [], null);
+        const result = await publishThread(POSTING_MODULE, tweet, [], null);
         console.log(`✅ Posted!`);
         const tickers = leaderboardData.leaderboard.map(t => t.ticker);
-        markTickersAsPosted(tickers);
-        console.log(`   ⏳ ${tickers.length} tickers on ${COOLDOWN_DAYS}-day cooldown`);
+        recordPosting(POSTING_MODULE, leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.score })));
+        registerCalls('insider_buying_leaderboard', leaderboardData.leaderboard, { tweetId: result?.tweets?.[0]?.id });
+        console.log(`   ⏳ ${tickers.length} tickers on ${cooldownLabel(POSTING_MODULE)}`);
       } catch (e) {
         console.error(`❌ Post failed: ${e.message}`);
       }
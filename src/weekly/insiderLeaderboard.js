@@ -14,75 +14,23 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import '../scoringConfigFlag.js';
 import OpenAI from 'openai';
 
-import { postAlertThread } from '../twitterPoster.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { writeDocument } from '../storage.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownLabel } from '../postingRegistry.js';
+import { SCORING_CONFIG, scoringVersion, tierPoints, tierMax } from '../scoringConfig.js';
+import { buildExplanation, pointsFactor } from '../scoreExplanation.js';
+import { splitAdjustCandles } from '../splitEvents.js';
+import { fmpGet } from '../vendors/fmp.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 
-// Cooldown settings (30 days for weekly leaderboard)
-const COOLDOWN_DAYS = parseInt(process.env.INSIDER_COOLDOWN_DAYS || '30');
-const POSTED_FILE = path.join(DATA_DIR, 'insider_posted.json');
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// COOLDOWN / DEDUPE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function loadPostedHistory() {
-  try {
-    if (fs.existsSync(POSTED_FILE)) {
-      return JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'))?.tickers || {};
-    }
-  } catch (e) { /* ignore */ }
-  return {};
-}
-
-function savePostedHistory(tickers) {
-  fs.writeFileSync(POSTED_FILE, JSON.stringify({ tickers, updatedAt: new Date().toISOString() }, null, 2));
-}
-
-function isOnCooldown(ticker, posted) {
-  const lastPosted = posted[ticker];
-  if (!lastPosted) return false;
-  const daysSince = Math.floor((Date.now() - new Date(lastPosted).getTime()) / (1000 * 60 * 60 * 24));
-  return daysSince < COOLDOWN_DAYS;
-}
-
-function markTickersAsPosted(tickers) {
-  const posted = loadPostedHistory();
-  const today = new Date().toISOString().split('T')[0];
-  for (const t of tickers) {
-    posted[t] = today;
-  }
-  savePostedHistory(posted);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// FMP HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-async function fmpGet(endpoint) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_KEY}`;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) {
-      if (res.status === 429) console.log(`   ⚠️  FMP 429: ${endpoint.split('?')[0]}`);
-      return null;
-    }
-    return await res.json();
-  } catch (e) {
-    return null;
-  }
-}
+// Cooldowns: POSTING_CONFIG.modules.insider + the global cross-module cooldown (postingRegistry.js)
+const POSTING_MODULE = 'insider';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // INSIDER TRANSACTION SCANNER
@@ -174,7 +122,7 @@ async function analyzeTickerFromTransactions(ticker, sales) {
   let priceChangeYTD = 0;
   
   if (Array.isArray(historical) && historical.length >= 2) {
-    const sortedPrices = historical.slice(0, 252).reverse(); // oldest to newest
+    const sortedPrices = await splitAdjustCandles(ticker, historical.slice(0, 252).reverse()); // oldest to newest
     
     // 30-day change
     if (sortedPrices.length >= 22) {
@@ -232,62 +180,53 @@ async function analyzeTickerFromTransactions(ticker, sales) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 function calculateIDS(ticker) {
-  let score = 0;
+  const tiers = SCORING_CONFIG.insiderIDS;
   const breakdown = {};
 
   // 1. Selling Value Impact (0-25 pts) - % of market cap sold
-  const pctSold = ticker.pctMarketCapSold;
-  if (pctSold > 5) { breakdown.valueImpact = 25; }
-  else if (pctSold > 2) { breakdown.valueImpact = 20; }
-  else if (pctSold > 1) { breakdown.valueImpact = 15; }
-  else if (pctSold > 0.5) { breakdown.valueImpact = 10; }
-  else { breakdown.valueImpact = 5; }
-  score += breakdown.valueImpact;
-
-  // 2. Price Disconnect (0-25 pts) - selling while stock is UP
-  const priceUp = Math.max(ticker.priceChange30d, 0);
-  if (priceUp > 50) { breakdown.priceDisconnect = 25; }
-  else if (priceUp > 30) { breakdown.priceDisconnect = 20; }
-  else if (priceUp > 15) { breakdown.priceDisconnect = 15; }
-  else if (priceUp > 5) { breakdown.priceDisconnect = 10; }
-  else { breakdown.priceDisconnect = 0; } // No disconnect if price flat/down
-  score += breakdown.priceDisconnect;
+  breakdown.valueImpact = tierPoints(ticker.pctMarketCapSold, tiers.pctMarketCapSold);
+
+  // 2. Price Disconnect (0-25 pts) - selling while stock is UP (none if price flat/down)
+  breakdown.priceDisconnect = tierPoints(Math.max(ticker.priceChange30d, 0), tiers.priceChange30d);
 
   // 3. Insider Seniority (0-20 pts)
   breakdown.seniority = 0;
-  if (ticker.hasCEO) breakdown.seniority += 10;
-  if (ticker.hasCFO) breakdown.seniority += 7;
-  if (ticker.hasDirector) breakdown.seniority += 3;
-  breakdown.seniority = Math.min(20, breakdown.seniority);
-  score += breakdown.seniority;
-
-  // 4. Cluster Signal (0-15 pts) - multiple insiders or multiple sales
-  if (ticker.insiderCount >= 3) { breakdown.cluster = 15; }
-  else if (ticker.insiderCount >= 2) { breakdown.cluster = 12; }
-  else if (ticker.salesCount >= 3) { breakdown.cluster = 10; }
-  else if (ticker.salesCount >= 2) { breakdown.cluster = 5; }
-  else { breakdown.cluster = 0; }
-  score += breakdown.cluster;
+  if (ticker.hasCEO) breakdown.seniority += tiers.seniority.ceo;
+  if (ticker.hasCFO) breakdown.seniority += tiers.seniority.cfo;
+  if (ticker.hasDirector) breakdown.seniority += tiers.seniority.director;
+  breakdown.seniority = Math.min(tiers.seniority.max, breakdown.seniority);
+
+  // 4. Cluster Signal (0-15 pts) - multiple insiders, else multiple sales
+  breakdown.cluster = tierPoints(ticker.insiderCount, tiers.insiderCount, null)
+    ?? tierPoints(ticker.salesCount, tiers.salesCount);
 
   // 5. Recency (0-10 pts)
-  const days = ticker.daysSinceLastSale;
-  if (days <= 3) { breakdown.recency = 10; }
-  else if (days <= 7) { breakdown.recency = 8; }
-  else if (days <= 14) { breakdown.recency = 5; }
-  else { breakdown.recency = 2; }
-  score += breakdown.recency;
+  breakdown.recency = tierPoints(ticker.daysSinceLastSale, tiers.daysSinceLastSale);
 
   // 6. Dollar Amount (0-5 pts) - absolute size matters for attention
-  const valueSold = ticker.totalValueSold;
-  if (valueSold > 10e6) { breakdown.dollarSize = 5; }
-  else if (valueSold > 5e6) { breakdown.dollarSize = 4; }
-  else if (valueSold > 1e6) { breakdown.dollarSize = 3; }
-  else { breakdown.dollarSize = 1; }
-  score += breakdown.dollarSize;
-
+  breakdown.dollarSize = tierPoints(ticker.totalValueSold, tiers.totalValueSold);
+
+  const score = Object.values(breakdown).reduce((sum, pts) => sum + pts, 0);
+  const ids = Math.min(100, Math.round(score));
+  const titles = [ticker.hasCEO && 'CEO', ticker.hasCFO && 'CFO', ticker.hasDirector && 'director'].filter(Boolean);
+  const explanation = buildExplanation('ids', ids, 100, [
+    pointsFactor('valueImpact', 'Value sold', ticker.pctMarketCapSold, breakdown.valueImpact, tierMax(tiers.pctMarketCapSold),
+      `Insiders sold ${ticker.pctMarketCapSold?.toFixed(2)}% of market cap`),
+    pointsFactor('priceDisconnect', 'Price disconnect', ticker.priceChange30d, breakdown.priceDisconnect, tierMax(tiers.priceChange30d),
+      ticker.priceChange30d > 0 ? `Selling into a +${ticker.priceChange30d.toFixed(0)}% 30-day run` : 'Stock flat or down over 30 days'),
+    pointsFactor('seniority', 'Seniority', titles.join('/') || null, breakdown.seniority, tiers.seniority.max,
+      titles.length ? `${titles.join(' + ')} selling` : 'No C-suite or director sellers'),
+    pointsFactor('cluster', 'Cluster', ticker.insiderCount, breakdown.cluster, Math.max(tierMax(tiers.insiderCount), tierMax(tiers.salesCount)),
+      `${ticker.insiderCount} insider${ticker.insiderCount === 1 ? '' : 's'}, ${ticker.salesCount} sale${ticker.salesCount === 1 ? '' : 's'}`),
+    pointsFactor('recency', 'Recency', ticker.daysSinceLastSale, breakdown.recency, tierMax(tiers.daysSinceLastSale),
+      `Last sale ${ticker.daysSinceLastSale}d ago`),
+    pointsFactor('dollarSize', 'Dollar size', ticker.totalValueSold, breakdown.dollarSize, tierMax(tiers.totalValueSold),
+      `$${(ticker.totalValueSold / 1e6).toFixed(1)}M sold`)
+  ]);
   return {
-    score: Math.min(100, Math.round(score)),
-    breakdown
+    score: ids,
+    breakdown,
+    explanation
   };
 }
 
@@ -499,7 +438,7 @@ export async function generateInsiderLeaderboard(options = {}) {
   });
 
   // Load cooldown history
-  const posted = loadPostedHistory();
+  const registry = loadRegistry();
   const skippedCooldown = [];
 
   // Filter by minimum score, require price UP (disconnect), exclude cooldown
@@ -507,7 +446,9 @@ export async function generateInsiderLeaderboard(options = {}) {
     .filter(t => {
       if (t.scoring.score < minScore) return false;
       if (t.priceChange30d < 5) return false; // Must be selling into STRENGTH
-      if (isOnCooldown(t.ticker, posted)) {
+      const cooldown = checkCooldown(POSTING_MODULE, t.ticker, { score: t.scoring.score, registry });
+      if (cooldown.override) console.log(`   🔓 ${t.ticker}: ${cooldown.text}`);
+      if (cooldown.blocked) {
         skippedCooldown.push(t.ticker);
         return false;
       }
@@ -564,13 +505,14 @@ export async function generateInsiderLeaderboard(options = {}) {
       hasCEO: t.hasCEO,
       hasCFO: t.hasCFO,
       isClusterSale: t.isClusterSale
-    }
+    },
+    explanation: t.scoring.explanation
   }));
 
-  // Save to file
-  const outputPath = path.join(DATA_DIR, 'insider_leaderboard.json');
+  // Save to the store
   const output = {
     generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     period: '30d',
     dateRange,
     totalTransactions: allTransactions.length,
@@ -580,9 +522,8 @@ export async function generateInsiderLeaderboard(options = {}) {
     leaderboard
   };
   
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n💾 Saved to ${outputPath}`);
+  writeDocument('insider_leaderboard', output);
+  console.log(`\n💾 Saved insider_leaderboard`);
 
   return output;
 }
@@ -641,13 +582,14 @@ export async function runInsiderLeaderboard(options = {}) {
     if (DRY_RUN) {
       console.log('\n[DRY_RUN] Would post. Set DRY_RUN=false to post.');
     } else {
-      console.log('\n🚀 Posting to Twitter...');
+      console.log('\n🚀 Publishing...');
       try {
-        await postAlertThread(tweet, [], null);
+        const result = await publishThread(POSTING_MODULE, tweet, [], null);
         console.log(`✅ Posted!`);
         const tickers = leaderboardData.leaderboard.map(t => t.ticker);
-        markTickersAsPosted(tickers);
-        console.log(`   ⏳ ${tickers.length} tickers on ${COOLDOWN_DAYS}-day cooldown`);
+        recordPosting(POSTING_MODULE, leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.score })));
+        registerCalls('insider_selling_leaderboard', leaderboardData.leaderboard, { tweetId: result?.tweets?.[0]?.id });
+        console.log(`   ⏳ ${tickers.length} tickers on ${cooldownLabel(POSTING_MODULE)}`);
       } catch (e) {
         console.error(`❌ Post failed: ${e.message}`);
       }
@@ -14,139 +14,29 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import '../scoringConfigFlag.js';
 import OpenAI from 'openai';
 
-import { postAlertThread } from '../twitterPoster.js';
+import { publishThread } from '../publisher.js';
+import { registerCalls } from '../scorecard.js';
+import { writeDocument } from '../storage.js';
+import { loadRegistry, checkCooldown, recordPosting, cooldownLabel } from '../postingRegistry.js';
+import { SCORING_CONFIG, scoringVersion, tierPoints, tierMax } from '../scoringConfig.js';
+import { buildExplanation, pointsFactor } from '../scoreExplanation.js';
+import { searchFilings } from '../vendors/sec.js';
+import { resolveFilings, logUnresolved } from '../vendors/secTickers.js';
+import { fmpGet } from '../vendors/fmp.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-
-const FMP_KEY = process.env.FMP_API_KEY;
-const FMP_BASE = 'https://financialmodelingprep.com/stable';
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const DRY_RUN = process.env.DRY_RUN !== 'false';
 
-// Cooldown settings (30 days for weekly leaderboard)
-const COOLDOWN_DAYS = parseInt(process.env.SHELF_COOLDOWN_DAYS || '30');
-const POSTED_FILE = path.join(DATA_DIR, 'shelf_posted.json');
-
-const SEC_USER_AGENT = 'DilutionHunter/1.0 (dilutionhunter@proton.me)';
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// COOLDOWN / DEDUPE HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-function loadPostedHistory() {
-  try {
-    if (fs.existsSync(POSTED_FILE)) {
-      return JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'))?.tickers || {};
-    }
-  } catch (e) { /* ignore */ }
-  return {};
-}
-
-function savePostedHistory(tickers) {
-  fs.writeFileSync(POSTED_FILE, JSON.stringify({ tickers, updatedAt: new Date().toISOString() }, null, 2));
-}
-
-function isOnCooldown(ticker, posted) {
-  const lastPosted = posted[ticker];
-  if (!lastPosted) return false;
-  const daysSince = Math.floor((Date.now() - new Date(lastPosted).getTime()) / (1000 * 60 * 60 * 24));
-  return daysSince < COOLDOWN_DAYS;
-}
-
-function markTickersAsPosted(tickers) {
-  const posted = loadPostedHistory();
-  const today = new Date().toISOString().split('T')[0];
-  for (const t of tickers) {
-    posted[t] = today;
-  }
-  savePostedHistory(posted);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// FMP HELPERS
-// ═══════════════════════════════════════════════════════════════════════════════
-
-async function fmpGet(endpoint) {
-  const url = `${FMP_BASE}${endpoint}${endpoint.includes('?') ? '&' : '?'}apikey=${FMP_KEY}`;
-  try {
-    const res = await fetch(url);
-    if (!res.ok) {
-      if (res.status === 429) console.log(`   ⚠️  FMP 429: ${endpoint.split('?')[0]}`);
-      return null;
-    }
-    return await res.json();
-  } catch (e) {
-    return null;
-  }
-}
-
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Cooldowns: POSTING_CONFIG.modules.shelf + the global cross-module cooldown (postingRegistry.js)
+const POSTING_MODULE = 'shelf';
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // SEC EDGAR SHELF FILING SCANNER
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function searchSECFilings(query, forms, startDate, endDate, limit = 200) {
-  const url = new URL('https://efts.sec.gov/LATEST/search-index');
-  url.searchParams.set('q', query);
-  url.searchParams.set('dateRange', 'custom');
-  url.searchParams.set('startdt', startDate);
-  url.searchParams.set('enddt', endDate);
-  url.searchParams.set('forms', forms);
-  url.searchParams.set('size', limit.toString());
-
-  // Retry logic with exponential backoff (SEC API can be very flaky)
-  const maxRetries = 5;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const res = await fetch(url.toString(), {
-        headers: { 'User-Agent': SEC_USER_AGENT }
-      });
-
-      if (res.ok) {
-        const data = await res.json();
-        return data.hits?.hits || [];
-      }
-      
-      // 5xx errors - SEC server issue, retry
-      if (res.status >= 500 && attempt < maxRetries) {
-        const waitTime = attempt * 10; // 10s, 20s, 30s, 40s
-        console.log(`   ⚠️ SEC API returned ${res.status}, retrying in ${waitTime}s... (attempt ${attempt}/${maxRetries})`);
-        await sleep(waitTime * 1000);
-        continue;
-      }
-      
-      // After all retries failed, return empty instead of crashing
-      console.log(`   ❌ SEC API returned ${res.status} after ${maxRetries} attempts - skipping this form type`);
-      return [];
-    } catch (err) {
-      if (attempt === maxRetries) {
-        console.log(`   ❌ SEC API error after ${maxRetries} attempts: ${err.message} - skipping this form type`);
-        return [];
-      }
-      const waitTime = attempt * 10;
-      console.log(`   ⚠️ SEC API error, retrying in ${waitTime}s... (attempt ${attempt}/${maxRetries})`);
-      await sleep(waitTime * 1000);
-    }
-  }
-  
-  return [];
-}
-
-function extractTicker(displayName) {
-  // Extract ticker from "Company Name  (TICK, TICK2)  (CIK ...)"
-  const match = displayName?.match(/\(([A-Z]{1,5})/);
-  return match ? match[1] : null;
-}
-
 async function getRecentShelfFilings(days = 7) {
   const endDate = new Date().toISOString().split('T')[0];
   const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -157,18 +47,20 @@ async function getRecentShelfFilings(days = 7) {
 
   // S-3 = Shelf Registration Statement
   console.log('   📄 Searching S-3 (shelf registration)...');
-  const s3Filings = await searchSECFilings(
+  const s3Filings = await searchFilings(
     '"shelf registration" OR "securities registered"',
     'S-3,S-3/A',
     startDate,
     endDate,
-    200
+    { limit: 200 }
   );
   console.log(`      Found ${s3Filings.length} S-3 filings`);
 
-  for (const filing of s3Filings) {
-    const source = filing._source;
-    const ticker = extractTicker(source.display_names?.[0]);
+  const s3Resolved = await resolveFilings(s3Filings);
+  logUnresolved(s3Resolved.unresolved, 'S-3 filings');
+
+  for (const { hit, ticker, tickers, cik, companyName } of s3Resolved.resolved) {
+    const source = hit._source;
     if (!ticker) continue;
 
     const existing = tickerMap.get(ticker);
@@ -176,7 +68,9 @@ async function getRecentShelfFilings(days = 7) {
     if (!existing || fileDate > existing.fileDate) {
       tickerMap.set(ticker, {
         ticker,
-        companyName: source.display_names?.[0]?.split('  (')[0] || ticker,
+        tickers,
+        cik,
+        companyName: companyName || ticker,
         fileDate,
         formType: source.form || 'S-3',
         daysSinceFiling: Math.floor((Date.now() - new Date(fileDate).getTime()) / (1000 * 60 * 60 * 24))
@@ -184,22 +78,22 @@ async function getRecentShelfFilings(days = 7) {
     }
   }
 
-  await new Promise(r => setTimeout(r, 200)); // Rate limit SEC
-
   // S-1 = Initial Registration (also for capital raises)
   console.log('   📄 Searching S-1 (initial registration)...');
-  const s1Filings = await searchSECFilings(
+  const s1Filings = await searchFilings(
     '"securities registered" OR "offering price"',
     'S-1,S-1/A',
     startDate,
     endDate,
-    200
+    { limit: 200 }
   );
   console.log(`      Found ${s1Filings.length} S-1 filings`);
 
-  for (const filing of s1Filings) {
-    const source = filing._source;
-    const ticker = extractTicker(source.display_names?.[0]);
+  const s1Resolved = await resolveFilings(s1Filings);
+  logUnresolved(s1Resolved.unresolved, 'S-1 filings');
+
+  for (const { hit, ticker, tickers, cik, companyName } of s1Resolved.resolved) {
+    const source = hit._source;
     if (!ticker) continue;
 
     const existing = tickerMap.get(ticker);
@@ -207,7 +101,9 @@ async function getRecentShelfFilings(days = 7) {
     if (!existing || fileDate > existing.fileDate) {
       tickerMap.set(ticker, {
         ticker,
-        companyName: source.display_names?.[0]?.split('  (')[0] || ticker,
+        tickers,
+        cik,
+        companyName: companyName || ticker,
         fileDate,
         formType: source.form || 'S-1',
         daysSinceFiling: Math.floor((Date.now() - new Date(fileDate).getTime()) / (1000 * 60 * 60 * 24))
@@ -215,22 +111,22 @@ async function getRecentShelfFilings(days = 7) {
     }
   }
 
-  await new Promise(r => setTimeout(r, 200));
-
   // S-8 = Employee Benefit Plan (stock compensation)
   console.log('   📄 Searching S-8 (stock compensation)...');
-  const s8Filings = await searchSECFilings(
+  const s8Filings = await searchFilings(
     '"employee stock" OR "equity incentive" OR "compensation plan"',
     'S-8',
     startDate,
     endDate,
-    200
+    { limit: 200 }
   );
   console.log(`      Found ${s8Filings.length} S-8 filings`);
 
-  for (const filing of s8Filings) {
-    const source = filing._source;
-    const ticker = extractTicker(source.display_names?.[0]);
+  const s8Resolved = await resolveFilings(s8Filings);
+  logUnresolved(s8Resolved.unresolved, 'S-8 filings');
+
+  for (const { hit, ticker, tickers, cik, companyName } of s8Resolved.resolved) {
+    const source = hit._source;
     if (!ticker) continue;
 
     const existing = tickerMap.get(ticker);
@@ -239,7 +135,9 @@ async function getRecentShelfFilings(days = 7) {
     if (!existing) {
       tickerMap.set(ticker, {
         ticker,
-        companyName: source.display_names?.[0]?.split('  (')[0] || ticker,
+        tickers,
+        cik,
+        companyName: companyName || ticker,
         fileDate,
         formType: source.form || 'S-8',
         daysSinceFiling: Math.floor((Date.now() - new Date(fileDate).getTime()) / (1000 * 60 * 60 * 24))
@@ -306,68 +204,52 @@ async function enrichShelfTicker(filing) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 function calculateSDR(ticker) {
-  let score = 0;
+  const tiers = SCORING_CONFIG.shelfSDR;
   const breakdown = {};
 
   // 1. Runway Risk (0-25 pts) - shorter runway = more urgent to raise
-  const runway = ticker.runwayMonths;
-  if (runway < 3) { breakdown.runwayRisk = 25; }
-  else if (runway < 6) { breakdown.runwayRisk = 20; }
-  else if (runway < 12) { breakdown.runwayRisk = 15; }
-  else if (runway < 24) { breakdown.runwayRisk = 10; }
-  else { breakdown.runwayRisk = 5; }
-  score += breakdown.runwayRisk;
+  breakdown.runwayRisk = tierPoints(ticker.runwayMonths, tiers.runwayMonths);
 
   // 2. Debt Pressure (0-20 pts)
-  const debtCash = ticker.debtCashRatio;
-  if (debtCash > 10) { breakdown.debtRisk = 20; }
-  else if (debtCash > 5) { breakdown.debtRisk = 15; }
-  else if (debtCash > 2) { breakdown.debtRisk = 10; }
-  else if (debtCash > 1) { breakdown.debtRisk = 5; }
-  else { breakdown.debtRisk = 0; }
-  score += breakdown.debtRisk;
+  breakdown.debtRisk = tierPoints(ticker.debtCashRatio, tiers.debtCashRatio);
 
   // 3. Filing Recency (0-20 pts) - more recent = more urgent
-  const days = ticker.daysSinceFiling || 0;
-  if (days <= 2) { breakdown.recencyRisk = 20; }
-  else if (days <= 5) { breakdown.recencyRisk = 15; }
-  else if (days <= 7) { breakdown.recencyRisk = 10; }
-  else { breakdown.recencyRisk = 5; }
-  score += breakdown.recencyRisk;
+  breakdown.recencyRisk = tierPoints(ticker.daysSinceFiling || 0, tiers.daysSinceFiling);
 
   // 4. Market Cap Risk (0-15 pts) - smaller = more dilution impact
-  const mcap = ticker.marketCap;
-  if (mcap < 50e6) { breakdown.mcapRisk = 15; }
-  else if (mcap < 200e6) { breakdown.mcapRisk = 12; }
-  else if (mcap < 500e6) { breakdown.mcapRisk = 8; }
-  else if (mcap < 1e9) { breakdown.mcapRisk = 5; }
-  else { breakdown.mcapRisk = 2; }
-  score += breakdown.mcapRisk;
+  breakdown.mcapRisk = tierPoints(ticker.marketCap, tiers.marketCap);
 
   // 5. Form Type Risk (0-10 pts) - S-3/A amendments = more urgent
   const form = ticker.formType;
-  if (form.includes('/A')) { breakdown.formRisk = 10; } // Amendments = moving forward
-  else if (form === 'S-3' || form === 'S-1') { breakdown.formRisk = 8; }
-  else if (form === '424B5') { breakdown.formRisk = 7; } // Prospectus supplement
-  else if (form === 'S-8') { breakdown.formRisk = 5; } // Stock comp plan
-  else { breakdown.formRisk = 5; }
-  score += breakdown.formRisk;
+  if (form.includes('/A')) { breakdown.formRisk = tiers.formType.amendment; } // Amendments = moving forward
+  else if (form in tiers.formType) { breakdown.formRisk = tiers.formType[form]; }
+  else { breakdown.formRisk = tiers.formType.other; }
 
   // 6. Cash Burn (0-10 pts)
-  if (ticker.monthlyBurn > 0) {
-    const burnRate = ticker.monthlyBurn;
-    if (burnRate > 10e6) { breakdown.burnRisk = 10; }
-    else if (burnRate > 5e6) { breakdown.burnRisk = 8; }
-    else if (burnRate > 1e6) { breakdown.burnRisk = 5; }
-    else { breakdown.burnRisk = 3; }
-  } else {
-    breakdown.burnRisk = 0; // Profitable
-  }
-  score += breakdown.burnRisk;
-
+  breakdown.burnRisk = ticker.monthlyBurn > 0
+    ? tierPoints(ticker.monthlyBurn, tiers.monthlyBurn)
+    : 0; // Profitable
+
+  const score = Object.values(breakdown).reduce((sum, pts) => sum + pts, 0);
+  const sdr = Math.min(100, Math.round(score));
+  const explanation = buildExplanation('sdr', sdr, 100, [
+    pointsFactor('runwayRisk', 'Cash runway', ticker.runwayMonths, breakdown.runwayRisk, tierMax(tiers.runwayMonths),
+      `${ticker.runwayMonths?.toFixed(1)} months of cash runway`),
+    pointsFactor('debtRisk', 'Debt vs cash', ticker.debtCashRatio, breakdown.debtRisk, tierMax(tiers.debtCashRatio),
+      `Debt ${ticker.debtCashRatio?.toFixed(1)}x cash`),
+    pointsFactor('recencyRisk', 'Filing recency', ticker.daysSinceFiling || 0, breakdown.recencyRisk, tierMax(tiers.daysSinceFiling),
+      `Shelf filed ${ticker.daysSinceFiling || 0}d ago`),
+    pointsFactor('mcapRisk', 'Market cap', ticker.marketCap, breakdown.mcapRisk, tierMax(tiers.marketCap),
+      `$${(ticker.marketCap / 1e6).toFixed(0)}M market cap`),
+    pointsFactor('formRisk', 'Form type', form, breakdown.formRisk, Math.max(...Object.values(tiers.formType)),
+      form.includes('/A') ? `${form} amendment (shelf moving forward)` : `${form} filing`),
+    pointsFactor('burnRisk', 'Cash burn', ticker.monthlyBurn, breakdown.burnRisk, tierMax(tiers.monthlyBurn),
+      ticker.monthlyBurn > 0 ? `Burning $${(ticker.monthlyBurn / 1e6).toFixed(1)}M/month` : 'Cash-flow positive')
+  ]);
   return {
-    score: Math.min(100, Math.round(score)),
-    breakdown
+    score: sdr,
+    breakdown,
+    explanation
   };
 }
 
@@ -519,14 +401,16 @@ export async function generateShelfLeaderboard(options = {}) {
   });
 
   // Load cooldown history
-  const posted = loadPostedHistory();
+  const registry = loadRegistry();
   const skippedCooldown = [];
 
   // Filter by minimum score, exclude cooldown tickers, and sort
   const qualified = scored
     .filter(t => {
       if (t.scoring.score < minScore) return false;
-      if (isOnCooldown(t.ticker, posted)) {
+      const cooldown = checkCooldown(POSTING_MODULE, t.ticker, { score: t.scoring.score, registry });
+      if (cooldown.override) console.log(`   🔓 ${t.ticker}: ${cooldown.text}`);
+      if (cooldown.blocked) {
         skippedCooldown.push(t.ticker);
         return false;
       }
@@ -583,13 +467,14 @@ export async function generateShelfLeaderboard(options = {}) {
       marketCap: t.marketCap,
       debtCashRatio: t.debtCashRatio?.toFixed(1),
       monthlyBurn: t.monthlyBurn
-    }
+    },
+    explanation: t.scoring.explanation
   }));
 
-  // Save to file
-  const outputPath = path.join(DATA_DIR, 'shelf_leaderboard.json');
+  // Save to the store
   const output = {
     generatedAt: new Date().toISOString(),
+    scoringConfig: scoringVersion(),
     period: `${days}d`,
     dateRange,
     totalFilings: filings.length,
@@ -598,9 +483,8 @@ export async function generateShelfLeaderboard(options = {}) {
     leaderboard
   };
   
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(output, null, 2));
-  console.log(`\n💾 Saved to ${outputPath}`);
+  writeDocument('shelf_leaderboard', output);
+  console.log(`\n💾 Saved shelf_leaderboard`);
 
   return output;
 }
@@ -665,14 +549,15 @@ export async function runShelfLeaderboard(options = {}) {
     } else if (DRY_RUN) {
       console.log('\n[DRY_RUN] Would post. Set DRY_RUN=false to post.');
     } else {
-      console.log('\n🚀 Posting to Twitter...');
+      console.log('\n🚀 Publishing...');
       try {
-        const result = await postAlertThread(tweet, [], null);
+        const result = await publishThread(POSTING_MODULE, tweet, [], null);
         console.log(`✅ Posted!`);
-        // Mark all tickers in leaderboard as posted (30-day cooldown)
+        // Mark all tickers in leaderboard as posted (with the score, for cooldown overrides)
         const tickers = leaderboardData.leaderboard.map(t => t.ticker);
-        markTickersAsPosted(tickers);
-        console.log(`   ⏳ ${tickers.length} tickers on ${COOLDOWN_DAYS}-day cooldown`);
+        recordPosting(POSTING_MODULE, leaderboardData.leaderboard.map(t => ({ ticker: t.ticker, score: t.score })));
+        registerCalls('shelf_leaderboard', leaderboardData.leaderboard, { tweetId: result?.tweets?.[0]?.id });
+        console.log(`   ⏳ ${tickers.length} tickers on ${cooldownLabel(POSTING_MODULE)}`);
       } catch (e) {
         console.error(`❌ Post failed: ${e.message}`);
       }
@@ -11,15 +11,13 @@
  */
 
 import 'dotenv/config';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import './scoringConfigFlag.js';
 import OpenAI from 'openai';
-import { postAlertThread } from './twitterPoster.js';
+import { publishThread } from './publisher.js';
 import { getRecentATMFilings } from './atmScanner.js';
+import { loadRegistry, checkCooldown, recordPosting } from './postingRegistry.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const POSTED_FILE = path.join(__dirname, '..', 'data', 'postedRoundups.json');
+const POSTING_MODULE = 'roundup'; // never repeats a ticker (data/postedRoundups.json in the JSON store)
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
@@ -27,35 +25,12 @@ const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 // TRACKING - Avoid posting same tickers twice
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function loadPostedTickers() {
-  try {
-    if (fs.existsSync(POSTED_FILE)) {
-      return JSON.parse(fs.readFileSync(POSTED_FILE, 'utf8'));
-    }
-  } catch (err) {
-    console.error('Warning: Could not load posted tickers:', err.message);
-  }
-  return { tickers: {} };  // { tickers: { "AMZE": "2025-11-28", ... } }
-}
-
-function savePostedTickers(data) {
-  const dir = path.dirname(POSTED_FILE);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-  fs.writeFileSync(POSTED_FILE, JSON.stringify(data, null, 2));
-}
-
-function filterNewFilings(filings, postedData) {
-  return filings.filter(f => !postedData.tickers[f.ticker]);
+function filterNewFilings(filings, registry) {
+  return filings.filter(f => !checkCooldown(POSTING_MODULE, f.ticker, { registry }).blocked);
 }
 
-function markAsPosted(filings, postedData) {
-  const today = new Date().toISOString().split('T')[0];
-  filings.forEach(f => {
-    postedData.tickers[f.ticker] = today;
-  });
-  savePostedTickers(postedData);
+function markAsPosted(filings) {
+  recordPosting(POSTING_MODULE, filings.map(f => f.ticker));
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -155,8 +130,8 @@ export async function generateWeeklyRoundup(options = {}) {
   });
   
   // Step 2: Filter out already-posted tickers
-  const postedData = loadPostedTickers();
-  const filings = filterNewFilings(allFilings, postedData);
+  const registry = loadRegistry();
+  const filings = filterNewFilings(allFilings, registry);
   
   const skippedCount = allFilings.length - filings.length;
   if (skippedCount > 0) {
@@ -196,21 +171,21 @@ ${tweet}
 
   // Step 4: Post if requested
   if (shouldPost) {
-    console.log('🚀 Posting to Twitter...\n');
+    console.log('🚀 Publishing...\n');
     
     const isDryRun = process.env.DRY_RUN !== 'false';
     if (isDryRun) {
       console.log('   [DRY_RUN] Would post tweet');
       console.log('   Set DRY_RUN=false to post for real.\n');
       // Still mark as posted in dry run so we can test deduplication
-      markAsPosted(filings, postedData);
-      console.log(`   📝 Marked ${filings.length} ticker(s) as posted in ${POSTED_FILE}\n`);
+      markAsPosted(filings);
+      console.log(`   📝 Marked ${filings.length} ticker(s) as posted (${POSTING_MODULE} cooldowns)\n`);
     } else {
       try {
-        const result = await postAlertThread(tweet, [], null); // Single tweet, no thread, no image
-        console.log(`   ✅ Posted! Tweet ID: ${result.tweetIds?.[0]}`);
+        const result = await publishThread(POSTING_MODULE, tweet, [], null); // Single tweet, no thread, no image
+        console.log(`   ✅ Posted! Tweet ID: ${result.tweets?.[0]?.id}`);
         // Mark tickers as posted only after successful post
-        markAsPosted(filings, postedData);
+        markAsPosted(filings);
         console.log(`   📝 Marked ${filings.length} ticker(s) as posted\n`);
       } catch (error) {
         console.error(`   ❌ Post failed: ${error.message}`);
@@ -0,0 +1,274 @@
+/**
+ * Publish one thread through every adapter against a local stand-in server
+ *
+ * Starts an HTTP server that answers like X, Discord webhooks, the Telegram
+ * Bot API, Bluesky (XRPC) and Mastodon, points each adapter at it and checks
+ * what each channel received: message count vs its character limit, markup,
+ * image attachments and reply chaining. Then fails an X thread part-way and
+ * checks the rerun resumes it (threadJobs.js) and a repeat is rejected.
+ *
+ * Runs in a temp directory, so thread jobs never touch ./data.
+ *
+ * No credentials or network needed:
+ *   node test/publisher-standin.js
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+// 1x1 PNG - stands in for the chart / card
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+
+const requests = [];
+const failOnce = new Set();   // tweet texts the X stand-in rejects (429) the first time
+let nextId = 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STAND-IN SERVER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function parseBody(req, raw) {
+  const type = req.headers['content-type'] || '';
+  if (type.includes('application/json')) return JSON.parse(raw.toString() || '{}');
+  if (type.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(raw.toString()));
+  if (type.includes('multipart/form-data')) {
+    const form = await new Response(raw, { headers: { 'content-type': type } }).formData();
+    const fields = {};
+    for (const [key, value] of form.entries()) {
+      fields[key] = typeof value === 'string' ? value : { file: value.name, bytes: value.size };
+    }
+    return fields;
+  }
+  return { bytes: raw.length, type };
+}
+
+function respond(url, body) {
+  const id = String(nextId++);
+
+  // X
+  if (url.pathname === '/1.1/account/verify_credentials.json') return { screen_name: 'standin' };
+  if (url.pathname === '/1.1/media/upload.json') return body.command === 'INIT' ? { media_id_string: `media-${id}` } : {};
+  if (url.pathname === '/2/tweets') return { data: { id, text: body.text } };
+
+  // Discord
+  if (url.pathname.startsWith('/api/webhooks/')) return { id };
+
+  // Telegram
+  if (url.pathname.endsWith('/sendMediaGroup')) return { ok: true, result: JSON.parse(body.media).map(() => ({ message_id: nextId++ })) };
+  if (/\/bot[^/]+\/send/.test(url.pathname)) return { ok: true, result: { message_id: Number(id) } };
+
+  // Bluesky
+  if (url.pathname === '/xrpc/com.atproto.server.createSession') return { did: 'did:plc:standin', handle: body.identifier, accessJwt: 'jwt' };
+  if (url.pathname === '/xrpc/com.atproto.repo.uploadBlob') return { blob: { $type: 'blob', ref: { $link: `blob-${id}` }, mimeType: 'image/png', size: body.bytes } };
+  if (url.pathname === '/xrpc/com.atproto.repo.createRecord') return { uri: `at://did:plc:standin/app.bsky.feed.post/${id}`, cid: `cid-${id}` };
+
+  // Mastodon
+  if (url.pathname === '/api/v2/media') return { id: `media-${id}` };
+  if (url.pathname === '/api/v1/statuses') return { id, url: `https://mastodon.example/@standin/${id}` };
+
+  return null;
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', async () => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await parseBody(req, Buffer.concat(chunks));
+    requests.push({ method: req.method, path: url.pathname, query: url.search, headers: req.headers, body });
+
+    if (url.pathname === '/2/tweets' && failOnce.delete(body.text)) {
+      res.writeHead(429, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ title: 'Too Many Requests' }));
+      return;
+    }
+
+    const reply = respond(url, body);
+    res.writeHead(reply ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply || { error: `no stand-in for ${url.pathname}` }));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHECKS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const received = (prefix) => requests.filter(r => r.path.startsWith(prefix));
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    return true;
+  } catch (error) {
+    console.log(`❌ ${name}\n   ${error.message.split('\n').join('\n   ')}`);
+    return false;
+  }
+}
+
+async function main() {
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Thread jobs (data/thread_jobs.json) are cwd-relative - keep them out of the repo
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'publisher-standin-'));
+  process.chdir(tmpDir);
+
+  // Before importing: twitterPoster.js reads its credentials and base URLs at load
+  Object.assign(process.env, {
+    DRY_RUN: 'false',
+    TWITTER_API_KEY: 'key', TWITTER_API_SECRET: 'secret',
+    TWITTER_ACCESS_TOKEN: 'token', TWITTER_ACCESS_SECRET: 'secret',
+    TWITTER_API_BASE: base, TWITTER_UPLOAD_BASE: base
+  });
+  const { createPublisher, publishThread } = await import('../src/publisher.js');
+  const { postAlertThread } = await import('../src/twitterPoster.js');
+  const { loadThreadJob } = await import('../src/threadJobs.js');
+
+  const chart = path.join(tmpDir, 'chart.png');
+  fs.writeFileSync(chart, PNG);
+
+  const hook = '🚨 $ABCD_WT just filed a $50M ATM <on a $18M cap>\n\nCash runway: 3 months. Float: 12M shares.';
+  const breakdown = [
+    'The math:\n• $50M ATM vs $18M market cap\n• 3 offerings in 12 months\n• Going-concern language in the last 10-Q',
+    ('Longer context that runs past the short-form limits. ').repeat(8).trim(),
+    'Not financial advice. Do your own research.'
+  ];
+
+  const publishers = {
+    x: createPublisher('x'),
+    discord: createPublisher('discord', { webhookUrl: `${base}/api/webhooks/1/token`, username: 'DilutionHunter' }),
+    telegram: createPublisher('telegram', { apiBase: base, botToken: 'TOKEN', chatId: '@standin' }),
+    bluesky: createPublisher('bluesky', { service: base, handle: 'standin.bsky.social', appPassword: 'app-pass' }),
+    mastodon: createPublisher('mastodon', { instance: base, accessToken: 'TOKEN', visibility: 'unlisted' })
+  };
+
+  console.log(`\n🧪 Stand-in server on ${base}\n`);
+  const result = await publishThread('content', hook, breakdown, chart, {
+    channels: Object.keys(publishers),
+    publishers
+  });
+  console.log('');
+
+  const results = [
+    check('every channel posted', () => {
+      assert.deepEqual(result.posted, Object.keys(publishers));
+      assert.equal(result.tweets, result.channels.x.tweets);
+    }),
+
+    check('x: preflight, chunked upload, reply chain under 280 chars', () => {
+      const tweets = received('/2/tweets');
+      assert.ok(received('/1.1/account/verify_credentials.json').length === 1);
+      assert.deepEqual(received('/1.1/media/upload.json').map(r => r.body.command), ['INIT', 'APPEND', 'FINALIZE']);
+      assert.equal(tweets.length, 5);   // the 300+ char part is split in two
+      assert.ok(tweets.every(t => t.body.text.length <= 280));
+      assert.ok(tweets[0].body.media.media_ids.length === 1);
+      tweets.slice(1).forEach((t, i) => assert.equal(t.body.reply.in_reply_to_tweet_id, result.channels.x.tweets[i].id));
+    }),
+
+    check('discord: one message, markdown escaped, bold headline, image attached', () => {
+      const [message, ...rest] = received('/api/webhooks/');
+      assert.equal(rest.length, 0);
+      assert.equal(message.query, '?wait=true');
+      const payload = JSON.parse(message.body.payload_json);
+      assert.ok(payload.content.startsWith('**🚨 $ABCD\\_WT'));
+      assert.ok(payload.content.length <= 2000);
+      assert.deepEqual(payload.allowed_mentions, { parse: [] });
+      assert.equal(message.body['files[0]'].file, 'chart.png');
+    }),
+
+    check('telegram: whole thread as one HTML caption on the photo', () => {
+      const [photo, ...rest] = received('/botTOKEN/');
+      assert.equal(rest.length, 0);   // under the 1024-char caption limit, so no separate message
+      assert.ok(photo.path.endsWith('/sendPhoto'));
+      assert.equal(photo.body.photo.file, 'chart.png');
+      assert.ok(photo.body.caption.startsWith('<b>🚨 $ABCD_WT just filed a $50M ATM &lt;on a $18M cap&gt;</b>'));
+      assert.ok(photo.body.caption.includes('Do your own research.'));
+      assert.equal(photo.body.parse_mode, 'HTML');
+      assert.ok(result.channels.telegram.posts[0].url.startsWith('https://t.me/standin/'));
+    }),
+
+    check('bluesky: session, blob, reply chain under 300 graphemes with root + parent', () => {
+      const records = received('/xrpc/com.atproto.repo.createRecord').map(r => r.body.record);
+      assert.equal(received('/xrpc/com.atproto.server.createSession').length, 1);
+      assert.equal(received('/xrpc/com.atproto.repo.uploadBlob').length, 1);
+      assert.equal(records.length, 5);
+      assert.ok(records.every(r => [...new Intl.Segmenter().segment(r.text)].length <= 300));
+      assert.equal(records[0].embed.$type, 'app.bsky.embed.images');
+      assert.equal(records[0].reply, undefined);
+      const rootUri = result.channels.bluesky.posts[0].id;
+      records.slice(1).forEach((r, i) => {
+        assert.equal(r.reply.root.uri, rootUri);
+        assert.equal(r.reply.parent.uri, result.channels.bluesky.posts[i].id);
+      });
+    }),
+
+    check('mastodon: media upload, reply chain under 500 chars, idempotency keys', () => {
+      const statuses = received('/api/v1/statuses');
+      assert.equal(received('/api/v2/media').length, 1);
+      assert.equal(statuses.length, 4);
+      assert.ok(statuses.every(s => s.body.status.length <= 500 && s.body.visibility === 'unlisted'));
+      assert.equal(statuses[0].body.media_ids.length, 1);
+      assert.equal(new Set(statuses.map(s => s.headers['idempotency-key'])).size, 4);
+      statuses.slice(1).forEach((s, i) => assert.equal(s.body.in_reply_to_id, result.channels.mastodon.posts[i].id));
+    })
+  ];
+
+  // X thread that fails on tweet 3 of 4, then the same thread again, then once more
+  const parts = ['Resume 1/4', 'Resume 2/4', 'Resume 3/4', 'Resume 4/4'];
+  const tweetsBefore = received('/2/tweets').length;
+  failOnce.add(parts[2]);
+  const failure = await postAlertThread(parts[0], parts.slice(1), null).catch(e => e);
+  const brokenJob = structuredClone(loadThreadJob(failure.jobId));
+  const resumed = await postAlertThread(parts[0], parts.slice(1), null);
+  const repeat = await publishThread('content', parts[0], parts.slice(1), null, { channels: ['x'] }).catch(e => e);
+  const resumeTweets = received('/2/tweets').slice(tweetsBefore);
+  const xRejected = await publishThread('content', parts[0], parts.slice(1), null, { channels: ['x', 'discord'], publishers });
+
+  results.push(
+    check('x: failed thread is saved with the tweets that went out', () => {
+      assert.ok(failure instanceof Error && failure.jobId);
+      assert.equal(brokenJob.status, 'failed');
+      assert.equal(brokenJob.lastError.index, 2);
+      assert.deepEqual(brokenJob.tweets.map(t => Boolean(t.id)), [true, true, false, false]);
+    }),
+
+    check('x: rerun resumes from tweet 3, replying to tweet 2', () => {
+      assert.equal(resumed.jobId, failure.jobId);
+      assert.ok(resumed.resumed);
+      assert.deepEqual(resumeTweets.map(t => t.body.text), [...parts.slice(0, 3), ...parts.slice(2)]);
+      assert.equal(resumeTweets[3].body.reply.in_reply_to_tweet_id, brokenJob.tweets[1].id);
+      assert.deepEqual(resumed.tweets.slice(0, 2).map(t => t.id), brokenJob.tweets.slice(0, 2).map(t => t.id));
+      assert.equal(loadThreadJob(failure.jobId).status, 'completed');
+    }),
+
+    check('x: posting a completed thread again is rejected', () => {
+      assert.ok(repeat instanceof Error);
+      assert.match(repeat.message, /Thread already posted/);
+      assert.equal(resumeTweets.length, 5);
+    }),
+
+    check('x down, discord up: no tweet ids, discord\'s posts stay under channels', () => {
+      assert.deepEqual(xRejected.posted, ['discord']);
+      assert.equal(xRejected.tweets, null);
+      assert.equal(xRejected.posts, xRejected.channels.discord.posts);
+    })
+  );
+
+  process.chdir(os.tmpdir());
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  server.close();
+
+  const failed = results.filter(ok => !ok).length;
+  console.log(`\n${failed ? `❌ ${failed} of ${results.length} checks failed` : `✅ All ${results.length} checks passed`} (${requests.length} requests)\n`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.stack}`);
+  server.close();
+  process.exit(1);
+});
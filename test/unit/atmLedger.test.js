@@ -0,0 +1,112 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir, readFixture } from './helpers.js';
+
+const fixture = name => readFixture('atm-ledger', name);
+
+let parseATMUsage;
+let computeUsage;
+
+before(async () => {
+  enterTempDir();
+  ({ parseATMUsage, computeUsage } = await import('../../src/atmLedger.js'));
+});
+
+function report(reportDate, usage) {
+  return { form: '10-Q', filingDate: reportDate, reportDate, usage };
+}
+
+function period(proceeds, periodMonths, sharesSold = proceeds / 2) {
+  return { cumulative: null, period: { sharesSold, proceeds, proceedsBasis: 'net', avgPrice: null, scope: 'period', periodMonths }, remaining: null };
+}
+
+test('10-Q: longest period wins, stated remaining is read, subsequent sales are skipped', () => {
+  const usage = parseATMUsage(fixture('10q-q3-wainwright.htm'), '10-Q');
+  assert.equal(usage.cumulative, null);
+  assert.equal(usage.period.periodMonths, 9);
+  assert.equal(usage.period.sharesSold, 5_120_000);
+  assert.equal(usage.period.proceeds, 7_900_000);
+  assert.equal(usage.period.proceedsBasis, 'net');
+  assert.equal(usage.period.avgPrice, 1.58);
+  assert.equal(usage.remaining, 11_700_000);
+});
+
+test('10-K: "no shares were sold" is a zero-sale year', () => {
+  const usage = parseATMUsage(fixture('10k-no-sales.htm'), '10-K');
+  assert.equal(usage.period.sharesSold, 0);
+  assert.equal(usage.period.proceeds, 0);
+  assert.equal(usage.period.periodMonths, 12);
+});
+
+test('cumulative "since entering into the Sales Agreement with B. Riley Securities, Inc."', () => {
+  const usage = parseATMUsage(fixture('10q-cumulative.htm'), '10-Q');
+  assert.equal(usage.cumulative.scope, 'cumulative');
+  assert.equal(usage.cumulative.sharesSold, 14_200_000);
+  assert.equal(usage.cumulative.proceeds, 18_300_000);
+  assert.equal(usage.cumulative.proceedsBasis, 'gross');
+});
+
+test('a report with no ATM disclosure parses to null', () => {
+  assert.equal(parseATMUsage('<p>We sold 1,000,000 shares in a registered direct offering for proceeds of $2.0 million.</p>'), null);
+});
+
+test('computeUsage counts overlapping year-to-date periods once', () => {
+  const entry = {
+    program: { startDate: '2024-01-02', capacity: 21_000_000 },
+    reports: {
+      q1: report('2024-03-31', period(2_000_000, 3)),
+      q2: report('2024-06-30', period(5_500_000, 6)),
+      q3: report('2024-09-30', { ...period(7_900_000, 9), remaining: 11_700_000 })
+    }
+  };
+  const usage = computeUsage(entry);
+  assert.equal(usage.used, 7_900_000);
+  assert.equal(usage.remaining, 11_700_000);
+  assert.equal(usage.remainingSource, 'stated');
+  assert.equal(usage.proceedsBasis, 'net');
+});
+
+test('computeUsage adds back-to-back quarters and computes remaining from capacity', () => {
+  const entry = {
+    program: { startDate: '2024-01-02', capacity: 10_000_000 },
+    reports: {
+      q1: report('2024-03-31', period(1_000_000, 3, 500_000)),
+      q2: report('2024-06-30', period(1_500_000, 3, 1_000_000))
+    }
+  };
+  const usage = computeUsage(entry);
+  assert.equal(usage.used, 2_500_000);
+  assert.equal(usage.sharesSold, 1_500_000);
+  assert.equal(usage.remaining, 7_500_000);
+  assert.equal(usage.remainingSource, 'computed');
+  assert.equal(usage.remainingPct, 75);
+});
+
+test('computeUsage ignores reports from before the program started', () => {
+  const entry = {
+    program: { startDate: '2024-07-01', capacity: 5_000_000 },
+    reports: {
+      old: report('2024-03-31', period(4_000_000, 3)),
+      q3: report('2024-09-30', period(1_000_000, 3))
+    }
+  };
+  assert.equal(computeUsage(entry).used, 1_000_000);
+});
+
+test('a cumulative figure beats a smaller sum of periods', () => {
+  const entry = {
+    program: { startDate: '2024-03-01', capacity: 40_000_000 },
+    reports: {
+      q1: report('2024-03-31', period(3_000_000, 3)),
+      q2: report('2024-06-30', {
+        cumulative: { sharesSold: 14_200_000, proceeds: 18_300_000, proceedsBasis: 'gross', scope: 'cumulative', periodMonths: null },
+        period: null,
+        remaining: null
+      })
+    }
+  };
+  const usage = computeUsage(entry);
+  assert.equal(usage.used, 18_300_000);
+  assert.equal(usage.sharesSold, 14_200_000);
+  assert.equal(usage.proceedsBasis, 'gross');
+});
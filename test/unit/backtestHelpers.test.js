@@ -0,0 +1,29 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { enterTempDir } from './helpers.js';
+
+let helpers;
+
+before(async () => {
+  enterTempDir();
+  helpers = await import('../../src/backtestHelpers.js');
+});
+
+test('readJson returns the default for missing or corrupt files', () => {
+  fs.writeFileSync('good.json', '{"symbol":"ABCD"}');
+  fs.writeFileSync('bad.json', '{"symbol":');
+  assert.deepEqual(helpers.readJson('good.json', null), { symbol: 'ABCD' });
+  assert.deepEqual(helpers.readJson('missing.json', {}), {});
+  assert.equal(helpers.readJson('bad.json', null), null);
+});
+
+test('summary stats handle empty input and even-length medians', () => {
+  assert.equal(helpers.mean([]), null);
+  assert.equal(helpers.median([]), null);
+  assert.equal(helpers.mean([-10, 20, 5]), 5);
+  assert.equal(helpers.median([9, -3, 4, 1]), 2.5);
+  assert.equal(helpers.round1(-12.345), -12.3);
+  assert.equal(helpers.round1(NaN), null);
+  assert.equal(helpers.round1(null), null);
+});
@@ -0,0 +1,205 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { promisify } from 'util';
+import { enterTempDir } from './helpers.js';
+
+const RUN_ID = 'publish-redaction';
+const PUBLISHER_URL = new URL('../../src/publisher.js', import.meta.url).href;
+const CASSETTE_URL = new URL('../../src/vendors/cassette.js', import.meta.url).href;
+
+const SECRETS = {
+  discordToken: 'Xk9fWebhookTokenDoNotCommit_3aF',
+  telegramToken: '7012345678:AAHtelegramBotTokenDoNotCommit',
+  appPassword: 'abcd-efgh-ijkl-mnop',
+  accessJwt: 'eyJhbGciOiJIUzI1NiJ9.accessJwtDoNotCommit.sig',
+  refreshJwt: 'eyJhbGciOiJIUzI1NiJ9.refreshJwtDoNotCommit.sig',
+  openaiKey: 'sk-configuredOpenAiKeyDoNotCommit'
+};
+
+const received = [];
+let server;
+let channels;
+
+const thread = { module: 'content', parts: ['🚨 $ABCD filed a $50M ATM on an $18M cap'], images: [] };
+
+// Answers like Discord webhooks, the Telegram Bot API and Bluesky XRPC
+function startServer() {
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      received.push({ path: req.url, body: Buffer.concat(chunks).toString() });
+      const url = new URL(req.url, 'http://localhost');
+      let reply = { error: 'not found' };
+      if (url.pathname.startsWith('/api/webhooks/')) reply = { id: '1190001' };
+      if (url.pathname.endsWith('/sendMessage')) reply = { ok: true, result: { message_id: 42 } };
+      if (url.pathname === '/xrpc/com.atproto.server.createSession') {
+        reply = { did: 'did:plc:standin', handle: 'hunter.bsky.social', accessJwt: SECRETS.accessJwt, refreshJwt: SECRETS.refreshJwt };
+      }
+      if (url.pathname === '/xrpc/com.atproto.repo.createRecord') reply = { uri: 'at://did:plc:standin/app.bsky.feed.post/3k', cid: 'cid-1' };
+      // An echo of a configured credential in a body field we don't know about
+      if (url.pathname === '/v1/echo') reply = { note: `key ${SECRETS.openaiKey}` };
+      res.writeHead(reply.error ? 404 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+function channelOptions(base) {
+  return {
+    discord: { webhookUrl: `${base}/api/webhooks/112233445566/${SECRETS.discordToken}`, username: 'DilutionHunter' },
+    telegram: { apiBase: base, botToken: SECRETS.telegramToken, chatId: '-1002003004005' },
+    bluesky: { service: base, handle: 'hunter.bsky.social', appPassword: SECRETS.appPassword }
+  };
+}
+
+function recordedFiles() {
+  const runDir = path.join('data', 'fixtures', RUN_ID);
+  return fs.readdirSync(runDir).map(file => ({ file, text: fs.readFileSync(path.join(runDir, file), 'utf8') }));
+}
+
+before(async () => {
+  enterTempDir();
+  Object.assign(process.env, { FIXTURE_MODE: 'record', FIXTURE_RUN: RUN_ID, DRY_RUN: 'false', OPENAI_API_KEY: SECRETS.openaiKey });
+  await import(CASSETTE_URL); // wraps fetch before any publisher runs
+  const base = await startServer();
+  channels = channelOptions(base);
+
+  const { createPublisher } = await import(PUBLISHER_URL);
+  for (const [channel, options] of Object.entries(channels)) {
+    await createPublisher(channel, options).publish(thread);
+  }
+  await fetch(`${base}/v1/echo`);
+});
+
+after(() => server?.close());
+
+test('the services received the real credentials', () => {
+  assert.ok(received.some(r => r.path.includes(SECRETS.discordToken)));
+  assert.ok(received.some(r => r.path.includes(`/bot${SECRETS.telegramToken}/`)));
+  assert.ok(received.some(r => r.body.includes(SECRETS.appPassword)));
+});
+
+test('no credential reaches the recorded run', () => {
+  const files = recordedFiles();
+  assert.equal(files.filter(f => /^\d+\.json$/.test(f.file)).length, 5);
+  for (const { file, text } of files) {
+    for (const [name, secret] of Object.entries(SECRETS)) {
+      assert.ok(!text.includes(secret), `${name} leaked into ${file}`);
+    }
+  }
+});
+
+test('tokens are masked in paths and bodies, the rest is kept', () => {
+  const exchanges = recordedFiles().filter(f => /^\d+\.json$/.test(f.file)).map(f => JSON.parse(f.text));
+  const byPath = (suffix) => exchanges.find(e => new URL(e.url).pathname.endsWith(suffix));
+
+  assert.match(byPath('/sendMessage').url, /\/bot\[REDACTED\]\/sendMessage$/);
+  assert.match(exchanges.find(e => e.url.includes('/api/webhooks/')).key, /\/api\/webhooks\/112233445566\/\[REDACTED\]\?wait=true$/);
+
+  const session = byPath('/com.atproto.server.createSession');
+  assert.deepEqual(JSON.parse(session.requestBody), { identifier: 'hunter.bsky.social', password: '[REDACTED]' });
+  const sessionReply = JSON.parse(session.response.body);
+  assert.equal(sessionReply.accessJwt, '[REDACTED]');
+  assert.equal(sessionReply.refreshJwt, '[REDACTED]');
+  assert.equal(sessionReply.did, 'did:plc:standin');
+
+  assert.equal(JSON.parse(byPath('/v1/echo').response.body).note, 'key [REDACTED]');
+  assert.match(byPath('/sendMessage').requestBody, /\$ABCD filed a \$50M ATM/);
+});
+
+test('the redacted run still replays offline', async () => {
+  server.close();
+  const script = `
+    await import(${JSON.stringify(CASSETTE_URL)});
+    const { createPublisher } = await import(${JSON.stringify(PUBLISHER_URL)});
+    const channels = ${JSON.stringify(channels)};
+    for (const [channel, options] of Object.entries(channels)) {
+      const { posts } = await createPublisher(channel, options).publish(${JSON.stringify(thread)});
+      console.log(channel + '=' + posts.length);
+    }
+  `;
+  const { stdout } = await promisify(execFile)(process.execPath, ['--input-type=module', '-e', script], {
+    cwd: process.cwd(),
+    env: { ...process.env, FIXTURE_MODE: 'replay', FIXTURE_RUN: RUN_ID },
+    timeout: 60000
+  });
+  assert.match(stdout, /discord=1/);
+  assert.match(stdout, /telegram=1/);
+  assert.match(stdout, /bluesky=1/);
+  assert.doesNotMatch(stdout, /not in the cassette/);
+});
+
+test('findLeaks flags configured credentials in runs recorded before redaction', async () => {
+  const { findLeaks } = await import(CASSETTE_URL);
+  assert.deepEqual(findLeaks(RUN_ID), []);
+
+  const leaky = path.join('data', 'fixtures', RUN_ID, '99999.json');
+  fs.writeFileSync(leaky, JSON.stringify({ response: { body: `{"key":"${SECRETS.openaiKey}"}` } }));
+  assert.deepEqual(findLeaks(RUN_ID).map(l => path.basename(l.file)), ['99999.json']);
+  fs.rmSync(leaky);
+});
+
+test('a record run with warm split / 424B5 caches still replays from an empty data dir', async () => {
+  const SPLITS_URL = new URL('../../src/splitEvents.js', import.meta.url).href;
+  const PROSPECTUS_URL = new URL('../../src/vendors/secProspectus.js', import.meta.url).href;
+  const CONFIG_URL = new URL('../../src/config.js', import.meta.url).href;
+  const read = name => fs.readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+  const filed = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  // Stand-in for FMP and EDGAR: only the record run may reach it
+  const network = {
+    'https://www.sec.gov/files/company_tickers_exchange.json': { fields: ['cik', 'name', 'ticker', 'exchange'], data: [[1234567, 'Abcd Therapeutics', 'ABCD', 'Nasdaq']] },
+    'https://data.sec.gov/submissions/CIK0001234567.json': { filings: { recent: { form: ['8-K'], items: ['5.03,3.03'], filingDate: [filed], accessionNumber: ['0001213900-25-017710'], primaryDocument: ['ea0231.htm'] } } },
+    'https://www.sec.gov/Archives/edgar/data/1234567/000121390025017710/ea0231.htm': read('splits/8k-reverse-split.htm'),
+    'https://www.sec.gov/Archives/edgar/data/1234567/000121390025009999/ea0200-424b5.htm': read('prospectus/new-program-cantor.htm')
+  };
+  const script = (mode) => `
+    globalThis.fetch = async (input) => {
+      const url = String(input);
+      if (${mode === 'replay'}) throw new Error('network used in replay: ' + url);
+      const network = ${JSON.stringify(network)};
+      if (url.includes('/stable/splits')) return Response.json([{ date: '2025-03-04', numerator: 1, denominator: 100 }]);
+      const body = network[url];
+      if (body === undefined) return new Response('not found', { status: 404 });
+      return typeof body === 'string' ? new Response(body, { headers: { 'content-type': 'text/html' } }) : Response.json(body);
+    };
+    await import(${JSON.stringify(CASSETTE_URL)});
+    const { FMP_CONFIG } = await import(${JSON.stringify(CONFIG_URL)});
+    FMP_CONFIG.delayBetweenCalls = 0;
+    const { getSplitEvents } = await import(${JSON.stringify(SPLITS_URL)});
+    const { getATMProgram } = await import(${JSON.stringify(PROSPECTUS_URL)});
+    const splits = await getSplitEvents('ABCD');
+    const program = await getATMProgram({ cik: '1234567', adsh: '0001213900-25-009999', primaryDocument: 'ea0200-424b5.htm' });
+    console.log('RESULT=' + JSON.stringify({ splits: splits.map(s => [s.date, s.label, s.source]), offering: program?.offeringAmount ?? null }));
+  `;
+  const run = (mode, cwd) => promisify(execFile)(process.execPath, ['--input-type=module', '-e', script(mode)], {
+    cwd,
+    env: { ...process.env, FIXTURE_MODE: mode, FIXTURE_RUN: 'warm-cache', FMP_API_KEY: 'fmp-test-key-123456' },
+    timeout: 60000
+  });
+  const result = ({ stdout }) => JSON.parse(stdout.match(/^RESULT=(.*)$/m)[1]);
+
+  // Caches from an earlier live run on this machine
+  const recordDir = path.resolve('warm-record');
+  fs.mkdirSync(path.join(recordDir, 'data', 'cache'), { recursive: true });
+  const fetchedAt = new Date().toISOString();
+  fs.writeFileSync(path.join(recordDir, 'data', 'cache', 'split_events.json'), JSON.stringify({ schemaVersion: 1, tickers: { ABCD: { fetchedAt, events: [] } } }));
+  fs.writeFileSync(path.join(recordDir, 'data', 'cache', 'atm_programs.json'), JSON.stringify({ schemaVersion: 1, '0001213900-25-009999': { adsh: '0001213900-25-009999', offeringAmount: 1 } }));
+
+  const recorded = result(await run('record', recordDir));
+  assert.deepEqual(recorded.splits.map(s => s[1]), ['1:100 R/S']);
+  assert.equal(recorded.offering, 75_000_000);
+
+  // A clean checkout: nothing but the recorded run
+  const replayDir = path.resolve('cold-replay');
+  fs.cpSync(path.join(recordDir, 'data', 'fixtures'), path.join(replayDir, 'data', 'fixtures'), { recursive: true });
+  const replay = await run('replay', replayDir);
+  assert.doesNotMatch(replay.stderr, /Unrecorded request/);
+  assert.deepEqual(result(replay), recorded);
+});
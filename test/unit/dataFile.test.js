@@ -0,0 +1,147 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import { promisify } from 'util';
+import { enterTempDir } from './helpers.js';
+
+const DATA_FILE_URL = new URL('../../src/store/dataFile.js', import.meta.url).href;
+
+let store;
+let STORAGE_CONFIG;
+
+before(async () => {
+  enterTempDir();
+  store = await import(DATA_FILE_URL);
+  ({ STORAGE_CONFIG } = await import('../../src/config.js'));
+});
+
+beforeEach(() => {
+  enterTempDir();
+  Object.assign(STORAGE_CONFIG, { lockTimeoutMs: 10000, lockStaleMs: 60000 });
+});
+
+const readRaw = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+function quietly(fn) {
+  const { warn, error } = console;
+  console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+}
+
+test('objects and arrays are stored in a schemaVersion envelope and read back without it', () => {
+  store.writeDataFile('data/watch.json', { PLUG: '2025-06-01' });
+  store.writeDataFile('data/calls.json', [{ ticker: 'PLUG' }]);
+
+  assert.deepEqual(readRaw('data/watch.json'), { schemaVersion: 1, PLUG: '2025-06-01' });
+  assert.deepEqual(readRaw('data/calls.json'), { schemaVersion: 1, items: [{ ticker: 'PLUG' }] });
+  assert.deepEqual(store.readDataFile('data/watch.json'), { PLUG: '2025-06-01' });
+  assert.deepEqual(store.readDataFile('data/calls.json'), [{ ticker: 'PLUG' }]);
+
+  // Temp file renamed into place, lock released
+  assert.deepEqual(fs.readdirSync('data').sort(), ['calls.json', 'watch.json']);
+  assert.equal(store.readDataFile('data/missing.json', []).length, 0);
+});
+
+test('a pre-envelope bankruptcy_signals file is upgraded on read and left alone on disk', () => {
+  const legacy = {
+    scannedAt: '2024-11-04T21:00:00.000Z',
+    primeAlerts: [{ ticker: 'PLUG', score: 82, virality: { score: 77 } }],
+    watchlist: [{ symbol: 'RIOT', score: 55, viralityScore: 61 }]
+  };
+  fs.mkdirSync('data');
+  fs.writeFileSync('data/bankruptcy_signals.json', JSON.stringify(legacy));
+
+  const upgraded = store.readDataFile('data/bankruptcy_signals.json');
+  assert.equal(upgraded.scoringConfig, null);
+  assert.equal(upgraded.totalScanned, 2);
+  assert.deepEqual(upgraded.primeAlerts[0], { symbol: 'PLUG', score: 82, virality: { score: 77 }, viralityScore: 77 });
+  assert.equal(upgraded.watchlist[0].viralityScore, 61);
+  assert.deepEqual(upgraded.storeOnly, []);
+
+  assert.deepEqual(readRaw('data/bankruptcy_signals.json'), legacy);
+});
+
+test('registered migrations run in order from the stored version', () => {
+  store.registerMigration('ledger_test', 3, data => ({ ...data, notes: data.notes ?? [] }));
+  store.registerMigration('ledger_test', 2, ({ amount, ...data }) => ({ ...data, proceeds: amount }));
+  assert.equal(store.schemaVersion('ledger_test'), 3);
+  assert.throws(() => store.registerMigration('ledger_test', 2, d => d), /already has a migration to schemaVersion 2/);
+
+  fs.mkdirSync('data');
+  fs.writeFileSync('data/ledger_test.json', JSON.stringify({ schemaVersion: 2, proceeds: 5, notes: ['kept'] }));
+  fs.writeFileSync('data/old.json', JSON.stringify({ amount: 7 }));
+
+  assert.deepEqual(store.readDataFile('data/ledger_test.json'), { proceeds: 5, notes: ['kept'] });
+  assert.deepEqual(store.readDataFile('data/old.json', null, { name: 'ledger_test' }), { proceeds: 7, notes: [] });
+
+  store.writeDataFile('data/ledger_test.json', { proceeds: 9, notes: [] });
+  assert.equal(readRaw('data/ledger_test.json').schemaVersion, 3);
+});
+
+test('a file from newer code is refused, not downgraded', () => {
+  fs.mkdirSync('data');
+  fs.writeFileSync('data/watch.json', JSON.stringify({ schemaVersion: 9, PLUG: '2025-06-01' }));
+  assert.throws(() => store.readDataFile('data/watch.json'), /schemaVersion 9 but this code only reads up to 1/);
+  assert.equal(readRaw('data/watch.json').schemaVersion, 9);
+});
+
+test('a corrupt file is moved aside and the default returned', () => {
+  fs.mkdirSync('data');
+  fs.writeFileSync('data/watch.json', '{"PLUG": "2025-06');
+
+  assert.deepEqual(quietly(() => store.readDataFile('data/watch.json', {})), {});
+  const files = fs.readdirSync('data');
+  assert.equal(files.length, 1);
+  assert.match(files[0], /^watch\.json\.corrupt-/);
+  assert.equal(fs.readFileSync(`data/${files[0]}`, 'utf8'), '{"PLUG": "2025-06');
+});
+
+test('withFileLock holds <file>.lock, is re-entrant and always releases', () => {
+  const result = store.withFileLock('data/watch.json', () => {
+    assert.equal(readRaw('data/watch.json.lock').pid, process.pid);
+    return store.withFileLock('data/watch.json', () => 'nested');
+  });
+  assert.equal(result, 'nested');
+  assert.equal(fs.existsSync('data/watch.json.lock'), false);
+
+  assert.throws(() => store.withFileLock('data/watch.json', () => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync('data/watch.json.lock'), false);
+});
+
+test('a live lock from elsewhere times out; a stale one is taken over', () => {
+  fs.mkdirSync('data');
+  fs.writeFileSync('data/watch.json.lock', JSON.stringify({ pid: 4242, host: 'other-runner', at: '2025-06-30T14:00:00.000Z' }));
+  STORAGE_CONFIG.lockTimeoutMs = 100;
+  assert.throws(() => store.writeDataFile('data/watch.json', {}), /Timed out waiting for data\/watch\.json\.lock \(pid 4242 on other-runner/);
+  assert.equal(fs.existsSync('data/watch.json'), false);
+
+  const old = new Date(Date.now() - 2 * STORAGE_CONFIG.lockStaleMs);
+  fs.utimesSync('data/watch.json.lock', old, old);
+  quietly(() => store.writeDataFile('data/watch.json', { PLUG: '2025-06-30' }));
+  assert.deepEqual(store.readDataFile('data/watch.json'), { PLUG: '2025-06-30' });
+  assert.equal(fs.existsSync('data/watch.json.lock'), false);
+});
+
+test('a lock left by a dead process on this machine is taken over', () => {
+  fs.mkdirSync('data');
+  fs.writeFileSync('data/watch.json.lock', JSON.stringify({ pid: 2 ** 22 + 1, host: os.hostname(), at: new Date().toISOString() }));
+  quietly(() => store.writeDataFile('data/watch.json', { RIOT: '2025-06-30' }));
+  assert.deepEqual(store.readDataFile('data/watch.json'), { RIOT: '2025-06-30' });
+});
+
+test('updateDataFile read-modify-writes never lose an update across processes', async () => {
+  const worker = `
+    const { updateDataFile } = await import(${JSON.stringify(DATA_FILE_URL)});
+    for (let i = 0; i < 40; i++) updateDataFile('data/counter.json', { count: 0 }, data => { data.count++; });
+  `;
+  const run = () => promisify(execFile)(process.execPath, ['--input-type=module', '-e', worker], { cwd: process.cwd(), timeout: 60000 });
+  await Promise.all([run(), run()]);
+
+  assert.deepEqual(store.readDataFile('data/counter.json'), { count: 80 });
+});
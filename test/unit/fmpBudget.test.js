@@ -0,0 +1,94 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { enterTempDir } from './helpers.js';
+
+const CONFIG_URL = new URL('../../src/config.js', import.meta.url).href;
+const FMP_URL = new URL('../../src/vendors/fmp.js', import.meta.url).href;
+
+let fmp;
+let FMP_CONFIG;
+let DATA_PATHS;
+let readDataFile;
+let writeDataFile;
+let fetchCalls = 0;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+before(async () => {
+  enterTempDir();
+  ({ FMP_CONFIG, DATA_PATHS } = await import(CONFIG_URL));
+  ({ readDataFile, writeDataFile } = await import('../../src/store/dataFile.js'));
+  fmp = await import(FMP_URL);
+  FMP_CONFIG.delayBetweenCalls = 0;
+  globalThis.fetch = async () => {
+    fetchCalls++;
+    return new Response('[]', { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+});
+
+beforeEach(() => {
+  enterTempDir();
+  FMP_CONFIG.maxCallsPerDay = 3;
+  fmp.resetApiCallCount();
+  fetchCalls = 0;
+});
+
+test('every call is counted in the shared usage file', async () => {
+  await fmp.fmpFetch('/quote?symbol=AAA', {}, { cache: false });
+  await fmp.fmpFetch('/profile?symbol=AAA', {}, { cache: false });
+
+  const usage = readDataFile(DATA_PATHS.fmpUsage);
+  assert.equal(usage.date, today());
+  assert.equal(usage.calls, 2);
+  assert.deepEqual(usage.byEndpoint, { '/stable/quote': 1, '/stable/profile': 1 });
+  assert.equal(fmp.getDailyUsage().remaining, 1);
+});
+
+test('calls another process spent since our last call count against us', async () => {
+  await fmp.fmpFetch('/quote?symbol=AAA', {}, { cache: false });
+
+  // Another scan used the rest of the day's budget
+  writeDataFile(DATA_PATHS.fmpUsage, { date: today(), calls: 3, byEndpoint: { '/stable/quote': 3 } });
+
+  await assert.rejects(fmp.fmpFetch('/quote?symbol=BBB', {}, { cache: false }), { code: 'FMP_BUDGET_EXHAUSTED' });
+  assert.equal(fetchCalls, 1);
+  assert.equal(await fmp.fmpGet('/quote?symbol=BBB', { cache: false }), null);
+});
+
+test('yesterday\'s usage does not count today', async () => {
+  writeDataFile(DATA_PATHS.fmpUsage, { date: '2020-01-01', calls: 3, byEndpoint: {} });
+  await fmp.fmpFetch('/quote?symbol=AAA', {}, { cache: false });
+  assert.equal(readDataFile(DATA_PATHS.fmpUsage).calls, 1);
+});
+
+test('concurrent processes never spend more than the daily budget together', async () => {
+  const worker = `
+    const { FMP_CONFIG } = await import(${JSON.stringify(CONFIG_URL)});
+    FMP_CONFIG.delayBetweenCalls = 0;
+    globalThis.fetch = async () => new Response('[]', { status: 200, headers: { 'content-type': 'application/json' } });
+    const { fmpFetch } = await import(${JSON.stringify(FMP_URL)});
+    let ok = 0;
+    for (let i = 0; i < 20; i++) {
+      try {
+        await fmpFetch('/quote?symbol=T' + i, {}, { cache: false });
+        ok++;
+      } catch (e) {
+        if (e.code !== 'FMP_BUDGET_EXHAUSTED') throw e;
+      }
+    }
+    console.log('OK=' + ok);
+  `;
+  const run = () => promisify(execFile)(process.execPath, ['--input-type=module', '-e', worker], {
+    cwd: process.cwd(),
+    env: { ...process.env, FMP_MAX_CALLS_PER_DAY: '25' },
+    timeout: 60000
+  });
+
+  const results = await Promise.all([run(), run()]);
+  const made = results.map(r => parseInt(r.stdout.match(/OK=(\d+)/)[1], 10));
+
+  assert.equal(made[0] + made[1], 25);
+  assert.equal(readDataFile(DATA_PATHS.fmpUsage).calls, 25);
+});
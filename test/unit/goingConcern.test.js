@@ -0,0 +1,90 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir, readFixture } from './helpers.js';
+
+let analyzeGoingConcern;
+let computeGoingConcernStatus;
+
+before(async () => {
+  enterTempDir();
+  ({ analyzeGoingConcern, computeGoingConcernStatus } = await import('../../src/goingConcern.js'));
+});
+
+const disclosure = (sentence, form = '10-Q') => analyzeGoingConcern(`<p>${sentence}</p>`, form).managementDisclosure;
+
+test('"substantial doubt exists" wordings are present', () => {
+  for (const sentence of [
+    'These conditions raise substantial doubt about the Company\'s ability to continue as a going concern.',
+    'Management has concluded that substantial doubt exists about the Company\'s ability to continue as a going concern within one year.',
+    'There is substantial doubt about our ability to continue as a going concern.',
+    'Substantial doubt about the Company\'s ability to continue as a going concern remains as of June 30, 2025.'
+  ]) {
+    assert.equal(disclosure(sentence), 'present', sentence);
+  }
+});
+
+test('negated alleviation wordings are present, not alleviated', () => {
+  for (const sentence of [
+    'Management\'s plans have not alleviated substantial doubt about the Company\'s ability to continue as a going concern.',
+    'These plans do not alleviate substantial doubt about our ability to continue as a going concern.',
+    'Substantial doubt about the Company\'s ability to continue as a going concern has not been alleviated.',
+    'We were unable to alleviate the substantial doubt about our ability to continue as a going concern.',
+    'Management\'s plans don\'t alleviate substantial doubt regarding the going concern assumption.'
+  ]) {
+    assert.equal(disclosure(sentence), 'present', sentence);
+  }
+});
+
+test('"alleviated" wordings are alleviated', () => {
+  for (const sentence of [
+    'As a result of the financing, management\'s plans have alleviated the substantial doubt about the Company\'s ability to continue as a going concern.',
+    'The proceeds of the offering alleviate substantial doubt about our ability to continue as a going concern.',
+    'Management concluded that substantial doubt about the Company\'s ability to continue as a going concern no longer exists and has been alleviated.',
+    'These conditions do not raise substantial doubt about the Company\'s ability to continue as a going concern.'
+  ]) {
+    assert.equal(disclosure(sentence), 'alleviated', sentence);
+  }
+});
+
+test('risk-factor hypotheticals are not a going-concern disclosure', () => {
+  assert.equal(disclosure('If we cannot raise capital, there could be substantial doubt about our ability to continue as a going concern.'), 'none');
+  assert.equal(disclosure('Revenue grew 40% year over year.'), 'none');
+});
+
+test('10-K: the auditor paragraph is found past the table of contents', () => {
+  const result = analyzeGoingConcern(readFixture('going-concern', '10k-auditor-doubt.htm'), '10-K');
+  assert.equal(result.auditorOpinion, true);
+  assert.equal(result.managementDisclosure, 'present');
+  assert.match(result.excerpt, /raise substantial doubt/);
+
+  // The same document read as a 10-Q has no auditor opinion
+  assert.equal(analyzeGoingConcern(readFixture('going-concern', '10k-auditor-doubt.htm'), '10-Q').auditorOpinion, false);
+});
+
+test('status: persisted, then removed, then alleviated', () => {
+  const flagged = { auditorOpinion: false, managementDisclosure: 'present' };
+  const clean = { auditorOpinion: false, managementDisclosure: 'none' };
+  const reports = [
+    { form: '10-K', filingDate: '2024-03-15', ...flagged, auditorOpinion: true },
+    { form: '10-Q', filingDate: '2024-05-10', ...flagged },
+    { form: '10-Q', filingDate: '2024-08-09', ...flagged }
+  ];
+
+  const active = computeGoingConcernStatus(reports);
+  assert.equal(active.state, 'ACTIVE');
+  assert.equal(active.consecutiveReports, 3);
+  assert.equal(active.persisted, true);
+  assert.equal(active.since, '2024-03-15');
+  assert.equal(active.auditorOpinionDate, '2024-03-15');
+
+  const removed = computeGoingConcernStatus([...reports, { form: '10-Q', filingDate: '2024-11-08', ...clean }]);
+  assert.equal(removed.state, 'REMOVED');
+  assert.equal(removed.removedAt, '2024-11-08');
+  assert.equal(removed.firstSeen, '2024-03-15');
+
+  const alleviated = computeGoingConcernStatus([...reports, { form: '10-Q', filingDate: '2024-11-08', ...clean, managementDisclosure: 'alleviated' }]);
+  assert.equal(alleviated.state, 'ALLEVIATED');
+  assert.equal(alleviated.current, false);
+
+  assert.equal(computeGoingConcernStatus([]).state, 'NONE');
+});
@@ -0,0 +1,41 @@
+/**
+ * Shared setup for the unit tests (not a test file itself)
+ *
+ * Modules resolve DATA_PATHS ('./data/...') against the working directory, so
+ * each test file moves into a temp directory before importing them - nothing
+ * a test writes lands in the repo's data/.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/', import.meta.url));
+
+const tempDirs = [];
+process.on('exit', () => {
+  for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * chdir into a fresh temp directory (removed when the process exits)
+ * @returns {string} The directory
+ */
+export function enterTempDir(prefix = 'dh-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  tempDirs.push(dir);
+  process.chdir(dir);
+  return dir;
+}
+
+/**
+ * Absolute path under test/fixtures/
+ */
+export function fixturePath(...parts) {
+  return path.join(FIXTURES_DIR, ...parts);
+}
+
+export function readFixture(...parts) {
+  return fs.readFileSync(fixturePath(...parts), 'utf8');
+}
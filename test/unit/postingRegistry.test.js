@@ -0,0 +1,112 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir } from './helpers.js';
+
+const AS_OF = '2025-06-30T14:00:00.000Z';
+
+let registry;
+let POSTING_CONFIG;
+let SCORING_CONFIG;
+
+before(async () => {
+  enterTempDir();
+  registry = await import('../../src/postingRegistry.js');
+  ({ POSTING_CONFIG } = await import('../../src/config.js'));
+  ({ SCORING_CONFIG } = await import('../../src/scoringConfig.js'));
+  // Pin the defaults so a local .env can't move them
+  Object.assign(POSTING_CONFIG, { globalCooldownDays: 7, overrideScoreJump: 15 });
+  POSTING_CONFIG.modules.dilution.cooldownDays = 30;
+  POSTING_CONFIG.modules.bankruptcy_lb.cooldownDays = 30;
+});
+
+const check = (module, ticker, posts, options = {}) => registry.checkCooldown(module, ticker, { registry: posts, asOf: AS_OF, ...options });
+
+test('module cooldown: the same module waits out its own cooldown', () => {
+  const posts = { dilution: { PLUG: { date: '2025-06-10', score: 60 } } };
+
+  const blocked = check('dilution', 'plug', posts);
+  assert.equal(blocked.blocked, true);
+  assert.equal(blocked.scope, 'module');
+  assert.equal(blocked.daysSince, 20);
+  assert.equal(blocked.daysRemaining, 10);
+  assert.equal(blocked.text, 'posted 20d ago (10d left)');
+
+  assert.equal(check('dilution', 'PLUG', { dilution: { PLUG: { date: '2025-05-31', score: 60 } } }).blocked, false);
+});
+
+test('global cooldown: another module posting the ticker this week blocks, the newest post wins', () => {
+  const posts = {
+    dilution: { PLUG: { date: '2025-06-25', score: 60 } },
+    bankruptcy_lb: { PLUG: { date: '2025-06-28', score: 72 } }
+  };
+
+  const blocked = check('shelf', 'PLUG', posts);
+  assert.equal(blocked.blocked, true);
+  assert.equal(blocked.scope, 'global');
+  assert.equal(blocked.module, 'bankruptcy_lb');
+  assert.equal(blocked.daysRemaining, 5);
+  assert.equal(blocked.text, 'posted by Bankruptcy leaderboard 2d ago (5d left)');
+
+  assert.equal(check('shelf', 'PLUG', { dilution: { PLUG: { date: '2025-06-23', score: 60 } } }).blocked, false);
+});
+
+test('modules with global: false neither wait for others nor make them wait', () => {
+  assert.equal(check('roundup', 'PLUG', { dilution: { PLUG: { date: '2025-06-29', score: 60 } } }).blocked, false);
+  assert.equal(check('dilution', 'PLUG', { roundup: { PLUG: { date: '2025-06-29', score: null } } }).blocked, false);
+
+  const never = check('roundup', 'PLUG', { roundup: { PLUG: { date: '2024-01-02', score: null } } });
+  assert.equal(never.blocked, true);
+  assert.equal(never.daysRemaining, Infinity);
+  assert.match(never.text, /\(no repeats\)$/);
+});
+
+test('a score jump of overrideScoreJump points over the module\'s last post lifts the cooldown', () => {
+  const posts = { dilution: { PLUG: { date: '2025-06-25', score: 60 } } };
+
+  const lifted = check('dilution', 'PLUG', posts, { score: 75 });
+  assert.equal(lifted.blocked, false);
+  assert.equal(lifted.override, true);
+  assert.equal(lifted.scoreJump, 15);
+  assert.match(lifted.text, /score up 15 since last post, cooldown lifted$/);
+
+  const short = check('dilution', 'PLUG', posts, { score: 74.9 });
+  assert.equal(short.blocked, true);
+  assert.equal(short.override, false);
+  assert.equal(short.scoreJump, 14.9);
+});
+
+test('the override compares within a module: it lifts a global block only against the module\'s own score', () => {
+  const posts = {
+    dilution: { PLUG: { date: '2025-05-01', score: 50 } },
+    bankruptcy_lb: { PLUG: { date: '2025-06-29', score: 40 } }
+  };
+  const lifted = check('dilution', 'PLUG', posts, { score: 70 });
+  assert.equal(lifted.scope, 'global');
+  assert.equal(lifted.override, true);
+
+  // Never posted by this module: no score to compare, the block stands
+  const shelf = check('shelf', 'PLUG', posts, { score: 99 });
+  assert.equal(shelf.blocked, true);
+  assert.equal(shelf.scoreJump, null);
+});
+
+test('cooldownPolicy: CDE takes its cooldown from the scoring config', () => {
+  assert.equal(registry.cooldownPolicy('cde').cooldownDays, SCORING_CONFIG.cde.cooldownDays);
+  assert.deepEqual(registry.cooldownPolicy('roundup'), { module: 'roundup', label: 'Weekly ATM roundup', cooldownDays: Infinity, global: false });
+  assert.equal(registry.cooldownLabel('roundup'), 'no-repeat cooldown');
+  assert.equal(registry.cooldownPolicy('unknown_module').cooldownDays, 30);
+});
+
+test('recordPosting is visible to every module through loadRegistry', () => {
+  registry.recordPosting('dilution', [{ ticker: 'PLUG', score: 61 }, 'RIOT'], { date: '2025-06-27' });
+  registry.recordPosting('cde', ['PLUG'], { date: '2025-06-29' });
+
+  const posts = registry.loadRegistry();
+  assert.deepEqual(posts.dilution.PLUG, { date: '2025-06-27', score: 61 });
+  assert.deepEqual(posts.dilution.RIOT, { date: '2025-06-27', score: null });
+  assert.deepEqual(registry.lastAppearances(posts).PLUG.map(a => a.module), ['cde', 'dilution']);
+
+  const blocked = registry.checkCooldown('insider', 'PLUG', { asOf: AS_OF });
+  assert.equal(blocked.module, 'cde');
+  assert.equal(blocked.daysSince, 1);
+});
@@ -0,0 +1,46 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { enterTempDir } from './helpers.js';
+
+const SCORECARD_URL = new URL('../../src/scorecard.js', import.meta.url).href;
+
+let scorecard;
+
+before(async () => {
+  enterTempDir();
+  process.env.DRY_RUN = 'false';
+  scorecard = await import(SCORECARD_URL);
+});
+
+test('registerCalls records a source + ticker + day once', () => {
+  const postedAt = '2025-06-30T14:00:00.000Z';
+  const first = scorecard.registerCalls('cde_thread', [{ ticker: '$plug', score: 71, price: 1.2 }, { symbol: 'RIOT' }], { postedAt, tweetId: '1' });
+  const again = scorecard.registerCalls('cde_thread', [{ ticker: 'PLUG', score: 75 }], { postedAt });
+
+  assert.deepEqual(first.map(c => c.id), ['2025-06-30-cde_thread-PLUG', '2025-06-30-cde_thread-RIOT']);
+  assert.deepEqual(again, []);
+  const { calls } = scorecard.loadScorecard();
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].priceAtPost, 1.2);
+  assert.equal(calls[0].tweetId, '1');
+});
+
+test('calls registered by overlapping processes are all kept', async () => {
+  enterTempDir();
+  const worker = source => `
+    const { registerCalls } = await import(${JSON.stringify(SCORECARD_URL)});
+    for (let i = 0; i < 20; i++) registerCalls(${JSON.stringify(source)}, [{ ticker: 'T' + i }]);
+  `;
+  const run = source => promisify(execFile)(process.execPath, ['--input-type=module', '-e', worker(source)], {
+    cwd: process.cwd(),
+    env: { ...process.env, DRY_RUN: 'false' },
+    timeout: 60000
+  });
+  await Promise.all([run('cde_thread'), run('daily_alert')]);
+
+  const { calls } = scorecard.loadScorecard();
+  assert.equal(calls.length, 40);
+  assert.equal(calls.filter(c => c.source === 'daily_alert').length, 20);
+});
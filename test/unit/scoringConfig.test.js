@@ -0,0 +1,122 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { enterTempDir } from './helpers.js';
+
+const SRC = fileURLToPath(new URL('../../src/', import.meta.url));
+const REPO_CONFIG = fileURLToPath(new URL('../../scoring.config.json', import.meta.url));
+
+let scoring;
+let parseConfigFlag;
+let repoConfig;
+
+before(async () => {
+  enterTempDir();
+  scoring = await import('../../src/scoringConfig.js');
+  ({ parseConfigFlag } = await import('../../src/scoringConfigFlag.js'));
+  repoConfig = JSON.parse(fs.readFileSync(REPO_CONFIG, 'utf8'));
+});
+
+const copyConfig = () => JSON.parse(JSON.stringify(repoConfig));
+
+function run(args, env = {}) {
+  return promisify(execFile)(process.execPath, args, {
+    cwd: process.cwd(),
+    env: { ...process.env, ...env },
+    timeout: 60000
+  }).then(r => ({ code: 0, ...r }), e => ({ code: e.code, stdout: e.stdout, stderr: e.stderr }));
+}
+
+test('the repo config is valid', () => {
+  assert.deepEqual(scoring.validateScoringConfig(repoConfig), []);
+});
+
+test('a partial config lists every missing key and section', () => {
+  const errors = scoring.validateScoringConfig({ scanner: {} });
+  assert.ok(errors.includes('scanner.minWeeklyGainPct: missing'));
+  assert.ok(errors.includes('scanner.minScoreToTrigger: missing'));
+  assert.ok(errors.includes('dilutionV2: missing'));
+  assert.ok(errors.includes('insiderIDS: missing'));
+});
+
+test('wrong types, unknown keys and bad tiers are reported by path', () => {
+  const config = copyConfig();
+  config.cde.dilutionRequired = 'yes';
+  config.scanner.minAvgVolum = 1;
+  config.shelfSDR.runwayMonths = [{ points: 5 }, { lt: 6, gt: 1, points: 10 }, { lte: '3', points: 'x' }];
+  config.insiderIDS.salesCount = [];
+
+  assert.deepEqual(scoring.validateScoringConfig(config).sort(), [
+    'cde.dilutionRequired: expected true/false',
+    'insiderIDS.salesCount: expected a non-empty tier list',
+    'scanner.minAvgVolum: unknown key',
+    'shelfSDR.runwayMonths[0]: only the last tier can omit a comparison',
+    'shelfSDR.runwayMonths[1]: one comparison per tier (got lt, gt)',
+    'shelfSDR.runwayMonths[2].lte: expected number',
+    'shelfSDR.runwayMonths[2].points: expected number'
+  ]);
+});
+
+test('inverted cut-offs are rejected', () => {
+  const config = copyConfig();
+  config.bankruptcy.watchScore = config.bankruptcy.alertScore + 5;
+  config.dilutionV2.capitulationThreshold = config.dilutionV2.volumeFadeThreshold + 0.1;
+
+  const errors = scoring.validateScoringConfig(config);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^bankruptcy\.watchScore \(\d+\) must not be above bankruptcy\.alertScore/);
+  assert.match(errors[1], /^dilutionV2\.capitulationThreshold .* must not be above dilutionV2\.volumeFadeThreshold/);
+});
+
+test('tierPoints takes the first matching tier, then the fallback', () => {
+  const tiers = [{ lt: 3, points: 25 }, { lte: 6, points: 20 }, { points: 5 }];
+  assert.equal(scoring.tierPoints(2.9, tiers), 25);
+  assert.equal(scoring.tierPoints(6, tiers), 20);
+  assert.equal(scoring.tierPoints(12, tiers), 5);
+  assert.equal(scoring.tierPoints(1, [{ gt: 5, points: 10 }], -1), -1);
+  assert.equal(scoring.tierMax(tiers), 25);
+});
+
+test('parseConfigFlag takes both forms and keeps "=" in the path', () => {
+  assert.deepEqual(parseConfigFlag(['all', '--config=runs/a=b.json', '--post']), { configPath: 'runs/a=b.json', rest: ['all', '--post'] });
+  assert.deepEqual(parseConfigFlag(['--config', 'tight.json', 'RIOT']), { configPath: 'tight.json', rest: ['RIOT'] });
+  assert.deepEqual(parseConfigFlag(['RIOT', '--post']), { configPath: null, rest: ['RIOT', '--post'] });
+});
+
+test('an entry point scores with the --config file and its args no longer see the flag', async () => {
+  const config = copyConfig();
+  config.scanner.minScoreToTrigger = 0.99;
+  fs.mkdirSync('runs=2025');
+  fs.writeFileSync(path.join('runs=2025', 'tight.json'), JSON.stringify(config));
+  fs.writeFileSync('entry.mjs', `
+    import ${JSON.stringify(path.join(SRC, 'scoringConfigFlag.js'))};
+    import { SCORING_CONFIG } from ${JSON.stringify(path.join(SRC, 'scoringConfig.js'))};
+    console.log(JSON.stringify({ trigger: SCORING_CONFIG.scanner.minScoreToTrigger, args: process.argv.slice(2) }));
+  `);
+
+  for (const flag of [['--config=runs=2025/tight.json'], ['--config', 'runs=2025/tight.json']]) {
+    const { code, stdout } = await run(['entry.mjs', 'RIOT', ...flag, '--post']);
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout.trim().split('\n').pop()), { trigger: 0.99, args: ['RIOT', '--post'] });
+  }
+});
+
+test('a partial config stops the process with the problems listed, not a stack trace', async () => {
+  fs.writeFileSync('partial.json', JSON.stringify({ scanner: {} }));
+  const importer = `await import(${JSON.stringify(path.join(SRC, 'scoringConfig.js'))}); console.log('loaded');`;
+
+  const { code, stdout, stderr } = await run(['--input-type=module', '-e', importer], { SCORING_CONFIG: 'partial.json' });
+  assert.equal(code, 1);
+  assert.doesNotMatch(stdout, /loaded/);
+  assert.match(stderr, /❌ Invalid scoring config partial\.json:/);
+  assert.match(stderr, /- scanner\.minWeeklyGainPct: missing/);
+  assert.doesNotMatch(stderr, /^\s+at /m);
+
+  const cli = await run([path.join(SRC, 'scoringConfig.js'), 'partial.json']);
+  assert.equal(cli.code, 1);
+  assert.match(cli.stderr, /❌ Invalid scoring config .*partial\.json:/);
+});
@@ -0,0 +1,83 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir, fixturePath } from './helpers.js';
+
+const FIXTURES = fixturePath('sec');
+const QUERY = ['"at-the-market"', '424B5', '2024-03-01', '2024-03-08'];
+
+let sec;
+let SEC_CONFIG;
+
+before(async () => {
+  enterTempDir();
+  sec = await import('../../src/vendors/sec.js');
+  ({ SEC_CONFIG } = await import('../../src/config.js'));
+  SEC_CONFIG.searchPageSize = 2; // the recorded search is paged 2 hits at a time
+  SEC_CONFIG.retryDelay = 1;
+});
+
+beforeEach(() => {
+  // Fresh data/cache/sec/ per test so every request reaches the transport
+  enterTempDir();
+  sec.setTransport(sec.createFixtureTransport(FIXTURES));
+  sec.resetRequestCount();
+});
+
+after(() => sec.setTransport(null));
+
+test('searchFilings pages past the page size until the total is reached', async () => {
+  const hits = await sec.searchFilings(...QUERY);
+  assert.equal(hits.length, 5);
+  assert.equal(sec.getRequestCount(), 3);
+  assert.deepEqual(hits.map(h => h._source.file_date), ['2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08']);
+});
+
+test('searchFilings stops paging once the limit is collected', async () => {
+  const hits = await sec.searchFilings(...QUERY, { limit: 3 });
+  assert.equal(hits.length, 3);
+  assert.equal(sec.getRequestCount(), 2);
+});
+
+test('a second search is served from the response cache', async () => {
+  await sec.searchFilings(...QUERY);
+  sec.resetRequestCount();
+  const hits = await sec.searchFilings(...QUERY);
+  assert.equal(hits.length, 5);
+  assert.equal(sec.getRequestCount(), 0);
+});
+
+test('a failed search returns what it has, or throws with throwOnError', async () => {
+  const unrecorded = ['"at-the-market"', '424B5', '2020-01-01', '2020-01-08'];
+  assert.deepEqual(await sec.searchFilings(...unrecorded), []);
+  await assert.rejects(sec.searchFilings(...unrecorded, { throwOnError: true }), /SEC API returned 404/);
+});
+
+test('secGet retries 5xx and 429 responses', async () => {
+  const statuses = [503, 429, 200];
+  sec.setTransport(async () => {
+    const status = statuses.shift();
+    return { status, body: status === 200 ? '{"ok":true}' : 'busy' };
+  });
+  assert.deepEqual(await sec.secGet('https://data.sec.gov/retry.json', { cache: false }), { ok: true });
+  assert.equal(sec.getRequestCount(), 3);
+
+  sec.setTransport(async () => ({ status: 503, body: 'down' }));
+  await assert.rejects(sec.secGet('https://data.sec.gov/down.json', { cache: false, maxRetries: 2 }), /503 after 2 attempts/);
+});
+
+test('the limiter holds concurrent callers to maxRequestsPerSecond, in call order', async () => {
+  const served = [];
+  sec.setTransport(async (url) => {
+    served.push(url);
+    return { status: 200, body: '{}' };
+  });
+
+  const urls = Array.from({ length: 20 }, (_, i) => `https://data.sec.gov/limit/${i}.json`);
+  const started = Date.now();
+  await Promise.all(urls.map(url => sec.secGet(url, { cache: false })));
+  const elapsed = Date.now() - started;
+
+  // A full bucket covers the first 10; the other 10 wait for refills at 10/s
+  assert.ok(elapsed >= 900, `20 requests took only ${elapsed}ms`);
+  assert.deepEqual(served, urls);
+});
@@ -0,0 +1,66 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir, readFixture } from './helpers.js';
+
+const fixture = name => readFixture('prospectus', name);
+
+let parseATMProspectus;
+let parseDollarAmount;
+
+before(async () => {
+  enterTempDir();
+  ({ parseATMProspectus, parseDollarAmount } = await import('../../src/vendors/secProspectus.js'));
+});
+
+test('new program: "aggregate offering price of up to $X"', () => {
+  const program = parseATMProspectus(fixture('new-program-cantor.htm'));
+  assert.equal(program.isATM, true);
+  assert.equal(program.programType, 'new');
+  assert.equal(program.offeringAmount, 75_000_000);
+  assert.equal(program.programSize, 75_000_000);
+  assert.equal(program.previousProgramSize, null);
+  assert.deepEqual(program.agents, ['Cantor Fitzgerald & Co.']);
+  assert.equal(program.commissionPct, 3);
+});
+
+test('increase across "B. Riley Securities, Inc." between the wording and the amounts', () => {
+  const program = parseATMProspectus(fixture('increase-b-riley.htm'));
+  assert.equal(program.programType, 'increase');
+  assert.equal(program.previousProgramSize, 20_000_000);
+  assert.equal(program.programSize, 60_000_000);
+  assert.equal(program.offeringAmount, 40_000_000);
+  assert.deepEqual(program.agents, ['B. Riley Securities, Inc.']);
+  assert.equal(program.commissionPct, 3);
+});
+
+test('increase across "H.C. Wainwright & Co., LLC" with an amount-sold aside', () => {
+  const program = parseATMProspectus(fixture('increase-wainwright.htm'));
+  assert.equal(program.programType, 'increase');
+  assert.equal(program.previousProgramSize, 8_500_000);
+  assert.equal(program.programSize, 21_000_000);
+  assert.equal(program.offeringAmount, 12_500_000);
+  assert.deepEqual(program.agents, ['H.C. Wainwright & Co., LLC']);
+  assert.equal(program.commissionPct, 3);
+});
+
+test('increase stated as "up to an additional $X"', () => {
+  const program = parseATMProspectus(fixture('increase-additional.htm'));
+  assert.equal(program.programType, 'increase');
+  assert.equal(program.offeringAmount, 50_000_000);
+  assert.equal(program.programSize, null);
+});
+
+test('a "from $X to $Y" pair outside an increase sentence is not an increase', () => {
+  const program = parseATMProspectus(
+    '<p>We entered into a sales agreement with Jefferies LLC. Our stock price rose from $1.00 to $4.00 last year. ' +
+    'We may sell shares having an aggregate offering price of up to $10,000,000.</p>'
+  );
+  assert.equal(program.programType, 'new');
+  assert.equal(program.offeringAmount, 10_000_000);
+});
+
+test('parseDollarAmount handles separators and units', () => {
+  assert.equal(parseDollarAmount('25,000,000'), 25_000_000);
+  assert.equal(parseDollarAmount('50.0', 'million'), 50_000_000);
+  assert.equal(parseDollarAmount('1.2', 'billion'), 1_200_000_000);
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { enterTempDir, fixturePath } from './helpers.js';
+
+let sec;
+let tickers;
+let readDataFile;
+let writeDataFile;
+let DATA_PATHS;
+
+before(async () => {
+  enterTempDir();
+  sec = await import('../../src/vendors/sec.js');
+  tickers = await import('../../src/vendors/secTickers.js');
+  ({ readDataFile, writeDataFile } = await import('../../src/store/dataFile.js'));
+  const config = await import('../../src/config.js');
+  DATA_PATHS = config.DATA_PATHS;
+  config.SEC_CONFIG.searchPageSize = 2;
+  sec.setTransport(sec.createFixtureTransport(fixturePath('sec')));
+
+  // CIK 9999999 left SEC's ticker file after delisting; we saw it as DLBT before
+  writeDataFile(DATA_PATHS.tickerHistory, {
+    companies: {
+      9999999: { name: 'Delisted Biotech Corp', tickers: ['DLBT'], formerTickers: [], firstSeen: '2023-06-01', changedAt: null },
+      1437491: { name: 'Mullen Automotive Inc.', tickers: ['MULN'], formerTickers: [{ ticker: 'NETE', until: '2021-11-05' }], firstSeen: '2021-01-04', changedAt: '2021-11-05' }
+    }
+  });
+});
+
+after(() => sec.setTransport(null));
+
+test('resolveFilings maps every CIK on a search page, falling back to ticker history', async () => {
+  const hits = await sec.searchFilings('"at-the-market"', '424B5', '2024-03-01', '2024-03-08');
+  const { resolved, unresolved } = await tickers.resolveFilings(hits);
+
+  assert.deepEqual(
+    resolved.map(r => [r.ticker, r.source]),
+    [['MSTR', 'sec_ticker_map'], ['MULN', 'sec_ticker_map'], ['FFIE', 'sec_ticker_map'], ['DLBT', 'ticker_history']]
+  );
+  assert.deepEqual(resolved[2].tickers, ['FFIEW', 'FFIE']);
+  assert.equal(resolved[0].companyName, 'MicroStrategy Inc');
+
+  assert.equal(unresolved.length, 1);
+  assert.equal(unresolved[0].cik, '8888888');
+  assert.equal(unresolved[0].adsh, '0001493152-24-009100');
+});
+
+test('resolveFilings uses display-name tickers when no map or history knows the CIK', async () => {
+  const { resolved } = await tickers.resolveFilings([{
+    _source: { ciks: ['0007777777'], display_names: ['Newco Acquisition Corp  (NWCO, NWCOW)  (CIK 0007777777)'], form: '424B5' }
+  }]);
+  assert.equal(resolved[0].ticker, 'NWCO');
+  assert.equal(resolved[0].source, 'display_name');
+  assert.equal(resolved[0].cik, '7777777');
+});
+
+test('resolveCik records the issuer in ticker history', async () => {
+  const result = await tickers.resolveCik('0001050446');
+  assert.equal(result.primaryTicker, 'MSTR');
+  assert.equal(result.name, 'MicroStrategy Inc');
+
+  const history = readDataFile(DATA_PATHS.tickerHistory, { companies: {} });
+  assert.deepEqual(history.companies['1050446'].tickers, ['MSTR']);
+  assert.equal(await tickers.resolveCik('0008888888'), null);
+});
+
+test('findCikByTicker knows current and former tickers', async () => {
+  assert.equal(await tickers.findCikByTicker('brk-b'), '1067983');
+  assert.equal(await tickers.findCikByTicker('NETE'), '1437491');
+  assert.equal(await tickers.findCikByTicker('DLBT'), '9999999');
+  assert.equal(await tickers.findCikByTicker('ZZZZ'), null);
+
+  // The ticker map cache is written without indentation
+  assert.equal(fs.readFileSync(DATA_PATHS.secTickerMap, 'utf8').split('\n').length, 1);
+});
+
+test('pickPrimaryTicker prefers listed common stock over warrants, units and OTC', () => {
+  assert.equal(tickers.pickPrimaryTicker([{ ticker: 'ABCDW', exchange: 'Nasdaq' }, { ticker: 'ABCD', exchange: 'Nasdaq' }]), 'ABCD');
+  assert.equal(tickers.pickPrimaryTicker([{ ticker: 'XYZ-WT', exchange: 'NYSE' }, { ticker: 'XYZ', exchange: 'NYSE' }]), 'XYZ');
+  assert.equal(tickers.pickPrimaryTicker([{ ticker: 'OTCQ', exchange: 'OTC' }, { ticker: 'LIST', exchange: 'NYSE' }]), 'LIST');
+  assert.equal(tickers.pickPrimaryTicker([{ ticker: 'BRK-B', exchange: 'NYSE' }, { ticker: 'BRK-A', exchange: 'NYSE' }]), 'BRK-B');
+  assert.equal(tickers.pickPrimaryTicker([]), null);
+});
@@ -0,0 +1,117 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir, readFixture } from './helpers.js';
+
+let xbrl;
+let companyFacts;
+
+before(async () => {
+  enterTempDir();
+  xbrl = await import('../../src/vendors/secXbrl.js');
+  companyFacts = JSON.parse(readFixture('xbrl', 'companyfacts-sample.json'));
+});
+
+test('balance sheet: current maturities are counted once in totalDebt', () => {
+  const { balanceSheet } = xbrl.normalizeCompanyFacts(companyFacts);
+  assert.deepEqual(balanceSheet.map(r => r.date), ['2024-06-30', '2024-03-31', '2023-12-31']);
+
+  const [q2, q1, fy] = balanceSheet;
+  // LongTermDebtNoncurrent tagged: LongTermDebt (the total) is ignored
+  assert.equal(q1.shortTermDebt, 2_000_000);
+  assert.equal(q1.longTermDebt, 3_000_000);
+  assert.equal(q1.totalDebt, 5_000_000);
+  assert.equal(fy.totalDebt, 5_000_000);
+
+  // Only the total tagged: noncurrent = LongTermDebt - LongTermDebtCurrent
+  assert.equal(q2.longTermDebt, 2_500_000);
+  assert.equal(q2.totalDebt, 4_500_000);
+});
+
+test('balance sheet: an amended 10-Q replaces the original value', () => {
+  const q1 = xbrl.normalizeCompanyFacts(companyFacts).balanceSheet[1];
+  assert.equal(q1.cashAndCashEquivalents, 3_100_000);
+  assert.equal(q1.filingDate, '2024-06-03');
+  assert.equal(q1.source, 'sec_xbrl');
+});
+
+test('cash flow: quarters are derived from year-to-date facts', () => {
+  const { cashFlow } = xbrl.normalizeCompanyFacts(companyFacts);
+  assert.deepEqual(cashFlow.map(r => [r.date, r.operatingCashFlow, r.period]), [
+    ['2024-06-30', -1_200_000, 'Q2'],
+    ['2024-03-31', -1_500_000, 'Q1'],
+    ['2023-12-31', -1_600_000, 'Q4']
+  ]);
+});
+
+test('income: a reported quarter beats one derived from year-to-date', () => {
+  const { income, sharesOutstanding } = xbrl.normalizeCompanyFacts(companyFacts);
+  assert.deepEqual(income.map(r => r.netIncome), [-1_600_000, -1_800_000]);
+  assert.equal(sharesOutstanding[0].sharesOutstanding, 48_900_000);
+});
+
+test('rows are labeled from their own dates, not the fy/fp of the filing that repeated them', () => {
+  // 52-week fiscal year ending late September. The Q1 FY2025 10-Q repeats the FY2024
+  // year-end balance sheet and the Q1 FY2024 quarter as comparatives, tagged Q1 / 2025.
+  const q1 = { fy: 2025, fp: 'Q1', form: '10-Q', filed: '2025-02-05', accn: '0001493152-25-004410' };
+  const fy = { fy: 2024, fp: 'FY', form: '10-K', filed: '2024-12-10', accn: '0001493152-24-049120' };
+  const usd = facts => ({ units: { USD: facts } });
+  const facts = {
+    'us-gaap': {
+      Assets: usd([
+        { ...fy, end: '2023-09-30', val: 30_000_000 },
+        { ...fy, end: '2024-09-28', val: 26_000_000 },
+        { ...q1, end: '2024-09-28', val: 26_000_000 },
+        { ...q1, end: '2024-12-28', val: 24_000_000 }
+      ]),
+      NetIncomeLoss: usd([
+        { ...q1, start: '2023-10-01', end: '2023-12-30', val: -900_000 },
+        { ...q1, start: '2024-09-29', end: '2024-12-28', val: -1_400_000 }
+      ])
+    }
+  };
+
+  const { balanceSheet, income } = xbrl.normalizeCompanyFacts(facts);
+  assert.deepEqual(balanceSheet.map(r => [r.date, r.period, r.fiscalYear]), [
+    ['2024-12-28', 'Q1', '2025'],
+    ['2024-09-28', 'Q4', '2024'],
+    ['2023-09-30', 'Q4', '2023']
+  ]);
+  assert.deepEqual(income.map(r => [r.date, r.period, r.fiscalYear]), [
+    ['2024-12-28', 'Q1', '2025'],
+    ['2023-12-30', 'Q1', '2024']
+  ]);
+});
+
+test('mergeFundamentals: fresher filing wins, gaps are filled, disagreements are flagged', () => {
+  const sec = xbrl.normalizeCompanyFacts(companyFacts);
+  const fmp = {
+    balanceSheet: [
+      { date: '2024-03-31', fillingDate: '2024-05-10', cashAndCashEquivalents: 3_200_000, shortTermDebt: 0, longTermDebt: 0, totalDebt: 0, totalAssets: 10_500_000, totalLiabilities: 9_000_000 },
+      { date: '2023-12-31', fillingDate: '2024-03-20', cashAndCashEquivalents: 5_000_000, shortTermDebt: 0, longTermDebt: 4_000_000, totalDebt: 4_000_000, totalAssets: 12_000_000, totalLiabilities: 8_000_000 }
+    ],
+    cashFlow: [],
+    income: []
+  };
+
+  const merged = xbrl.mergeFundamentals(fmp, sec);
+  const [q2, q1, fy] = merged.balanceSheet;
+
+  // Only SEC has the newest quarter
+  assert.equal(q2.source, 'sec_xbrl');
+
+  // SEC's amended 10-Q is fresher than FMP's copy of the original
+  assert.equal(q1.source, 'sec_xbrl+fmp');
+  assert.equal(q1.cashAndCashEquivalents, 3_100_000);
+  assert.equal(q1.totalDebt, 5_000_000);
+
+  // FMP is fresher for FY2023; its missing (0) short-term debt comes from SEC
+  assert.equal(fy.source, 'fmp+sec_xbrl');
+  assert.equal(fy.shortTermDebt, 1_000_000);
+
+  assert.deepEqual(merged.dataConflicts.map(c => [c.date, c.field, c.used]), [
+    ['2024-03-31', 'totalLiabilities', 'sec_xbrl'],
+    ['2023-12-31', 'totalDebt', 'fmp']
+  ]);
+  assert.deepEqual(merged.dataSources.sort(), ['fmp', 'sec_xbrl']);
+  assert.equal(merged.cashFlow.length, 3);
+});
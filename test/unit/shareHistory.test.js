@@ -0,0 +1,69 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir } from './helpers.js';
+
+let shares;
+
+before(async () => {
+  enterTempDir();
+  shares = await import('../../src/shareHistory.js');
+});
+
+const REVERSE_1_50 = { date: '2024-11-15', numerator: 1, denominator: 50, ratio: 0.02, type: 'reverse', label: '1:50 R/S', source: 'fmp' };
+
+const cover = (date, count) => ({ date, shares: count, source: 'sec_cover', form: '10-Q' });
+const float = (date, count) => ({ date, shares: count, source: 'fmp_float' });
+
+// Diluting through a 1:50 reverse split: 8M → 10M → 12M pre-split, then 300K → 400K
+const SERIES = [
+  cover('2024-02-15', 8_000_000),
+  cover('2024-06-30', 10_000_000),
+  cover('2024-09-30', 12_000_000),
+  cover('2024-12-31', 300_000),
+  float('2025-01-20', 400_000)
+];
+
+test('splitAdjustSharePoints restates only points from before each split', () => {
+  const adjusted = shares.splitAdjustSharePoints(SERIES, [REVERSE_1_50]);
+  assert.deepEqual(adjusted.map(p => p.shares), [160_000, 200_000, 240_000, 300_000, 400_000]);
+  assert.equal(adjusted[2].splitAdjusted, true);
+  assert.equal(adjusted[3], SERIES[3]);
+  assert.equal(SERIES[0].shares, 8_000_000, 'input points are not mutated');
+  assert.equal(shares.splitAdjustSharePoints(SERIES, []), SERIES);
+});
+
+test('a reverse split inside the window is not read as shrinking share count', () => {
+  const unadjusted = shares.computeDilutionMetrics(SERIES);
+  assert.ok(unadjusted.qoqGrowthPct < -95);
+
+  const m = shares.computeDilutionMetrics(SERIES, [REVERSE_1_50]);
+  assert.equal(m.sharesOutstanding, 400_000);
+  assert.equal(Math.round(m.qoqGrowthPct), 25);
+  assert.equal(Math.round(m.dilution12mPct), 150);
+  assert.equal(m.impliedSharesSinceReport, 100_000);
+  assert.deepEqual(m.lastReported, { shares: 300_000, date: '2024-12-31', form: '10-Q' });
+});
+
+test('shares sold since a pre-split report are measured on the post-split basis', () => {
+  const m = shares.computeDilutionMetrics([cover('2024-09-30', 12_000_000), float('2024-12-01', 300_000)], [REVERSE_1_50]);
+  assert.equal(m.impliedSharesSinceReport, 60_000);
+  assert.equal(m.impliedDilutionSinceReportPct, 25);
+});
+
+test('updateShareHistory stores raw counts and split-adjusted metrics', async () => {
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const split = { ...REVERSE_1_50, date: daysAgo(45) };
+
+  const { points, metrics } = await shares.updateShareHistory('abcd', {
+    secShares: [
+      { date: daysAgo(120), sharesOutstanding: 10_000_000, form: '10-Q', filingDate: daysAgo(110) },
+      { date: daysAgo(30), sharesOutstanding: 250_000, form: '10-Q', filingDate: daysAgo(20) }
+    ],
+    floatData: { date: daysAgo(1), outstandingShares: 300_000 },
+    splitEvents: [split]
+  });
+
+  assert.deepEqual(points.map(p => p.shares), [10_000_000, 250_000, 300_000]);
+  assert.equal(Math.round(metrics.qoqGrowthPct), 25);
+  assert.deepEqual(shares.getShareMetrics('ABCD'), metrics);
+});
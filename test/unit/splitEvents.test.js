@@ -0,0 +1,119 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { enterTempDir, readFixture } from './helpers.js';
+
+let splits;
+
+before(async () => {
+  enterTempDir();
+  splits = await import('../../src/splitEvents.js');
+});
+
+const REVERSE_1_50 = { date: '2025-03-04', numerator: 1, denominator: 50, ratio: 0.02, type: 'reverse', label: '1:50 R/S', source: 'fmp' };
+
+function candles(closes, startDay = 1) {
+  return closes.map((close, i) => ({
+    date: `2025-03-${String(startDay + i).padStart(2, '0')}`,
+    open: close,
+    high: close * 1.1,
+    low: close * 0.9,
+    close,
+    volume: 5_000_000
+  }));
+}
+
+test('8-K: ratio in words, reverse, dated by the split-adjusted trading day', () => {
+  const event = splits.parseSplitAnnouncement(readFixture('splits', '8k-reverse-split.htm'), '2025-02-28');
+  assert.deepEqual(event, { date: '2025-03-04', numerator: 1, denominator: 100 });
+});
+
+test('8-K: stockholder approval of a ratio range is not a split', () => {
+  assert.equal(splits.parseSplitAnnouncement(readFixture('splits', '8k-range-approval.htm'), '2025-06-12'), null);
+});
+
+test('adjustForSplits puts pre-split rows on the current share basis', () => {
+  const rows = candles([0.11, 0.10, 0.09, 4.60, 4.20]);
+  const adjusted = splits.adjustForSplits(rows, [REVERSE_1_50]);
+
+  assert.deepEqual(adjusted.map(r => Number(r.close.toFixed(2))), [5.5, 5, 4.5, 4.6, 4.2]);
+  assert.equal(adjusted[0].volume, 100_000);
+  assert.equal(adjusted[0].splitAdjusted, true);
+  assert.equal(adjusted[3].splitAdjusted, undefined);
+  assert.deepEqual(adjusted[3].splitEvent, { date: '2025-03-04', label: '1:50 R/S', type: 'reverse' });
+  assert.equal(rows[0].close, 0.11, 'input rows are not mutated');
+});
+
+test('adjustForSplits leaves an already-adjusted series alone', () => {
+  const rows = candles([5.5, 5.0, 4.5, 4.6, 4.2]);
+  assert.deepEqual(splits.adjustForSplits(rows, [REVERSE_1_50]), rows);
+});
+
+test('adjustForSplits keeps the caller\'s row order', () => {
+  const rows = candles([0.11, 0.10, 0.09, 4.60]).reverse();
+  const adjusted = splits.adjustForSplits(rows, [REVERSE_1_50]);
+  assert.deepEqual(adjusted.map(r => r.date), rows.map(r => r.date));
+  assert.equal(Number(adjusted[3].close.toFixed(2)), 5.5);
+});
+
+test('hasSuspiciousGap flags split-sized overnight moves only', () => {
+  assert.equal(splits.hasSuspiciousGap(candles([0.10, 0.09, 4.60])), true);
+  assert.equal(splits.hasSuspiciousGap(candles([1.00, 1.50, 1.20])), false);
+});
+
+test('adjustPriceSince converts an old entry price across later splits', () => {
+  assert.equal(Number(splits.adjustPriceSince(0.1, '2025-03-01', [REVERSE_1_50]).toFixed(2)), 5);
+  assert.equal(splits.adjustPriceSince(4.6, '2025-03-04', [REVERSE_1_50]), 4.6);
+});
+
+test('mergeSplitEvents dedupes FMP and 8-K events a few days apart', () => {
+  const sec = { ...REVERSE_1_50, date: '2025-03-03', source: 'sec_8k', accessionNumber: '0001213900-25-017710' };
+  const forward = { ...REVERSE_1_50, date: '2024-06-10', numerator: 3, denominator: 1, ratio: 3, type: 'forward', source: 'sec_8k' };
+  const merged = splits.mergeSplitEvents([{ ...REVERSE_1_50 }], [sec, forward]);
+
+  assert.equal(merged.length, 2);
+  assert.equal(merged[0].date, '2024-06-10');
+  assert.equal(merged[1].date, '2025-03-04');
+  assert.equal(merged[1].source, 'fmp+sec_8k');
+  assert.equal(merged[1].accessionNumber, '0001213900-25-017710');
+});
+
+test('findRecentReverseSplit only counts reverse splits inside the window', () => {
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const events = [
+    { ...REVERSE_1_50, date: daysAgo(400) },
+    { ...REVERSE_1_50, date: daysAgo(60) },
+    { ...REVERSE_1_50, date: daysAgo(10), ratio: 3, type: 'forward' }
+  ];
+  const recent = splits.findRecentReverseSplit(events, 90);
+  assert.equal(recent.daysAgo, 60);
+  assert.equal(recent.countInWindow, 1);
+  assert.equal(splits.findRecentReverseSplit(events.slice(0, 1), 90), null);
+});
+
+test('calculatePL restates the entry with the history when the closes jump at the split', async () => {
+  const { addPerformanceEntry, calculatePL } = await import('../../src/storage.js');
+  for (const row of candles([0.11, 0.10, 0.09, 4.60])) addPerformanceEntry('RAWP', row.date, row.close);
+
+  const pl = calculatePL({ ticker: 'RAWP', entry_price: 0.10, trigger_date: '2025-03-01', splits: [REVERSE_1_50] });
+  assert.equal(Number(pl.entryPrice.toFixed(2)), 5);
+  assert.equal(Number(pl.plPercent.toFixed(1)), 8);
+  assert.equal(Number(pl.highSinceEntry.toFixed(2)), 5.5);
+});
+
+test('calculatePL leaves the entry alone when the closes are already split-adjusted', async () => {
+  const { addPerformanceEntry, calculatePL } = await import('../../src/storage.js');
+  for (const row of candles([5.5, 5.0, 4.5, 4.6])) addPerformanceEntry('ADJP', row.date, row.close);
+
+  const pl = calculatePL({ ticker: 'ADJP', entry_price: 5.5, trigger_date: '2025-03-01', splits: [REVERSE_1_50] });
+  assert.equal(pl.entryPrice, 5.5);
+  assert.equal(Number(pl.plPercent.toFixed(1)), 16.4);
+});
+
+test('calculatePL restates an entry from before the split when tracking starts after it', async () => {
+  const { addPerformanceEntry, calculatePL } = await import('../../src/storage.js');
+  for (const row of candles([4.60, 4.20], 4)) addPerformanceEntry('LATE', row.date, row.close);
+
+  const pl = calculatePL({ ticker: 'LATE', entry_price: 0.10, trigger_date: '2025-03-01', splits: [REVERSE_1_50] });
+  assert.equal(Number(pl.entryPrice.toFixed(2)), 5);
+  assert.equal(pl.daysTracked, 2);
+});
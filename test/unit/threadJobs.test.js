@@ -0,0 +1,148 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { enterTempDir } from './helpers.js';
+
+const PARTS = ['🚨 $PLUG hook', '2/ runway', '3/ ATM math', '4/ what to watch'];
+
+let jobs;
+let poster;
+let store;
+let DATA_PATHS;
+let POSTING_CONFIG;
+
+const realFetch = globalThis.fetch;
+const realSetTimeout = globalThis.setTimeout;
+let posted;       // bodies the X stand-in accepted
+let failTweet;    // text the X stand-in rejects once
+
+before(async () => {
+  enterTempDir();
+  Object.assign(process.env, { TWITTER_API_KEY: 'k', TWITTER_API_SECRET: 's', TWITTER_ACCESS_TOKEN: 't', TWITTER_ACCESS_SECRET: 'a' });
+  jobs = await import('../../src/threadJobs.js');
+  poster = await import('../../src/twitterPoster.js');
+  store = await import('../../src/store/dataFile.js');
+  ({ DATA_PATHS, POSTING_CONFIG } = await import('../../src/config.js'));
+});
+
+beforeEach(() => {
+  enterTempDir();
+  process.env.DRY_RUN = 'false';
+  posted = [];
+  failTweet = null;
+  let nextId = 100;
+
+  globalThis.fetch = async (url, options = {}) => {
+    if (url.endsWith('/1.1/account/verify_credentials.json')) return Response.json({ screen_name: 'dilutionhunter' });
+    if (!url.endsWith('/2/tweets')) throw new Error(`Unexpected request ${url}`);
+    const body = JSON.parse(options.body);
+    if (body.text === failTweet) {
+      failTweet = null;
+      return new Response('{"title":"Too Many Requests"}', { status: 429 });
+    }
+    posted.push(body);
+    return Response.json({ data: { id: String(nextId++), text: body.text } });
+  };
+  // Skip the 3s spacing between tweets
+  globalThis.setTimeout = (fn) => setImmediate(fn);
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  globalThis.setTimeout = realSetTimeout;
+  process.env.DRY_RUN = 'true';
+});
+
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+}
+
+const postThread = () => quietly(() => poster.postAlertThread(PARTS[0], PARTS.slice(1), null, { module: 'test' }));
+
+function editJob(jobId, change) {
+  store.updateDataFile(DATA_PATHS.threadJobs, { jobs: {} }, data => { change(data.jobs[jobId]); });
+}
+
+test('a fully posted thread is rejected as THREAD_DUPLICATE', () => {
+  const { job } = jobs.openThreadJob({ parts: PARTS });
+  PARTS.forEach((_, i) => jobs.recordTweetPosted(job.id, i, `t${i}`));
+  jobs.completeThreadJob(job.id);
+
+  assert.throws(() => jobs.openThreadJob({ parts: PARTS }), error => {
+    assert.equal(error.code, 'THREAD_DUPLICATE');
+    assert.equal(error.jobId, job.id);
+    assert.match(error.message, /first tweet t0/);
+    return true;
+  });
+  // Same text on another channel is another job
+  assert.equal(jobs.openThreadJob({ channel: 'bluesky', parts: PARTS }).resumed, false);
+});
+
+test('a failed job reopens at the first unposted tweet', () => {
+  const { job } = jobs.openThreadJob({ parts: PARTS });
+  jobs.recordTweetPosted(job.id, 0, 't0');
+  jobs.recordTweetPosted(job.id, 1, 't1');
+  jobs.failThreadJob(job.id, 2, 'Tweet failed: 429');
+
+  const reopened = jobs.openThreadJob({ parts: PARTS });
+  assert.equal(reopened.resumed, true);
+  assert.equal(reopened.job.id, job.id);
+  assert.equal(reopened.job.attempts, 2);
+  assert.equal(reopened.job.status, 'posting');
+  assert.equal(reopened.job.lastError, null);
+  assert.equal(jobs.nextTweetIndex(reopened.job), 2);
+});
+
+test('a job another live run holds is THREAD_IN_PROGRESS until its lease goes stale', () => {
+  const { job } = jobs.openThreadJob({ parts: PARTS });
+  editJob(job.id, j => { j.owner = { pid: process.ppid, host: os.hostname() }; });
+
+  assert.throws(() => jobs.openThreadJob({ parts: PARTS }), { code: 'THREAD_IN_PROGRESS' });
+
+  const stale = new Date(Date.now() - (POSTING_CONFIG.threadJobLeaseMinutes + 1) * 60 * 1000).toISOString();
+  editJob(job.id, j => { j.updatedAt = stale; });
+  const taken = jobs.openThreadJob({ parts: PARTS }).job;
+  assert.deepEqual(taken.owner, { pid: process.pid, host: os.hostname() });
+  assert.equal(taken.attempts, 2);
+});
+
+test('a job whose process is gone is taken over inside its lease', () => {
+  const { job } = jobs.openThreadJob({ parts: PARTS });
+  editJob(job.id, j => { j.owner = { pid: 2 ** 22 + 1, host: os.hostname() }; });
+  assert.equal(jobs.openThreadJob({ parts: PARTS }).job.owner.pid, process.pid);
+});
+
+test('a thread that fails on tweet 3 resumes there, replying to tweet 2', async () => {
+  failTweet = PARTS[2];
+  const failure = await postThread().catch(e => e);
+  assert.match(failure.message, /Tweet failed: 429/);
+  assert.ok(failure.jobId);
+
+  const broken = jobs.loadThreadJob(failure.jobId);
+  assert.equal(broken.status, 'failed');
+  assert.equal(broken.lastError.index, 2);
+  assert.deepEqual(broken.tweets.map(t => t.id), ['100', '101', null, null]);
+
+  const resumed = await postThread();
+  assert.equal(resumed.jobId, failure.jobId);
+  assert.equal(resumed.resumed, true);
+  assert.deepEqual(posted.slice(2).map(b => b.text), PARTS.slice(2));
+  assert.equal(posted[2].reply.in_reply_to_tweet_id, '101');
+  assert.equal(posted[3].reply.in_reply_to_tweet_id, '102');
+  assert.deepEqual(resumed.tweets.map(t => t.id), ['100', '101', '102', '103']);
+  assert.equal(jobs.loadThreadJob(failure.jobId).status, 'completed');
+});
+
+test('resubmitting a completed thread posts nothing', async () => {
+  await postThread();
+  assert.equal(posted.length, PARTS.length);
+
+  await assert.rejects(postThread(), { code: 'THREAD_DUPLICATE' });
+  assert.equal(posted.length, PARTS.length);
+});